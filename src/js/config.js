@@ -18,13 +18,86 @@ export const API_KEY = process.env.API_KEY;
 export const MAX_CALORIES = "550"; //Max calories for low calorie filter
 export const MIN_PROTEIN = "30"; //Min grams protein for high protein filter
 export const API_TIMEOUT_MESSAGE = "The request is taking longer than expected. Please check your connection or try again later.";
+export const QUOTA_LOW_MESSAGE = "You've almost reached today's recipe search limit, so these results come from recipes you've viewed before. Full search will be back tomorrow.";
+export const QUOTA_EXCEEDED_MESSAGE = "You've reached today's recipe search limit and none of the recipes you've viewed before match this search. Please try again tomorrow.";
+export const OFFLINE_RESULTS_MESSAGE = "We couldn't reach the recipe service, so these results come from recipes you've viewed before.";
+export const RECIPE_PROVIDER = process.env.RECIPE_PROVIDER || "spoonacular"; //Recipe data source ("spoonacular" or "fixtures" for the bundled offline data)
+export const API_REQUEST_TIMEOUT = 5000; //Default max time (in ms) an API request may take before it is aborted (used for recipe details requests)
+export const SEARCH_REQUEST_TIMEOUT = 3000; //Max time (in ms) a recipe search request may take before it is aborted
+export const AUTOCOMPLETE_REQUEST_TIMEOUT = 2000; //Max time (in ms) an autocomplete request may take before it is aborted
+export const MAX_REQUEST_RETRIES = 2; //Number of times a request that failed with a 429 or 5xx status is retried
+export const RETRY_BASE_DELAY = 500; //Delay (in ms) before the first retry, doubled for every following retry
+export const AUTOCOMPLETE_DEBOUNCE = 250; //Time (in ms) the user has to stop typing before autocomplete suggestions are requested from the API
+export const NUM_API_AUTOCOMPLETE_SUGGESTIONS = 5; //Number of autocomplete suggestions requested from the API
+export const NUM_AUTOCOMPLETE_SUGGESTIONS = 8; //Max number of autocomplete suggestions shown under the search bar (API and local suggestions combined)
+export const MAX_AUTOCOMPLETE_CACHE_ENTRIES = 200; //Max number of partial inputs whose API autocomplete suggestions are cached (per session)
+export const QUOTA_LOW_THRESHOLD = 10; //Once fewer API quota points than this are left today, searches use the offline recipe catalog instead of the API
+export const NUM_SEARCH_RESULTS = 15; //Number of recipes requested per search
+export const NUM_RANDOM_RECIPES = 90; //Number of random recipes requested from the API at once for a search without a query or filters, its pages are cut from this batch (complexSearch returns at most 100 results)
+//Ingredient search modes. `ranking` is the findByIngredients ranking option (1 maximizes the pantry ingredients used, 2 minimizes the missing ingredients). "Cook now" only keeps recipes with no missing ingredients, "Use it up" only searches with the pantry items expiring soon
+export const INGREDIENT_SEARCH_MODES = {
+  cookNow: { label: "Cook now", ranking: 2, onlyAvailable: true, onlyExpiring: false },
+  maximizeUsed: { label: "Maximize used ingredients", ranking: 1, onlyAvailable: false, onlyExpiring: false },
+  minimizeMissing: { label: "Minimize missing ingredients", ranking: 2, onlyAvailable: false, onlyExpiring: false },
+  useItUp: { label: "Use it up", ranking: 1, onlyAvailable: false, onlyExpiring: true },
+};
+export const DEFAULT_INGREDIENT_SEARCH_MODE = "maximizeUsed";
+export const COOK_NOW_NO_RESULTS_MESSAGE = "None of the best matching recipes can be made with only what you have. Try \"Minimize missing ingredients\" to find recipes that need just a few more.";
+export const MAX_CATALOG_SIZE = 300; //Max number of recipes kept in the offline recipe catalog
+export const MAX_SEARCH_HISTORY = 20; //Max number of past searches kept in the search history (per search page)
+export const NUM_SEARCH_HISTORY_SUGGESTIONS = 3; //Number of past searches shown under the search bar
+export const HISTORY_RESULTS_MESSAGE = "Showing the results saved from your previous search."; //Notice shown above restored search history results
+export const RECIPE_CACHE_TTL = 7 * 24 * 60 * 60 * 1000; //Cached recipe details expire after 7 days (in ms)
+export const RECIPE_CACHE_MAX_ENTRIES = 500; //Max number of recipes kept in the recipe details cache
+export const NUTRIENT_RANGE_FILTERS = ["calories", "protein", "carbs", "fat", "sugar", "sodium"]; //Nutrients that can be limited to a min/max range (per serving) in the browse filters
+//Ingredients that rule a recipe out for each intolerance when filtering offline (the recipe API applies intolerances itself)
+export const INTOLERANCE_INGREDIENTS = {
+  dairy: ["milk", "cheese", "butter", "cream", "yogurt", "ghee", "whey"],
+  egg: ["egg", "mayonnaise"],
+  gluten: ["flour", "bread", "pasta", "wheat", "barley", "rye", "couscous", "breadcrumb"],
+  grain: ["flour", "bread", "pasta", "wheat", "rice", "oat", "corn", "barley", "quinoa"],
+  peanut: ["peanut"],
+  seafood: ["fish", "salmon", "tuna", "cod", "anchovy", "shrimp", "prawn", "crab", "lobster"],
+  sesame: ["sesame", "tahini"],
+  shellfish: ["shrimp", "prawn", "crab", "lobster", "clam", "mussel", "oyster", "scallop"],
+  soy: ["soy", "tofu", "edamame", "tempeh", "miso"],
+  sulfite: ["wine", "dried fruit", "vinegar"],
+  "tree nut": ["almond", "walnut", "cashew", "pecan", "pistachio", "hazelnut", "macadamia"],
+  wheat: ["flour", "bread", "pasta", "wheat", "couscous", "breadcrumb"],
+};
 
 ////////////////////////////////////////////////////////////////////////////////
 
 //RECIPE DETAILS MODAL
+//Standard daily values (grams), used for the percent daily values of recipes until the user fills in their profile (see userProfile.js)
 export const RECOMMENDED_PROTEIN_DV = 50;
-export const RECOMMENDED_FATS_DV = 275;
-export const RECOMMENDED_CARBS_DV = 78;
+export const RECOMMENDED_FATS_DV = 78;
+export const RECOMMENDED_CARBS_DV = 275;
+export const RECOMMENDED_CALORIES_DV = 2000;
+export const DAILY_VALUES_VERSION = 2; //Increase when the standard daily values change, so the percent daily values of saved recipes are recalculated once (version 2 fixed the fats and carbs daily values, which were swapped)
+
+//USER PROFILE (personal daily values)
+//Mifflin-St Jeor equation: BMR = 10 * weight (kg) + 6.25 * height (cm) - 5 * age + (5 for males, -161 for females)
+export const BMR_SEX_CONSTANTS = { male: 5, female: -161 };
+//The BMR is multiplied by the factor of the user's activity level to get their daily energy expenditure (TDEE)
+export const ACTIVITY_LEVELS = {
+  sedentary: { factor: 1.2 },
+  light: { factor: 1.375 },
+  moderate: { factor: 1.55 },
+  active: { factor: 1.725 },
+  veryActive: { factor: 1.9 },
+};
+//Daily calories are the TDEE plus the adjustment of the user's goal. Protein is set per kg of body weight, fats are a share of the calories and carbs make up the remaining calories
+export const PROFILE_GOALS = {
+  lose: { calorieAdjustment: -500, proteinPerKg: 2 },
+  maintain: { calorieAdjustment: 0, proteinPerKg: 1.6 },
+  gain: { calorieAdjustment: 300, proteinPerKg: 1.8 },
+};
+export const FATS_CALORIE_SHARE = 0.3;
+export const MAX_PROTEIN_CALORIE_SHARE = 0.35; //Protein never makes up more of the calories than this (so very high body weights still leave calories for carbs)
+export const MIN_DAILY_CALORIES = 1200; //Daily calories are never set below this (very low calorie diets need medical supervision)
+export const PROFILE_LIMITS = { age: [15, 100], heightCm: [100, 250], weightKg: [30, 300] }; //Accepted ranges of the profile inputs (the equation is meant for adults)
+export const CM_PER_INCH = 2.54; //Height conversion of profiles entered in US units (weights are converted with MASS_UNITS_IN_G)
 
 //4-4-9 method for calculating percent protein, fat, and carb
 //1 gram of protein provides approximately 4 calories
@@ -46,12 +119,273 @@ export const PIE_CHART_TOOLTIP_MESSAGES = ["High in energy, essential for fuel."
 
 //INGREDIENT AVAILABILITY
 
-export const COMMON_PANTRY_ITEMS = ["salt", "table salt", "pepper", "salt and pepper", "salt & pepper", "salt&pepper", "black pepper", "ground pepper", "water", "flour", "oil"];
-export const INGREDIENT_SYNONYMS = {
-  cheese: ["parmesan", "mozzarella", "cheddar", "feta", "brie", "provolone", "gruyere", "gorgonzola", "fontina", "gouda", "burrata", "monterey jack", "graviera"],
-  bread: ["focaccia", "ciabatta", "sourdough", "baguette", "brioche"],
-  pasta: ["spaghetti", "fettuccine", "penne", "rigatoni", "macaroni", "lasagna", "ramen", "udon", "soba", "rice noodle"],
-  onion: ["shallot"],
-  butter: ["margarine"],
-  milk: ["soy milk", "almond milk"],
+//Grocery aisles a pantry item can be filed under (the aisle names used by the recipe API for recipe ingredients)
+export const PANTRY_CATEGORIES = ["Produce", "Meat", "Seafood", "Milk, Eggs, Other Dairy", "Cheese", "Bakery/Bread", "Pasta and Rice", "Canned and Jarred", "Baking", "Spices and Seasonings", "Oil, Vinegar, Salad Dressing", "Condiments", "Nut butters, Jams, and Honey", "Frozen", "Beverages", "Other"];
+export const PANTRY_UNITS = ["", "g", "kg", "oz", "lb", "ml", "l", "tsp", "tbsp", "cup", "can", "package", "bunch"]; //Units a pantry item quantity can be measured in ("" for a count, e.g., 3 onions)
+export const WEEK_START_DAYS = { sunday: 0, monday: 1 }; //Days the meal planner week can start on (user preference, "monday" by default) -> their day number (as returned by Date.getDay)
+//Default meal slots of the meal planner days, in order (the user can add, remove, reorder and set target times for meal slots in the settings, see mealSlots.js). Times use the HTML time input format ("08:00", "" for no target time)
+export const DEFAULT_MEAL_SLOTS = [
+  { id: "breakfast", name: "Breakfast", time: "" },
+  { id: "lunch", name: "Lunch", time: "" },
+  { id: "snacks", name: "Snacks", time: "" },
+  { id: "dinner", name: "Dinner", time: "" },
+];
+export const MAX_MEAL_SLOTS = 8; //Max number of meal slots a day can have (the day panels of the meal planner get too long)
+export const WEEKDAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"]; //Short weekday names (as they start date strings, e.g., 'Mon Jan 20 2025'), indexed by their day number (as returned by Date.getDay)
+export const NUTRITION_GOAL_NUTRIENTS = ["calories", "protein", "carbs", "fats"]; //Nutrients the user can set a daily goal for (the daily totals of the meal planner, calories in kcal and macros in grams)
+export const NUTRITION_GOAL_TOLERANCE = 0.1; //A total within 10% of its goal is on target, otherwise it is under or over the goal
+export const MAX_SHOPPING_LIST_DAYS = 31; //Max number of days of the meal plan a shopping list can be generated for
+export const EXPIRING_SOON_DAYS = 3; //Pantry items that expire within this many days are highlighted as expiring soon
+export const COMMON_PANTRY_ITEMS = ["salt", "table salt", "pepper", "salt and pepper", "salt & pepper", "salt&pepper", "black pepper", "ground pepper", "water", "flour", "oil"]; //Default household staples, always assumed to be available (the user can edit their staples in the settings, see ingredientSettings.js)
+
+//INGREDIENT ONTOLOGY (see ingredientOntology.js). Ingredient names are normalized (lower case, singular)
+
+//Groups of names for the same ingredient (synonyms work both ways). The first name of a group is the one used in INGREDIENT_PARENTS and INGREDIENT_SUBSTITUTIONS
+export const INGREDIENT_SYNONYMS = [
+  ["cilantro", "coriander", "fresh coriander"],
+  ["scallion", "green onion", "spring onion"],
+  ["chickpea", "garbanzo bean"],
+  ["zucchini", "courgette"],
+  ["eggplant", "aubergine"],
+  ["bell pepper", "capsicum", "sweet pepper"],
+  ["arugula", "rocket"],
+  ["shrimp", "prawn"],
+  ["ground beef", "minced beef", "beef mince"],
+  ["powdered sugar", "confectioners sugar", "icing sugar"],
+  ["heavy cream", "heavy whipping cream", "double cream", "whipping cream"],
+  ["cornstarch", "corn starch", "cornflour"],
+  ["baking soda", "bicarbonate of soda", "sodium bicarbonate"],
+  ["cheddar", "cheddar cheese"],
+  ["parmesan", "parmesan cheese", "parmigiano reggiano"],
+  ["mozzarella", "mozzarella cheese"],
+  ["feta", "feta cheese"],
+  ["gruyere", "gruyere cheese"],
+  ["gouda", "gouda cheese"],
+  ["monterey jack", "monterey jack cheese"],
+];
+//Parent category of each ingredient (child -> parent), e.g., cheddar -> cheese -> dairy. Ingredients of the same category are related (e.g., cheddar and gouda) unless the category is a top level one (e.g., dairy)
+export const INGREDIENT_PARENTS = {
+  cheese: "dairy",
+  milk: "dairy",
+  cream: "dairy",
+  yogurt: "dairy",
+  butter: "dairy",
+  "sour cream": "dairy",
+  cheddar: "cheese",
+  parmesan: "cheese",
+  pecorino: "cheese",
+  mozzarella: "cheese",
+  burrata: "cheese",
+  feta: "cheese",
+  "goat cheese": "cheese",
+  brie: "cheese",
+  provolone: "cheese",
+  gruyere: "cheese",
+  gorgonzola: "cheese",
+  fontina: "cheese",
+  gouda: "cheese",
+  "monterey jack": "cheese",
+  graviera: "cheese",
+  ricotta: "cheese",
+  "cottage cheese": "cheese",
+  "cream cheese": "cheese",
+  "whole milk": "milk",
+  "skim milk": "milk",
+  "plant milk": "milk",
+  "soy milk": "plant milk",
+  "almond milk": "plant milk",
+  "oat milk": "plant milk",
+  "heavy cream": "cream",
+  "half and half": "cream",
+  "greek yogurt": "yogurt",
+  "coconut milk": "coconut",
+  "coconut cream": "coconut",
+  "peanut butter": "nut butter",
+  "almond butter": "nut butter",
+  "ice cream": "dessert",
+  pasta: "grain",
+  rice: "grain",
+  bread: "grain",
+  spaghetti: "pasta",
+  linguine: "pasta",
+  fettuccine: "pasta",
+  penne: "pasta",
+  rigatoni: "pasta",
+  macaroni: "pasta",
+  lasagna: "pasta",
+  noodle: "pasta",
+  ramen: "noodle",
+  udon: "noodle",
+  soba: "noodle",
+  "rice noodle": "noodle",
+  "egg noodle": "noodle",
+  "basmati rice": "rice",
+  "jasmine rice": "rice",
+  "brown rice": "rice",
+  "arborio rice": "rice",
+  focaccia: "bread",
+  ciabatta: "bread",
+  sourdough: "bread",
+  baguette: "bread",
+  brioche: "bread",
+  "red onion": "onion",
+  "yellow onion": "onion",
+  "white onion": "onion",
+  "sweet onion": "onion",
+  chicken: "poultry",
+  turkey: "poultry",
+  "chicken breast": "chicken",
+  "chicken thigh": "chicken",
+  beef: "meat",
+  pork: "meat",
+  lamb: "meat",
+  "ground beef": "beef",
+  "ground turkey": "turkey",
+  steak: "beef",
+  bacon: "pork",
+  salmon: "fish",
+  tuna: "fish",
+  cod: "fish",
+  shrimp: "shellfish",
+};
+//Substitutes for an ingredient (ingredient -> substitutes), scored from 0 to 1 (how well the substitute works). The note explains how to use the substitute
+export const INGREDIENT_SUBSTITUTIONS = {
+  "sour cream": [
+    { substitute: "greek yogurt", score: 0.9, note: "it has the same tang and thick texture" },
+    { substitute: "cream cheese", score: 0.6, note: "thin it with a little milk" },
+  ],
+  "greek yogurt": [{ substitute: "sour cream", score: 0.8, note: "it has a similar tang and thickness" }],
+  yogurt: [{ substitute: "sour cream", score: 0.7, note: "it has a similar tang" }],
+  buttermilk: [{ substitute: "milk", score: 0.7, note: "stir 1 tbsp of lemon juice or vinegar into each cup of milk and let it sit for 5 minutes" }],
+  "heavy cream": [{ substitute: "half and half", score: 0.7, note: "it is lighter but works in sauces and soups" }],
+  butter: [
+    { substitute: "margarine", score: 0.9, note: "it bakes and spreads like butter" },
+    { substitute: "coconut oil", score: 0.6, note: "use the same amount for baking" },
+  ],
+  ricotta: [{ substitute: "cottage cheese", score: 0.8, note: "it has a similar mild flavor (blend it for a smoother texture)" }],
+  mayonnaise: [{ substitute: "greek yogurt", score: 0.6, note: "it is tangier and lighter" }],
+  egg: [{ substitute: "flaxseed", score: 0.5, note: "mix 1 tbsp of ground flaxseed with 3 tbsp of water for each egg (for baking)" }],
+  honey: [{ substitute: "maple syrup", score: 0.8, note: "it sweetens the same way (use the same amount)" }],
+  "maple syrup": [{ substitute: "honey", score: 0.8, note: "it sweetens the same way (use the same amount)" }],
+  "brown sugar": [{ substitute: "sugar", score: 0.7, note: "add 1 tbsp of molasses or maple syrup per cup for the same flavor" }],
+  "lemon juice": [
+    { substitute: "lime juice", score: 0.9, note: "it adds the same acidity" },
+    { substitute: "vinegar", score: 0.5, note: "use half the amount" },
+  ],
+  "lime juice": [{ substitute: "lemon juice", score: 0.9, note: "it adds the same acidity" }],
+  shallot: [{ substitute: "onion", score: 0.8, note: "it has a similar, stronger flavor (use a little less)" }],
+  onion: [{ substitute: "shallot", score: 0.8, note: "it has a similar, milder flavor" }],
+  scallion: [{ substitute: "onion", score: 0.6, note: "use a small amount, finely chopped" }],
+  cilantro: [{ substitute: "parsley", score: 0.6, note: "it adds the same freshness with a milder flavor" }],
+  "white wine": [{ substitute: "chicken broth", score: 0.6, note: "add a splash of vinegar for acidity" }],
+  "red wine": [{ substitute: "beef broth", score: 0.6, note: "add a splash of vinegar for acidity" }],
+  "baking powder": [{ substitute: "baking soda", score: 0.5, note: "use 1/4 tsp of baking soda and 1/2 tsp of cream of tartar for each tsp of baking powder" }],
+  cornstarch: [{ substitute: "flour", score: 0.7, note: "use twice as much flour to thicken" }],
+  "chicken broth": [{ substitute: "vegetable broth", score: 0.9, note: "use the same amount" }],
+  "vegetable broth": [{ substitute: "chicken broth", score: 0.9, note: "use the same amount" }],
+  "ground beef": [{ substitute: "ground turkey", score: 0.8, note: "it is leaner (add a little oil when browning)" }],
+};
+//Scores of the ways a pantry item can match a recipe ingredient (substitutions are scored in INGREDIENT_SUBSTITUTIONS, except the user's own substitution rules). The best scoring match is used
+export const INGREDIENT_MATCH_SCORES = { synonym: 1, userSubstitution: 0.9, childCategory: 0.8, variant: 0.75, parentCategory: 0.65, partial: 0.6, sameCategory: 0.5 };
+export const NUM_SUGGESTED_SUBSTITUTES = 2; //Max number of substitutes suggested for an ingredient the user doesn't have
+
+//UNIT CONVERSION
+
+export const VOLUME_UNITS_IN_ML = { tsp: 4.92892159375, tbsp: 14.78676478125, "fl oz": 29.5735295625, cup: 236.5882365, pint: 473.176473, quart: 946.352946, gallon: 3785.411784, ml: 1, dl: 100, l: 1000 }; //Milliliters in one of each volume unit (US customary measures)
+export const MASS_UNITS_IN_G = { mg: 0.001, g: 1, kg: 1000, oz: 28.3495, lb: 453.592 }; //Grams in one of each mass unit
+export const MEASUREMENT_SYSTEMS = ["us", "metric"]; //Measurement systems recipe ingredients can be displayed in (user preference, "us" by default)
+export const MEASUREMENT_SYSTEM_UNITS = { us: ["tsp", "tbsp", "fl oz", "cup", "pint", "quart", "gallon", "oz", "lb"], metric: ["ml", "dl", "l", "mg", "g", "kg"] }; //Units of each measurement system (as named in VOLUME_UNITS_IN_ML and MASS_UNITS_IN_G)
+//Spellings of the units (lower case, periods removed) -> unit in VOLUME_UNITS_IN_ML or MASS_UNITS_IN_G. "t" is teaspoon, capital "T" (tablespoon) is matched in normalizeUnit
+export const UNIT_ALIASES = {
+  t: "tsp",
+  tsps: "tsp",
+  tspn: "tsp",
+  teaspoon: "tsp",
+  teaspoons: "tsp",
+  tbs: "tbsp",
+  tbl: "tbsp",
+  tbls: "tbsp",
+  tbsps: "tbsp",
+  tablespoon: "tbsp",
+  tablespoons: "tbsp",
+  floz: "fl oz",
+  "fluid ounce": "fl oz",
+  "fluid ounces": "fl oz",
+  c: "cup",
+  cups: "cup",
+  pt: "pint",
+  pints: "pint",
+  qt: "quart",
+  quarts: "quart",
+  gal: "gallon",
+  gallons: "gallon",
+  mls: "ml",
+  milliliter: "ml",
+  milliliters: "ml",
+  millilitre: "ml",
+  millilitres: "ml",
+  deciliter: "dl",
+  deciliters: "dl",
+  liter: "l",
+  liters: "l",
+  litre: "l",
+  litres: "l",
+  milligram: "mg",
+  milligrams: "mg",
+  gr: "g",
+  gram: "g",
+  grams: "g",
+  gramme: "g",
+  grammes: "g",
+  kgs: "kg",
+  kilo: "kg",
+  kilos: "kg",
+  kilogram: "kg",
+  kilograms: "kg",
+  ounce: "oz",
+  ounces: "oz",
+  lbs: "lb",
+  pound: "lb",
+  pounds: "lb",
+};
+//Density (grams per milliliter) of common ingredients, used to convert between volume and mass. Ingredient names are matched on the longest name they contain as whole words (e.g., "light brown sugar" uses "brown sugar")
+export const INGREDIENT_DENSITIES = {
+  water: 1,
+  milk: 1.03,
+  buttermilk: 1.03,
+  cream: 1.01,
+  "sour cream": 0.96,
+  yogurt: 1.03,
+  butter: 0.91,
+  oil: 0.92,
+  "olive oil": 0.91,
+  honey: 1.42,
+  "maple syrup": 1.32,
+  molasses: 1.4,
+  vinegar: 1.01,
+  "soy sauce": 1.15,
+  broth: 1,
+  stock: 1,
+  "tomato sauce": 1.04,
+  ketchup: 1.14,
+  mayonnaise: 0.91,
+  "peanut butter": 1.08,
+  flour: 0.53,
+  "whole wheat flour": 0.51,
+  "almond flour": 0.41,
+  cornstarch: 0.54,
+  sugar: 0.85,
+  "brown sugar": 0.93,
+  "powdered sugar": 0.48,
+  "cocoa powder": 0.42,
+  "baking powder": 0.81,
+  "baking soda": 0.93,
+  salt: 1.22,
+  "kosher salt": 0.61,
+  rice: 0.85,
+  oat: 0.34,
+  "chocolate chip": 0.72,
+  parmesan: 0.42,
+  "shredded cheese": 0.47,
+  breadcrumb: 0.45,
 };
@@ -6,9 +6,10 @@
  * - browseRecipesView: For handling UI interactions related to browsing recipes and filtering.
  * - filterRecipesModal: For managing the Filter Recipes Modal UI and interactions.
  * - browseCollectionModal: For managing the Browse Collection Modal interactions.
+ * - savedSearchModal: For creating and editing saved searches.
  * - resultsView: For rendering recipe result cards based on the search query.
  * - sharedController: Provides `controlNavBar` for handling the navbar interactions.
- * - controllerUtils: Contains utilities for loading recipes, and handling timeouts.
+ * - controllerUtils: Contains utilities for loading recipes (with an offline catalog fallback), and handling errors.
  * - modalUtils: Mnages open and close of both modals
  */
 
@@ -18,52 +19,56 @@ import * as model from "../model/index.js";
 import BrowseRecipesView from "../views/mainViews/browseRecipesView.js";
 import FilterRecipesModal from "../views/modalWindowViews/filterRecipesModal.js";
 import BrowseCollectionModal from "../views/modalWindowViews/browseCollectionModal.js";
+import SavedSearchModal from "../views/modalWindowViews/savedSearchModal.js";
 import ResultsView from "../views/mainViews/resultsView.js";
 
 //Import from shared controller
 import { controlNavBar } from "./sharedController.js";
 
 //Import utilities
-import { timeout } from "./controllerUtils/highLevel/controllerUtils.js";
-import { controlOpenBrowseCollectionModal, controlOpenFilterRecipesModal, controlCloseBrowseCollectionModal, controlCloseFilterRecipesModal } from "./controllerUtils/highLevel/modalUtils.js";
-import { resetBrowseRecipes, countAppliedFilters, postBrowseCollectionSearchUI, postSearchNoFiltersSearchUI } from "./controllerUtils/featureSpecific/browseRecipesUtils.js";
-import { controlAutocompleteSuggestions, controlHandleOutsideClick, validResultsExist, validateSearchInput, handleError } from "./controllerUtils/featureSpecific/searchableViewUtils.js";
+import { controlOpenBrowseCollectionModal, controlOpenFilterRecipesModal, controlCloseBrowseCollectionModal, controlCloseFilterRecipesModal, controlOpenSavedSearchModal, controlCloseSavedSearchModal } from "./controllerUtils/highLevel/modalUtils.js";
+import { resetBrowseRecipes, countAppliedFilters, postBrowseCollectionSearchUI, postSearchNoFiltersSearchUI, postSavedSearchUI } from "./controllerUtils/featureSpecific/browseRecipesUtils.js";
+import { controlAutocompleteSuggestions, controlHandleOutsideClick, validResultsExist, validateSearchInput, handleError, loadSearchResults, renderOfflineResultsNotice, controlLoadMoreResults, updateLoadMoreBtn, controlRefineResults, updateRefineBar, renderSearchHistoryResults } from "./controllerUtils/featureSpecific/searchableViewUtils.js";
 
 /**
  * Searches for recipes based on the specified mode
  * - Initializes the search by resetting the UI and showing the loading spinner.
- * - Loads recipes from the model based on the search query and filters.
+ * - Loads recipes from the model based on the search query and filters (from the offline recipe catalog if the API is unreachable).
  * - Renders the search results and updates the UI after the search.
+ * - Records the search in the search history.
  *
- * 3 possible mode values:
+ * 4 possible mode values:
  * - "searchNoFilters" : user inputs search in search bar and presses 'Enter' (no filters applied)
  * - "searchWithFilters" : user has made a search using the search bar and then uses the Filter Recipes Modal to filter the search
  * - "browseRecipeCollectionSearch": user is searching for recipes in the database and  selects filter values in the Browse Collection Modal to narrow down search.
+ * - "savedSearch": user re-runs one of their saved searches or a past search from the search history (the query and filters come from the saved search).
  *
- * @param {string} mode - Defines the search mode: `searchNoFilters`, `searchWithFilters`, or `browseRecipeCollectionSearch`.
+ * @param {string} mode - Defines the search mode: `searchNoFilters`, `searchWithFilters`, `browseRecipeCollectionSearch` or `savedSearch`.
+ * @param {Object|null} [savedSearch=null] - The saved search or search history entry to run (only used in the "savedSearch" mode).
  */
-const controlBrowseRecipes = async function (mode) {
+const controlBrowseRecipes = async function (mode, savedSearch = null) {
   try {
     //Reset view and show loading spinner once a user makes a search
     initializeBrowseRecipesSearch(mode);
 
-    const query = getRecipeSearchQuery(mode);
+    const query = getRecipeSearchQuery(mode, savedSearch);
     if (query === null) return;
 
     //Collect the user's filter inputs and generate parameters for API call
-    const filtersObject = getFiltersObject(mode);
+    const filtersObject = getFiltersObject(mode, savedSearch);
     const searchParams = getSearchParams(mode, query, filtersObject);
 
-    //Fetch recipe ids of results matching the user's search
-    const results = await Promise.race([model.loadRecipes(...searchParams), timeout(3000)]);
+    //Fetch the recipes matching the user's search (recipe ids, then the details for those ids)
+    const results = await loadSearchResults(searchParams, "browseRecipes");
     if (!validResultsExist(results, "browseRecipesView")) return;
-    //Fetch recipe details for those ids
-    const recipeDetails = await Promise.race([model.loadRecipeDetails(results, "browseRecipes"), timeout(5000)]);
-    if (!validResultsExist(recipeDetails, "browseRecipesView")) return;
     //Render the search results
     ResultsView.renderRecipeCards(model.state.browseSearchResults, "browseRecipeSearch");
+    renderOfflineResultsNotice(results, "browseRecipesView");
+    updateLoadMoreBtn("browseRecipesView");
+    updateRefineBar("browseRecipesView");
     //UI updates
-    handlePostSearchUIUpdates(mode, filtersObject);
+    handlePostSearchUIUpdates(mode, filtersObject, savedSearch);
+    model.recordSearchHistory("browseRecipes");
   } catch (error) {
     handleError(error, BrowseRecipesView, "renderSearchResultsError");
   } finally {
@@ -80,6 +85,8 @@ const controlBrowseRecipes = async function (mode) {
  */
 const initializeBrowseRecipesSearch = function (mode) {
   BrowseRecipesView.showLoadingSpinner();
+  //Cancel any debounced autocomplete request, so its suggestions don't open over the new search results
+  model.cancelRequestChannel("autocomplete");
   resetBrowseRecipes(mode);
 };
 
@@ -87,10 +94,14 @@ const initializeBrowseRecipesSearch = function (mode) {
  * Gets the search query from the search bar input, validating it based on the search mode.
  *
  * @param {string} mode - The mode of the search (e.g., `searchNoFilters` or `searchWithFilters`).
+ * @param {Object|null} savedSearch - The saved search being run (only used in the "savedSearch" mode).
  * @returns {string|null} The validated search query, or `null` if invalid.
  * @private
  */
-const getRecipeSearchQuery = function (mode) {
+const getRecipeSearchQuery = function (mode, savedSearch) {
+  //Saved search queries were validated when the search was saved
+  if (mode === "savedSearch") return savedSearch.query || undefined;
+
   // Validate the input query if the mode requires a search bar input
   if (mode !== "searchNoFilters" && mode !== "searchWithFilters") return undefined;
 
@@ -111,10 +122,12 @@ const getRecipeSearchQuery = function (mode) {
  * The filters object contains the user's selected filters
  *
  * @param {string} mode - The search mode (e.g., `searchWithFilters`, `browseRecipeCollectionSearch`).
+ * @param {Object|null} savedSearch - The saved search being run (only used in the "savedSearch" mode).
  * @returns {Object} The filters object based on the mode.
  * @private
  */
-const getFiltersObject = function (mode) {
+const getFiltersObject = function (mode, savedSearch) {
+  if (mode === "savedSearch") return savedSearch.filtersObject;
   if (mode === "searchWithFilters") return FilterRecipesModal.generateFiltersObject();
   if (mode === "browseRecipeCollectionSearch") return BrowseCollectionModal.generateFiltersObject();
   return {};
@@ -131,7 +144,7 @@ const getFiltersObject = function (mode) {
  */
 const getSearchParams = function (mode, query, filtersObject) {
   const param1 = null;
-  const param2 = mode === "searchNoFilters" || mode === "searchWithFilters" ? query : null;
+  const param2 = mode === "searchNoFilters" || mode === "searchWithFilters" || mode === "savedSearch" ? query || null : null;
   const param3 = mode === "searchNoFilters" ? {} : filtersObject;
   return [param1, param2, param3];
 };
@@ -142,10 +155,11 @@ const getSearchParams = function (mode, query, filtersObject) {
  *
  * @param {string} mode - The mode of the search.
  * @param {Object} filtersObject - The filters applied to the search.
+ * @param {Object|null} savedSearch - The saved search that was run (only used in the "savedSearch" mode).
  * @private
  */
-const handlePostSearchUIUpdates = function (mode, filtersObject) {
-  if (mode === "searchWithFilters" || mode === "browseRecipeCollectionSearch") {
+const handlePostSearchUIUpdates = function (mode, filtersObject, savedSearch) {
+  if (mode === "searchWithFilters" || mode === "browseRecipeCollectionSearch" || mode === "savedSearch") {
     const numFiltersApplied = countAppliedFilters(filtersObject);
     //Render the "X filters applied" message
     if (numFiltersApplied !== 0) BrowseRecipesView.renderAppliedFiltersMessage(numFiltersApplied);
@@ -153,6 +167,93 @@ const handlePostSearchUIUpdates = function (mode, filtersObject) {
   //Search mode specific UI updates
   if (mode === "searchNoFilters") postSearchNoFiltersSearchUI();
   if (mode === "browseRecipeCollectionSearch") postBrowseCollectionSearchUI();
+  if (mode === "savedSearch") postSavedSearchUI(savedSearch);
+};
+
+//SAVED SEARCHES
+
+/**
+ * Handles clicks on the buttons of a saved search in the saved searches list.
+ * - "run": Runs the saved search (search query and filters).
+ * - "edit": Opens the Saved Search Modal filled with the saved search.
+ * - "delete": Deletes the saved search.
+ *
+ * @param {"run"|"edit"|"delete"} action - The button that was clicked.
+ * @param {number} id - The id of the saved search.
+ */
+const controlSavedSearchActions = function (action, id) {
+  const savedSearch = model.getSavedSearch(id);
+  if (!savedSearch) return;
+
+  if (action === "run") controlBrowseRecipes("savedSearch", savedSearch);
+  if (action === "edit") controlOpenSavedSearchModal(savedSearch);
+  if (action === "delete") {
+    model.deleteSavedSearch(id);
+    BrowseRecipesView.renderSavedSearches(model.state.savedSearches);
+  }
+};
+
+/**
+ * Opens the Saved Search Modal to create a new saved search.
+ * The modal is filled with the query and filters of the latest browse recipes search, so the current search can be saved as is.
+ *
+ * @private
+ */
+const controlNewSavedSearch = function () {
+  //Search params of the latest browse recipes search: [ingredientsList, search, filtersObject] (empty if random recipes were loaded)
+  const [, query, filtersObject] = model.state.searchPagination.browseRecipes?.searchParams || [];
+  controlOpenSavedSearchModal({ id: null, name: "", query: query || "", filtersObject: filtersObject || {} });
+};
+
+/**
+ * Creates or updates a saved search from the Saved Search Modal inputs, then re-renders the saved searches list.
+ * Invalid inputs (invalid query, empty or duplicate name) are shown as an error in the modal.
+ *
+ * @private
+ */
+const controlSaveSearch = function () {
+  const savedSearchInputs = SavedSearchModal.getSavedSearchInputs();
+
+  //The query is optional, but must be a valid search bar input if provided
+  const validationResult = savedSearchInputs.query.trim() === "" ? { valid: true } : validateSearchInput(savedSearchInputs.query, false);
+  if (!validationResult.valid) return SavedSearchModal.renderError(validationResult.message);
+
+  try {
+    model.saveSearch(savedSearchInputs);
+  } catch (error) {
+    return SavedSearchModal.renderError(error.message);
+  }
+
+  controlCloseSavedSearchModal();
+  BrowseRecipesView.renderSavedSearches(model.state.savedSearches);
+};
+
+//SEARCH HISTORY
+
+/**
+ * Handles the selection of a past browse recipes search listed under the search bar (from the search history).
+ * - "rerun": Runs the search again (search query and filters).
+ * - "restore": Shows the previous results of the search (from the recipe details cache, no API call).
+ *
+ * @param {string} view - The name of the view the past search was selected in ("browseRecipesView").
+ * @param {"rerun"|"restore"} action - Whether to re-run the search or restore its previous results.
+ * @param {number} id - The id of the search history entry.
+ */
+const controlBrowseSearchHistory = async function (view, action, id) {
+  const entry = model.getSearchHistoryEntry(id);
+  if (!entry) return;
+
+  if (action === "rerun") return controlBrowseRecipes("savedSearch", entry);
+
+  try {
+    initializeBrowseRecipesSearch("savedSearch");
+    const isRestored = await renderSearchHistoryResults(id, view);
+    if (isRestored) handlePostSearchUIUpdates("savedSearch", entry.filtersObject, entry);
+  } catch (error) {
+    handleError(error, BrowseRecipesView, "renderSearchResultsError");
+  } finally {
+    BrowseRecipesView.hideLoadingSpinner();
+  }
 };
 
 //VIEW INITIALIZATION
@@ -167,6 +268,11 @@ const handlePostSearchUIUpdates = function (mode, filtersObject) {
  * - `controlOpenBrowseCollectionModal`: Opens the Browse Collection Modal when the 'Browse Recipe Collection' button is clicked.
  * - `controlOpenFilterRecipesModal`: Opens the Filter Recipes Modal when the 'Filter Recipes' button is clicked.
  * - `controlNavBar`: Navigates to the meal plan when the 'Meal Planner' button is clicked.
+ * - `controlLoadMoreResults`: Loads the next page of search results when the 'Load More Recipes' button is clicked.
+ * - `controlRefineResults`: Re-sorts/narrows the loaded results when a sort/refine dropdown changes.
+ * - `controlNewSavedSearch`: Opens the Saved Search Modal (filled with the latest search) when the 'Save Search' button is clicked.
+ * - `controlSavedSearchActions`: Runs, edits or deletes a saved search when one of its buttons is clicked.
+ * - `controlBrowseSearchHistory`: Re-runs a past search (or restores its results) when it is selected under the search bar.
  *
  * @private
  */
@@ -178,6 +284,12 @@ const initializeBrowseRecipesView = function () {
   BrowseRecipesView.addHandlerBrowseBtn(controlOpenBrowseCollectionModal);
   BrowseRecipesView.addHandlerFilterBtn(controlOpenFilterRecipesModal);
   BrowseRecipesView.addHandlerPlannerBtn(controlNavBar);
+  BrowseRecipesView.addHandlerLoadMore(controlLoadMoreResults);
+  BrowseRecipesView.addHandlerRefineResults(controlRefineResults);
+  BrowseRecipesView.addHandlerSaveSearchBtn(controlNewSavedSearch);
+  BrowseRecipesView.addHandlerSavedSearchActions(controlSavedSearchActions);
+  BrowseRecipesView.addHandlerSearchHistory(controlBrowseSearchHistory);
+  BrowseRecipesView.renderSavedSearches(model.state.savedSearches);
 };
 
 /**
@@ -192,6 +304,7 @@ const initializeBrowseRecipesView = function () {
 const initializeFilterRecipesModal = function () {
   FilterRecipesModal.addHandlerCloseModal(controlCloseFilterRecipesModal);
   FilterRecipesModal.addHandlerResetFilters();
+  FilterRecipesModal.addHandlerMultiSelectChange();
   FilterRecipesModal.addHandlerSubmitFilters(controlBrowseRecipes);
 };
 
@@ -207,14 +320,32 @@ const initializeFilterRecipesModal = function () {
 const initializeBrowseCollectionModal = function () {
   BrowseCollectionModal.addHandlerCloseModal(controlCloseBrowseCollectionModal);
   BrowseCollectionModal.addHandlerResetFilters();
+  BrowseCollectionModal.addHandlerMultiSelectChange();
   BrowseCollectionModal.addHandlerSubmitFilters(controlBrowseRecipes);
 };
 
 /**
- * Initializes the Browse Recipes Page, Filter Recipes Modal and Browse Collection Modal by calling the init functions for each
+ * Initializes the Saved Search Modal by setting up all view initializations and event handlers.
+ *
+ * Event handlers:
+ * - `controlCloseSavedSearchModal`: Closes the modal when the 'x' in the top right is clicked
+ * - `controlSaveSearch`: Creates or updates the saved search when the user submits the modal form.
+ *
+ * @private
+ */
+const initializeSavedSearchModal = function () {
+  SavedSearchModal.addHandlerCloseModal(controlCloseSavedSearchModal);
+  SavedSearchModal.addHandlerResetFilters();
+  SavedSearchModal.addHandlerMultiSelectChange();
+  SavedSearchModal.addHandlerSaveSearch(controlSaveSearch);
+};
+
+/**
+ * Initializes the Browse Recipes Page, Filter Recipes Modal, Browse Collection Modal and Saved Search Modal by calling the init functions for each
  */
 export const init = function () {
   initializeBrowseRecipesView();
   initializeFilterRecipesModal();
   initializeBrowseCollectionModal();
+  initializeSavedSearchModal();
 };
@@ -8,7 +8,7 @@
  * - model: Manages application state and fetches data.
  * - browseRecipesView: Handles UI updates for the Browse Recipes tab.
  * - resultsView: Renders recipe cards based on search or random loading.
- * - controllerUtils and modalUtils: Provide helper functions for timeouts and modal management.
+ * - modalUtils and searchableViewUtils: Provide helper functions for modal management and loading search results.
  */
 
 import * as model from "../../../model/index.js";
@@ -20,11 +20,8 @@ import BrowseCollectionModal from "../../../views/modalWindowViews/browseCollect
 import ResultsView from "../../../views/mainViews/resultsView.js";
 
 //Import utilities
-import { timeout } from "../highLevel/controllerUtils.js";
 import { controlCloseBrowseCollectionModal, controlCloseFilterRecipesModal } from "../highLevel/modalUtils.js";
-
-//Import variables from config file
-import { API_TIMEOUT_MESSAGE } from "../../../config.js";
+import { loadSearchResults, renderOfflineResultsNotice, updateLoadMoreBtn, updateRefineBar, getErrorMessage } from "./searchableViewUtils.js";
 
 /**
  * Loads and renders random recipe cards in the BrowseRecipesView.
@@ -37,9 +34,8 @@ export const loadRandomRecipes = async function () {
     BrowseRecipesView.showLoadingSpinner(); // Show loading spinner during fetch
     resetBrowseRecipes(); // Clear previous results and state
 
-    // Fetch random recipe IDs and their details with timeouts for if request takes too long
-    const recipeIds = await Promise.race([model.loadRecipes(), timeout(3000)]);
-    const recipeDetails = await Promise.race([model.loadRecipeDetails(recipeIds, "browseRecipes"), timeout(5000)]);
+    // Fetch random recipe IDs and their details (from the offline recipe catalog if the API is unreachable)
+    const recipeDetails = await loadSearchResults([], "browseRecipes");
 
     if (recipeDetails?.noResults) {
       BrowseRecipesView.renderSearchResultsError("Please try searching for a recipe.");
@@ -48,9 +44,13 @@ export const loadRandomRecipes = async function () {
 
     // Render the fetched recipe cards in the Results View
     ResultsView.renderRecipeCards(model.state.browseSearchResults, "browseRecipeSearch");
+    renderOfflineResultsNotice(recipeDetails, "browseRecipesView");
+    updateLoadMoreBtn("browseRecipesView");
+    updateRefineBar("browseRecipesView");
   } catch (error) {
+    if (model.isRequestCancelled(error)) return;
     console.error("Error in controlLoadRandomRecipes:", error);
-    BrowseRecipesView.renderSearchResultsError(error.message === "Request timed out" ? API_TIMEOUT_MESSAGE : "Unable to load popular recipes.");
+    BrowseRecipesView.renderSearchResultsError(getErrorMessage(error, "Unable to load popular recipes."));
   } finally {
     BrowseRecipesView.hideLoadingSpinner(); // Hide loading spinner after operation
   }
@@ -78,9 +78,12 @@ export const resetBrowseRecipes = function (mode) {
   }
 };
 
-//return the number of filters applied based on the number of non-default (not undefined) values in the filters object
+//return the number of filters applied based on the non-default (not undefined) values in the filters object
+//Each selected option of a multi-select filter (e.g., 2 cuisines) and each nutrient range counts as a separate filter
 export const countAppliedFilters = function (filtersObject) {
-  return Object.values(filtersObject).filter((value) => value !== undefined).length;
+  return Object.values(filtersObject)
+    .filter((value) => value !== undefined)
+    .reduce((count, value) => count + (Array.isArray(value) ? value.length : typeof value === "object" ? Object.keys(value).length : 1), 0);
 };
 
 // UI updates after a  "browseRecipeCollectionSearch" via the controlBrowseRecipes function
@@ -96,6 +99,14 @@ export const postSearchNoFiltersSearchUI = function () {
   resetFilters();
 };
 
+// UI updates after a  "savedSearch" via the controlBrowseRecipes function
+// Shows the saved search query in the search bar. The 'Filter Search Results' button is only available if the saved search has a query
+export const postSavedSearchUI = function (savedSearch) {
+  BrowseRecipesView.setSearchInput(savedSearch.query);
+  resetFilters();
+  savedSearch.query ? BrowseRecipesView.showFilterBtn() : BrowseRecipesView.hideFilterBtn();
+};
+
 //Resets filters in both the Filter Recipes Modal and Browse Collection Modal
 export const resetFilters = function () {
   FilterRecipesModal.resetFilters();
@@ -16,20 +16,12 @@ import IngredientSearchView from "../../../views/mainViews/ingredientSearchView.
 import { validateSearchInput } from "./searchableViewUtils.js";
 
 export const resetIngredientInputState = function () {
-  //Clear any previous error messages and close autosuggestions
+  //Clear any previous error messages and close autosuggestions (cancelling any debounced autocomplete request so they don't open again)
+  model.cancelRequestChannel("autocomplete");
   IngredientSearchView.renderSearchInputError("");
   IngredientSearchView.clearAutocompleteSuggestions();
 };
 
-export const isPantryFull = function () {
-  //Dont allow user to add more ingredients if the pantry already has 25 ingredients.
-  if (model.isPantryFull()) {
-    IngredientSearchView.renderSearchInputError("Your pantry is full. Try removing some items.");
-    return true;
-  }
-  return false;
-};
-
 //Checks if the ingredient a user is trying to input already exists in the user's pantry
 export const isDuplicateIngredient = function (ingredient) {
   if (model.isIngredientInPantry(ingredient)) {
@@ -73,6 +65,11 @@ export const toggleMatchingCommonIngredient = function (ingredient) {
   if (matchingCommonIngredient) IngredientSearchView.toggleCommonIngredient(matchingCommonIngredient);
 };
 
+//Renders the pantry (grouped by category) after it changes
+export const renderPantry = function () {
+  IngredientSearchView.renderPantry(model.getPantryByCategory());
+};
+
 // Initialize the ingredient search process once a search is made
 export const initializeIngredientSearch = function () {
   // Smooth scroll to the results section and show spinner.
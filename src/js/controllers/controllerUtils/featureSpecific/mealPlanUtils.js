@@ -26,16 +26,41 @@ export const updateMealPlanDayUI = function (dateString) {
   updateMealPlanDay(dateString); // Update the day in the UI to reflect updated nutrition in dropdown
 };
 
+/**
+ * Renders a week on the meal planner calendar: the week slider, the dates on the day panels (in the order of the week), and the meals and nutrition of each day.
+ * The week is created in the model if it wasn't planned yet.
+ *
+ * @param {string} firstDayOfWeekDateString - The date string of the first day of the week (e.g., 'Mon Jan 20 2025').
+ */
+export const updateMealPlanCalendar = function (firstDayOfWeekDateString) {
+  //Render the calendar week (its first day) in the week slider
+  MealPlanView.renderWeekSlider(firstDayOfWeekDateString);
+
+  //Update the dates on the week day panels
+  MealPlanView.renderWeekDates(createSortedDateStrArr(model.getWeekMealPlan(firstDayOfWeekDateString)));
+
+  //Update meals and nutrition for all day panels
+  updateMealPlanWeek(firstDayOfWeekDateString);
+};
+
+/**
+ * Renders the user's meal slots on the day panels of the meal planner, then re-renders the displayed week (the meals of each slot).
+ */
+export const updateMealPlanSlots = function () {
+  MealPlanView.renderMealSlots(model.state.mealSlots);
+  updateMealPlanCalendar(model.state.mealCalendarWeek);
+};
+
 /**
  * Updates the meal plan UI for an entire week.
- * - Calculates all dates in the week starting from the given Monday.
+ * - Calculates all dates in the week starting from the given first day of the week.
  * - Updates the UI for each day in the week.
  *
- * @param {string} mondayOfWeekDateString - The date string of the Monday to start the week (e.g., 'Mon Jan 20 2025').
+ * @param {string} firstDayOfWeekDateString - The date string of the first day of the week (e.g., 'Mon Jan 20 2025').
  */
-export const updateMealPlanWeek = function (mondayOfWeekDateString) {
-  //Get the 5 days of the week starting with the monday passed in to the function
-  const daysOfWeek = createSortedDateStrArr(model.state.mealPlan[mondayOfWeekDateString]).slice(0, 5);
+export const updateMealPlanWeek = function (firstDayOfWeekDateString) {
+  //Get the 7 days of the week starting with the day passed in to the function
+  const daysOfWeek = createSortedDateStrArr(model.getWeekMealPlan(firstDayOfWeekDateString));
   //For each week day, update the  day panel on the meal plan UI (meals and nutriton dropdown)
   daysOfWeek.forEach((day) => updateMealPlanDay(day));
 };
@@ -43,7 +68,8 @@ export const updateMealPlanWeek = function (mondayOfWeekDateString) {
 /**
  * Updates the UI for a single day in the meal planner.
  * - Retrieves meal and nutrition data for the day from the model.
- * - Renders the updated data in the MealPlanView.
+ * - Renders the updated data in the MealPlanView (with the progress towards the day's nutrition goals), the weekly nutrition averages of the displayed week,
+ *   and the past weeks in the archive dropdown (the day's meals may have changed them).
  *
  * @param {string} dayDateString - The date string of the day to update (e.g., 'Mon Jan 20 2025').
  */
@@ -51,6 +77,8 @@ export const updateMealPlanDay = function (dayDateString) {
   const { dayMealPlan } = model.getDayMealPlan(dayDateString); //Get the day's meal plan from model
   const { meals, nutrition } = dayMealPlan; // Extract meals and nutrition data
   //Update nutrition totals in the dropdown and render the meals for the day
-  MealPlanView.updateNutritionDropdown(dayDateString, nutrition);
+  MealPlanView.updateNutritionDropdown(dayDateString, nutrition, model.getDayNutritionProgress(dayDateString));
   MealPlanView.updateDayMeals(dayDateString, meals);
+  MealPlanView.renderWeekNutritionSummary(model.getWeekNutritionSummary(model.state.mealCalendarWeek));
+  MealPlanView.renderMealPlanArchive(model.getMealPlanArchive());
 };
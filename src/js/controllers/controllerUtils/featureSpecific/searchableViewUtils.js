@@ -1,13 +1,12 @@
 /**
  * @fileoverview Utility functions shared by ingredientSearchController and browseRecipesController (and any view with a search input that may be added in the future).
  *
- * These functions handle common functionalities like autocomplete suggestions, input validation,
+ * These functions handle common functionalities like autocomplete suggestions, input validation, loading search results (with an offline catalog fallback), sorting/refining loaded results,
  * and error handling for search-based views (IngredientSearchView and BrowseRecipesView).
  *
  * Dependencies:
  * - model: For extracting suggestions and validating results.
  * - view instances: For rendering UI updates for the respective search views.
- * - controllerUtils: High-level utilities like timeout handling for async functions.
  */
 
 import * as model from "../../../model/index.js";
@@ -15,19 +14,18 @@ import * as model from "../../../model/index.js";
 //Import view instances
 import IngredientSearchView from "../../../views/mainViews/ingredientSearchView.js";
 import BrowseRecipesView from "../../../views/mainViews/browseRecipesView.js";
-
-//Import utilities
-import { timeout } from "../highLevel/controllerUtils.js";
+import ResultsView from "../../../views/mainViews/resultsView.js";
 
 //Import constants from config file
-import { API_TIMEOUT_MESSAGE } from "../../../config.js";
+import { API_TIMEOUT_MESSAGE, OFFLINE_RESULTS_MESSAGE, HISTORY_RESULTS_MESSAGE, QUOTA_LOW_MESSAGE, QUOTA_EXCEEDED_MESSAGE, INGREDIENT_SEARCH_MODES } from "../../../config.js";
 
 //AUTOCOMPLETE SUGGESTIONS FUNCTIONALITY
 
 /**
- * Handles autocomplete suggestions for a given search view.
- * - Fetches suggestions from the model based on the partial input in the search bar
- * - Renders suggestions in the appropriate view instance.
+ * Handles autocomplete suggestions for a given search view (called on every change of the search bar input).
+ * - Finds the past searches (search history) matching the partial input. Only the recent searches are shown if the search bar is empty.
+ * - Renders the local suggestions (e.g., pantry history, recipe book titles and common ingredients) right away, so suggestions show while typing and offline.
+ * - Renders the suggestions combined with the API suggestions once the user stops typing (the model debounces and caches the API requests).
  *
  * @param {string} view - The name of the view requesting suggestions (e.g., "ingredientSearchView").
  * @param {string} partialSearch - The partial input string to search for suggestions.
@@ -35,33 +33,65 @@ import { API_TIMEOUT_MESSAGE } from "../../../config.js";
 export const controlAutocompleteSuggestions = async function (view, partialSearch) {
   //view can be "ingredientSearchView" or "browseRecipesView"
   const searchType = view === "ingredientSearchView" ? "ingredient" : "recipe";
+  const { mode } = getSearchDetails(view);
+  const viewInstance = getViewInstance(view);
   try {
-    // Fetch suggestions (times out if it takes more than 2000ms)
-    const suggestionsList = await Promise.race([model.extractAutocompleteSuggestions(partialSearch, searchType), timeout(2000)]);
-    if (!suggestionsList.length) return; // Early exit if no suggestions
+    const historySuggestions = model.getSearchHistorySuggestions(mode, partialSearch).map((entry) => toHistorySuggestion(entry));
 
-    //Render suggestions to the appropriate view
-    const viewInstance = getViewInstance(view);
-    renderSuggestions(viewInstance, suggestionsList);
+    //The search bar was cleared, cancel any autocomplete request still in flight so its suggestions are not shown
+    if (!partialSearch.trim()) {
+      model.cancelRequestChannel("autocomplete");
+      return renderSuggestions(viewInstance, [], historySuggestions);
+    }
+
+    renderSuggestions(viewInstance, model.getLocalAutocompleteSuggestions(partialSearch, searchType), historySuggestions);
+
+    // Fetch suggestions (a newer request cancels this one, and the request times out if it takes too long)
+    const suggestionsList = await model.extractAutocompleteSuggestions(partialSearch, searchType);
+    renderSuggestions(viewInstance, suggestionsList, historySuggestions);
   } catch (error) {
-    // Log non-timeout errors for debugging
-    if (error.message !== "Request timed out") {
+    // Log errors for debugging (cancelled requests are expected, the user typed another character)
+    if (!model.isRequestCancelled(error)) {
       console.error("Error in controlAutocompleteSuggestions:", error);
     }
   }
 };
 
 /**
- * Renders autocomplete suggestions in the provided view instance.
+ * Renders autocomplete suggestions in the provided view instance (the suggestions are closed if there are none).
  *
  * @param {Object} viewInstance - The view instance responsible for displaying suggestions.
  * @param {Array<string>} suggestions - The list of suggestions to render.
+ * @param {Object[]} historySuggestions - The past searches to render (see `toHistorySuggestion`).
  * @private
  */
-const renderSuggestions = function (viewInstance, suggestions) {
+const renderSuggestions = function (viewInstance, suggestions, historySuggestions) {
   //view instance can be ingredientSearchView or browseRecipesView
   viewInstance.clearAutocompleteSuggestions();
-  viewInstance.renderAutocompleteSuggestions(suggestions);
+  if (!suggestions.length && !historySuggestions.length) return;
+  viewInstance.renderAutocompleteSuggestions(suggestions, historySuggestions);
+};
+
+/**
+ * Converts a search history entry into the details shown for a past search in the autocomplete suggestions.
+ *
+ * @param {Object} entry - The search history entry (see searchHistory.js).
+ * @returns {{id: number, label: string, details: string, canRestore: boolean}} The past search to render.
+ * @private
+ */
+const toHistorySuggestion = function (entry) {
+  const label = entry.mode === "ingredientSearch" ? entry.pantry.join(", ") : entry.query || "Recipe collection";
+  const date = new Date(entry.timestamp).toLocaleDateString("en-US", { month: "short", day: "numeric" });
+  const numResults = entry.resultIds.length;
+
+  const details = [getFiltersDetails(entry), `${numResults} recipe${numResults === 1 ? "" : "s"}`, date].filter(Boolean).join(" · ");
+  return { id: entry.id, label, details, canRestore: numResults > 0 };
+};
+
+//Returns how a past search was filtered: the mode of an ingredient search (e.g., "Cook now"), otherwise whether filters were used
+const getFiltersDetails = function (entry) {
+  if (entry.mode === "ingredientSearch") return INGREDIENT_SEARCH_MODES[entry.filtersObject.searchMode]?.label ?? "";
+  return Object.keys(entry.filtersObject).length > 0 ? "with filters" : "";
 };
 
 /**
@@ -105,13 +135,206 @@ export const validateSearchInput = function (input, isIngredientSearch = true) {
   return { valid: true };
 };
 
+//LOADING SEARCH RESULTS
+
+/**
+ * Loads a page of search results for an ingredient search or browse recipes search into the application state (added to the end of the current results).
+ * - Cancels the previous search of the mode if it is still loading (its results are stale).
+ * - Fetches the recipe ids matching the search, then the recipe details for those ids (each request times out if it takes too long, and is retried if the API is temporarily unavailable).
+ * - If the API is unreachable (request fails or times out), searches the offline recipe catalog instead.
+ * - If the daily API quota is running low (or used up), searches the offline recipe catalog instead so the remaining quota isn't spent.
+ *
+ * @param {Array} searchParams - The parameters for `model.loadRecipes` ([ingredientsList, search, filtersObject]).
+ * @param {string} mode - The type of search (`"ingredientSearch"` or `"browseRecipes"`).
+ * @param {number} [offset=0] - The number of results to skip (0 for a new search, larger values to load more results).
+ * @returns {Promise<Object|null>} `{ noResults: true }` if there are no results, `{ offline: true }` if the results came from the offline catalog (with `quotaLow: true` if that is because of the API quota), or `null` on success.
+ * @throws {Error} If the API request fails (or the quota is used up) and the offline catalog has no matching recipes, or the search was cancelled by a newer search ("AbortError").
+ */
+export const loadSearchResults = async function (searchParams, mode, offset = 0) {
+  const [ingredientsList = null, search = null, filtersObject = null] = searchParams;
+
+  //Don't spend the last of the daily API quota, search the offline catalog instead
+  if (model.isApiQuotaLow()) {
+    model.cancelRequestChannel(mode);
+    if (loadCatalogResults(searchParams, mode, offset)?.noResults) throw new Error("API quota exceeded");
+    return { offline: true, quotaLow: true };
+  }
+
+  const signal = model.startRequestChannel(mode);
+
+  try {
+    //Fetch recipe ids of results
+    const results = await model.loadRecipes(ingredientsList, search, filtersObject, offset, signal);
+    if (results?.noResults) return results;
+
+    //Fetch full recipe details for recipe ids
+    return await model.loadRecipeDetails(results, mode, signal);
+  } catch (error) {
+    const isQuotaExceeded = error.message === "API quota exceeded";
+    if (!isApiUnreachable(error) && !isQuotaExceeded) throw error;
+
+    //Search the offline catalog instead. If it has no matches, surface the original API error
+    if (loadCatalogResults(searchParams, mode, offset)?.noResults) throw error;
+
+    console.error("API unavailable, showing offline catalog results:", error);
+    return { offline: true, quotaLow: isQuotaExceeded };
+  }
+};
+
+/**
+ * Renders a notice in the search view if the search results came from the offline recipe catalog (explaining whether the API was unreachable or the API quota is running low).
+ *
+ * @param {Object|null} results - The object returned from `loadSearchResults`.
+ * @param {string} view - The name of the view to render the notice in (e.g., "browseRecipesView").
+ */
+export const renderOfflineResultsNotice = function (results, view) {
+  if (results?.offline) getViewInstance(view).renderSearchNotice(results.quotaLow ? QUOTA_LOW_MESSAGE : OFFLINE_RESULTS_MESSAGE);
+};
+
+/**
+ * Loads the next page of results for the latest search made in a view and appends the new recipe cards to the results.
+ *
+ * @param {string} view - The name of the view the "Load More" button was clicked in (e.g., "browseRecipesView").
+ */
+export const controlLoadMoreResults = async function (view) {
+  const viewInstance = getViewInstance(view);
+  const { mode, source, results } = getSearchDetails(view);
+
+  const nextPage = model.getNextPageParams(mode);
+  if (!nextPage) return;
+
+  try {
+    viewInstance.setLoadMoreBtnLoading(true);
+    const numPreviousResults = results().length;
+
+    const pageResults = await loadSearchResults(nextPage.searchParams, mode, nextPage.offset);
+
+    if (!pageResults?.noResults) {
+      //Update the search history with the newly loaded results
+      model.recordSearchHistory(mode);
+
+      //If the results are sorted/narrowed, re-render them all with the new recipes included. Otherwise append only the newly loaded recipes to the results
+      if (viewInstance.isRefined()) {
+        updateRefineBar(view);
+        controlRefineResults(view);
+      } else {
+        ResultsView.renderRecipeCards(results().slice(numPreviousResults), source, true);
+        updateRefineBar(view);
+      }
+    }
+    renderOfflineResultsNotice(pageResults, view);
+  } catch (error) {
+    handleError(error, viewInstance, "renderSearchResultsError");
+  } finally {
+    viewInstance.setLoadMoreBtnLoading(false);
+    updateLoadMoreBtn(view);
+  }
+};
+
+/**
+ * Shows the "Load More" button in a view if more results exist for the latest search, otherwise hides it.
+ *
+ * @param {string} view - The name of the view (e.g., "browseRecipesView").
+ */
+export const updateLoadMoreBtn = function (view) {
+  const viewInstance = getViewInstance(view);
+  const { mode } = getSearchDetails(view);
+
+  if (model.hasMoreSearchResults(mode)) {
+    viewInstance.showLoadMoreBtn();
+  } else {
+    viewInstance.hideLoadMoreBtn();
+  }
+};
+
+//SEARCH HISTORY
+
+/**
+ * Restores the results of a past search (from the search history) into a view, without calling the recipe API.
+ * The view should be reset (and the loading spinner shown) before the results are restored.
+ *
+ * @param {number} id - The id of the search history entry.
+ * @param {string} view - The name of the view to render the results in (e.g., "browseRecipesView").
+ * @returns {Promise<boolean>} True if the results were restored, false if none of the results are stored anymore.
+ */
+export const renderSearchHistoryResults = async function (id, view) {
+  const viewInstance = getViewInstance(view);
+  const { mode, source, results } = getSearchDetails(view);
+
+  //Cancel the search still loading in the view (if any) so it can't add its results to the restored ones
+  model.cancelRequestChannel(mode);
+  const restoredResults = await model.restoreSearchHistoryResults(id);
+  if (restoredResults?.noResults) {
+    viewInstance.renderSearchResultsError("The results of this search are no longer saved. Please run the search again.");
+    return false;
+  }
+
+  ResultsView.renderRecipeCards(results(), source);
+  viewInstance.renderSearchNotice(HISTORY_RESULTS_MESSAGE);
+  updateLoadMoreBtn(view);
+  updateRefineBar(view);
+  return true;
+};
+
+//SORT & REFINE LOADED RESULTS
+
+/**
+ * Re-sorts and narrows the loaded search results of a view based on the sort/refine bar, without making another API call.
+ *
+ * @param {string} view - The name of the view whose results are refined (e.g., "browseRecipesView").
+ */
+export const controlRefineResults = function (view) {
+  const viewInstance = getViewInstance(view);
+  const { source, results } = getSearchDetails(view);
+
+  const refinedResults = model.refineSearchResults(results(), viewInstance.getRefineSettings());
+  ResultsView.renderRecipeCards(refinedResults, source);
+
+  viewInstance.renderSearchResultsError(refinedResults.length === 0 ? "None of the loaded recipes match your selections. Try a different diet or cuisine." : "");
+};
+
+/**
+ * Populates the sort/refine bar with the diets and cuisines found in the loaded search results of a view, and shows the bar.
+ *
+ * @param {string} view - The name of the view (e.g., "browseRecipesView").
+ */
+export const updateRefineBar = function (view) {
+  const { results } = getSearchDetails(view);
+  getViewInstance(view).renderRefineOptions(model.getRefineOptions(results()));
+};
+
+/**
+ * Searches the offline recipe catalog and loads the matching recipes into the search results (used instead of the API).
+ *
+ * @param {Array} searchParams - The search parameters ([ingredientsList, search, filtersObject]).
+ * @param {string} mode - The type of search (`"ingredientSearch"` or `"browseRecipes"`).
+ * @param {number} offset - The number of results to skip.
+ * @returns {Object|null} `{ noResults: true }` if the catalog has no matching recipes, or `null` on success.
+ * @private
+ */
+const loadCatalogResults = function ([ingredientsList = null, search = null, filtersObject = null], mode, offset) {
+  const catalogResults = model.searchRecipeCatalog(ingredientsList, search, filtersObject, offset);
+  return catalogResults.noResults ? catalogResults : model.loadCatalogRecipeDetails(catalogResults, mode);
+};
+
+/**
+ * Checks whether an error means the recipe API could not be reached (the request timed out, the network request failed or the browser is offline).
+ *
+ * @param {Error} error - The error thrown while loading search results.
+ * @returns {boolean} True if the API is unreachable.
+ * @private
+ */
+const isApiUnreachable = function (error) {
+  return error.message === "Request timed out" || error instanceof TypeError || !navigator.onLine;
+};
+
 //API ERROR HANDLING
 
 /**
  *Handles and logs errors encountered during API calls (ingredient searches or browsing recipe searches).
 
- * It supports a custom message for timeout errors and a general fallback message 
- * for other types of errors. The error message is passed to the specified method on the provided view 
+ * It supports custom messages for timeout and API quota errors and a general fallback message 
+ * for other types of errors. Cancelled requests (a newer search replaced the search) are ignored. The error message is passed to the specified method on the provided view 
  * instance for rendering.
 
  * @param {Error} error - The error object containing details of the error.
@@ -119,9 +342,22 @@ export const validateSearchInput = function (input, isIngredientSearch = true) {
  * @param {string} methodName - The name of the method on the view to invoke with the error message.
  */
 export const handleError = function (error, view, methodName) {
+  if (model.isRequestCancelled(error)) return;
   console.error("Error:", error);
-  const errorMessage = error.message === "Request timed out" ? API_TIMEOUT_MESSAGE : "Something went wrong. Please try again.";
-  view[methodName](errorMessage);
+  view[methodName](getErrorMessage(error, "Something went wrong. Please try again."));
+};
+
+/**
+ * Returns the message to show the user for an error thrown by an API call.
+ *
+ * @param {Error} error - The error thrown by the API call.
+ * @param {string} fallbackMessage - The message for errors other than timeouts and API quota errors.
+ * @returns {string} The error message.
+ */
+export const getErrorMessage = function (error, fallbackMessage) {
+  if (error.message === "Request timed out") return API_TIMEOUT_MESSAGE;
+  if (error.message === "API quota exceeded") return QUOTA_EXCEEDED_MESSAGE;
+  return fallbackMessage;
 };
 
 //HELPER FUNCTIONS
@@ -142,6 +378,19 @@ export const validResultsExist = function (results, view) {
   return true;
 };
 
+/**
+ * Maps a view name to the search mode, results container source and results array (in state) it uses.
+ * The results array is returned through a function since a new search replaces the array in state.
+ *
+ * @param {string} view - The name of the view (e.g., "ingredientSearchView").
+ * @returns {{mode: string, source: string, results: function(): Object[]}} The search details for the view.
+ * @private
+ */
+const getSearchDetails = function (view) {
+  if (view === "ingredientSearchView") return { mode: "ingredientSearch", source: "ingredientSearch", results: () => model.state.ingredientSearchResults };
+  return { mode: "browseRecipes", source: "browseRecipeSearch", results: () => model.state.browseSearchResults };
+};
+
 /**
  * Maps a view name to its corresponding view instance.
  *
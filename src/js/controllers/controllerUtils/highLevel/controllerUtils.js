@@ -65,20 +65,6 @@ export const renderRecipeBook = function () {
   if (model.state.recipeBook.length === 0) RecipeBookView.showNoRecipesMessage();
 };
 
-/**
- * Creates a timeout that rejects after a specified number of milliseconds
- * Useful for limiting the time spent waiting for async operations.
- * @param {number} ms - The timeout duration in milliseconds
- * @returns {Promise <never>} A promise that rejects with a timeout error
- */
-export const timeout = function (ms) {
-  return new Promise(function (_, reject) {
-    setTimeout(function () {
-      reject(new Error("Request timed out"));
-    }, ms);
-  });
-};
-
 /**
  * Generates an options object that contains information about a recipe's location in the model
  * The options object is used across many functions to fetch/retrieve recipes
@@ -33,17 +33,22 @@ import * as model from "../../../model/index.js";
 import OverlayView from "../../../views/mainViews/overlayView.js";
 import FilterRecipesModal from "../../../views/modalWindowViews/filterRecipesModal.js";
 import BrowseCollectionModal from "../../../views/modalWindowViews/browseCollectionModal.js";
+import SavedSearchModal from "../../../views/modalWindowViews/savedSearchModal.js";
+import PantryItemModal from "../../../views/modalWindowViews/pantryItemModal.js";
 import CustomRecipeModal from "../../../views/modalWindowViews/customRecipeModal.js";
 import AddRecipeModal from "../../../views/modalWindowViews/addRecipeModal.js";
 import RecipeDetailsModal from "../../../views/modalWindowViews/recipeDetailsModal.js";
 import AddMealToSlotModal from "../../../views/modalWindowViews/addMealToSlotModal.js";
 
 //Import utility functions
-import { createRecipeDetailsObject, generateOptionsObject, calculateRelativeDate, showView, hideView } from "./controllerUtils.js";
+import { createRecipeDetailsObject, generateOptionsObject, showView, hideView } from "./controllerUtils.js";
 
 //Import external Libraries
 import flatpickr from "flatpickr";
 
+//Import variables from config file
+import { WEEK_START_DAYS } from "../../../config.js";
+
 //MODAL WINDOW 1 (ADD RECIPE MODAL)
 
 /**
@@ -81,41 +86,20 @@ export const controlCloseAddRecipeModal = function () {
 };
 
 /**
- * Configures the date picker for the "Add to Planner" modal, setting minimum and maximum dates.
+ * Configures the date picker for the "Add to Planner" modal. Any date can be selected, since the meal plan keeps every week.
  * @private
  */
 const configureDatePicker = function () {
   const datePicker = AddRecipeModal.getDatePicker();
-  const mondayOfCurrentWeek = model.getMondayOfTheWeek();
-
-  const minDate = calculateRelativeDate(mondayOfCurrentWeek, -28); // 4 weeks prior
-  const maxDate = calculateRelativeDate(mondayOfCurrentWeek, 32); // 4 weeks later, Friday
-
-  initializeDatePicker(datePicker, minDate, maxDate);
-};
-
-/**
- * Initializes the date picker on the modal with specific configuration options.
- *
- * @param {HTMLElement} datePicker - The date picker input element.
- * @param {Date} minDate - The earliest selectable date.
- * @param {Date} maxDate - The latest selectable date.
- * @private
- */
-const initializeDatePicker = function (datePicker, minDate, maxDate) {
   if (datePicker._flatpickr) {
     datePicker._flatpickr.destroy();
   }
 
   flatpickr(datePicker, {
     dateFormat: "Y-m-d", // Matches the native HTML date input format
-    minDate: minDate,
-    maxDate: maxDate,
     defaultDate: new Date(), // Set today's date as the default visible date
     static: true,
-    disable: [
-      (date) => date.getDay() === 0 || date.getDay() === 6, // Disable weekends
-    ],
+    locale: { firstDayOfWeek: WEEK_START_DAYS[model.state.preferences.weekStart] }, // Start the calendar weeks on the same day as the meal planner
   });
 };
 
@@ -142,7 +126,7 @@ export const controlOpenRecipeDetailsModal = function (recipeId, showIngredientA
 
   const options = generateOptionsObject(source, currentDate, currentMeal);
 
-  RecipeDetailsModal.renderRecipeContent(recipe, showIngredientAvailability, options);
+  RecipeDetailsModal.renderRecipeContent(recipe, showIngredientAvailability, options, model.state.preferences.measurementSystem);
   showView(RecipeDetailsModal, true);
 };
 
@@ -195,3 +179,35 @@ export const controlOpenBrowseCollectionModal = function () {
 export const controlCloseBrowseCollectionModal = function () {
   hideView(BrowseCollectionModal, true);
 };
+
+//MODAL WINDOW 7 (SAVED SEARCH MODAL)
+
+/**
+ * Opens the Saved Search Modal filled with a saved search (or a new, unsaved search).
+ *
+ * @param {Object} savedSearch - The search to show in the modal (`id` is null when creating a new saved search).
+ */
+export const controlOpenSavedSearchModal = function (savedSearch) {
+  SavedSearchModal.renderModal(savedSearch);
+  showView(SavedSearchModal, true);
+};
+
+export const controlCloseSavedSearchModal = function () {
+  hideView(SavedSearchModal, true);
+};
+
+//MODAL WINDOW 8 (PANTRY ITEM MODAL)
+
+/**
+ * Opens the Pantry Item Modal filled with the details of a pantry item.
+ *
+ * @param {Object} item - The pantry item to edit (see pantry.js).
+ */
+export const controlOpenPantryItemModal = function (item) {
+  PantryItemModal.renderModal(item);
+  showView(PantryItemModal, true);
+};
+
+export const controlClosePantryItemModal = function () {
+  hideView(PantryItemModal, true);
+};
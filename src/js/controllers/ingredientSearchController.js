@@ -1,11 +1,12 @@
 /**
  * @fileoverview Controller for handling the ingredient search functionality in the app/ support
  * the Ingredient Search View/Page.
- * Manages adding, deleting, and validating input ingredients, as well as displaying search results based on ingredients in the user's pantry.
+ * Manages the user's pantry (adding, validating, editing and deleting ingredients), as well as displaying search results based on the ingredients in the user's pantry.
  *
  * Dependencies:
  * - ingredientSearchView: For UI interactions related to ingredient search.
  * - resultsView: For displaying search results in the form of recipe cards.
+ * - pantryItemModal: For editing the details (quantity, unit, category, dates) of a pantry item.
  * - model: For managing the state of the pantry and interacting with the recipe data.
  * - Various utility functions for handling ingredient validation, pantry checks, and autocomplete suggestions.
  */
@@ -15,38 +16,90 @@ import * as model from "../model/index.js";
 //Import view instances
 import IngredientSearchView from "../views/mainViews/ingredientSearchView.js";
 import ResultsView from "../views/mainViews/resultsView.js";
+import PantryItemModal from "../views/modalWindowViews/pantryItemModal.js";
 
 //Import utilities
-import { timeout } from "./controllerUtils/highLevel/controllerUtils.js";
-import { resetIngredientInputState, isPantryFull, isDuplicateIngredient, isValidInput, validateIngredientWithAPI, renderInvalidIngredientError, toggleMatchingCommonIngredient, initializeIngredientSearch } from "./controllerUtils/featureSpecific/ingredientSearchUtils.js";
-import { controlAutocompleteSuggestions, controlHandleOutsideClick, validResultsExist, handleError } from "./controllerUtils/featureSpecific/searchableViewUtils.js";
+import { resetIngredientInputState, isDuplicateIngredient, isValidInput, validateIngredientWithAPI, renderInvalidIngredientError, toggleMatchingCommonIngredient, initializeIngredientSearch, renderPantry } from "./controllerUtils/featureSpecific/ingredientSearchUtils.js";
+import { controlAutocompleteSuggestions, controlHandleOutsideClick, validResultsExist, handleError, loadSearchResults, renderOfflineResultsNotice, controlLoadMoreResults, updateLoadMoreBtn, controlRefineResults, updateRefineBar, renderSearchHistoryResults } from "./controllerUtils/featureSpecific/searchableViewUtils.js";
+import { controlOpenPantryItemModal, controlClosePantryItemModal } from "./controllerUtils/highLevel/modalUtils.js";
 import { normalizeIngredient } from "../sharedUtils.js";
 
+//Import variables from config file
+import { COOK_NOW_NO_RESULTS_MESSAGE } from "../config.js";
+
 //SEARCHING FOR RECIPES BASED ON INGREDIENTS
 
 /**
- * Handles searching for recipes based on ingredients in the user's pantry.
+ * Handles searching for recipes based on ingredients in the user's pantry (when the 'View Recipe Suggestions' button is clicked), in the selected search mode.
+ */
+const controlIngredientSearch = function () {
+  searchIngredientRecipes(model.getPantryIngredientNames(), model.state.preferences.ingredientSearchMode);
+};
+
+/**
+ * Handles the selection of an ingredient search mode (e.g., "Cook now"). The mode is saved as a preference and used for the next search.
+ *
+ * @param {string} searchMode - The selected search mode ("cookNow", "maximizeUsed", "minimizeMissing" or "useItUp").
+ */
+const controlIngredientSearchMode = function (searchMode) {
+  model.setIngredientSearchMode(searchMode);
+  IngredientSearchView.renderSearchMode(searchMode);
+};
+
+/**
+ * Searches for recipes that use a list of ingredients.
  * - Initializes the ingredient search (resets view and renders loading spinner)
- * - Loads recipes based on pantry ingredients.
+ * - Loads recipes based on the ingredients (from the offline recipe catalog if the API is unreachable).
  * - Displays the recipe results and handles errors.
+ * - Records the search in the search history.
+ *
+ * @param {string[]} ingredients - The names of the ingredients to search with (the pantry ingredients, or the ingredients of a past search).
+ * @param {string} [searchMode] - The ingredient search mode (see `INGREDIENT_SEARCH_MODES`), defaults to DEFAULT_INGREDIENT_SEARCH_MODE.
+ * @private
  */
-const controlIngredientSearch = async function () {
+const searchIngredientRecipes = async function (ingredients, searchMode) {
   try {
     //Reset view, scroll to results section and render loading spinner once a search is made
     initializeIngredientSearch();
 
-    const pantryIngredients = model.state.pantry.join(",");
-
-    //Fetch ids of results. Request times out if it takes longer than 3 seconds.
-    const results = await Promise.race([model.loadRecipes(pantryIngredients), timeout(3000)]);
+    //Fetch the recipes that use the ingredients (recipe ids, then the details for those ids)
+    const results = await loadSearchResults([ingredients.join(","), null, { searchMode }], "ingredientSearch");
+    if (results?.noResults && searchMode === "cookNow") return IngredientSearchView.renderSearchResultsError(COOK_NOW_NO_RESULTS_MESSAGE);
     if (!validResultsExist(results, "ingredientSearchView")) return;
 
-    //Fetch full recipe details for recipe ids. Request times out if it takes longer than 5seconds.
-    const recipeDetails = await Promise.race([model.loadRecipeDetails(results, "ingredientSearch"), timeout(5000)]);
-    if (!validResultsExist(recipeDetails, "ingredientSearchView")) return;
-
     //Render the recipe search results to the UI
     ResultsView.renderRecipeCards(model.state.ingredientSearchResults, "ingredientSearch");
+    renderOfflineResultsNotice(results, "ingredientSearchView");
+    updateLoadMoreBtn("ingredientSearchView");
+    updateRefineBar("ingredientSearchView");
+    model.recordSearchHistory("ingredientSearch");
+  } catch (error) {
+    handleError(error, IngredientSearchView, "renderSearchResultsError");
+  } finally {
+    IngredientSearchView.hideLoadingSpinner();
+  }
+};
+
+/**
+ * Handles the selection of a past ingredient search listed under the search bar (from the search history).
+ * The search uses the ingredients and mode it was made with, the pantry itself is not changed:
+ * - "rerun": Searches for recipes again.
+ * - "restore": Shows the previous results of the search (from the recipe details cache, no API call).
+ *
+ * @param {string} view - The name of the view the past search was selected in ("ingredientSearchView").
+ * @param {"rerun"|"restore"} action - Whether to re-run the search or restore its previous results.
+ * @param {number} id - The id of the search history entry.
+ */
+const controlIngredientSearchHistory = async function (view, action, id) {
+  const entry = model.getSearchHistoryEntry(id);
+  if (!entry) return;
+
+  resetIngredientInputState();
+  if (action === "rerun") return searchIngredientRecipes(entry.pantry, entry.filtersObject.searchMode);
+
+  try {
+    initializeIngredientSearch();
+    await renderSearchHistoryResults(id, view);
   } catch (error) {
     handleError(error, IngredientSearchView, "renderSearchResultsError");
   } finally {
@@ -58,18 +111,18 @@ const controlIngredientSearch = async function () {
 
 /**
  * Deletes an ingredient from the pantry.
- * - Removes the ingredient from both the model and the UI.
+ * - Removes the ingredient from both the model and the UI (and deselects the matching common ingredient).
  *
  * @param {string} ingredient - The ingredient to delete from the pantry.
  */
 const controlDeleteIngredient = function (ingredient) {
   model.removeIngredientFromPantry(ingredient);
-  IngredientSearchView.removePantryIngredient(ingredient);
+  renderPantry();
 };
 
 /**
  * Handles adding an ingredient to the pantry.
- * - Checks if the pantry is full or the ingredient already exists in the pantry.
+ * - Checks if the ingredient already exists in the pantry.
  * - Validates the ingredient input (meets length requirements, no special characters etc.)
  * - Runs an API validation for ingredients added via the search bar (Spoonacular API must be able to recognize the ingredient before it is added).
  * - Adds the valid ingredient to the pantry.
@@ -84,15 +137,15 @@ const controlAddIngredient = async function (ingredient, mode) {
     resetIngredientInputState();
     const normalizedIngredient = normalizeIngredient(ingredient);
 
-    //Basic checks for pantry space and duplicate ingredient
-    if (isPantryFull() || isDuplicateIngredient(normalizedIngredient)) return;
+    //Basic check for a duplicate ingredient
+    if (isDuplicateIngredient(normalizedIngredient)) return;
 
     //Check for non-valid characters and length requirements
     if (!isValidInput(ingredient)) return;
 
     // Run the autocomplete function on the ingredient to see if Spoonacular recognizes the ingredient
     if (mode === "search") {
-      const isValidIngredient = await Promise.race([validateIngredientWithAPI(normalizedIngredient), timeout(3000)]);
+      const isValidIngredient = await validateIngredientWithAPI(normalizedIngredient);
 
       if (!isValidIngredient) {
         renderInvalidIngredientError();
@@ -111,7 +164,7 @@ const controlAddIngredient = async function (ingredient, mode) {
  * Adds an ingredient to the pantry and updates the UI.
  * - Clears the search field and checks for matching common ingredients.
  * -If the inputted ingredient is in the common ingredients, mark the common ingredient as "selected" on the UI
- * - Updates the UI with the newly added ingredient.
+ * - Updates the UI with the newly added ingredient (its details can then be edited in the Pantry Item Modal).
  *
  * @param {string} ingredient - The ingredient to add.
  * @param {string} mode - The mode of adding ingredient: "commonIngredient" or "search".
@@ -125,27 +178,92 @@ const addIngredientToPantry = function (ingredient, mode) {
     IngredientSearchView.clearSearchField();
   }
   model.addIngredientToPantry(ingredient);
-  IngredientSearchView.renderPantryIngredient(ingredient);
+  renderPantry();
+};
+
+//PANTRY ITEM DETAILS
+
+/**
+ * Opens the Pantry Item Modal to edit the details of a pantry item.
+ *
+ * @param {number} id - The id of the pantry item.
+ */
+const controlEditPantryItem = function (id) {
+  const item = model.getPantryItem(id);
+  if (item) controlOpenPantryItemModal(item);
+};
+
+/**
+ * Saves the details entered in the Pantry Item Modal, then re-renders the pantry.
+ * Invalid inputs (e.g., an expiration date before the purchase date) are shown as an error in the modal.
+ */
+const controlSavePantryItem = function () {
+  const { id, details } = PantryItemModal.getPantryItemInputs();
+
+  try {
+    model.updatePantryItem(id, details);
+  } catch (error) {
+    return PantryItemModal.renderError(error.message);
+  }
+
+  controlClosePantryItemModal();
+  renderPantry();
 };
 
 //VIEW INITIALIZATION
 
 /**
- * Initializes the Ingredient Search View by attaching event handlers for user interactions.
+ * Initializes the Ingredient Search View by attaching event handlers for user interactions, and renders the saved pantry.
  *
  * Event handlers:
  * - `controlAutocompleteSuggestions`: Handles autocomplete suggestions when the user types in the search bar.
  * - `controlHandleOutsideClick`: Clears suggestions when the user clicks outside the autocomplete suggestions.
  * - `controlAddIngredient`: Adds the ingredient to the pantry when the user types an ingredient and presses the 'Enter' key OR selects a common ingredient on the UI.
  * - `controlDeleteIngredient`: Deletes an ingredient from the pantry when a user clicks the 'x' on a pantry item or deselects a common ingredient.
+ * - `controlEditPantryItem`: Opens the Pantry Item Modal when a user clicks the pencil icon on a pantry item.
  * - `controlIngredientSearch`: Triggers a recipe search based on pantry ingredients when the 'View Recipe Suggestions' button is clicked.
+ * - `controlIngredientSearchMode`: Selects the ingredient search mode when a mode button is clicked.
+ * - `controlLoadMoreResults`: Loads the next page of search results when the 'Load More Recipes' button is clicked.
+ * - `controlRefineResults`: Re-sorts/narrows the loaded results when a sort/refine dropdown changes.
+ * - `controlIngredientSearchHistory`: Re-runs a past search (or restores its results) when it is selected under the search bar.
+ *
+ * @private
  */
-export const init = function () {
+const initializeIngredientSearchView = function () {
   IngredientSearchView.addHandlerInputKeydown();
   IngredientSearchView.addHandlerAutocompleteSuggestions(controlAutocompleteSuggestions);
   IngredientSearchView.addHandlerOutsideClick(controlHandleOutsideClick);
   IngredientSearchView.addHandlerSearchIngredient(controlAddIngredient);
   IngredientSearchView.addHandlerCommonIngredient(controlAddIngredient, controlDeleteIngredient);
   IngredientSearchView.addHandlerRemoveIngredient(controlDeleteIngredient);
+  IngredientSearchView.addHandlerEditPantryItem(controlEditPantryItem);
   IngredientSearchView.addHandlerViewIngredientRecipes(controlIngredientSearch);
+  IngredientSearchView.addHandlerSearchMode(controlIngredientSearchMode);
+  IngredientSearchView.addHandlerLoadMore(controlLoadMoreResults);
+  IngredientSearchView.addHandlerRefineResults(controlRefineResults);
+  IngredientSearchView.addHandlerSearchHistory(controlIngredientSearchHistory);
+  IngredientSearchView.renderSearchMode(model.state.preferences.ingredientSearchMode); //Part of app initialization
+  renderPantry();
+};
+
+/**
+ * Initializes the Pantry Item Modal by setting up its event handlers.
+ *
+ * Event handlers:
+ * - `controlClosePantryItemModal`: Closes the modal when the 'x' in the top right is clicked
+ * - `controlSavePantryItem`: Saves the pantry item details when the user submits the modal form.
+ *
+ * @private
+ */
+const initializePantryItemModal = function () {
+  PantryItemModal.addHandlerCloseModal(controlClosePantryItemModal);
+  PantryItemModal.addHandlerSavePantryItem(controlSavePantryItem);
+};
+
+/**
+ * Initializes the Ingredient Search Page and the Pantry Item Modal by calling the init functions for each
+ */
+export const init = function () {
+  initializeIngredientSearchView();
+  initializePantryItemModal();
 };
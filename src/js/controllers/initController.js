@@ -18,6 +18,8 @@
  *   - `recipeDetailsController`: Manages the Recipe Details modal.
  *   - `addMealController`: Handles the Add Recipe Modal and Add Meal To Slot Modal.
  *   - `mealPlanController`: Manages the MealPlanView.
+ *   - `shoppingListController`: Manages the ShoppingListView.
+ *   - `settingsController`: Manages the SettingsView.
  * - `model`: Provides the application state and utilities for managing recipes and meal plans.
  */
 
@@ -31,6 +33,8 @@ import * as searchResultsController from "./searchResultsController.js";
 import * as recipeDetailsController from "./recipeDetailsController.js";
 import * as addMealController from "./addMealController.js";
 import * as mealPlanController from "./mealPlanController.js";
+import * as shoppingListController from "./shoppingListController.js";
+import * as settingsController from "./settingsController.js";
 
 //Import model
 import * as model from "../model/index.js";
@@ -43,25 +47,82 @@ import * as model from "../model/index.js";
  * Steps:
  * 1. **Initialize App State**:
  *    - Loads the recipe book from local storage into the app state.
+ *    - Loads the pantry from local storage into the app state.
+ *    - Loads the saved searches and search history from local storage into the app state.
+ *    - Loads today's API quota usage from local storage into the app state.
+ *    - Loads the offline recipe catalog from local storage into the app state.
+ *    - Loads the user's display preferences from local storage into the app state.
+ *    - Loads the user's profile (personal daily values) from local storage into the app state.
  *    - Loads the meal planner data from local storage into the app state.
+ *    - Recalculates the percent daily values of the saved recipes once if the standard daily values changed since they were saved.
+ *    - Loads the latest shopping list from local storage into the app state.
+ *    - Loads the user's household staples and ingredient rules from local storage into the app state.
  *
  * 2. **Attach Event Listeners**:
  *    - Calls the `init` function of each controller to set up event handlers for all interactive elements.
  *
  * Notes:
- * - Uncomment `model.clearRecipeBook()` or `model.clearMealPlan()` during development to reset app state.
+ * - Uncomment `model.clearRecipeBook()`, `model.clearPantry()`, `model.clearMealPlan()`, `model.clearMealSlots()`, `model.clearNutritionGoals()`, `model.clearUserProfile()`, `model.clearShoppingList()`, `model.clearPreferences()`, `model.clearIngredientSettings()`, `model.clearSavedSearches()`, `model.clearSearchHistory()`, `model.clearApiQuota()`, `model.clearRecipeCatalog()` or `model.clearRecipeCache()` during development to reset app state.
  */
 const init = function () {
   // PART 1 OF INIT: INITIALIZE APP
   //model.clearRecipeBook(); // Uncomment during development to clear the recipe book
+  //model.clearPantry(); // Uncomment during development to clear the pantry
   //model.clearMealPlan(); // Uncomment during development to clear the meal plan
+  //model.clearMealSlots(); // Uncomment during development to restore the default meal slots (also clears the meal plan)
+  //model.clearNutritionGoals(); // Uncomment during development to clear the nutrition goals
+  //model.clearUserProfile(); // Uncomment during development to clear the user profile (recipes keep the percent daily values they were saved with)
+  //model.clearShoppingList(); // Uncomment during development to clear the shopping list
+  //model.clearPreferences(); // Uncomment during development to reset the preferences
+  //model.clearIngredientSettings(); // Uncomment during development to reset the staples and ingredient rules
+  //model.clearSavedSearches(); // Uncomment during development to clear the saved searches
+  //model.clearSearchHistory(); // Uncomment during development to clear the search history
+  //model.clearApiQuota(); // Uncomment during development to clear the recorded API quota usage
+  //model.clearRecipeCatalog(); // Uncomment during development to clear the offline recipe catalog
+  //model.clearRecipeCache(); // Uncomment during development to clear the recipe details cache
 
   // Initialize recipe book
   model.initializeRecipeBook();
 
+  // Initialize the pantry
+  model.initializePantry();
+
+  // Initialize the saved searches
+  model.initializeSavedSearches();
+
+  // Initialize the search history
+  model.initializeSearchHistory();
+
+  // Initialize the API quota usage
+  model.initializeApiQuota();
+
+  // Initialize the offline recipe catalog
+  model.initializeRecipeCatalog();
+
+  //Initialize the preferences (before the meal planner, its weeks start on the day set in the preferences)
+  model.initializePreferences();
+
+  //Initialize the nutrition goals
+  model.initializeNutritionGoals();
+
+  //Initialize the user profile (the daily values of the percent daily values of recipes)
+  model.initializeUserProfile();
+
+  //Initialize the meal slots (before the meal planner, its days have a list of meals for each slot)
+  model.initializeMealSlots();
+
   //Initialize the meal planner
   model.initializeMealPlan();
 
+  //Recalculate the percent daily values of the saved recipes if the standard daily values changed (after the recipe book, offline catalog, user profile and meal planner are initialized)
+  model.updateOutdatedPercentDV();
+
+  //Initialize the shopping list
+  model.initializeShoppingList();
+
+  //Initialize the ingredient settings (staples, synonym and substitution rules)
+  model.initializeIngredientSettings();
+
   //PART 2 OF INIT: ADD EVENT LISTENERS TO ALL BUTTONS AND INTERACTIVE ELEMENTS
   navBarController.init();
   homePageController.init();
@@ -72,6 +133,8 @@ const init = function () {
   recipeDetailsController.init();
   addMealController.init();
   mealPlanController.init();
+  shoppingListController.init();
+  settingsController.init();
 };
 
 //Beginning of program execution
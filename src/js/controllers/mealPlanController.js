@@ -3,14 +3,16 @@
  *
  * Responsibilities:
  * - Handles updates to the calendar view, including rendering the current week and updating meal plan details.
+ * - Jumps to the current week, the week of a date, or a past week from the archive.
  * - Manages meal removal and meal entry functionalities for the meal planner.
+ * - Marks meals as cooked (taking their ingredients out of the pantry) and undoes it.
  * - Delegates to various helper functions for updating the model and the UI.
  *
  * Dependencies:
  * - mealPlanView: Provides the UI interactions and rendering for the meal planner.
  * - modalUtils: Provides modal management functions for adding recipes to the planner and opening recipe modals.
  * - mealPlanUtils: Provides functions for updating meal plan data and UI for specific days and weeks.
- * - sharedUtils: Provides utility functions such as creating sorted date arrays.
+ * - ingredientSearchUtils: Provides the function that re-renders the pantry on the Ingredient Search page.
  */
 
 import * as model from "../model/index.js";
@@ -20,13 +22,13 @@ import MealPlanView from "../views/mainViews/mealPlanView.js";
 
 //Import utilities
 import { controlOpenAddMealToSlotModal, controlOpenAddRecipeModal, controlOpenRecipeDetailsModal } from "./controllerUtils/highLevel/modalUtils.js";
-import { updateMealPlanDay, updateMealPlanWeek } from "./controllerUtils/featureSpecific/mealPlanUtils.js";
-import { createSortedDateStrArr } from "../sharedUtils.js";
+import { updateMealPlanDay, updateMealPlanCalendar, updateMealPlanSlots } from "./controllerUtils/featureSpecific/mealPlanUtils.js";
+import { renderPantry } from "./controllerUtils/featureSpecific/ingredientSearchUtils.js";
 
 /**
  * Updates the calendar view when the user navigates through the weeks using the slider on the UI
  * - Updates the current calendar week in state if applicable (if user pressed forward or backward on slider)
- * - Render week dates, nutrition dropdown, and meals on day panels in planner for the new week
+ * - Render week slider, week dates, nutrition dropdown, and meals on day panels in planner for the new week
  *
  * @param {string} direction - The direction to update the calendar ('nextWeek' or 'previousWeek').
  */
@@ -34,14 +36,18 @@ const controlUpdateCalendarView = function (direction) {
   //Update the current calendar week in the model state
   if (direction) model.updateSliderWeek(direction);
 
-  //Render the new calendar week (Monday) in the week slider
-  MealPlanView.renderWeekSlider(model.state.mealCalendarWeek);
-
-  //Update the dates on the week day panels
-  updateWeekDates(model.state.mealCalendarWeek);
+  //Render the new calendar week
+  updateMealPlanCalendar(model.state.mealCalendarWeek);
+};
 
-  //Update meals and nutrition for all day panels
-  updateMealPlanWeek(model.state.mealCalendarWeek);
+/**
+ * Displays the week of a date on the calendar (the "This Week" button, the date input or the past weeks dropdown).
+ *
+ * @param {string} [dateString] - A date in the week to display (e.g., 'Wed Jan 22 2025'). Defaults to today.
+ */
+const controlJumpToDate = function (dateString) {
+  model.jumpToWeek(dateString ? new Date(dateString) : new Date());
+  updateMealPlanCalendar(model.state.mealCalendarWeek);
 };
 
 /**
@@ -60,38 +66,73 @@ const controlRemoveMealEntry = function (recipeId, { dayDateString, meal }) {
   updateMealPlanDay(dayDateString);
 };
 
-//HELPER FUNCTIONS
+/**
+ * Marks a meal in the meal plan as cooked (taking its ingredients out of the pantry), or undoes it if the meal is already marked as cooked.
+ * Shows a notice with the pantry changes (and an undo button) at the top of the planner.
+ *
+ * @param {number} recipeId - The ID of the recipe.
+ * @param {Object} options - Contains the date and meal information of the meal entry.
+ * @param {string} options.dayDateString - The date (e.g., 'Mon Jan 20 2025') the recipe is under.
+ * @param {string} options.meal - The meal slot (e.g., 'lunch', 'dinner') the recipe is under.
+ */
+const controlToggleMealCooked = function (recipeId, { dayDateString, meal }) {
+  const recipe = model.getRecipeFromMealPlan(recipeId, dayDateString, meal);
+  if (recipe?.cooked) {
+    controlUndoMealCooked(recipeId, { dayDateString, meal });
+    return;
+  }
+
+  try {
+    const cookedSummary = model.markMealAsCooked(recipeId, dayDateString, meal);
+    MealPlanView.renderCookedNotice(cookedSummary, { recipeId, dayDateString, meal });
+  } catch (error) {
+    MealPlanView.renderCookedNoticeMessage(error.message);
+  }
+
+  updateMealPlanDay(dayDateString);
+  renderPantry();
+};
 
 /**
- * Updates the displayed dates for each weekday in the meal planner UI.
+ * Undoes marking a meal as cooked: puts its ingredients back into the pantry.
  *
- * @param {string} firstDayOfWeek - The first date of the  week to display (e.g., 'Mon Jan 20 2025').
- * When the user uses the week slider to adjust the week, this function renders the new dates for the new week (Monday through Friday)
- * @private
+ * @param {number} recipeId - The ID of the recipe.
+ * @param {Object} options - Contains the date and meal information of the meal entry.
+ * @param {string} options.dayDateString - The date (e.g., 'Mon Jan 20 2025') the recipe is under.
+ * @param {string} options.meal - The meal slot (e.g., 'lunch', 'dinner') the recipe is under.
  */
-const updateWeekDates = function (firstDayOfWeek) {
-  const weekObject = model.state.mealPlan[firstDayOfWeek];
-  const weekDays = createSortedDateStrArr(weekObject).slice(0, 5);
-  const domWeekDays = MealPlanView.getWeekDays();
-  weekDays.forEach((weekDay, index) => {
-    MealPlanView.renderWeekDate(weekDays[index], domWeekDays[index]);
-  });
+const controlUndoMealCooked = function (recipeId, { dayDateString, meal }) {
+  try {
+    model.undoMealCooked(recipeId, dayDateString, meal);
+    MealPlanView.renderCookedNoticeMessage("The meal is no longer marked as cooked and its ingredients are back in your pantry.");
+  } catch (error) {
+    MealPlanView.renderCookedNoticeMessage(error.message);
+  }
+
+  //The meal may be in a week that is not displayed anymore (the undo button of the notice is still available after changing weeks)
+  if (MealPlanView.isDayDisplayed(dayDateString)) updateMealPlanDay(dayDateString);
+  renderPantry();
 };
 
 //VIEW INITIALIZATION
 
 /**
- * Initializes the Meal Plan View by attaching event handlers for user interactions with the meal planner.
+ * Initializes the Meal Plan View by rendering the user's meal slots and the current week, and attaching event handlers for user interactions with the meal planner.
  *
  * Event handlers:
  * - `controlUpdateCalendarView`: Updates the calendar view when navigating between weeks using the slider.
+ * - `controlJumpToDate`: Displays the week of a date (the current week, a date picked in the date input or a past week from the archive).
  * - `controlOpenAddMealToSlotModal`: Opens the Add Meal To Slot Modal when the plus button is clicked for a meal slot in the calendar.
  * - `controlOpenAddRecipeModal`: Opens the Add Recipe Modal when the move button (arrow icon) is clicked on a meal entry in  the calendar.
  * - `controlRemoveMealEntry`: Removes a recipe from the meal plan when the remove button is clicked on a meal entry in the calendar.
  * - `controlOpenRecipeDetailsModal`: Opens the Recipe Details Modal when a meal entry is clicked in the calendar.
+ * - `controlToggleMealCooked`: Marks a meal as cooked (or undoes it) when the check button is clicked on a meal entry in the calendar.
+ * - `controlUndoMealCooked`: Undoes marking a meal as cooked when the undo button of the cooked meal notice is clicked.
  */
 export const init = function () {
-  controlUpdateCalendarView(); //Part of app initialization
+  updateMealPlanSlots(); //Part of app initialization (renders the meal slots and the current week)
   MealPlanView.addHandlerWeekSlider(controlUpdateCalendarView);
-  MealPlanView.addHandlerCalendarBtns(controlOpenAddMealToSlotModal, controlOpenAddRecipeModal, controlRemoveMealEntry, controlOpenRecipeDetailsModal);
+  MealPlanView.addHandlerJumpToDate(controlJumpToDate);
+  MealPlanView.addHandlerCalendarBtns(controlOpenAddMealToSlotModal, controlOpenAddRecipeModal, controlRemoveMealEntry, controlOpenRecipeDetailsModal, controlToggleMealCooked);
+  MealPlanView.addHandlerCookedNotice(controlUndoMealCooked);
 };
@@ -4,6 +4,7 @@
  * Responsibilities:
  * - Handles interactions within the Recipe Details Modal (supports the RecipeDetailsModal), including:
  *   - Updating recipe servings.
+ *   - Switching the measurement system (US or metric) the ingredients are displayed in.
  *   - Bookmarking recipes.
  *   - Adding recipes to the meal planner.
  *
@@ -89,7 +90,7 @@ const controlUpdateServings = function (recipeId, operation, { source, currentDa
  */
 const renderPostServingsUpdate = function (updatedRecipe, source, options) {
   const showIngredientAvailability = source === "ingredientSearch" ? true : false;
-  RecipeDetailsModal.renderRecipeContent(updatedRecipe, showIngredientAvailability, options);
+  RecipeDetailsModal.renderRecipeContent(updatedRecipe, showIngredientAvailability, options, model.state.preferences.measurementSystem);
 };
 
 /**
@@ -107,6 +108,27 @@ const updateRecipeHighlights = function (updatedRecipe) {
   });
 };
 
+/**
+ * Saves the measurement system (US or metric) the user selected as their preference, then re-renders the ingredients of the recipe in the Recipe Details Modal in that system.
+ *
+ * Parameters use the shared "source-currentDate-currentMeal" pattern.
+ * For details, see the documentation at the top of this file.
+ *
+ * @param {string} measurementSystem - The measurement system selected (`'us'` or `'metric'`).
+ * @param {number} recipeId - ID of the recipe displayed in the modal.
+ * @param {Object} options - Used to locate the recipe in the model.
+ * @param {string} options.source - Source of the recipe (e.g., 'mealPlan').
+ * @param {string|null} [options.currentDate=null] - Date the recipe is under in the meal plan.
+ * @param {string|null} [options.currentMeal=null] - Meal slot the recipe is under in the meal plan.
+ */
+const controlMeasurementSystem = function (measurementSystem, recipeId, { source, currentDate = null, currentMeal = null }) {
+  model.setMeasurementSystem(measurementSystem);
+
+  const recipe = model.getRecipe(recipeId, { source, currentDate, currentMeal });
+  const showIngredientAvailability = source === "ingredientSearch";
+  RecipeDetailsModal.updateMeasurementSystem(recipe, showIngredientAvailability, measurementSystem);
+};
+
 //VIEW INITIALIZATION
 
 /**
@@ -117,10 +139,12 @@ const updateRecipeHighlights = function (updatedRecipe) {
  * - `controlBookmarks`: Toggles the bookmark status for the displayed recipe when bookmark button is clicked.
  * - `controlOpenAddRecipeModal`: Opens the Add Recipe Modal when the "Add to Planner" button is clicked.
  * - `controlUpdateServings`: Adjusts the recipe servings when the servings adjustment buttons are clicked (plus or minus)
+ * - `controlMeasurementSystem`: Displays the ingredients in the US or metric measurement system when the measurement system buttons are clicked
  */
 export const init = function () {
   RecipeDetailsModal.addHandlerCloseModal(controlCloseRecipeDetailsModal);
   RecipeDetailsModal.addHandlerBookmarkBtn(controlBookmarks);
   RecipeDetailsModal.addHandlerAddToPlanner(controlOpenAddRecipeModal);
   RecipeDetailsModal.addHandlerUpdateServings(controlUpdateServings);
+  RecipeDetailsModal.addHandlerMeasurementSystem(controlMeasurementSystem);
 };
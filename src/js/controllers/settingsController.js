@@ -0,0 +1,201 @@
+/**
+ * @fileoverview Controller for managing interactions and functionality related to the Settings Page.
+ *
+ * Responsibilities:
+ * - Adds and removes the user's household staples (ingredients always assumed to be available), and restores the default staples.
+ * - Adds and removes the user's ingredient synonym and substitution rules (used to match recipe ingredients with pantry items).
+ * - Changes the first day of the meal planner week (Monday or Sunday).
+ * - Saves and removes the user's profile (personal daily targets, used for the percent daily values of recipes), and sets its daily targets as the nutrition goals.
+ * - Sets the daily nutrition goals, for every day or for a weekday.
+ * - Adds, removes and reorders the meal slots of the meal planner days, and sets their target times.
+ *
+ * Dependencies:
+ * - SettingsView: Provides the UI interactions and rendering for the Settings Page.
+ * - mealPlanUtils: Provides the functions that re-render the meal planner calendar (its weeks change with the first day of the week, its nutrition progress with the goals) and its meal slots.
+ */
+
+import * as model from "../model/index.js";
+
+//Import view instance
+import SettingsView from "../views/mainViews/settingsView.js";
+
+//Import utilities
+import { updateMealPlanCalendar, updateMealPlanSlots } from "./controllerUtils/featureSpecific/mealPlanUtils.js";
+
+/**
+ * Updates the ingredient settings in the model, then renders them. If the model rejects the change (e.g., an empty name), the error is displayed below the form of the section.
+ *
+ * @param {"staples"|"synonyms"|"substitutions"} section - The section of the Settings Page the change was made in.
+ * @param {Function} updateSettings - Updates the settings in the model (may throw a validation error).
+ * @param {boolean} [isFormEntry=false] - Whether the change was submitted with the section's form (cleared once the entry is added).
+ * @private
+ */
+const updateIngredientSettings = function (section, updateSettings, isFormEntry = false) {
+  try {
+    updateSettings();
+    SettingsView.renderError(section, "");
+    if (isFormEntry) SettingsView.clearForm(section);
+    SettingsView.renderSettings(model.state.ingredientSettings);
+  } catch (error) {
+    SettingsView.renderError(section, error.message);
+  }
+};
+
+//Adds a household staple
+const controlAddStaple = function (name) {
+  updateIngredientSettings("staples", () => model.addStaple(name), true);
+};
+
+//Removes a household staple
+const controlRemoveStaple = function (name) {
+  updateIngredientSettings("staples", () => model.removeStaple(name));
+};
+
+//Restores the default household staples
+const controlResetStaples = function () {
+  updateIngredientSettings("staples", model.resetStaples);
+};
+
+//Adds a synonym rule (two names for the same ingredient)
+const controlAddSynonym = function (ingredient, synonym) {
+  updateIngredientSettings("synonyms", () => model.addSynonymRule(ingredient, synonym), true);
+};
+
+//Adds a substitution rule (an ingredient that can be used instead of another one)
+const controlAddSubstitution = function (ingredient, substitute, note) {
+  updateIngredientSettings("substitutions", () => model.addSubstitutionRule(ingredient, substitute, note), true);
+};
+
+//Removes a synonym or substitution rule
+const controlRemoveRule = function (ruleId) {
+  model.removeIngredientRule(ruleId);
+  SettingsView.renderSettings(model.state.ingredientSettings);
+};
+
+//Changes the first day of the meal planner week, then re-renders the meal planner with the regrouped weeks
+const controlWeekStart = function (weekStart) {
+  model.setWeekStart(weekStart);
+  SettingsView.renderWeekStart(model.state.preferences.weekStart);
+  updateMealPlanCalendar(model.state.mealCalendarWeek);
+};
+
+//Saves the user's profile (the percent daily values of recipes are then based on its daily targets). If an input is invalid, the error is displayed below the form
+const controlSaveUserProfile = function (profile) {
+  try {
+    model.setUserProfile(profile);
+    SettingsView.renderError("profile", "");
+    SettingsView.renderUserProfile(model.state.userProfile);
+  } catch (error) {
+    SettingsView.renderError("profile", error.message);
+  }
+};
+
+//Removes the user's profile (the percent daily values of recipes go back to the standard daily values)
+const controlRemoveUserProfile = function () {
+  model.removeUserProfile();
+  SettingsView.renderError("profile", "");
+  SettingsView.renderUserProfile(model.state.userProfile);
+};
+
+//Sets the daily targets of the user's profile as the nutrition goals for every day, then re-renders the goals form (showing the goals for every day) and the meal planner
+const controlUseProfileGoals = function () {
+  model.setNutritionGoals(model.state.userProfile.dailyTargets);
+  controlNutritionGoalsWeekday(null);
+  updateMealPlanCalendar(model.state.mealCalendarWeek);
+};
+
+//Shows the nutrition goals of the picked days (every day or a weekday) in the goals form
+const controlNutritionGoalsWeekday = function (weekday) {
+  SettingsView.renderError("nutritionGoals", "");
+  SettingsView.renderNutritionGoals(weekday, model.getNutritionGoals(weekday));
+};
+
+//Saves the nutrition goals for every day or a weekday, then re-renders the meal planner with the progress towards the new goals. If a goal is invalid, the error is displayed below the form
+const controlSaveNutritionGoals = function (goals, weekday) {
+  try {
+    model.setNutritionGoals(goals, weekday);
+    controlNutritionGoalsWeekday(weekday);
+    updateMealPlanCalendar(model.state.mealCalendarWeek);
+  } catch (error) {
+    SettingsView.renderError("nutritionGoals", error.message);
+  }
+};
+
+//Removes the goals of a weekday (it then uses the goals for every day), then re-renders the meal planner
+const controlClearWeekdayGoals = function (weekday) {
+  model.clearWeekdayNutritionGoals(weekday);
+  controlNutritionGoalsWeekday(weekday);
+  updateMealPlanCalendar(model.state.mealCalendarWeek);
+};
+
+/**
+ * Updates the meal slots in the model, then renders them on the Settings Page and the meal planner. If the model rejects the change (e.g., the slot still has planned meals), the error is displayed below the meal slot form.
+ *
+ * @param {Function} updateSlots - Updates the meal slots in the model (may throw a validation error).
+ * @param {boolean} [isFormEntry=false] - Whether the change was submitted with the meal slot form (cleared once the slot is added).
+ * @private
+ */
+const updateMealSlots = function (updateSlots, isFormEntry = false) {
+  try {
+    updateSlots();
+    SettingsView.renderError("mealSlots", "");
+    if (isFormEntry) SettingsView.clearForm("mealSlots");
+  } catch (error) {
+    SettingsView.renderError("mealSlots", error.message);
+  }
+  //Also re-rendered after an error, so a rejected target time input shows the saved time again
+  SettingsView.renderMealSlots(model.state.mealSlots);
+  updateMealPlanSlots();
+};
+
+//Adds a meal slot (after the other slots)
+const controlAddMealSlot = function (name, time) {
+  updateMealSlots(() => model.addMealSlot(name, time), true);
+};
+
+//Moves a meal slot up or down
+const controlMoveMealSlot = function (slotId, direction) {
+  updateMealSlots(() => model.moveMealSlot(slotId, direction));
+};
+
+//Removes a meal slot (only if no meals are planned in it)
+const controlRemoveMealSlot = function (slotId) {
+  updateMealSlots(() => model.removeMealSlot(slotId));
+};
+
+//Sets the target time of a meal slot
+const controlMealSlotTime = function (slotId, time) {
+  updateMealSlots(() => model.setMealSlotTime(slotId, time));
+};
+
+//VIEW INITIALIZATION
+
+/**
+ * Initializes the Settings View by rendering the user's ingredient settings, first day of the week, profile, nutrition goals and meal slots, and attaching event handlers for user interactions.
+ *
+ * Event handlers:
+ * - `controlAddStaple`, `controlRemoveStaple`, `controlResetStaples`: Manage the household staples.
+ * - `controlAddSynonym`, `controlAddSubstitution`, `controlRemoveRule`: Manage the user's ingredient rules.
+ * - `controlWeekStart`: Changes the first day of the meal planner week.
+ * - `controlSaveUserProfile`, `controlRemoveUserProfile`, `controlUseProfileGoals`: Manage the user's profile.
+ * - `controlNutritionGoalsWeekday`, `controlSaveNutritionGoals`, `controlClearWeekdayGoals`: Manage the nutrition goals.
+ * - `controlAddMealSlot`, `controlMoveMealSlot`, `controlRemoveMealSlot`, `controlMealSlotTime`: Manage the meal slots.
+ */
+export const init = function () {
+  SettingsView.renderSettings(model.state.ingredientSettings); //Part of app initialization
+  SettingsView.renderWeekStart(model.state.preferences.weekStart); //Part of app initialization
+  SettingsView.renderUserProfile(model.state.userProfile); //Part of app initialization
+  SettingsView.renderNutritionGoals(null, model.getNutritionGoals()); //Part of app initialization
+  SettingsView.renderMealSlots(model.state.mealSlots); //Part of app initialization
+  SettingsView.addHandlerAddStaple(controlAddStaple);
+  SettingsView.addHandlerRemoveStaple(controlRemoveStaple);
+  SettingsView.addHandlerResetStaples(controlResetStaples);
+  SettingsView.addHandlerAddSynonym(controlAddSynonym);
+  SettingsView.addHandlerAddSubstitution(controlAddSubstitution);
+  SettingsView.addHandlerRemoveRule(controlRemoveRule);
+  SettingsView.addHandlerWeekStart(controlWeekStart);
+  SettingsView.addHandlerUserProfile(controlSaveUserProfile, controlRemoveUserProfile, controlUseProfileGoals);
+  SettingsView.addHandlerNutritionGoals(controlNutritionGoalsWeekday, controlSaveNutritionGoals, controlClearWeekdayGoals);
+  SettingsView.addHandlerAddMealSlot(controlAddMealSlot);
+  SettingsView.addHandlerMealSlots(controlMoveMealSlot, controlRemoveMealSlot, controlMealSlotTime);
+};
@@ -36,11 +36,15 @@ import BrowseRecipesView from "../views/mainViews/browseRecipesView.js";
 import RecipeBookView from "../views/mainViews/recipeBookView.js";
 import ResultsView from "../views/mainViews/resultsView.js";
 import MealPlanView from "../views/mainViews/mealPlanView.js";
+import ShoppingListView from "../views/mainViews/shoppingListView.js";
+import SettingsView from "../views/mainViews/settingsView.js";
 
 //Import modal view instances
 import OverlayView from "../views/mainViews/overlayView.js";
 import FilterRecipesModal from "../views/modalWindowViews/filterRecipesModal.js";
 import BrowseCollectionModal from "../views/modalWindowViews/browseCollectionModal.js";
+import SavedSearchModal from "../views/modalWindowViews/savedSearchModal.js";
+import PantryItemModal from "../views/modalWindowViews/pantryItemModal.js";
 import CustomRecipeModal from "../views/modalWindowViews/customRecipeModal.js";
 import AddRecipeModal from "../views/modalWindowViews/addRecipeModal.js";
 import RecipeDetailsModal from "../views/modalWindowViews/recipeDetailsModal.js";
@@ -62,7 +66,7 @@ import { loadRandomRecipes } from "./controllerUtils/featureSpecific/browseRecip
 export const controlNavBar = function (linkCode) {
   NavBarView.toggleActiveClass(linkCode);
 
-  const views = [OverlayView, HomeView, IngredientSearchView, BrowseRecipesView, RecipeBookView, MealPlanView, FilterRecipesModal, BrowseCollectionModal, CustomRecipeModal, AddRecipeModal, RecipeDetailsModal, AddMealToSlotModal];
+  const views = [OverlayView, HomeView, IngredientSearchView, BrowseRecipesView, RecipeBookView, MealPlanView, ShoppingListView, SettingsView, FilterRecipesModal, BrowseCollectionModal, SavedSearchModal, PantryItemModal, CustomRecipeModal, AddRecipeModal, RecipeDetailsModal, AddMealToSlotModal];
 
   views.forEach((view) => view.hide());
 
@@ -81,6 +85,8 @@ export const controlNavBar = function (linkCode) {
       showView(RecipeBookView);
     },
     planner: () => showView(MealPlanView),
+    shopping: () => showView(ShoppingListView),
+    settings: () => showView(SettingsView),
   };
 
   if (viewHandlers[linkCode]) {
@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Controller for managing interactions and functionality related to the shopping list.
+ *
+ * Responsibilities:
+ * - Generates the shopping list for the date range of the meal plan selected by the user.
+ * - Checks items off the shopping list.
+ *
+ * Dependencies:
+ * - shoppingListView: Provides the UI interactions and rendering for the Shopping List Page.
+ */
+
+import * as model from "../model/index.js";
+
+//Import view instance
+import ShoppingListView from "../views/mainViews/shoppingListView.js";
+
+/**
+ * Generates the shopping list for the date range input by the user (adding up the ingredients of the planned meals and subtracting what is in the pantry), then renders it.
+ */
+const controlGenerateShoppingList = function () {
+  const { startDate, endDate } = ShoppingListView.getDateRange();
+
+  try {
+    const shoppingList = model.generateShoppingList(startDate, endDate);
+    ShoppingListView.renderError("");
+    ShoppingListView.renderShoppingList(shoppingList);
+  } catch (error) {
+    ShoppingListView.renderError(error.message);
+  }
+};
+
+/**
+ * Checks an item off the shopping list (or unchecks it) in the model. The view already shows the new state of the checkbox.
+ *
+ * @param {string} itemId - The id of the shopping list item.
+ */
+const controlToggleShoppingListItem = function (itemId) {
+  model.toggleShoppingListItem(itemId);
+};
+
+//VIEW INITIALIZATION
+
+/**
+ * Initializes the Shopping List View by rendering the latest shopping list (from the last session) and attaching event handlers for user interactions.
+ *
+ * Event handlers:
+ * - `controlGenerateShoppingList`: Generates the shopping list when the date range form is submitted.
+ * - `controlToggleShoppingListItem`: Checks an item off the shopping list when its checkbox is clicked.
+ */
+export const init = function () {
+  ShoppingListView.renderShoppingList(model.state.shoppingList); //Part of app initialization
+  ShoppingListView.addHandlerGenerateList(controlGenerateShoppingList);
+  ShoppingListView.addHandlerToggleItem(controlToggleShoppingListItem);
+};
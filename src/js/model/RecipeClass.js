@@ -39,6 +39,8 @@ export default class Recipe {
    * @param {number} percentDVCarbs - Percent daily value of carbohydrates.
    * @param {number} numMissingIngredients - Number of ingredients the user is missing for this recipe.
    * @param {"app"|"user"} origin - The origin of the recipe. "app" if it comes from the app, "user" if it is a custom recipe added by the user.
+   * @param {Object[]} [expiringIngredients=[]] - The pantry items expiring soon that the recipe uses (`{name, expirationDate}`, ingredient searches only).
+   * @param {number|string} [numUsedIngredients="N/A"] - Number of the recipe's ingredients the user has in their pantry (ingredient searches only, household staples are not counted).
    */
   constructor(
     title,
@@ -72,7 +74,9 @@ export default class Recipe {
     percentDVFats,
     percentDVCarbs,
     numMissingIngredients,
-    origin
+    origin,
+    expiringIngredients = [],
+    numUsedIngredients = "N/A"
   ) {
     this.title = title;
     this.image = image;
@@ -106,5 +110,7 @@ export default class Recipe {
     this.percentDVCarbs = percentDVCarbs;
     this.numMissingIngredients = numMissingIngredients;
     this.origin = origin;
+    this.expiringIngredients = expiringIngredients;
+    this.numUsedIngredients = numUsedIngredients;
   }
 }
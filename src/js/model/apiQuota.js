@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Tracks the recipe API quota (Spoonacular "points") used by the app, per session and per day.
+ *
+ * Every Spoonacular response includes quota headers, which the request layer (apiRequest.js) passes to `recordApiQuota`:
+ * - `X-API-Quota-Request`: The points used by the request.
+ * - `X-API-Quota-Used`: The points used so far today.
+ * - `X-API-Quota-Left`: The points left today.
+ * A 402 (payment required) response means the daily quota is used up.
+ *
+ * The daily quota resets at midnight UTC. The daily usage is persisted in local storage (under "apiQuota") so it is known as soon as the app loads, the session usage is kept in state only.
+ * When the quota runs low, searches use the offline recipe catalog instead of the API (see `loadSearchResults` in searchableViewUtils.js).
+ *
+ * Example apiQuota object (state.apiQuota):
+ * {
+ *   session: { requests: 12, pointsUsed: 31.4 },                                // Usage since the app was opened
+ *   daily: { date: "2025-01-15", requests: 40, pointsUsed: 104.2, pointsLeft: 45.8 }, // Usage for the current UTC day (pointsUsed/pointsLeft are null until the API reports them)
+ * }
+ *
+ * Dependencies:
+ * - `state`: The application's central state object.
+ * - Constants from `config.js`: `QUOTA_LOW_THRESHOLD`
+ */
+
+//Import application state
+import { state } from "./state.js";
+
+//Import variables from config file
+import { QUOTA_LOW_THRESHOLD } from "../config.js";
+
+/**
+ * Records the quota usage reported in the headers of an API response, then saves the daily usage to local storage.
+ *
+ * @param {Response} response - The API response.
+ */
+export const recordApiQuota = function (response) {
+  const daily = getDailyQuota();
+  const pointsUsedByRequest = Number(response.headers.get("X-API-Quota-Request")) || 0;
+  const pointsUsedToday = parseQuotaHeader(response, "X-API-Quota-Used");
+  const pointsLeft = parseQuotaHeader(response, "X-API-Quota-Left");
+
+  state.apiQuota.session.requests++;
+  state.apiQuota.session.pointsUsed += pointsUsedByRequest;
+
+  daily.requests++;
+  daily.pointsUsed = pointsUsedToday ?? (daily.pointsUsed || 0) + pointsUsedByRequest;
+  if (pointsLeft !== null) daily.pointsLeft = pointsLeft;
+  //The daily quota is used up
+  if (response.status === 402) daily.pointsLeft = 0;
+
+  persistApiQuota();
+};
+
+/**
+ * Checks whether the API quota left today is too low to make a search (below `QUOTA_LOW_THRESHOLD` points).
+ * The quota is unknown (not low) until the API reports it.
+ *
+ * @returns {boolean} True if the quota is low.
+ */
+export const isApiQuotaLow = function () {
+  const { pointsLeft } = getDailyQuota();
+  return pointsLeft !== null && pointsLeft < QUOTA_LOW_THRESHOLD;
+};
+
+//HELPER FUNCTIONS
+
+//Returns the quota usage for the current UTC day, starting a new day if the quota was reset since the last request
+const getDailyQuota = function () {
+  const today = new Date().toISOString().slice(0, 10);
+  if (state.apiQuota.daily.date !== today) state.apiQuota.daily = { date: today, requests: 0, pointsUsed: null, pointsLeft: null };
+  return state.apiQuota.daily;
+};
+
+//Returns the numeric value of a quota header, or null if the response doesn't include it
+const parseQuotaHeader = function (response, header) {
+  const value = response.headers.get(header);
+  return value === null || !Number.isFinite(Number(value)) ? null : Number(value);
+};
+
+//Saves the daily quota usage to localStorage.
+const persistApiQuota = function () {
+  localStorage.setItem("apiQuota", JSON.stringify(state.apiQuota.daily));
+};
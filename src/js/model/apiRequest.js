@@ -0,0 +1,163 @@
+/**
+ * @fileoverview Shared request layer for every call to the recipe API.
+ *
+ * - Timeouts: each request is aborted (using an AbortController) once it takes longer than its timeout, and rejects with a "Request timed out" error.
+ * - Cancellation: requests can be tied to a named request channel (e.g., "browseRecipes" or "autocomplete"). Starting a new request on a channel cancels the request still in flight on that channel, so a stale search or autocomplete request never overwrites the results of a newer one. Cancelled requests reject with an "AbortError" (see `isRequestCancelled`).
+ * - Retries: requests that fail with a 429 (too many requests) or 5xx (server error) status are retried with exponential backoff (the delay doubles after each attempt, or follows the `Retry-After` header if the API sends one).
+ * - Quota: the quota usage reported by every response is recorded (see apiQuota.js). A 402 response (daily quota used up) rejects with an "API quota exceeded" error.
+ *
+ * Dependencies:
+ * - `recordApiQuota`: Records the API quota usage reported by a response.
+ * - Constants from `config.js`: `API_REQUEST_TIMEOUT`, `MAX_REQUEST_RETRIES`, `RETRY_BASE_DELAY`
+ */
+
+//Import utilities
+import { recordApiQuota } from "./apiQuota.js";
+
+//Import variables from config file
+import { API_REQUEST_TIMEOUT, MAX_REQUEST_RETRIES, RETRY_BASE_DELAY } from "../config.js";
+
+//The AbortController of the latest request started on each request channel (channel name -> AbortController)
+const requestChannels = new Map();
+
+//REQUEST CHANNELS
+
+/**
+ * Starts a new request on a request channel, cancelling the request that is still in flight on the channel (if any).
+ *
+ * @param {string} channel - The name of the request channel (e.g., "ingredientSearch", "browseRecipes" or "autocomplete").
+ * @returns {AbortSignal} The signal to pass to the requests of the new request.
+ */
+export const startRequestChannel = function (channel) {
+  cancelRequestChannel(channel);
+
+  const controller = new AbortController();
+  requestChannels.set(channel, controller);
+  return controller.signal;
+};
+
+/**
+ * Cancels the request still in flight on a request channel (if any).
+ *
+ * @param {string} channel - The name of the request channel.
+ */
+export const cancelRequestChannel = function (channel) {
+  requestChannels.get(channel)?.abort(new DOMException("Request cancelled", "AbortError"));
+  requestChannels.delete(channel);
+};
+
+/**
+ * Checks whether an error was thrown because the request was cancelled (a newer request was started on the same channel).
+ * Cancelled requests are expected and should never be shown to the user.
+ *
+ * @param {Error} error - The error thrown by a request.
+ * @returns {boolean} True if the request was cancelled.
+ */
+export const isRequestCancelled = function (error) {
+  return error?.name === "AbortError";
+};
+
+//FETCHING
+
+/**
+ * Fetches a url and parses the JSON response. The request times out, can be cancelled and is retried as described at the top of the file.
+ *
+ * @param {string} url - The API url to fetch.
+ * @param {Object} [options={}] - Request options.
+ * @param {string} [options.errorMessage="API error"] - Message prefix used if the API responds with a failure status code.
+ * @param {number} [options.timeout=API_REQUEST_TIMEOUT] - Max time (in ms) each attempt may take.
+ * @param {AbortSignal|null} [options.signal=null] - Signal that cancels the request (see `startRequestChannel`).
+ * @param {number} [options.retries=MAX_REQUEST_RETRIES] - Max number of retries after a 429 or 5xx response.
+ * @returns {Promise<any>} The parsed response data.
+ * @throws {Error} If the request times out ("Request timed out"), is cancelled ("AbortError"), the daily API quota is used up ("API quota exceeded"), or the API responds with a failure status code after all retries.
+ */
+export const fetchJSON = async function (url, { errorMessage = "API error", timeout = API_REQUEST_TIMEOUT, signal = null, retries = MAX_REQUEST_RETRIES } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    const { response, data } = await fetchWithTimeout(url, timeout, signal);
+    recordApiQuota(response);
+    if (response.ok) return data;
+    if (response.status === 402) throw new Error("API quota exceeded");
+
+    //Throw a custom error if we get an API response code that indicates some sort of failure (and the request should not be retried)
+    if (!isRetryableStatus(response.status) || attempt >= retries) throw new Error(`${errorMessage}: ${response.status}`);
+
+    await wait(getRetryDelay(response, attempt), signal);
+  }
+};
+
+/**
+ * Waits for a number of ms. Rejects early if the signal is aborted (e.g., the request was cancelled while waiting to retry, or the user typed another character while an autocomplete request was debounced).
+ *
+ * @param {number} ms - The time to wait (in ms).
+ * @param {AbortSignal|null} [signal=null] - Signal that cancels the wait.
+ * @returns {Promise<void>} Resolves once the time has passed.
+ * @throws Will reject with the abort reason ("AbortError") if the signal is aborted.
+ */
+export const wait = function (ms, signal = null) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const timeoutId = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timeoutId);
+        reject(signal.reason);
+      },
+      { once: true }
+    );
+  });
+};
+
+//HELPER FUNCTIONS
+
+/**
+ * Makes a single request attempt, aborting it if it takes longer than the timeout or the signal is aborted.
+ *
+ * @param {string} url - The API url to fetch.
+ * @param {number} timeout - Max time (in ms) the attempt may take (including reading the response).
+ * @param {AbortSignal|null} signal - Signal that cancels the request.
+ * @returns {Promise<{response: Response, data: any}>} The response and its parsed JSON data (null if the response has a failure status code).
+ * @private
+ */
+const fetchWithTimeout = async function (url, timeout, signal) {
+  signal?.throwIfAborted();
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+  const cancelRequest = () => controller.abort();
+  signal?.addEventListener("abort", cancelRequest);
+
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    const data = response.ok ? await response.json() : null;
+    return { response, data };
+  } catch (error) {
+    //The request was cancelled, rethrow the cancellation error
+    signal?.throwIfAborted();
+    if (controller.signal.aborted) throw new Error("Request timed out");
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener("abort", cancelRequest);
+  }
+};
+
+//429 (too many requests) and 5xx (server errors) are temporary failures worth retrying
+const isRetryableStatus = function (status) {
+  return status === 429 || status >= 500;
+};
+
+/**
+ * Calculates how long to wait before retrying a request. Uses the `Retry-After` header (in seconds) if the API sent one, otherwise the delay doubles after each attempt (with some random jitter so retries are spread out).
+ *
+ * @param {Response} response - The failed response.
+ * @param {number} attempt - The number of the failed attempt (0 for the first request).
+ * @returns {number} The delay in ms.
+ * @private
+ */
+const getRetryDelay = function (response, attempt) {
+  const retryAfter = Number(response.headers.get("Retry-After"));
+  if (retryAfter > 0) return retryAfter * 1000;
+
+  return RETRY_BASE_DELAY * 2 ** attempt + Math.random() * RETRY_BASE_DELAY;
+};
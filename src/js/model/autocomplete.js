@@ -1,75 +1,294 @@
 /**
- * @fileoverview Manages the autocomplete functionality for ingredient and recipe searches.
+ * @fileoverview Autocomplete engine for ingredient and recipe searches.
  * Includes methods to:
- * -fetch autocomplete suggestions from the Spoonacular API.
- * -Check whether an ingredient input by the user in the IngredientSearchView is valid (recognized by the Spoonacular API)
+ * -Suggest completions for the user's partial input from local sources (no API call), ranked with fuzzy matching so they work offline and tolerate typos (e.g., "mozz" or "mozarela" suggest "mozzarella").
+ * -Add autocomplete suggestions from the active recipe data provider, requested once the user stops typing and cached by partial input.
+ * -Check whether an ingredient input by the user in the IngredientSearchView is valid (recognized by the active recipe data provider)
+ *
+ * Local suggestion sources:
+ * - Ingredient searches: the user's pantry history (the current pantry and the pantries of past ingredient searches), the user's household staples, and the ingredients of the ingredient ontology (see `getOntologyIngredientNames`).
+ * - Recipe searches: the recipe book titles, past and saved browse recipes search queries, and the same ingredient names (recipes are often searched by ingredient).
+ * The user's own suggestions (pantry history, recipe book) rank above the API suggestions, which rank above the general ingredient lists when they match the input equally well.
+ *
+ * API requests are debounced: every call waits `AUTOCOMPLETE_DEBOUNCE` ms before requesting suggestions, and a newer call (the user typed another character) cancels the wait or the request still in flight (using the "autocomplete" request channel).
+ * API suggestions are cached (per session) by partial input. If a shorter input already returned every suggestion the API has (fewer than requested), longer inputs are answered from the cache without another request.
+ * No autocomplete requests are made once the daily API quota is running low, so the remaining quota is kept for searches.
  *
  * Dependencies:
- * - API_BASE_URL: Base URL for the Spoonacular API.
- * - API_KEY: API key for authenticating requests to the Spoonacular API.
+ * - `state`: The application's central state object (pantry, household staples, search history, saved searches and recipe book).
+ * - `getRecipeProvider`: Returns the active recipe data provider (e.g., Spoonacular API or offline fixtures).
+ * - `startRequestChannel`, `isRequestCancelled`, `wait`: Debounce and cancel stale autocomplete requests (see apiRequest.js).
+ * - `isApiQuotaLow`: Checks whether the daily API quota is running low.
+ * - `getPantryIngredientNames`: The names of the ingredients in the pantry.
+ * - `getOntologyIngredientNames`: The names of the ingredients in the ingredient ontology.
+ * - Constants from `config.js`: `AUTOCOMPLETE_DEBOUNCE`, `NUM_API_AUTOCOMPLETE_SUGGESTIONS`, `NUM_AUTOCOMPLETE_SUGGESTIONS`, `MAX_AUTOCOMPLETE_CACHE_ENTRIES`
  */
 
+//Import application state
+import { state } from "./state.js";
+
+//Import recipe data provider
+import { getRecipeProvider } from "./recipeProviders/recipeProvider.js";
+
+//Import utilities
+import { startRequestChannel, isRequestCancelled, wait } from "./apiRequest.js";
+import { isApiQuotaLow } from "./apiQuota.js";
+import { getPantryIngredientNames } from "./pantry.js";
+import { getOntologyIngredientNames } from "./ingredientOntology.js";
+
 //Import variables from config file
-import { API_BASE_URL, API_KEY } from "../config.js";
+import { AUTOCOMPLETE_DEBOUNCE, NUM_API_AUTOCOMPLETE_SUGGESTIONS, NUM_AUTOCOMPLETE_SUGGESTIONS, MAX_AUTOCOMPLETE_CACHE_ENTRIES } from "../config.js";
+
+//API autocomplete suggestions of each partial input, oldest first ("mode|partial input" -> suggestions)
+const apiSuggestionsCache = new Map();
+
+/**
+ * Returns the autocomplete suggestions for a partial input that are available right away, without an API request: the local suggestions and any cached API suggestions.
+ * Used to show suggestions on every keystroke while the API suggestions are debounced.
+ *
+ * @param {string} partialSearch - The user's partial search input.
+ * @param {"ingredient"|"recipe"} mode - The type of suggestions. Use "ingredient" for ingredient names, "recipe" for recipe titles.
+ * @returns {string[]} Up to `NUM_AUTOCOMPLETE_SUGGESTIONS` suggestions, best match first.
+ */
+export const getLocalAutocompleteSuggestions = function (partialSearch, mode) {
+  return rankSuggestions(partialSearch, getSuggestionCandidates(mode, getCachedApiSuggestions(partialSearch, mode) || []));
+};
 
 /**
- * Extracts and formats autocomplete suggestions (e.g., ingredient names or recipe titles) based on a partial input.
+ * Extracts autocomplete suggestions (e.g., ingredient names or recipe titles) for a partial input, combining the local suggestions with the suggestions of the active recipe data provider.
+ * The API request is debounced and cached (see the top of the file). If the API can't be used (quota running low or request failed), only the local suggestions are returned.
  *
  * @param {string} partialSearch - The user's partial search input.
  * @param {"ingredient"|"recipe"} mode - The type of suggestions to extract. Use "ingredient" for ingredient names, "recipe" for recipe titles.
- * @returns {Promise<string[]>} A promise that resolves to an array of suggestion strings.
- * @throws Will log an error and return an empty array if the API call fails.
+ * @returns {Promise<string[]>} A promise that resolves to up to `NUM_AUTOCOMPLETE_SUGGESTIONS` suggestions, best match first.
+ * @throws Will throw an "AbortError" if a newer autocomplete request cancelled this one (the suggestions are stale).
  */
 export const extractAutocompleteSuggestions = async function (partialSearch, mode) {
+  const signal = startRequestChannel("autocomplete");
+  const apiSuggestions = await getApiSuggestions(partialSearch, mode, signal);
+
+  return rankSuggestions(partialSearch, getSuggestionCandidates(mode, apiSuggestions));
+};
+
+/**
+ * Validates whether the provided ingredient is recognized by the active recipe data provider (e.g., exists in Spoonacular's database).
+ * Cached autocomplete suggestions are used when available. If the daily API quota is running low the ingredient can't be checked, so it is accepted.
+ *
+ * @param {string} ingredient - The ingredient to validate.
+ * @returns {Promise<boolean>} A promise that resolves to true if the ingredient is valid, false otherwise.
+ * @throws Will throw a "Request timed out" error if the request times out. Will log an error and return false if the API call fails for any other reason.
+ */
+export const validateSearchQuery = async function (ingredient) {
+  const cachedSuggestions = getCachedApiSuggestions(ingredient, "ingredient");
+  if (cachedSuggestions) return cachedSuggestions.length > 0;
+  if (isApiQuotaLow()) return true;
+
   try {
-    const suggestions = await fetchAutocompleteSuggestions(partialSearch, mode);
-    const suggestionKey = mode === "ingredient" ? "name" : "title";
-    return suggestions.map((suggestion) => suggestion[suggestionKey]);
+    const suggestions = await fetchAutocompleteSuggestions(ingredient, "ingredient");
+    cacheApiSuggestions(ingredient, "ingredient", suggestions);
+    return suggestions.length > 0; //Returns true if valid ingredient
   } catch (error) {
-    console.error("Error extracting autocomplete suggestions:", error);
-    return []; // Return an empty array on failure
+    //Let the caller show the timeout message
+    if (error.message === "Request timed out") throw error;
+    console.error("Error validating search query:", error);
+    return false; // Treat ingredient as invalid if the API fails
   }
 };
 
+//API SUGGESTIONS
+
 /**
- * Fetches autocomplete suggestions from the Spoonacular API based on the search query and mode.
+ * Returns the API suggestions for a partial input, from the cache or (once the user stops typing) from the active recipe data provider.
+ *
+ * @param {string} partialSearch - The user's partial search input.
+ * @param {"ingredient"|"recipe"} mode - The type of suggestions.
+ * @param {AbortSignal} signal - Signal that cancels the wait and the request (a newer autocomplete request was started).
+ * @returns {Promise<string[]>} The API suggestions, or an empty array if the API can't be used.
+ * @throws Will throw an "AbortError" if a newer autocomplete request cancelled this one.
+ * @private
+ */
+const getApiSuggestions = async function (partialSearch, mode, signal) {
+  const cachedSuggestions = getCachedApiSuggestions(partialSearch, mode);
+  if (cachedSuggestions) return cachedSuggestions;
+  if (isApiQuotaLow()) return [];
+
+  //Debounce: wait until the user stops typing (another keystroke cancels the wait)
+  await wait(AUTOCOMPLETE_DEBOUNCE, signal);
+
+  try {
+    const suggestions = await fetchAutocompleteSuggestions(partialSearch, mode, signal);
+    cacheApiSuggestions(partialSearch, mode, suggestions);
+    return suggestions;
+  } catch (error) {
+    //The suggestions are stale, the caller should not render anything
+    if (isRequestCancelled(error)) throw error;
+    return []; // Only show the local suggestions on failure
+  }
+};
+
+/**
+ * Fetches autocomplete suggestions from the active recipe data provider based on the search query and mode.
  *
  * @param {string} search - The user's search query (partial or complete).
  * @param {"ingredient"|"recipe"} mode - The type of suggestions to fetch. Use "ingredient" for ingredient searches in the IngredeintSearchView, "recipe" for recipe searches in BrowseRecipesView.
- * @returns {Promise<Object[]>} A promise that resolves to an array of suggestion objects from the API.
- * @throws Will throw an error if the API request fails or returns a non-OK response.
+ * @param {AbortSignal|null} [signal=null] - Signal that cancels the request.
+ * @returns {Promise<string[]>} A promise that resolves to an array of suggestion strings from the provider.
+ * @throws Will throw an error if the provider request fails or is cancelled.
  * @private
  */
-const fetchAutocompleteSuggestions = async function (search, mode) {
+const fetchAutocompleteSuggestions = async function (search, mode, signal = null) {
   try {
-    const endpoint = mode === "ingredient" ? "food/ingredients" : "recipes";
-    const url = `${API_BASE_URL}/${endpoint}/autocomplete?query=${search}&number=5&apiKey=${API_KEY}`;
-    const response = await fetch(url);
+    return await getRecipeProvider().autocomplete(search, mode, signal);
+  } catch (error) {
+    if (!isRequestCancelled(error)) console.error("Error fetching autocomplete suggestions:", error);
+    throw error;
+  }
+};
+
+//Returns the cache key of a partial input (the cache is not case sensitive)
+const getCacheKey = function (partialSearch, mode) {
+  return `${mode}|${partialSearch.trim().toLowerCase()}`;
+};
+
+/**
+ * Returns the cached API suggestions for a partial input.
+ * If a shorter input returned fewer suggestions than requested, the API has no other suggestions starting with it, so the suggestions of the longer input are the cached suggestions that still match.
+ *
+ * @param {string} partialSearch - The user's partial search input.
+ * @param {"ingredient"|"recipe"} mode - The type of suggestions.
+ * @returns {string[]|null} The cached suggestions, or null if the API has to be called.
+ * @private
+ */
+const getCachedApiSuggestions = function (partialSearch, mode) {
+  const term = partialSearch.trim().toLowerCase();
+  if (!term) return null;
+  if (apiSuggestionsCache.has(getCacheKey(term, mode))) return apiSuggestionsCache.get(getCacheKey(term, mode));
 
-    if (!response.ok) {
-      throw new Error(`API error: ${response.status} - ${response.statusText}`);
+  for (let length = term.length - 1; length > 0; length--) {
+    const shorterInputSuggestions = apiSuggestionsCache.get(getCacheKey(term.slice(0, length), mode));
+    if (shorterInputSuggestions && shorterInputSuggestions.length < NUM_API_AUTOCOMPLETE_SUGGESTIONS) {
+      return shorterInputSuggestions.filter((suggestion) => suggestion.toLowerCase().includes(term));
     }
+  }
+  return null;
+};
 
-    return await response.json();
-  } catch (error) {
-    console.error("Error fetching autocomplete suggestions:", error);
-    throw error;
+//Caches the API suggestions of a partial input, dropping the oldest entry once the cache is full
+const cacheApiSuggestions = function (partialSearch, mode, suggestions) {
+  const key = getCacheKey(partialSearch, mode);
+  apiSuggestionsCache.delete(key);
+  apiSuggestionsCache.set(key, suggestions);
+  if (apiSuggestionsCache.size > MAX_AUTOCOMPLETE_CACHE_ENTRIES) apiSuggestionsCache.delete(apiSuggestionsCache.keys().next().value);
+};
+
+//LOCAL SUGGESTIONS
+
+/**
+ * Collects every suggestion candidate for a mode, in order of priority (used to order suggestions that match the input equally well).
+ *
+ * @param {"ingredient"|"recipe"} mode - The type of suggestions.
+ * @param {string[]} apiSuggestions - The API suggestions for the partial input.
+ * @returns {string[]} The candidates (may contain duplicates).
+ * @private
+ */
+const getSuggestionCandidates = function (mode, apiSuggestions) {
+  const ingredientNames = [...state.ingredientSettings.staples, ...getOntologyIngredientNames()];
+
+  if (mode === "ingredient") {
+    const pastPantries = state.searchHistory.filter((entry) => entry.mode === "ingredientSearch").flatMap((entry) => entry.pantry);
+    return [...getPantryIngredientNames(), ...pastPantries, ...apiSuggestions, ...ingredientNames];
   }
+
+  const pastQueries = state.searchHistory.filter((entry) => entry.mode === "browseRecipes").map((entry) => entry.query);
+  const savedQueries = state.savedSearches.map((savedSearch) => savedSearch.query);
+  const recipeTitles = state.recipeBook.map((recipe) => recipe.title);
+  return [...recipeTitles, ...pastQueries, ...savedQueries, ...apiSuggestions, ...ingredientNames];
 };
 
+//FUZZY RANKING
+
 /**
- * Validates whether the provided ingredient exists in Spoonacular's database.
+ * Ranks suggestion candidates by how well they match the partial input, removing duplicates and candidates that don't match.
+ * Candidates that match equally well keep their order of priority.
  *
- * @param {string} ingredient - The ingredient to validate.
- * @returns {Promise<boolean>} A promise that resolves to true if the ingredient is valid, false otherwise.
- * @throws Will log an error and return false if the API call fails.
+ * @param {string} partialSearch - The user's partial search input.
+ * @param {string[]} candidates - The suggestion candidates, in order of priority.
+ * @returns {string[]} Up to `NUM_AUTOCOMPLETE_SUGGESTIONS` suggestions, best match first.
+ * @private
  */
-export const validateSearchQuery = async function (ingredient) {
-  try {
-    const suggestions = await fetchAutocompleteSuggestions(ingredient, "ingredient");
-    return suggestions.length > 0; //Returns true if valid ingredient
-  } catch (error) {
-    console.error("Error validating search query:", error);
-    return false; // Treat ingredient as invalid if the API fails
+const rankSuggestions = function (partialSearch, candidates) {
+  const term = partialSearch.trim().toLowerCase();
+  if (!term) return [];
+  const addedSuggestions = new Set();
+
+  return (
+    candidates
+      .filter((candidate) => candidate && isSearchableSuggestion(candidate))
+      .map((candidate, priority) => ({ suggestion: candidate.trim(), priority, score: getMatchScore(term, candidate.trim().toLowerCase()) }))
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score || a.priority - b.priority)
+      //Keep the best ranked copy of each suggestion (the same suggestion can come from several sources)
+      .filter(({ suggestion }) => {
+        if (addedSuggestions.has(suggestion.toLowerCase())) return false;
+        addedSuggestions.add(suggestion.toLowerCase());
+        return true;
+      })
+      .slice(0, NUM_AUTOCOMPLETE_SUGGESTIONS)
+      .map(({ suggestion }) => suggestion)
+  );
+};
+
+//Only suggest inputs the search bar accepts (letters, spaces, hyphens, commas and colons. See validateSearchInput)
+const isSearchableSuggestion = function (suggestion) {
+  return /^[a-zA-Z\s\-,:]+$/.test(suggestion.trim());
+};
+
+/**
+ * Scores how well a suggestion matches the partial input (both lowercase), from best to worst:
+ * 6 - exact match, 5 - the suggestion starts with the input, 4 - a word of the suggestion starts with the input, 3 - the suggestion contains the input,
+ * 2 - a word of the suggestion starts with the input with a typo or two (e.g., "mozarela"), 1 - the letters of the input appear in order in the suggestion (e.g., "mzrla").
+ *
+ * @param {string} term - The partial input.
+ * @param {string} suggestion - The suggestion candidate.
+ * @returns {number} The match score (0 if the suggestion doesn't match).
+ * @private
+ */
+const getMatchScore = function (term, suggestion) {
+  if (suggestion === term) return 6;
+  if (suggestion.startsWith(term)) return 5;
+
+  const words = suggestion.split(/[\s\-,:]+/);
+  if (words.some((word) => word.startsWith(term))) return 4;
+  if (suggestion.includes(term)) return 3;
+
+  //Allow one typo from 4 characters and two typos from 7 characters (shorter inputs would match almost anything)
+  const maxTypos = term.length >= 7 ? 2 : term.length >= 4 ? 1 : 0;
+  if (maxTypos && words.some((word) => getEditDistance(term, word.slice(0, term.length)) <= maxTypos)) return 2;
+  if (term.length >= 3 && isSubsequence(term, suggestion)) return 1;
+  return 0;
+};
+
+//Returns the number of single character insertions, deletions or substitutions needed to turn one string into the other (Levenshtein distance)
+const getEditDistance = function (a, b) {
+  let previousRow = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const currentRow = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitutionCost = a[i - 1] === b[j - 1] ? 0 : 1;
+      currentRow[j] = Math.min(previousRow[j] + 1, currentRow[j - 1] + 1, previousRow[j - 1] + substitutionCost);
+    }
+    previousRow = currentRow;
+  }
+  return previousRow[b.length];
+};
+
+//Checks whether every character of the input appears in the suggestion, in the same order
+const isSubsequence = function (term, suggestion) {
+  let index = 0;
+  for (const char of suggestion) {
+    if (char === term[index]) index++;
+    if (index === term.length) return true;
   }
+  return false;
 };
@@ -1,13 +1,19 @@
 /**
  * @fileoverview Developer-only utilities for resetting app data.
- * This file contains functions to clear the recipe book and meal plan
- * from both the application state and local storage.
+ * This file contains functions to clear the recipe book, pantry, meal plan, meal slots, nutrition goals, shopping list, preferences, ingredient settings, saved searches, search history, API quota usage and offline recipe catalog
+ * from both the application state and local storage, and to clear the recipe details cache (IndexedDB).
  *
  * Dependencies:
  * - `state`: The central state object of the application.
+ * - `clearRecipeDetailsCache`: Clears the recipe details cache.
+ * - `updateIngredientOntology`: Removes the user's ingredient rules from the ingredient ontology.
+ * - Constants from `config.js`: `COMMON_PANTRY_ITEMS`, `DEFAULT_MEAL_SLOTS`
  */
 
 import { state } from "./state.js";
+import { clearRecipeDetailsCache } from "./recipeDetailsCache.js";
+import { updateIngredientOntology } from "./ingredientOntology.js";
+import { COMMON_PANTRY_ITEMS, DEFAULT_MEAL_SLOTS } from "../config.js";
 
 //Reset recipe book (clears the recipe book from the application state and local storage)
 export const clearRecipeBook = function () {
@@ -21,6 +27,18 @@ export const clearRecipeBook = function () {
   console.log("Recipe book cleared:", state.recipeBook);
 };
 
+//Reset pantry (clears the pantry from the application state and local storage)
+export const clearPantry = function () {
+  // Clear the pantry in state
+  state.pantry = [];
+
+  // Clear the pantry from local storage
+  localStorage.removeItem("pantry");
+
+  // Log to confirm it's cleared
+  console.log("Pantry cleared:", state.pantry);
+};
+
 //Reset meal plan (clears the meal plan from the application state and local storage)
 export const clearMealPlan = function () {
   // Clear the meal plan in state
@@ -32,3 +50,135 @@ export const clearMealPlan = function () {
   // Log to confirm it's cleared
   console.log("Meal Plan cleared:", state.mealPlan);
 };
+
+//Reset meal slots (restores the default meal slots in the application state and clears them from local storage). Also clears the meal plan, its days may have meals in the user's slots
+export const clearMealSlots = function () {
+  // Restore the default meal slots in state
+  state.mealSlots = DEFAULT_MEAL_SLOTS.map((slot) => ({ ...slot }));
+
+  // Clear the meal slots from local storage
+  localStorage.removeItem("mealSlots");
+
+  // Clear the meal plan, meals planned in the user's slots would be left without a slot
+  clearMealPlan();
+
+  // Log to confirm it's cleared
+  console.log("Meal slots cleared:", state.mealSlots);
+};
+
+//Reset nutrition goals (clears the nutrition goals from the application state and local storage)
+export const clearNutritionGoals = function () {
+  // Clear the nutrition goals in state
+  state.nutritionGoals = { everyDay: { calories: null, protein: null, carbs: null, fats: null }, weekdays: {} };
+
+  // Clear the nutrition goals from local storage
+  localStorage.removeItem("nutritionGoals");
+
+  // Log to confirm it's cleared
+  console.log("Nutrition goals cleared:", state.nutritionGoals);
+};
+
+//Reset user profile (clears the user profile from the application state and local storage)
+export const clearUserProfile = function () {
+  // Clear the user profile in state
+  state.userProfile = null;
+
+  // Clear the user profile from local storage
+  localStorage.removeItem("userProfile");
+
+  // Log to confirm it's cleared
+  console.log("User profile cleared:", state.userProfile);
+};
+
+//Reset shopping list (clears the shopping list from the application state and local storage)
+export const clearShoppingList = function () {
+  // Clear the shopping list in state
+  state.shoppingList = null;
+
+  // Clear the shopping list from local storage
+  localStorage.removeItem("shoppingList");
+
+  // Log to confirm it's cleared
+  console.log("Shopping list cleared:", state.shoppingList);
+};
+
+//Reset preferences (restores the default preferences in the application state and clears them from local storage)
+export const clearPreferences = function () {
+  // Restore the default preferences in state
+  state.preferences = { measurementSystem: "us", ingredientSearchMode: "maximizeUsed", weekStart: "monday" };
+
+  // Clear the preferences from local storage
+  localStorage.removeItem("preferences");
+
+  // Log to confirm it's cleared
+  console.log("Preferences cleared:", state.preferences);
+};
+
+//Reset ingredient settings (restores the default household staples, removes the user's synonym and substitution rules, and clears the settings from local storage)
+export const clearIngredientSettings = function () {
+  // Restore the default ingredient settings in state
+  state.ingredientSettings = { staples: [...COMMON_PANTRY_ITEMS], synonyms: [], substitutions: [] };
+  updateIngredientOntology();
+
+  // Clear the ingredient settings from local storage
+  localStorage.removeItem("ingredientSettings");
+
+  // Log to confirm it's cleared
+  console.log("Ingredient settings cleared:", state.ingredientSettings);
+};
+
+//Reset saved searches (clears the saved searches from the application state and local storage)
+export const clearSavedSearches = function () {
+  // Clear the saved searches in state
+  state.savedSearches = [];
+
+  // Clear the saved searches from local storage
+  localStorage.removeItem("savedSearches");
+
+  // Log to confirm it's cleared
+  console.log("Saved searches cleared:", state.savedSearches);
+};
+
+//Reset search history (clears the search history from the application state and local storage)
+export const clearSearchHistory = function () {
+  // Clear the search history in state
+  state.searchHistory = [];
+
+  // Clear the search history from local storage
+  localStorage.removeItem("searchHistory");
+
+  // Log to confirm it's cleared
+  console.log("Search history cleared:", state.searchHistory);
+};
+
+//Reset API quota usage (clears the recorded quota usage from the application state and local storage)
+export const clearApiQuota = function () {
+  // Clear the quota usage in state
+  state.apiQuota = { session: { requests: 0, pointsUsed: 0 }, daily: { date: "", requests: 0, pointsUsed: null, pointsLeft: null } };
+
+  // Clear the daily quota usage from local storage
+  localStorage.removeItem("apiQuota");
+
+  // Log to confirm it's cleared
+  console.log("API quota usage cleared:", state.apiQuota);
+};
+
+//Reset offline recipe catalog (clears the catalog from the application state and local storage)
+export const clearRecipeCatalog = function () {
+  // Clear the catalog in state
+  state.recipeCatalog = [];
+
+  // Clear the catalog from local storage
+  localStorage.removeItem("recipeCatalog");
+
+  // Log to confirm it's cleared
+  console.log("Recipe catalog cleared:", state.recipeCatalog);
+};
+
+//Reset recipe details cache (clears every cached recipe from IndexedDB)
+export const clearRecipeCache = async function () {
+  await clearRecipeDetailsCache();
+
+  // Log to confirm it's cleared
+  console.log("Recipe details cache cleared");
+};
@@ -1,5 +1,5 @@
 /**
- * @fileoverview Handles loading and validating recipe details from the API and generating recipe objects.
+ * @fileoverview Handles loading and validating recipe details from the active recipe data provider and generating recipe objects.
  *
  * The loadRecipes.js file handles loading the recipeIds that match the user's search (either ingredient search for browse recipes search).
  *
@@ -8,9 +8,17 @@
  * Dependencies:
  * - `state`: The application's central state object.
  * - `Recipe` class: For creating standardized recipe objects.
+ * - `getRecipeProvider`: Returns the active recipe data provider (e.g., Spoonacular API or offline fixtures).
+ * - `addRecipesToCatalog`, `getCatalogRecipes`: Add search results to / read recipes from the offline recipe catalog.
+ * - `getCachedRecipeDetails`, `cacheRecipeDetails`: Read / write the persistent recipe details cache (IndexedDB).
+ * - `getPantryIngredientNames`, `getExpiringPantryItemsUsed`: The names of the ingredients in the user's pantry and the pantry items expiring soon that a recipe uses.
+ * - `findOntologyMatches`, `getSuggestedSubstitutes`: Related pantry items (synonyms, categories, substitutes) and suggested substitutes for an ingredient, from the ingredient ontology.
+ * - `isStaple`: Whether an ingredient is one of the user's household staples.
+ * - `getIngredientSearchMode`: The mode of the latest ingredient search (how its results are sorted and filtered).
+ * - `getUseItUpScore`: How well a recipe uses up the pantry items expiring soon (sorts the results of a "Use it up" search).
+ * - `getDailyValues`: The user's daily values (personal or standard), used for the percent daily values of the recipes.
  * - Constants from `config.js`:
- *   - API-related values (`API_BASE_URL`, `API_KEY`).
- *   - Nutrition daily values and pantry-related constants.
+ *   - Pantry-related constants and the ingredient search modes.
  * - Shared utilities (`normalizeIngredient`, `deepCopy`).
  */
 
@@ -20,55 +28,122 @@ import { state } from "./state.js";
 //Import Recipe class
 import Recipe from "./RecipeClass.js";
 
+//Import recipe data provider
+import { getRecipeProvider } from "./recipeProviders/recipeProvider.js";
+
+//Import offline recipe catalog
+import { addRecipesToCatalog, getCatalogRecipes } from "./offlineCatalog.js";
+
+//Import recipe details cache
+import { getCachedRecipeDetails, cacheRecipeDetails } from "./recipeDetailsCache.js";
+
+//Import pantry
+import { getPantryIngredientNames, getExpiringPantryItemsUsed } from "./pantry.js";
+
+//Import ingredient ontology
+import { findOntologyMatches, getSuggestedSubstitutes } from "./ingredientOntology.js";
+
+//Import household staples
+import { isStaple } from "./ingredientSettings.js";
+
+//Import ingredient search mode
+import { getIngredientSearchMode } from "./loadRecipes.js";
+import { getUseItUpScore } from "./refineResults.js";
+
 //Import utilities
+import { getDailyValues } from "./modelUtils/highLevel/modelUtils.js";
 import { normalizeIngredient, deepCopy, toTitleCase } from "../sharedUtils.js";
 
 //Import variables from config file
-import { API_BASE_URL, API_KEY, RECOMMENDED_PROTEIN_DV, RECOMMENDED_FATS_DV, RECOMMENDED_CARBS_DV, COMMON_PANTRY_ITEMS, INGREDIENT_SYNONYMS } from "../config.js";
+import { INGREDIENT_MATCH_SCORES, INGREDIENT_SEARCH_MODES } from "../config.js";
 
 //Import default recipe image
 import defaultRecipeImage from "../../images/custom-recipe-image.avif";
 
-//LOAD RECIPE DETAILS FROM API & GENERATE RECIPE OBJECTS
+//LOAD RECIPE DETAILS FROM PROVIDER & GENERATE RECIPE OBJECTS
 
 /**
- * Loads recipe details from the API for each recipe ID
+ * Loads recipe details for each recipe ID. Details already in the recipe details cache are read from the cache, only the uncached ids are fetched from the active recipe data provider
  * Generates standardized recipe objects to populate the application state
  * Supports searches from both the ingredient search page & browse recipes page
  *
  * @param {string} ids - Comma-separated string of recipe IDs.
  * @param {string} mode - The type of search (`"ingredientSearch"` or `"browseRecipes"`).
- * @returns {Promise<Object|null>} A result object if no recipes are valid (`{ noResults: true }`) or `null` on success.
- * @throws {Error} If the API request fails.
+ * @param {AbortSignal|null} [signal=null] - Signal that cancels the request (when a newer search is made).
+ * @returns {Promise<Object|null>} A result object if no recipes are valid or none are added to the search results, e.g., none can be made with only the pantry in "Cook now" mode (`{ noResults: true }`), or `null` on success.
+ * @throws {Error} If the provider request fails or is cancelled.
  */
-export const loadRecipeDetails = async function (ids, mode) {
+export const loadRecipeDetails = async function (ids, mode, signal = null) {
   try {
-    //Fetch the recipe details for all the recipe ids
-    const response = await fetch(`${API_BASE_URL}/recipes/informationBulk?ids=${ids}&includeNutrition=true&apiKey=${API_KEY}`);
+    //Read the cached recipe details, then fetch the details for the remaining recipe ids (and cache them)
+    const { cachedRecipes, uncachedIds } = await getCachedRecipeDetails(ids);
+    const fetchedRecipes = uncachedIds.length > 0 ? await getRecipeProvider().getRecipesBulk(uncachedIds.join(","), signal) : [];
+    await cacheRecipeDetails(fetchedRecipes);
 
-    //Throw a custom error if we get an API response code that indicates some sort of failure
-    if (!response.ok) throw new Error(`Failed to fetch recipe details: ${response.status}`);
+    //A newer search was made while the details were loading. Never add stale results to the search results
+    signal?.throwIfAborted();
 
-    const data = await response.json();
+    //Keep the recipes in the same order as the search results
+    const data = sortByIdOrder([...cachedRecipes, ...fetchedRecipes], ids);
 
     //Filter out invalid recipes (based on the isValidRecipe function)
     const validRecipes = data.filter((recipe) => isValidRecipe(recipe));
     if (validRecipes.length === 0) return { noResults: true };
 
     //Create a standardized recipe object for each valid recipe using the Recipe class
-    validRecipes.forEach(function (recipe, index) {
-      //If recipe already exists in the recipe book, copy that object. If not create a new one.
-      const recipeObj = getOrCreateRecipeObject(recipe, mode);
+    //If recipe already exists in the recipe book, copy that object. If not create a new one.
+    const recipeObjects = validRecipes.map((recipe) => getOrCreateRecipeObject(recipe, mode));
+
+    //Populate the application state with the newly created Recipe object search results
+    const numAddedRecipes = populateSearchResults(recipeObjects, mode);
+
+    //Save the results to the offline catalog so they can be searched if the API is unreachable later
+    addRecipesToCatalog(recipeObjects);
 
-      //Populate the application state with the newly created Recipe object search results
-      populateSearchResults(recipeObj, mode);
-    });
+    return numAddedRecipes === 0 ? { noResults: true } : null;
   } catch (error) {
     console.error("Error in loadRecipeDetails:", error);
     throw error;
   }
 };
 
+/**
+ * Loads recipe details from the offline recipe catalog for each recipe ID (used instead of `loadRecipeDetails` when the API is unreachable).
+ * Ingredient availability, missing ingredient counts and bookmark status are recalculated since they may have changed since the recipe was cataloged.
+ *
+ * @param {string} ids - Comma-separated string of recipe IDs (returned from `searchRecipeCatalog`).
+ * @param {string} mode - The type of search (`"ingredientSearch"` or `"browseRecipes"`).
+ * @returns {Object|null} A result object if no recipes are found or added to the search results (`{ noResults: true }`) or `null` on success.
+ */
+export const loadCatalogRecipeDetails = function (ids, mode) {
+  const catalogRecipes = getCatalogRecipes(ids);
+  if (catalogRecipes.length === 0) return { noResults: true };
+
+  const numAddedRecipes = populateSearchResults(catalogRecipes.map((recipe) => refreshRecipeObject(recipe, mode)), mode);
+  return numAddedRecipes === 0 ? { noResults: true } : null;
+};
+
+/**
+ * Loads recipe details for each recipe ID without contacting the recipe data provider (used to restore the results of a past search from the search history).
+ * Details are read from the recipe details cache. Recipes that are no longer cached are read from the offline recipe catalog, recipes found in neither are skipped.
+ *
+ * @param {string} ids - Comma-separated string of recipe IDs.
+ * @param {string} mode - The type of search (`"ingredientSearch"` or `"browseRecipes"`).
+ * @returns {Promise<Object|null>} A result object if none of the recipes are stored or added to the search results (`{ noResults: true }`) or `null` on success.
+ */
+export const loadStoredRecipeDetails = async function (ids, mode) {
+  const { cachedRecipes, uncachedIds } = await getCachedRecipeDetails(ids);
+
+  const cachedRecipeObjects = cachedRecipes.filter((recipe) => isValidRecipe(recipe)).map((recipe) => getOrCreateRecipeObject(recipe, mode));
+  const catalogRecipeObjects = getCatalogRecipes(uncachedIds.join(",")).map((recipe) => refreshRecipeObject(recipe, mode));
+
+  const recipeObjects = sortByIdOrder([...cachedRecipeObjects, ...catalogRecipeObjects], ids);
+  if (recipeObjects.length === 0) return { noResults: true };
+
+  const numAddedRecipes = populateSearchResults(recipeObjects, mode);
+  return numAddedRecipes === 0 ? { noResults: true } : null;
+};
+
 /**
  * Validates if a recipe object from the API is complete and usable (contains all necessary info).
  *
@@ -99,27 +174,38 @@ const calculateMissingIngredients = function (ingredients) {
   return ingredients.filter((ing) => getIngredientAvailability(ing.name).availabilityState === "unavailable").length;
 };
 
+// Helper function to calculate the number of the recipe's ingredients the pantry has (exactly or a related pantry item). Household staples are not counted
+const calculateUsedIngredients = function (ingredients) {
+  return ingredients.filter((ing) => ["definitelyAvailable", "potentiallyAvailable"].includes(getIngredientAvailability(ing.name).availabilityState)).length;
+};
+
 // Helper function to get or create a recipe object depending on if it exists in the recipe book
 const getOrCreateRecipeObject = function (recipe, mode) {
   const existingRecipe = state.recipeBook.find((meal) => meal.id === recipe.id);
 
-  if (existingRecipe) {
-    const recipeObj = deepCopy(existingRecipe);
+  if (existingRecipe) return refreshRecipeObject(existingRecipe, mode);
+
+  return createRecipeObject(recipe, mode);
+};
 
-    // Recalculate ingredient availability
-    recipeObj.ingredients.forEach((ing) => {
-      ing.availability = getIngredientAvailability(ing.name);
-    });
+// Helper function to copy an existing recipe object and recalculate the parts that depend on the current pantry and recipe book
+const refreshRecipeObject = function (existingRecipe, mode) {
+  const recipeObj = deepCopy(existingRecipe);
+  recipeObj.isBookmarked = state.recipeBook.some((meal) => meal.id === recipeObj.id);
 
-    // Update missing ingredients count if in ingredient search mode
-    if (mode === "ingredientSearch") {
-      recipeObj.numMissingIngredients = calculateMissingIngredients(recipeObj.ingredients);
-    }
+  // Recalculate ingredient availability
+  recipeObj.ingredients.forEach((ing) => {
+    ing.availability = getIngredientAvailability(ing.name);
+  });
 
-    return recipeObj;
+  // Update missing and used ingredients counts and expiring pantry items used if in ingredient search mode
+  if (mode === "ingredientSearch") {
+    recipeObj.numMissingIngredients = calculateMissingIngredients(recipeObj.ingredients);
+    recipeObj.numUsedIngredients = calculateUsedIngredients(recipeObj.ingredients);
+    recipeObj.expiringIngredients = getExpiringPantryItemsUsed(recipeObj.ingredients);
   }
 
-  return createRecipeObject(recipe, mode);
+  return recipeObj;
 };
 
 /**
@@ -138,6 +224,11 @@ const createRecipeObject = function (recipe, mode) {
     ingredientText: ing.original,
     quantity: Number(ing.measures.us.amount),
     unit: ing.measures.us.unitShort,
+    //Both measure sets, so the recipe can be displayed in the measurement system the user prefers
+    measures: {
+      us: { quantity: Number(ing.measures.us.amount), unit: ing.measures.us.unitShort },
+      metric: { quantity: Number(ing.measures.metric.amount), unit: ing.measures.metric.unitShort },
+    },
     name: ing.name, // Ingredient name (e.g., "garlic", "onions", etc.)
     category: ing.aisle,
     //Check if the user has the ingredient in their pantry
@@ -149,8 +240,11 @@ const createRecipeObject = function (recipe, mode) {
   const protein = getNutrientValue(recipe, "Protein");
   const fats = getNutrientValue(recipe, "Fat");
   const carbs = getNutrientValue(recipe, "Carbohydrates");
+  const dailyValues = getDailyValues(); //The user's personal daily values (or the standard ones without a profile)
 
   const missingIngredientsCount = mode === "ingredientSearch" ? calculateMissingIngredients(ingredients) : "N/A";
+  const usedIngredientsCount = mode === "ingredientSearch" ? calculateUsedIngredients(ingredients) : "N/A";
+  const expiringIngredients = mode === "ingredientSearch" ? getExpiringPantryItemsUsed(ingredients) : [];
 
   return new Recipe(
     toTitleCase(recipe.title),
@@ -180,35 +274,68 @@ const createRecipeObject = function (recipe, mode) {
     recipe.nutrition.caloricBreakdown.percentProtein,
     recipe.nutrition.caloricBreakdown.percentFat,
     recipe.nutrition.caloricBreakdown.percentCarbs,
-    (protein / RECOMMENDED_PROTEIN_DV) * 100,
-    (fats / RECOMMENDED_FATS_DV) * 100,
-    (carbs / RECOMMENDED_CARBS_DV) * 100,
+    (protein / dailyValues.protein) * 100,
+    (fats / dailyValues.fats) * 100,
+    (carbs / dailyValues.carbs) * 100,
     missingIngredientsCount,
-    "app"
+    "app",
+    expiringIngredients,
+    usedIngredientsCount
   );
 };
 
 /**
- * Adds a recipe object to the appropriate search results array in the application state.
+ * Adds a page of recipe objects to the end of the appropriate search results array in the application state.
  * If it is an ingredient search, all search result recipe objects will be added to state.ingredientSearchResults
  * If it is a search from the browse recipes page search result recipe objects will be added to state.browseSearchResults
  *
- * @param {Recipe} recipeObj - The recipe object to add.
+ * Recipes that are already in the search results (e.g., returned again on a later page) are skipped. Only the new page is sorted, so results that are already displayed keep their position when more results are loaded.
+ * Ingredient search results are sorted (and filtered) for the mode of the search (see `INGREDIENT_SEARCH_MODES`):
+ * - "maximizeUsed": Most used pantry ingredients first (then fewest missing ingredients).
+ * - "minimizeMissing": Fewest missing ingredients first (then most used pantry ingredients).
+ * - "cookNow": Only recipes with no missing ingredients, most used pantry ingredients first.
+ * - "useItUp": The recipes that use up the most (and soonest) expiring pantry items first (see `getUseItUpScore`), then most used pantry ingredients.
+ *
+ * @param {Recipe[]} recipeObjects - The page of recipe objects to add.
  * @param {string} mode - The search mode (`"ingredientSearch"` or `"browseRecipes"`).
+ * @returns {number} The number of recipes added to the search results.
  * @private
  */
-const populateSearchResults = function (recipeObj, mode) {
+const populateSearchResults = function (recipeObjects, mode) {
   const resultsArray = mode === "ingredientSearch" ? state.ingredientSearchResults : state.browseSearchResults;
-  resultsArray.push(recipeObj);
+  let newRecipes = recipeObjects.filter((recipeObj) => !resultsArray.some((result) => result.id === recipeObj.id));
 
-  // If it's an ingredient search, sort the results by numMissingIngredients (ascending order)
   if (mode === "ingredientSearch") {
-    resultsArray.sort((a, b) => a.numMissingIngredients - b.numMissingIngredients);
+    const searchMode = getIngredientSearchMode();
+    if (INGREDIENT_SEARCH_MODES[searchMode].onlyAvailable) newRecipes = newRecipes.filter((recipeObj) => recipeObj.numMissingIngredients === 0);
+
+    const byMissing = (a, b) => a.numMissingIngredients - b.numMissingIngredients;
+    const byUsed = (a, b) => b.numUsedIngredients - a.numUsedIngredients;
+    const byUseItUpScore = (a, b) => getUseItUpScore(b) - getUseItUpScore(a);
+    if (searchMode === "minimizeMissing") newRecipes.sort((a, b) => byMissing(a, b) || byUsed(a, b));
+    else if (searchMode === "useItUp") newRecipes.sort((a, b) => byUseItUpScore(a, b) || byUsed(a, b) || byMissing(a, b));
+    else newRecipes.sort((a, b) => byUsed(a, b) || byMissing(a, b));
   }
+
+  resultsArray.push(...newRecipes);
+  return newRecipes.length;
 };
 
 //HELPER FUNCTIONS
 
+/**
+ * Sorts recipe details into the order of the recipe ids they were requested with.
+ *
+ * @param {Object[]} recipes - Raw recipe details (each has an `id`).
+ * @param {string} ids - Comma-separated string of recipe IDs.
+ * @returns {Object[]} The sorted recipe details.
+ * @private
+ */
+const sortByIdOrder = function (recipes, ids) {
+  const idOrder = String(ids).split(",").map(Number);
+  return [...recipes].sort((a, b) => idOrder.indexOf(a.id) - idOrder.indexOf(b.id));
+};
+
 /**
  * Retrieves the value of a specific nutrient from a recipe object.
  *
@@ -224,7 +351,17 @@ export const getNutrientValue = function (recipe, nutrientName) {
 };
 
 /**
- * Checks whether an ingredient needed for a recipe is available in the user's pantry (or is a common household ingredient that is assumed to be available).
+ * Checks whether an ingredient needed for a recipe is available in the user's pantry (or is one of the user's household staples, which are assumed to be available).
+ * If the pantry doesn't have the ingredient itself, the closest related pantry item is used (a synonym, an ingredient of a related category or a substitute from the ingredient ontology, or a partial name match).
+ *
+ * Example availability object:
+ * {
+ *   availabilityState: "potentiallyAvailable",     // "householdItem", "definitelyAvailable" (exact or synonym match), "potentiallyAvailable" or "unavailable"
+ *   matchingPantryIngredient: "greek yogurt",      // The pantry item used for the ingredient (null if unavailable)
+ *   matchType: "substitution",                     // How the pantry item matched: "household", "exact", "partial" or an ontology match type (see ingredientOntology.js), null if unavailable
+ *   reason: "use greek yogurt instead of sour cream, it has the same tang and thick texture", // Why the pantry item was matched (null for household items and exact matches)
+ *   substitutes: [],                               // Unavailable ingredients only: suggested substitutes (`{name, score, note}`)
+ * }
  *
  * @param {string} apiIngredientName - The ingredient name from the API.
  * @returns {Object} An object describing the ingredient's availability.
@@ -239,39 +376,38 @@ const getIngredientAvailability = function (apiIngredientName) {
   const exactMatch = checkExactMatch(normalizedApiIngredient);
   if (exactMatch) return exactMatch; //Check for exact match in pantry (mark as available)
 
-  const partialMatch = checkPartialMatch(normalizedApiIngredient);
-  if (partialMatch) return partialMatch; //Check for partial match in the pantry (mark as potential match)
-
-  const synonymMatch = checkSynonymMatch(normalizedApiIngredient);
-  if (synonymMatch) return synonymMatch; //Check for synonym match (mark as potential match)
+  const relatedMatch = checkRelatedMatch(normalizedApiIngredient);
+  if (relatedMatch) return relatedMatch; //Check for the closest related ingredient in the pantry (mark synonyms as available, other matches as potential matches)
 
-  return { availabilityState: "unavailable", matchedIngredient: null }; // No match found, ingredient is unavailable
+  // No match found, ingredient is unavailable
+  return { availabilityState: "unavailable", matchingPantryIngredient: null, matchType: null, reason: null, substitutes: getSuggestedSubstitutes(normalizedApiIngredient) };
 };
 
-//Check if the ingredient matches an ingredient in the common pantry items list. If so mark ingrdient as available
+//Check if the ingredient is one of the user's household staples (see ingredientSettings.js). If so mark ingrdient as available
 const checkHouseholdItem = function (ingredient) {
-  const householdItem = COMMON_PANTRY_ITEMS.find((commonItem) => ingredient === commonItem);
-  return householdItem ? { availabilityState: "householdItem", matchingPantryIngredient: householdItem } : null;
+  return isStaple(ingredient) ? { availabilityState: "householdItem", matchingPantryIngredient: ingredient, matchType: "household", reason: null } : null;
 };
 
 //Check if the ingredient needed matches an ingredient in the user's pantry exactly
 const checkExactMatch = function (ingredient) {
-  const match = state.pantry.some((pantryItem) => pantryItem === ingredient);
-  return match ? { availabilityState: "definitelyAvailable", matchingPantryIngredient: ingredient } : null;
+  const match = getPantryIngredientNames().some((pantryItem) => pantryItem === ingredient);
+  return match ? { availabilityState: "definitelyAvailable", matchingPantryIngredient: ingredient, matchType: "exact", reason: null } : null;
 };
 
-//Check if the ingredient needed partially matches an ingredient in the user's pantry
-const checkPartialMatch = function (ingredient) {
-  const pantryMatch = state.pantry.find((pantryItem) => pantryItem.includes(ingredient));
-  const ingredientMatch = state.pantry.find((pantryItem) => ingredient.includes(pantryItem));
-  const match = pantryMatch || ingredientMatch;
-  return match ? { availabilityState: "potentiallyAvailable", matchingPantryIngredient: match } : null;
+//Check for the pantry item that is the closest match for the ingredient needed: ingredient ontology matches (synonyms, categories, substitutes) and partial name matches, by score. Synonyms are the same ingredient, so they are marked as available
+const checkRelatedMatch = function (ingredient) {
+  const pantryIngredients = getPantryIngredientNames();
+  const matches = [...findOntologyMatches(ingredient, pantryIngredients), checkPartialMatch(ingredient, pantryIngredients)].filter(Boolean);
+  if (!matches.length) return null;
+
+  const { pantryIngredient, matchType, reason } = matches.sort((a, b) => b.score - a.score)[0];
+  return { availabilityState: matchType === "synonym" ? "definitelyAvailable" : "potentiallyAvailable", matchingPantryIngredient: pantryIngredient, matchType, reason };
 };
 
-//Checks for common synonyms of the ingredient required to see if a user may have something similar
-const checkSynonymMatch = function (ingredient) {
-  for (const [key, synonyms] of Object.entries(INGREDIENT_SYNONYMS)) {
-    const match = synonyms.find((synonym) => ingredient.includes(synonym));
-    return match ? { availabilityState: "potentiallyAvailable", matchingPantryIngredient: key } : null;
-  }
+//Check if the ingredient needed partially matches an ingredient in the user's pantry (e.g., "chicken" for "chicken breast")
+const checkPartialMatch = function (ingredient, pantryIngredients) {
+  const pantryMatch = pantryIngredients.find((pantryItem) => pantryItem.includes(ingredient));
+  const ingredientMatch = pantryIngredients.find((pantryItem) => ingredient.includes(pantryItem));
+  const match = pantryMatch || ingredientMatch;
+  return match ? { pantryIngredient: match, matchType: "partial", score: INGREDIENT_MATCH_SCORES.partial, reason: `${match} and ${ingredient} have similar names` } : null;
 };
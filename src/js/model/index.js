@@ -8,11 +8,26 @@ export * from "./state.js";
 export * from "./autocomplete.js";
 export * from "./developerOnly.js";
 export * from "./mealPlanner.js";
+export * from "./mealSlots.js";
+export * from "./nutritionGoals.js";
+export * from "./userProfile.js";
 export * from "./modelUtils/highLevel/modelUtils.js";
 export * from "./recipeBook.js";
 export * from "./loadRecipes.js";
 export * from "./generateRecipeResults.js";
-export * from "./ingredientSearch.js";
+export * from "./recipeProviders/recipeProvider.js";
+export * from "./apiRequest.js";
+export * from "./apiQuota.js";
+export * from "./offlineCatalog.js";
+export * from "./refineResults.js";
+export * from "./savedSearches.js";
+export * from "./searchHistory.js";
+export * from "./pantry.js";
+export * from "./ingredientOntology.js";
+export * from "./shoppingList.js";
+export * from "./preferences.js";
+export * from "./ingredientSettings.js";
 export * from "./modelUtils/highLevel/modelUtils.js";
 export * from "./modelUtils/featureSpecific/bookmarksUtils.js";
 export * from "./modelUtils/featureSpecific/servingsUtils.js";
+export * from "./modelUtils/featureSpecific/unitConversionUtils.js";
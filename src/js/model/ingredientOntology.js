@@ -0,0 +1,193 @@
+/**
+ * @fileoverview The ingredient ontology: how ingredients relate to each other, used to find the pantry items that can be used for a recipe ingredient
+ * the user doesn't have exactly (see `getIngredientAvailability` in generateRecipeResults.js).
+ *
+ * The ontology has three kinds of relations (defined in `config.js`):
+ * - Synonyms (`INGREDIENT_SYNONYMS`): names for the same ingredient, in both directions (e.g., cilantro and coriander).
+ * - Categories (`INGREDIENT_PARENTS`): parent/child relations (e.g., cheddar -> cheese -> dairy). A pantry item of a child category can be used for its parent (cheddar for cheese),
+ *   and ingredients of the same category are related (cheddar and gouda), unless the category is a top level one (milk and butter are both dairy, but not related).
+ * - Substitutions (`INGREDIENT_SUBSTITUTIONS`): scored substitutes for an ingredient, with a note on how to use them (e.g., Greek yogurt instead of sour cream).
+ *
+ * The user can add their own synonym and substitution rules (see ingredientSettings.js). User substitutions are scored `INGREDIENT_MATCH_SCORES.userSubstitution`.
+ *
+ * Recipe ingredient names that are not in the ontology are matched on the longest ontology name they end with (e.g., "sharp cheddar cheese" is "cheddar cheese", a synonym of cheddar).
+ *
+ * Example match object (returned by `findOntologyMatches`):
+ * {
+ *   pantryIngredient: "greek yogurt",                                                  // The pantry item that matches the recipe ingredient
+ *   matchType: "substitution",                                                         // "synonym", "variant", "childCategory", "parentCategory", "sameCategory" or "substitution"
+ *   score: 0.9,                                                                        // How well the pantry item works for the ingredient (0 to 1)
+ *   reason: "use greek yogurt instead of sour cream, it has the same tang and thick texture", // Explanation shown to the user
+ * }
+ *
+ * Dependencies:
+ * - `state`: The application's central state object (the user's rules in `state.ingredientSettings`).
+ * - Constants from `config.js`: `INGREDIENT_SYNONYMS`, `INGREDIENT_PARENTS`, `INGREDIENT_SUBSTITUTIONS`, `INGREDIENT_MATCH_SCORES`, `NUM_SUGGESTED_SUBSTITUTES`
+ */
+
+//Import application state
+import { state } from "./state.js";
+
+//Import variables from config file
+import { INGREDIENT_SYNONYMS, INGREDIENT_PARENTS, INGREDIENT_SUBSTITUTIONS, INGREDIENT_MATCH_SCORES, NUM_SUGGESTED_SUBSTITUTES } from "../config.js";
+
+//The ontology: the built-in relations (config.js) and the user's own synonym and substitution rules (state.ingredientSettings). Built the first time it is used (see `getOntology`)
+let ontology = null;
+
+/**
+ * Updates the ingredient ontology with the user's current synonym and substitution rules (called when the ingredient settings are loaded or changed, see ingredientSettings.js).
+ * The ontology is rebuilt the next time it is used.
+ */
+export const updateIngredientOntology = function () {
+  ontology = null;
+};
+
+/**
+ * Returns the names of the ingredients in the ontology (synonyms, ingredients with a category and ingredients with substitutes). Top level categories (e.g., dairy) are not included.
+ * Used as ingredient suggestions (e.g., autocomplete).
+ *
+ * @returns {string[]} The ingredient names.
+ */
+export const getOntologyIngredientNames = function () {
+  return [...getOntology().canonicalNames.keys()].filter((name) => !isTopLevelCategory(name));
+};
+
+/**
+ * Finds the pantry items that can be used for a recipe ingredient based on the ontology (pantry items that are exactly the ingredient are not checked here).
+ *
+ * @param {string} ingredient - The normalized name of the recipe ingredient.
+ * @param {string[]} pantryIngredients - The normalized names of the pantry items.
+ * @returns {Object[]} The matches (see example at the top of the file), best score first. Each pantry item is only matched once (its best match).
+ */
+export const findOntologyMatches = function (ingredient, pantryIngredients) {
+  return pantryIngredients
+    .filter((pantryIngredient) => pantryIngredient !== ingredient)
+    .map((pantryIngredient) => getBestMatch(ingredient, pantryIngredient))
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Returns the best substitutes for an ingredient (suggested when the user doesn't have the ingredient).
+ *
+ * @param {string} ingredient - The normalized name of the recipe ingredient.
+ * @returns {{name: string, score: number, note: string}[]} Up to NUM_SUGGESTED_SUBSTITUTES substitutes, best score first.
+ */
+export const getSuggestedSubstitutes = function (ingredient) {
+  const substitutes = getOntology().substitutions[resolveIngredient(ingredient)] || [];
+  return [...substitutes]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, NUM_SUGGESTED_SUBSTITUTES)
+    .map(({ substitute, score, note }) => ({ name: substitute, score, note }));
+};
+
+//HELPER FUNCTIONS
+
+//Returns the ingredient ontology, building it if the user's rules changed since it was last built
+const getOntology = function () {
+  ontology ??= buildOntology();
+  return ontology;
+};
+
+/**
+ * Builds the ingredient ontology from the built-in relations and the user's rules.
+ * User synonyms join the synonym group of a name that is already in one (e.g., "shoyu" for "soy sauce"), otherwise they form a new group.
+ * User substitutions are added before the built-in ones (so they are suggested first when the scores are equal) and replace a built-in substitution for the same substitute.
+ *
+ * @returns {{canonicalNames: Map<string, string>, namesByLength: string[], substitutions: Object}} The ontology:
+ * - `canonicalNames`: Every name in the ontology -> the name used for the ingredient in INGREDIENT_PARENTS and `substitutions` (the first name of its synonym group, otherwise the name itself).
+ * - `namesByLength`: The ontology names from longest to shortest, so the most specific name an ingredient ends with is used (e.g., "cream cheese" before "cheese").
+ * - `substitutions`: Canonical ingredient name -> its substitutes (`{substitute, score, note}`).
+ * @private
+ */
+const buildOntology = function () {
+  const { synonyms: userSynonyms, substitutions: userSubstitutions } = state.ingredientSettings;
+
+  const canonicalNames = new Map();
+  const builtInSubstitutes = Object.values(INGREDIENT_SUBSTITUTIONS).flatMap((substitutes) => substitutes.map(({ substitute }) => substitute));
+  const userRuleNames = userSubstitutions.flatMap(({ ingredient, substitute }) => [ingredient, substitute]);
+  [...Object.entries(INGREDIENT_PARENTS).flat(), ...Object.keys(INGREDIENT_SUBSTITUTIONS), ...builtInSubstitutes, ...userRuleNames].forEach((name) => canonicalNames.set(name, name));
+  INGREDIENT_SYNONYMS.forEach((synonyms) => synonyms.forEach((name) => canonicalNames.set(name, synonyms[0])));
+
+  userSynonyms.forEach(({ ingredient, synonym }) => {
+    const canonicalName = canonicalNames.get(ingredient) ?? canonicalNames.get(synonym) ?? ingredient;
+    const mergedName = canonicalNames.get(synonym) ?? synonym; //The group of the synonym (if any) joins the group of the ingredient
+    canonicalNames.forEach((name, ontologyName) => name === mergedName && canonicalNames.set(ontologyName, canonicalName));
+    canonicalNames.set(ingredient, canonicalName).set(synonym, canonicalName);
+  });
+
+  const substitutions = {};
+  userSubstitutions.forEach(({ ingredient, substitute, note }) => {
+    const canonicalName = canonicalNames.get(ingredient);
+    substitutions[canonicalName] = [...(substitutions[canonicalName] ?? []), { substitute, score: INGREDIENT_MATCH_SCORES.userSubstitution, note }];
+  });
+  Object.entries(INGREDIENT_SUBSTITUTIONS).forEach(([ingredient, substitutes]) => {
+    const canonicalName = canonicalNames.get(ingredient);
+    const userSubstitutes = substitutions[canonicalName] ?? [];
+    const otherSubstitutes = substitutes.filter(({ substitute }) => !userSubstitutes.some((userSubstitute) => userSubstitute.substitute === substitute)); //The user's rule replaces a built-in one for the same substitute
+    substitutions[canonicalName] = [...userSubstitutes, ...otherSubstitutes];
+  });
+
+  return { canonicalNames, namesByLength: [...canonicalNames.keys()].sort((a, b) => b.length - a.length), substitutions };
+};
+
+//Checks whether a name is a top level category (e.g., dairy), which is not suggested as an ingredient
+const isTopLevelCategory = function (name) {
+  return !INGREDIENT_PARENTS[name] && Object.values(INGREDIENT_PARENTS).includes(name);
+};
+
+/**
+ * Finds the best way a pantry item can be used for a recipe ingredient.
+ *
+ * @param {string} ingredient - The normalized name of the recipe ingredient.
+ * @param {string} pantryIngredient - The normalized name of the pantry item.
+ * @returns {Object|null} The match with the highest score, or null if the pantry item is not related to the ingredient.
+ * @private
+ */
+const getBestMatch = function (ingredient, pantryIngredient) {
+  const needed = resolveIngredient(ingredient);
+  const available = resolveIngredient(pantryIngredient);
+  const match = (matchType, score, reason) => ({ pantryIngredient, matchType, score, reason });
+  const matches = [];
+
+  if (needed === available) {
+    //Both names are in the ontology (e.g., coriander and cilantro), otherwise they are two kinds of the same ingredient (e.g., sharp cheddar cheese and cheddar)
+    const { canonicalNames } = getOntology();
+    const isSynonym = canonicalNames.has(ingredient) && canonicalNames.has(pantryIngredient);
+    matches.push(isSynonym ? match("synonym", INGREDIENT_MATCH_SCORES.synonym, `${pantryIngredient} is another name for ${ingredient}`) : match("variant", INGREDIENT_MATCH_SCORES.variant, `${pantryIngredient} and ${ingredient} are both ${needed}`));
+  }
+
+  const neededCategories = getCategories(needed);
+  const availableCategories = getCategories(available);
+  if (availableCategories.includes(needed)) matches.push(match("childCategory", INGREDIENT_MATCH_SCORES.childCategory, `${pantryIngredient} is a kind of ${needed}`));
+  if (neededCategories.includes(available)) matches.push(match("parentCategory", INGREDIENT_MATCH_SCORES.parentCategory, `${ingredient} is a kind of ${available}`));
+
+  //Same category, unless it is a top level one (a category without a parent)
+  const [sharedCategory] = neededCategories;
+  if (needed !== available && sharedCategory && sharedCategory === availableCategories[0] && INGREDIENT_PARENTS[sharedCategory]) {
+    matches.push(match("sameCategory", INGREDIENT_MATCH_SCORES.sameCategory, `${pantryIngredient} and ${ingredient} are both kinds of ${sharedCategory}`));
+  }
+
+  const substitution = getOntology().substitutions[needed]?.find(({ substitute }) => resolveIngredient(substitute) === available);
+  if (substitution) matches.push(match("substitution", substitution.score, `use ${pantryIngredient} instead of ${ingredient}${substitution.note ? `, ${substitution.note}` : ""}`));
+
+  return matches.sort((a, b) => b.score - a.score)[0] || null;
+};
+
+//Returns the ontology name of an ingredient: its canonical name if it is in the ontology, otherwise the canonical name of the longest ontology name it ends with (e.g., "sharp cheddar cheese" -> "cheddar"), otherwise the ingredient itself
+const resolveIngredient = function (ingredient) {
+  const { canonicalNames, namesByLength } = getOntology();
+  if (canonicalNames.has(ingredient)) return canonicalNames.get(ingredient);
+
+  const name = namesByLength.find((ontologyName) => ingredient.endsWith(` ${ontologyName}`));
+  return name ? canonicalNames.get(name) : ingredient;
+};
+
+//Returns the categories of an ingredient, from its parent up to the top level category (e.g., cheddar -> ["cheese", "dairy"])
+const getCategories = function (ingredient) {
+  const categories = [];
+  for (let category = INGREDIENT_PARENTS[ingredient]; category && !categories.includes(category); category = INGREDIENT_PARENTS[category]) {
+    categories.push(category);
+  }
+  return categories;
+};
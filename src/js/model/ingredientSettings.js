@@ -0,0 +1,150 @@
+/**
+ * @fileoverview Manages the user's ingredient settings: the household staples that are always assumed to be available (e.g., salt, oil),
+ * and the user's own synonym and substitution rules, which are added to the built-in ingredient ontology (see ingredientOntology.js).
+ * Settings are persisted in local storage (under "ingredientSettings") so they are available across sessions.
+ *
+ * Example ingredient settings object (state.ingredientSettings):
+ * {
+ *   staples: ["salt", "pepper", "water", "oil", "soy sauce"],                            // Normalized ingredient names (defaults to COMMON_PANTRY_ITEMS)
+ *   synonyms: [{ id: 1737400000000123456, ingredient: "soy sauce", synonym: "shoyu" }], // Names for the same ingredient (work both ways)
+ *   substitutions: [
+ *     { id: 1737400000000654321, ingredient: "buttermilk", substitute: "milk", note: "add 1 tbsp of lemon juice per cup" }, // The substitute can be used instead of the ingredient (one way)
+ *   ],
+ * }
+ *
+ * Dependencies:
+ * - `state`: The application's central state object.
+ * - `updateIngredientOntology` from `ingredientOntology.js`: Adds the user's rules to the ingredient ontology.
+ * - Shared utilities (`normalizeIngredient`, `generateUniqueId`).
+ * - Constants from `config.js`: `COMMON_PANTRY_ITEMS`
+ */
+
+//Import application state
+import { state } from "./state.js";
+
+//Import utilities
+import { updateIngredientOntology } from "./ingredientOntology.js";
+import { normalizeIngredient, generateUniqueId } from "../sharedUtils.js";
+
+//Import variables from config file
+import { COMMON_PANTRY_ITEMS } from "../config.js";
+
+//STAPLES
+
+/**
+ * Adds a household staple (an ingredient that is always assumed to be available in ingredient searches and left off the shopping list), then saves the settings.
+ *
+ * @param {string} name - The name of the ingredient.
+ * @throws {Error} If the name is empty or uses characters other than letters, spaces and hyphens, or the ingredient is already a staple.
+ */
+export const addStaple = function (name) {
+  const staple = validateIngredientName(name, "staple");
+  if (state.ingredientSettings.staples.includes(staple)) throw new Error(`${staple} is already one of your staples.`);
+
+  state.ingredientSettings.staples.push(staple);
+  persistIngredientSettings();
+};
+
+/**
+ * Removes a household staple (it is then only available if it is in the pantry), then saves the settings.
+ *
+ * @param {string} name - The normalized name of the staple.
+ */
+export const removeStaple = function (name) {
+  state.ingredientSettings.staples = state.ingredientSettings.staples.filter((staple) => staple !== name);
+  persistIngredientSettings();
+};
+
+//Restores the default household staples (COMMON_PANTRY_ITEMS), then saves the settings
+export const resetStaples = function () {
+  state.ingredientSettings.staples = [...COMMON_PANTRY_ITEMS];
+  persistIngredientSettings();
+};
+
+//Checks whether an ingredient is a household staple (the name must be normalized)
+export const isStaple = function (ingredient) {
+  return state.ingredientSettings.staples.includes(ingredient);
+};
+
+//INGREDIENT RULES
+
+/**
+ * Adds a synonym rule (two names for the same ingredient, e.g., soy sauce and shoyu), then updates the ingredient ontology and saves the settings.
+ *
+ * @param {string} ingredient - The name of the ingredient.
+ * @param {string} synonym - Another name for the ingredient.
+ * @throws {Error} If a name is empty or uses characters other than letters, spaces and hyphens, both names are the same or the rule already exists.
+ */
+export const addSynonymRule = function (ingredient, synonym) {
+  const name = validateIngredientName(ingredient, "ingredient");
+  const otherName = validateIngredientName(synonym, "synonym");
+  if (name === otherName) throw new Error("Enter two different names for the ingredient.");
+
+  const isDuplicate = state.ingredientSettings.synonyms.some((rule) => [rule.ingredient, rule.synonym].includes(name) && [rule.ingredient, rule.synonym].includes(otherName));
+  if (isDuplicate) throw new Error(`${name} and ${otherName} are already synonyms.`);
+
+  state.ingredientSettings.synonyms.push({ id: generateUniqueId(), ingredient: name, synonym: otherName });
+  saveIngredientRules();
+};
+
+/**
+ * Adds a substitution rule (an ingredient that can be used instead of another one, e.g., milk instead of buttermilk), then updates the ingredient ontology and saves the settings.
+ *
+ * @param {string} ingredient - The name of the ingredient a recipe needs.
+ * @param {string} substitute - The name of the ingredient that can be used instead.
+ * @param {string} [note=""] - How to use the substitute (e.g., "add 1 tbsp of lemon juice per cup").
+ * @throws {Error} If a name is empty or uses characters other than letters, spaces and hyphens, both names are the same or the rule already exists.
+ */
+export const addSubstitutionRule = function (ingredient, substitute, note = "") {
+  const name = validateIngredientName(ingredient, "ingredient");
+  const substituteName = validateIngredientName(substitute, "substitute");
+  if (name === substituteName) throw new Error("An ingredient can't be a substitute for itself.");
+
+  const isDuplicate = state.ingredientSettings.substitutions.some((rule) => rule.ingredient === name && rule.substitute === substituteName);
+  if (isDuplicate) throw new Error(`${substituteName} is already a substitute for ${name}.`);
+
+  state.ingredientSettings.substitutions.push({ id: generateUniqueId(), ingredient: name, substitute: substituteName, note: note.trim() });
+  saveIngredientRules();
+};
+
+/**
+ * Removes a synonym or substitution rule, then updates the ingredient ontology and saves the settings.
+ *
+ * @param {number} ruleId - The id of the rule.
+ */
+export const removeIngredientRule = function (ruleId) {
+  state.ingredientSettings.synonyms = state.ingredientSettings.synonyms.filter((rule) => rule.id !== ruleId);
+  state.ingredientSettings.substitutions = state.ingredientSettings.substitutions.filter((rule) => rule.id !== ruleId);
+  saveIngredientRules();
+};
+
+//HELPER FUNCTIONS
+
+/**
+ * Checks an ingredient name input by the user only uses letters, spaces and hyphens (like the search bar, see `validateSearchInput`), then normalizes it (lower case, singular).
+ *
+ * @param {string} name - The name input by the user.
+ * @param {string} label - What the name is for, used in the error message (e.g., "staple").
+ * @returns {string} The normalized name.
+ * @throws {Error} If the name is empty or uses other characters.
+ * @private
+ */
+const validateIngredientName = function (name, label) {
+  const trimmedName = String(name || "").trim();
+  if (/[^a-zA-Z\s-]/.test(trimmedName)) throw new Error(`Use letters, spaces and hyphens only in the name of the ${label}.`);
+
+  const normalizedName = normalizeIngredient(trimmedName);
+  if (!normalizedName) throw new Error(`Enter the name of the ${label}.`);
+  return normalizedName;
+};
+
+//Adds the user's rules to the ingredient ontology, then saves the settings
+const saveIngredientRules = function () {
+  updateIngredientOntology();
+  persistIngredientSettings();
+};
+
+//Saves the ingredient settings to localStorage.
+const persistIngredientSettings = function () {
+  localStorage.setItem("ingredientSettings", JSON.stringify(state.ingredientSettings));
+};
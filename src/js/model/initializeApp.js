@@ -2,20 +2,48 @@
  * @fileoverview Initializes the reipe book array and meal plan object in the application state, when the app first loads.
  *
  * Retrives the saved recipe book array from local storage and sets it as the recipe book in the application state (user's bookmarked recipes are persistent across sessions),
+ * Recipes saved (or planned) before ingredients stored both their US and metric measures are given them (see `addMissingIngredientMeasures`).
  *
- * Initializes a meal plan for a date range of 9 weeks (4 weeks prior, current week, and 4 weeks in the future). Retrieves the saved meal plan from local storage and populated the state with parts that apply to the current date range. Initializes new weekly plans for any weeks unavailable in local storage.
+ * Retrieves the saved pantry (the ingredients the user has at home) from local storage.
+ *
+ * Retrieves the user's saved searches (named browse recipes searches) and search history from local storage.
+ *
+ * Retrieves today's recipe API quota usage from local storage.
+ *
+ * Retrieves the saved offline recipe catalog from local storage (used to search for recipes when the API is unreachable).
+ *
+ * Retrieves the latest shopping list (generated from the meal plan) from local storage.
+ *
+ * Retrieves the user's display preferences (e.g., the measurement system, the first day of the meal planner week) from local storage.
+ *
+ * Retrieves the user's ingredient settings (household staples, synonym and substitution rules) from local storage.
+ *
+ * Retrieves the user's nutrition goals (daily calorie and macro targets) from local storage.
+ *
+ * Retrieves the user's meal slots (e.g., breakfast, "pre-workout", dinner) from local storage.
+ *
+ * Retrieves the saved meal plan (every planned week, past and future) from local storage and initializes the current week if it wasn't saved.
  *
  * Dependencies:
  * - `state`: The application's central state object.
  * - Utility function from `modelUtils.js`:
- *   - `getMondayOfTheWeek`: Calculates the Monday of a given week.
+ *   - `getFirstDayOfTheWeek`: Calculates the first day (Monday or Sunday) of a given week.
+ *   - `getWeekMealPlan`, `createWeeklyMealPlan`: Create the weeks of the meal plan.
+ * - `getIngredientMeasures` from `unitConversionUtils.js`: Converts an ingredient quantity into both measurement systems.
+ * - `updateIngredientOntology` from `ingredientOntology.js`: Adds the user's ingredient rules to the ingredient ontology.
+ * - Constants from `config.js`: `COMMON_PANTRY_ITEMS`, `DEFAULT_MEAL_SLOTS`
  */
 
 //Import application state
 import { state } from "./state.js";
 
 //Import utilities
-import { getMondayOfTheWeek } from "./modelUtils/highLevel/modelUtils.js";
+import { getFirstDayOfTheWeek, getWeekMealPlan, createWeeklyMealPlan } from "./modelUtils/highLevel/modelUtils.js";
+import { getIngredientMeasures } from "./modelUtils/featureSpecific/unitConversionUtils.js";
+import { updateIngredientOntology } from "./ingredientOntology.js";
+
+//Import variables from config file
+import { COMMON_PANTRY_ITEMS, DEFAULT_MEAL_SLOTS } from "../config.js";
 
 //RECIPE BOOK INITIALIZATION
 
@@ -26,17 +54,139 @@ import { getMondayOfTheWeek } from "./modelUtils/highLevel/modelUtils.js";
 export const initializeRecipeBook = function () {
   const savedRecipeBook = JSON.parse(localStorage.getItem("recipeBook"));
   state.recipeBook = savedRecipeBook ? savedRecipeBook : [];
+  addMissingIngredientMeasures(state.recipeBook);
+};
+
+//PANTRY INITIALIZATION
+
+/**
+ * Initializes the pantry by loading saved data from localStorage.
+ * If no saved data exists, initializes an empty pantry.
+ */
+export const initializePantry = function () {
+  const savedPantry = JSON.parse(localStorage.getItem("pantry"));
+  state.pantry = savedPantry ? savedPantry : [];
+};
+
+//SAVED SEARCHES INITIALIZATION
+
+/**
+ * Initializes the saved searches by loading saved data from localStorage.
+ * If no saved data exists, initializes an empty list of saved searches.
+ */
+export const initializeSavedSearches = function () {
+  const savedSearches = JSON.parse(localStorage.getItem("savedSearches"));
+  state.savedSearches = savedSearches ? savedSearches : [];
+};
+
+//SEARCH HISTORY INITIALIZATION
+
+/**
+ * Initializes the search history by loading saved data from localStorage.
+ * If no saved data exists, initializes an empty search history.
+ */
+export const initializeSearchHistory = function () {
+  const searchHistory = JSON.parse(localStorage.getItem("searchHistory"));
+  state.searchHistory = searchHistory ? searchHistory : [];
+};
+
+//API QUOTA INITIALIZATION
+
+/**
+ * Initializes the daily API quota usage by loading saved data from localStorage.
+ * If no saved data exists the usage stays unknown until the next API response (usage from a previous day is reset when the next request is made).
+ */
+export const initializeApiQuota = function () {
+  const savedDailyQuota = JSON.parse(localStorage.getItem("apiQuota"));
+  if (savedDailyQuota) state.apiQuota.daily = savedDailyQuota;
+};
+
+//OFFLINE RECIPE CATALOG INITIALIZATION
+
+/**
+ * Initializes the offline recipe catalog by loading saved data from localStorage.
+ * If no saved data exists, initializes an empty catalog.
+ */
+export const initializeRecipeCatalog = function () {
+  const savedRecipeCatalog = JSON.parse(localStorage.getItem("recipeCatalog"));
+  state.recipeCatalog = savedRecipeCatalog ? savedRecipeCatalog : [];
+};
+
+//SHOPPING LIST INITIALIZATION
+
+/**
+ * Initializes the shopping list by loading saved data from localStorage.
+ * If no saved data exists, the shopping list stays empty (null) until the user generates one.
+ */
+export const initializeShoppingList = function () {
+  const savedShoppingList = JSON.parse(localStorage.getItem("shoppingList"));
+  state.shoppingList = savedShoppingList ? savedShoppingList : null;
+};
+
+//PREFERENCES INITIALIZATION
+
+/**
+ * Initializes the user's display preferences by loading saved data from localStorage.
+ * Preferences that were not saved (e.g., added in a later version of the app) keep their default value.
+ */
+export const initializePreferences = function () {
+  const savedPreferences = JSON.parse(localStorage.getItem("preferences"));
+  state.preferences = { ...state.preferences, ...savedPreferences };
+};
+
+//INGREDIENT SETTINGS INITIALIZATION
+
+/**
+ * Initializes the user's ingredient settings by loading saved data from localStorage, then adds the user's rules to the ingredient ontology.
+ * If no saved data exists, the staples are the default household staples (COMMON_PANTRY_ITEMS) and there are no user rules.
+ */
+export const initializeIngredientSettings = function () {
+  const savedSettings = JSON.parse(localStorage.getItem("ingredientSettings"));
+  state.ingredientSettings = savedSettings ? savedSettings : { staples: [...COMMON_PANTRY_ITEMS], synonyms: [], substitutions: [] };
+  updateIngredientOntology();
+};
+
+//NUTRITION GOALS INITIALIZATION
+
+/**
+ * Initializes the user's nutrition goals by loading saved data from localStorage.
+ * If no saved data exists, no goals are set (every nutrient goal is null).
+ */
+export const initializeNutritionGoals = function () {
+  const savedGoals = JSON.parse(localStorage.getItem("nutritionGoals"));
+  if (savedGoals) state.nutritionGoals = savedGoals;
+};
+
+//USER PROFILE INITIALIZATION
+
+/**
+ * Initializes the user's profile by loading saved data from localStorage.
+ * If no saved data exists, the user has no profile (null) and recipes use the standard daily values.
+ */
+export const initializeUserProfile = function () {
+  state.userProfile = JSON.parse(localStorage.getItem("userProfile"));
+};
+
+//MEAL SLOTS INITIALIZATION
+
+/**
+ * Initializes the meal slots of the meal planner days by loading saved data from localStorage.
+ * If no saved data exists, the meal slots are the default ones (DEFAULT_MEAL_SLOTS: breakfast, lunch, snacks and dinner).
+ */
+export const initializeMealSlots = function () {
+  const savedMealSlots = JSON.parse(localStorage.getItem("mealSlots"));
+  state.mealSlots = savedMealSlots ? savedMealSlots : DEFAULT_MEAL_SLOTS.map((slot) => ({ ...slot }));
 };
 
 //MEAL PLAN INITIALIZATION
 
 /**
- * The `initializeMealPlan` function, in conjunction with `createWeeklyMealPlan` and `createEmptyMealObj`,
+ * The `initializeMealPlan` function, in conjunction with `createWeeklyMealPlan` and `getWeekMealPlan` (see modelUtils.js),
  * generates a `mealPlan` object stored in the `state`. Below is an example structure of the meal plan:
  *
  * Example meal plan object:
  * {
- *   "Mon Jan 13 2025": { // Week starting from Monday
+ *   "Mon Jan 13 2025": { // Week starting from Monday (or Sunday, see the `weekStart` preference)
  *     "Mon Jan 13 2025": { // Daily meal plan for Monday
  *       meals: {
  *         breakfast: [],   // Array of meal entries for breakfast
@@ -65,145 +215,58 @@ export const initializeRecipeBook = function () {
  *         fats: 0,
  *       },
  *     },
- *     // ... similarly for Wed, Thu, and Fri of this week.
+ *     // ... similarly for Wed, Thu, Fri, Sat and Sun of this week.
  *   },
  *   "Mon Jan 20 2025": { // Next week
  *     "Mon Jan 20 2025": { ... },
  *     "Tue Jan 21 2025": { ... },
  *     // ... similarly for the rest of the days in this week.
  *   },
- *   // Additional weeks (4 weeks before and after the current week)
+ *   // Additional weeks (any past or future week that was planned or displayed)
  *   // would have the same structure as the above weeks.
  * }
  *
- * - Each week is identified by the Monday date as the key. The keys of the meal plan object are the Monday of the current week, Mondays of 4 weeks prior, and Mondays of 4 weeks ahead (total 9 keys)
- * - Each Monday week object contains 5 properties (for the 5 weekdays in that week). Each of those 5 weekdays include the meals for that day and the nutrition for that day
+ * - Each week is identified by the date of its first day as the key (Monday, or Sunday if the user's week starts on Sunday). The meal plan has no date range: it keeps every planned week (the archive of past weeks, see `getMealPlanArchive`), and weeks are created the first time they are displayed or planned.
+ * - Each week object contains 7 properties (for the 7 days in that week). Each of those 7 days include the meals for that day and the nutrition for that day
  * - Each day within the week is initialized with empty meal arrays and zeroed-out nutrition data.
  */
 
 /**
- * Initializes the meal plan for the user by setting up the meal plan structure
- * for the current week, as well as 4 weeks before and after the current week.
- * See above documentation for meal plan structure.
- *
- * It checks for saved data in localStorage and populates the state with either
- * saved data or newly created meal plans (depending on what parts of the saved meal plan fall in the date range- 4 weeks prior and 4 weeks past the current date)
- *
- * * Example:
- * If the current date is January 15, 2025 (a Wednesday):
- * - `mondayOfCurrentWeek` would be January 13, 2025.
- * - `weeksRange` would contain:
- *   [
- *     "Mon Dec 16 2024",  // 4 weeks before
- *     "Mon Dec 23 2024",
- *     "Mon Dec 30 2024",
- *     "Mon Jan 06 2025",
- *     "Mon Jan 13 2025",  // current week
- *     "Mon Jan 20 2025",
- *     "Mon Jan 27 2025",
- *     "Mon Feb 03 2025",
- *     "Mon Feb 10 2025"   // 4 weeks after
- *   ]
+ * Initializes the meal plan for the user by loading every saved week from localStorage, and setting up the current week (displayed first in the meal planner).
+ * See above documentation for meal plan structure. Saved weeks are never dropped, however far back or ahead they are.
  *
- * Now suppose the last time the user opened the app was in the week of "Mon Jan 06 2025". The meal plan saved to local storage will include weeks "Mon Dec 09 2024" to "Mon Feb 03 2025". This time when we open the app on January 15, 2025 (a Wednesday), the week range will be as shown above. Since the week plans for "Mon Dec 16 2024"-"Mon Feb 03 2025" exist from last time, they will be copied from local storage. A new week plan will be created for "Mon Feb 10 2025" in the meal plan state object.
+ * The saved days are grouped into weeks again, so a saved meal plan is migrated when the weeks changed since it was saved:
+ * - Meal plans saved before weekends were planned (Monday to Friday weeks) get an empty Saturday and Sunday.
+ * - When the user changes the first day of the week (see `setWeekStart` in preferences.js), the days are regrouped into weeks that start on the new day.
  */
 export const initializeMealPlan = function () {
-  // Get the starting date of the current week (Monday).
-  const mondayOfCurrentWeek = getMondayOfTheWeek();
+  // Get the starting date of the current week (Monday or Sunday).
+  const firstDayOfCurrentWeek = getFirstDayOfTheWeek();
   //Set the mealCalendarWeek in state
-  state.mealCalendarWeek = mondayOfCurrentWeek.toDateString();
+  state.mealCalendarWeek = firstDayOfCurrentWeek.toDateString();
 
-  //Retrive saved meal plan from last session (should contain 9 weeks)
+  //Retrive saved meal plan from last session, and the saved plans of its days regardless of their week
   const savedMealPlan = JSON.parse(localStorage.getItem("mealPlan")) || {};
+  const savedDays = Object.assign({}, ...Object.values(savedMealPlan));
+  state.mealPlan = {};
 
-  // Create a range of 9 weeks (4 weeks before, current week, and 4 weeks after).
-  const weeksRange = Array.from({ length: 9 }, (_, i) => {
-    const weekOffset = (i - 4) * 7; // Calculate week offset from the current week
-    const weekDate = new Date(mondayOfCurrentWeek);
-    weekDate.setDate(weekDate.getDate() + weekOffset);
-    return weekDate.toDateString();
+  //Group every saved day into its week. The other days of the week are created empty
+  Object.keys(savedDays).forEach((day) => {
+    const week = getFirstDayOfTheWeek(day).toDateString();
+    state.mealPlan[week] ??= createWeeklyMealPlan(week, savedDays);
   });
 
-  // Loop over the range of weeks and initialize data for each week
-  weeksRange.forEach((week) => {
-    //If the week is in the meal plan from the last user session, use that week object. If not, create a new one for that week.
-    state.mealPlan[week] = savedMealPlan[week] || createWeeklyMealPlan(week);
-  });
-};
+  //Set up the current week (if it wasn't saved)
+  getWeekMealPlan(state.mealCalendarWeek);
 
-/**
- * Creates a weekly meal plan starting from the provided Monday date.
- *
- * Example:
- * If `mondayOfWeek` is "Mon Jan 13 2025", the returned structure will look like:
- * {
- *   "Mon Jan 13 2025": { // Daily meal plan for Monday
- *     meals: {
- *       breakfast: [],   // Array of meal entries for breakfast
- *       lunch: [],       // Array of meal entries for lunch
- *       snacks: [],      // Array of meal entries for snacks
- *       dinner: [],      // Array of meal entries for dinner
- *     },
- *     nutrition: {        // Nutrition totals for the day
- *       calories: 0,
- *       protein: 0,
- *       carbs: 0,
- *       fats: 0,
- *     },
- *   },
- *   "Tue Jan 14 2025": { // Daily meal plan for Tuesday
- *     meals: {
- *       breakfast: [],
- *       lunch: [],
- *       snacks: [],
- *       dinner: [],
- *     },
- *     nutrition: {
- *       calories: 0,
- *       protein: 0,
- *       carbs: 0,
- *       fats: 0,
- *     },
- *   },
- *   "Wed Jan 15 2025": { ... }, // Similarly for the rest of the days (Wed, Thu, Fri).
- *   "Thu Jan 16 2025": { ... },
- *   "Fri Jan 17 2025": { ... },
- * }
- *
- * @private
- */
-const createWeeklyMealPlan = function (mondayOfWeek) {
-  let dayMeals = {};
-  for (let i = 0; i <= 4; i++) {
-    const dateKey = new Date(mondayOfWeek);
-    dateKey.setDate(dateKey.getDate() + i);
-    dayMeals[dateKey.toDateString()] = createEmptyMealObj();
-  }
-  return dayMeals;
+  Object.values(state.mealPlan).forEach((week) => Object.values(week).forEach((day) => addMissingIngredientMeasures(Object.values(day.meals).flat())));
 };
 
-/**
- * Creates an empty meal object for a single day.
- *
- * Example:
- * The returned structure will look like:
- * {
- *   meals: {
- *     breakfast: [],   // Array of meal entries for breakfast
- *     lunch: [],       // Array of meal entries for lunch
- *     snacks: [],      // Array of meal entries for snacks
- *     dinner: [],      // Array of meal entries for dinner
- *   },
- *   nutrition: {        // Nutrition totals for the day
- *     calories: 0,
- *     protein: 0,
- *     carbs: 0,
- *     fats: 0,
- *   },
- * }
- *
- * @private
- */
-const createEmptyMealObj = function () {
-  return { meals: { breakfast: [], lunch: [], snacks: [], dinner: [] }, nutrition: { calories: 0, protein: 0, carbs: 0, fats: 0 } };
+//Adds the US and metric measures to the ingredients of recipes saved before both measure sets were stored (so they display in the measurement system the user prefers). Custom meal entries have no ingredients
+const addMissingIngredientMeasures = function (recipes) {
+  recipes.forEach((recipe) =>
+    recipe.ingredients?.forEach((ingredient) => {
+      if (!ingredient.measures) ingredient.measures = getIngredientMeasures(ingredient.quantity, ingredient.unit);
+    })
+  );
 };
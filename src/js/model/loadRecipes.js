@@ -1,49 +1,82 @@
 /**
- * @fileoverview Handles recipe loading from the API.
- * Includes functions to construct API URLs and fetch recipe search results based on the user's inputs (search input and filters if applicable)
+ * @fileoverview Handles recipe loading from the active recipe data provider.
+ * Includes functions to fetch recipe search results based on the user's inputs (search input and filters if applicable)
  *
- * This file loads search results for a search made from either the ingredient search page or the browse recipes page. The API will return a string of recipe ids of recipes that match the user's search criteria
+ * This file loads search results for a search made from either the ingredient search page or the browse recipes page. The provider will return the recipe ids of recipes that match the user's search criteria
  *
  * The generateRecipeResults.js file handles fetching recipe details based on the ids and generating standarized recipe objects that are loaded into the application state.
  *
+ * An ingredient search is made in one of the `INGREDIENT_SEARCH_MODES` (e.g., "cookNow"), passed as the filtersObject of the search (`{ searchMode }`). The mode sets how the provider ranks the results,
+ * and a "Use it up" search only searches with the pantry items expiring soon (see `getSearchIngredientsList`).
+ *
+ * Search results are paginated. Each search loads one page of `NUM_SEARCH_RESULTS` recipes, and the pagination details of the latest search for each mode are stored in `state.searchPagination` so the next page can be loaded ("Load More").
+ * A browse recipes search without a query or filters returns random recipes. Its random order is seeded: the seed is passed to the provider (or the offline catalog) and stored with the pagination details, so every page is cut from the same order (see `getRandomOrderSeed`).
+ *
  * Dependencies:
- * - Constants from `config.js`: `API_BASE_URL`, `API_KEY`, `MAX_CALORIES`, `MIN_PROTEIN`
+ * - `state`: The application's central state object.
+ * - `getRecipeProvider` from `recipeProviders/recipeProvider.js`: Returns the active recipe data provider (e.g., Spoonacular API or offline fixtures)
+ * - `hasFilters` from `searchFilterUtils.js`: Whether a browse recipes search has filters (a search without a query or filters returns random recipes).
+ * - `getExpiringPantryIngredientNames` from `pantry.js`: The pantry items expiring soon (searched with in "Use it up" mode).
+ * - Constants from `config.js`: `NUM_SEARCH_RESULTS`, `INGREDIENT_SEARCH_MODES`, `DEFAULT_INGREDIENT_SEARCH_MODE`
  */
 
-//Import constants from config file
-import { API_BASE_URL, API_KEY, MAX_CALORIES, MIN_PROTEIN } from "../config.js";
+//Import application state
+import { state } from "./state.js";
+
+//Import recipe data provider
+import { getRecipeProvider } from "./recipeProviders/recipeProvider.js";
 
-//LOAD RECIPES FROM API
+//Import utilities
+import { hasFilters } from "./modelUtils/featureSpecific/searchFilterUtils.js";
+import { getExpiringPantryIngredientNames } from "./pantry.js";
+
+//Import variables from config file
+import { NUM_SEARCH_RESULTS, INGREDIENT_SEARCH_MODES, DEFAULT_INGREDIENT_SEARCH_MODE } from "../config.js";
+
+//LOAD RECIPES FROM PROVIDER
 
 /**
- * Fetches recipe Ids from the API based on user inputs (ingredients, search queries, or filters).
+ * Fetches recipe Ids from the active recipe data provider based on user inputs (ingredients, search queries, or filters).
  * Supports searches from both the ingredient search page & browse recipes page
  *
  * @param {string|null} ingredientsList - A comma-separated list of ingredients in the user's pantry. Only applicable for a search made from the ingredient search page.
  * @param {string|null} search - A search bar query to find recipes (only applicable for a search made from the browse recipes page)
- * @param {Object|null} filtersObject - An object containing filter options (e.g., cuisine, dietary restrictions). Only applicable for a browse recipes search where user can filter recipes
+ * @param {Object|null} filtersObject - An object containing filter options (e.g., cuisines, diets) for a browse recipes search where user can filter recipes, or the search mode of an ingredient search (`{ searchMode: "cookNow" }`). If a user left the default option of a filter (or selected nothing in a multi-select filter) the value will be undefined for the property in the filtersObject (see searchFilterUtils.js):
+ *   @param {string[]} [filtersObject.cuisine] - The types of cuisine (e.g., ["italian", "greek"]). Recipes matching any of them are returned.
+ *   @param {string[]} [filtersObject.dietaryRestrictions] - Dietary restrictions (e.g., ["vegan", "gluten free"]). Recipes must match all of them.
+ *   @param {string[]} [filtersObject.intolerances] - Intolerances (e.g., ["dairy", "peanut"]). Recipes containing any of them are excluded.
+ *   @param {string[]} [filtersObject.excludeIngredients] - Ingredients the recipes must not contain (e.g., ["olives"]).
+ *   @param {string} [filtersObject.macroRestrictions] - Macronutrient restrictions (e.g., `MAX_CALORIES` or 'MIN_PROTEIN').
+ *   @param {string} [filtersObject.course] - The meal type (e.g., "main course").
+ *   @param {number} [filtersObject.prepTime] - The maximum preparation time in minutes.
+ *   @param {Object} [filtersObject.nutrientRanges] - Min/max nutrient values per serving, keyed by nutrient (one of NUTRIENT_RANGE_FILTERS, e.g., { calories: { min: 300, max: 700 }, sodium: { max: 800 } }).
+ *   @param {string} [filtersObject.searchMode] - The mode of an ingredient search (one of the INGREDIENT_SEARCH_MODES, e.g., "cookNow").
+ * @param {number} [offset=0] - The number of results to skip. 0 loads the first page of results, larger values load later pages.
+ * @param {AbortSignal|null} [signal=null] - Signal that cancels the request (when a newer search is made).
  * @returns {Promise<string|Object>} A comma-separated string of unique recipe IDs (search results), or an object indicating no results.
- * @throws {Error} If the API request fails.
+ * @throws {Error} If the provider request fails or is cancelled.
  */
-export const loadRecipes = async function (ingredientsList, search, filtersObject) {
+export const loadRecipes = async function (ingredientsList, search, filtersObject, offset = 0, signal = null) {
   try {
-    //Construct API url based on user inputs to fetch search results
-    const url = constructLoadRecipesUrl(ingredientsList, search, filtersObject);
-
-    const response = await fetch(url);
+    const provider = getRecipeProvider();
+    const searchParams = [ingredientsList, search, filtersObject];
+    const seed = getRandomOrderSeed(searchParams, offset);
 
-    //Throw a custom error if we get an API response code that indicates some sort of failure
-    if (!response.ok) throw new Error(`Failed to fetch recipes: ${response.status}`);
+    //An ingredient search uses the ingredientsList (ranked for its search mode). A browse recipes search uses the search query and filters (random recipes if neither are provided)
+    const { results, totalResults } = ingredientsList
+      ? await provider.searchByIngredients(getSearchIngredientsList(ingredientsList, filtersObject), INGREDIENT_SEARCH_MODES[getSearchMode(filtersObject)].ranking, offset, NUM_SEARCH_RESULTS, signal)
+      : await provider.searchRecipes(search, filtersObject, offset, NUM_SEARCH_RESULTS, signal, { seed });
 
-    const data = await response.json();
+    //Record the pagination details so the next page of this search can be loaded
+    updateSearchPagination(searchParams, offset, results?.length || 0, totalResults, seed);
 
-    // If the API comes back with no recipe results , return from function and stop execution.
-    if (data.length === 0 || (data.results && data.results.length === 0)) {
+    // If the provider comes back with no recipe results , return from function and stop execution.
+    if (!results || results.length === 0) {
       return { noResults: true };
     }
 
     //Ensure no duplicate recipe Ids exist in the search results. Extract the unique ids
-    const ids = extractUniqueRecipeIds(data, ingredientsList);
+    const ids = extractUniqueRecipeIds(results);
     return ids;
   } catch (error) {
     console.error("Error in loadRecipes", error);
@@ -51,70 +84,108 @@ export const loadRecipes = async function (ingredientsList, search, filtersObjec
   }
 };
 
+//SEARCH PAGINATION
+
 /**
- * Constructs the API URL for fetching recipes based on ingredients, search queries, or filters.
- * Supports URL construction for both ingredient searches  & browse recipe searches
+ * Records the pagination details of the latest search in `state.searchPagination`.
+ * Used for both provider searches and offline catalog searches.
  *
+ * @param {Array} searchParams - The search parameters ([ingredientsList, search, filtersObject]). An ingredientsList means it is an ingredient search, otherwise it is a browse recipes search.
+ * @param {number} offset - The number of results skipped for the page that was loaded.
+ * @param {number} numResults - The number of results in the page that was loaded.
+ * @param {number|null} totalResults - The total number of matching recipes (`null` if unknown).
+ * @param {number|null} [randomSeed=null] - The seed of the random order the page was cut from (see `getRandomOrderSeed`), `null` if the search is not a random recipes search.
+ */
+export const updateSearchPagination = function (searchParams, offset, numResults, totalResults, randomSeed = null) {
+  const mode = searchParams[0] ? "ingredientSearch" : "browseRecipes";
+  const nextOffset = offset + numResults;
+
+  //If the total is unknown, assume more results exist as long as a full page was returned
+  const hasMore = Number.isFinite(totalResults) ? nextOffset < totalResults : numResults >= NUM_SEARCH_RESULTS;
+
+  state.searchPagination[mode] = { searchParams, nextOffset, totalResults, hasMore, randomSeed };
+};
+
+/**
+ * Returns the seed of the random order of a browse recipes search without a query or filters (random recipes).
+ * A new search (offset 0) gets a new seed, and the next pages of the search reuse the seed recorded with its pagination details, so "Load More" never returns recipes that are already shown or skips others.
  *
- * @param {string|null} ingredientsList - A comma-separated list of ingredients in the user's pantry. Only applicable for ingredient searches.
- * @param {string|null} search - The search bar query input by the user (only applicable for browse recipe searches)
- * @param {Object|null} filtersObject - An object containing the user's filter inputs (Only applicable for a browse recipes search where user can filter recipes). If a user left the default option in the filter dropdown the value will be undefined for the property in the filtersObject:
- *   @param {string} [filtersObject.cuisine] - The type of cuisine (e.g., "Italian").
- *   @param {string} [filtersObject.dietaryRestrictions] - Dietary restrictions (e.g., "vegan").
- *   @param {string} [filtersObject.macroRestrictions] - Macronutrient restrictions (e.g., `MAX_CALORIES` or 'MIN_PROTEIN').
- *   @param {string} [filtersObject.course] - The meal type (e.g., "main course").
- *   @param {number} [filtersObject.prepTime] - The maximum preparation time in minutes.
- * @returns {string} The constructed API URL based on the user's inputs.
+ * @param {Array} searchParams - The search parameters ([ingredientsList, search, filtersObject]).
+ * @param {number} offset - The number of results to skip (0 for a new search).
+ * @returns {number|null} The seed of the random order (see `shuffleWithSeed`), or `null` if the search is not a random recipes search.
+ */
+export const getRandomOrderSeed = function ([ingredientsList, search, filtersObject], offset) {
+  if (ingredientsList || search || hasFilters(filtersObject)) return null;
+
+  const savedSeed = state.searchPagination.browseRecipes?.randomSeed;
+  return offset > 0 && Number.isFinite(savedSeed) ? savedSeed : Math.floor(Math.random() * 2 ** 32);
+};
+
+/**
+ * Checks whether more results can be loaded for the latest search of a mode.
  *
- * @private
+ * @param {string} mode - The type of search (`"ingredientSearch"` or `"browseRecipes"`).
+ * @returns {boolean} True if another page of results exists.
  */
-const constructLoadRecipesUrl = function (ingredientsList, search, filtersObject) {
-  //Destructure user filter inputs from filtersObject
-  const { cuisine, dietaryRestrictions, macroRestrictions, course, prepTime } = filtersObject || {};
-
-  let apiUrl = "";
-
-  if (ingredientsList) {
-    // Encode the ingredients list (properly formats multi-word ingredients)
-    const encodedIngredients = encodeURIComponent(ingredientsList);
-    //Generate the API url for an ingredient search (search and filtersObject are irrelevant)
-    apiUrl = `${API_BASE_URL}/recipes/findByIngredients?ingredients=${encodedIngredients}&number=15&apiKey=${API_KEY}`;
-  } else if (search || filtersObject) {
-    //Generate the API url for a browse recipes search (ingredientsList is irrelavent)
-    apiUrl = `${API_BASE_URL}/recipes/complexSearch?apiKey=${API_KEY}&number=15`;
-
-    //Dynamically construct url based on which user inputs are provided (not set to undefined (default))
-    if (search) apiUrl += `&query=${encodeURIComponent(search)}`;
-    if (cuisine) apiUrl += `&cuisine=${encodeURIComponent(cuisine)}`;
-    if (dietaryRestrictions) apiUrl += `&diet=${encodeURIComponent(dietaryRestrictions)}`;
-    if (macroRestrictions === MAX_CALORIES) apiUrl += `&maxCalories=${macroRestrictions}`;
-    if (macroRestrictions === MIN_PROTEIN) apiUrl += `&minProtein=${macroRestrictions}`;
-    if (course) apiUrl += `&type=${encodeURIComponent(course)}`;
-    if (prepTime) apiUrl += `&maxReadyTime=${prepTime}`;
-  } else {
-    apiUrl = `${API_BASE_URL}/recipes/complexSearch?number=15&sort=random&apiKey=${API_KEY}`;
-  }
+export const hasMoreSearchResults = function (mode) {
+  return Boolean(state.searchPagination[mode]?.hasMore);
+};
+
+/**
+ * Returns the parameters needed to load the next page of the latest search of a mode.
+ *
+ * @param {string} mode - The type of search (`"ingredientSearch"` or `"browseRecipes"`).
+ * @returns {{searchParams: Array, offset: number}|null} The search parameters and offset of the next page, or `null` if no search has been made.
+ */
+export const getNextPageParams = function (mode) {
+  const pagination = state.searchPagination[mode];
+  return pagination ? { searchParams: pagination.searchParams, offset: pagination.nextOffset } : null;
+};
+
+/**
+ * Returns the ingredients an ingredient search is made with (sent to the provider or the offline catalog).
+ * A "Use it up" search only searches with the ingredients that expire soon (the item that expires first at the top), so every page of results uses them up instead of only the loaded page being re-sorted.
+ * If none of the ingredients expire soon, it searches with all of them.
+ *
+ * @param {string} ingredientsList - A comma-separated list of the ingredients of the search.
+ * @param {Object|null} filtersObject - The search mode of the ingredient search (`{ searchMode: "useItUp" }`).
+ * @returns {string} A comma-separated list of the ingredients to search with.
+ */
+export const getSearchIngredientsList = function (ingredientsList, filtersObject) {
+  if (!INGREDIENT_SEARCH_MODES[getSearchMode(filtersObject)].onlyExpiring) return ingredientsList;
 
-  return apiUrl;
+  const ingredients = ingredientsList.split(",").map((ingredient) => ingredient.trim());
+  const expiringIngredients = getExpiringPantryIngredientNames().filter((name) => ingredients.includes(name));
+  return expiringIngredients.length > 0 ? expiringIngredients.join(",") : ingredientsList;
 };
 
 /**
- * Extracts unique recipe IDs from the API search result data.
+ * Returns the mode of the latest ingredient search (how its results are ranked, and whether only recipes with no missing ingredients are kept).
  *
- * @param {Object} data - The API response data.
- * @param {string|null} ingredientsList - A comma-separated list of ingredients (used to determine if it is an ingredient search (ingredientsList is not undefined) or browse recipes search).
+ * @returns {string} One of the `INGREDIENT_SEARCH_MODES` (`DEFAULT_INGREDIENT_SEARCH_MODE` if no ingredient search has been made).
+ */
+export const getIngredientSearchMode = function () {
+  return getSearchMode(state.searchPagination.ingredientSearch?.searchParams[2]);
+};
+
+//HELPER FUNCTIONS
+
+//Returns the search mode of an ingredient search from its filtersObject (the default mode if it is missing or unknown, e.g., a search recorded before search modes existed)
+const getSearchMode = function (filtersObject) {
+  const searchMode = filtersObject?.searchMode;
+  return INGREDIENT_SEARCH_MODES[searchMode] ? searchMode : DEFAULT_INGREDIENT_SEARCH_MODE;
+};
+
+/**
+ * Extracts unique recipe IDs from the provider search results.
+ *
+ * @param {Object[]} results - The search results returned by the provider (each contains an `id`).
  * @returns {string} A comma-separated string of unique recipe IDs.
  * @private
  */
-const extractUniqueRecipeIds = function (data, ingredientsList) {
-  //Use a set to ensure all search results (recipe Ids returned from API) are unique (no duplicates)
-  const ids = new Set();
-
-  if (ingredientsList) {
-    data.forEach((recipe) => ids.add(recipe.id));
-  } else {
-    data.results.forEach((recipe) => ids.add(recipe.id));
-  }
+const extractUniqueRecipeIds = function (results) {
+  //Use a set to ensure all search results (recipe Ids returned from provider) are unique (no duplicates)
+  const ids = new Set(results.map((recipe) => recipe.id));
 
   // Convert the Set to a comma-separated string of final search result Ids
   return [...ids].join(",");
@@ -1,13 +1,14 @@
 /**
  * @fileoverview Manages meal planning functionality, including adding, removing, and updating recipes in the meal plan.
- * Handles custom meal entries, updating weekly and daily nutrition data, and saving the meal plan to localStorage.
+ * Handles navigating the weeks of the meal plan (any past or future week, and the archive of past planned weeks), custom meal entries, marking meals as cooked (which takes their ingredients out of the pantry), updating weekly and daily nutrition data, and saving the meal plan to localStorage.
  *
  * Dependencies:
  * - `state`: The application's central state object.
  * - `Recipe` class: For creating recipe objects.
  * - Utilities:
- *   - `getRecipe`, `getDayMealPlan`, `getMondayOfTheWeek` from `modelUtils.js`
+ *   - `getRecipe`, `getRecipeFromMealPlan`, `getDayMealPlan`, `getWeekMealPlan`, `getFirstDayOfTheWeek` from `modelUtils.js`
  *   - `adjustServings` from `servingsUtils.js`
+ *   - `deductIngredientsFromPantry`, `restorePantryDeductions` from `pantry.js`
  *   - `createSortedDateStrArr`, `generateUniqueId` from `sharedUtils.js`
  *
  * Options Object `{source, currentDate, currentMeal}` Parameters:
@@ -33,8 +34,9 @@ import { state } from "./state.js";
 import Recipe from "./RecipeClass.js";
 
 //Import utilities
-import { getRecipe, getDayMealPlan, getMondayOfTheWeek } from "./modelUtils/highLevel/modelUtils.js";
+import { getRecipe, getRecipeFromMealPlan, getDayMealPlan, getWeekMealPlan, getFirstDayOfTheWeek } from "./modelUtils/highLevel/modelUtils.js";
 import { adjustServings } from "./modelUtils/featureSpecific/servingsUtils.js";
+import { deductIngredientsFromPantry, restorePantryDeductions } from "./pantry.js";
 import { createSortedDateStrArr, generateUniqueId, deepCopy } from "../sharedUtils.js";
 
 //Import default recipe image
@@ -44,20 +46,40 @@ import defaultRecipeImage from "../../images/custom-recipe-image.avif";
 
 /**
  * Updates the current meal planner week by navigating to the previous or next week depending on if the user clicked the next or previous arrow on the week slider.
+ * There is no first or last week, the week is created if it was never used.
  *
  * @param {string} direction - The direction to navigate (`"previousWeek"` or `"nextWeek"`).
  */
 export const updateSliderWeek = function (direction) {
-  //put all the week keys (plus and minus 4 weeks from current week) in an array and sort in ascending order (Ex: ["Mon Dec 16 2024", "Mon Dec 23 2024", "Mon Dec 30 2024"...])
-  const weekKeys = createSortedDateStrArr(state.mealPlan);
-  //Get index of the current week dateString from the array
-  const currentIndex = weekKeys.indexOf(state.mealCalendarWeek);
   const directionModifier = direction === "previousWeek" ? -1 : 1;
-  //Get new Monday week key based on if the user selected 'next' or 'previous'
-  const newIndex = currentIndex + directionModifier;
-  if (newIndex >= 0 && newIndex < weekKeys.length) {
-    state.mealCalendarWeek = weekKeys[newIndex];
-  }
+  //Get the first day of the new week based on if the user selected 'next' or 'previous'
+  const newWeek = new Date(state.mealCalendarWeek);
+  newWeek.setDate(newWeek.getDate() + directionModifier * 7);
+  jumpToWeek(newWeek);
+};
+
+/**
+ * Updates the current meal planner week to the week containing a date (e.g., a date picked by the user, or a past week from the archive).
+ *
+ * @param {Date|string} [date=new Date()] - Any day of the week to display. Defaults to today (the current week).
+ */
+export const jumpToWeek = function (date = new Date()) {
+  state.mealCalendarWeek = getFirstDayOfTheWeek(date).toDateString();
+  getWeekMealPlan(state.mealCalendarWeek);
+};
+
+/**
+ * Returns the archive of past weeks: the weeks before the current week that have at least one planned meal, most recent first.
+ *
+ * @returns {{week: string, numMeals: number}[]} The first day of each archived week (e.g., 'Mon Jan 13 2025') and the number of meals planned in it.
+ */
+export const getMealPlanArchive = function () {
+  const currentWeek = new Date(getFirstDayOfTheWeek().toDateString()); //Midnight, like the week keys
+  return createSortedDateStrArr(state.mealPlan)
+    .filter((week) => new Date(week) < currentWeek)
+    .map((week) => ({ week, numMeals: countWeekMeals(state.mealPlan[week]) }))
+    .filter(({ numMeals }) => numMeals > 0)
+    .reverse();
 };
 
 //ADD, REMOVE, AND MOVE RECIPE IN MEAL PLAN
@@ -129,6 +151,49 @@ export const deleteRecipeFromMealPlan = function (recipeId, dayDateString, mealT
   saveMealPlan();
 };
 
+// MARK MEAL AS COOKED
+
+/**
+ * Marks a recipe in the meal plan as cooked and takes its ingredients (scaled to the servings in the meal plan) out of the pantry.
+ * The pantry items taken out are stored on the meal entry (`recipe.cooked`) so the change can be undone with `undoMealCooked`, even in a later session.
+ *
+ * @param {number} recipeId - The ID of the recipe that was cooked.
+ * @param {string} dayDateString - The date the recipe is under in the meal plan (e.g., 'Mon Jan 20 2025').
+ * @param {string} mealTime - The meal time (e.g., "dinner") the recipe is under.
+ * @returns {{recipeTitle: string, numDeducted: number, shortages: Object[], skipped: Object[]}} A summary of the pantry changes (see `deductIngredientsFromPantry`).
+ * @throws {Error} If the meal is no longer in the meal plan, is a custom meal entry (which has no ingredients) or is already marked as cooked.
+ */
+export const markMealAsCooked = function (recipeId, dayDateString, mealTime) {
+  const recipe = getRecipeFromMealPlan(recipeId, dayDateString, mealTime);
+  if (!recipe) throw new Error("This meal is no longer in your meal plan.");
+  if (recipe.origin === "customMealEntry") throw new Error("Custom meal entries don't have ingredients to take out of your pantry.");
+  if (recipe.cooked) throw new Error(`${recipe.title} is already marked as cooked.`);
+
+  const { deductions, shortages, skipped } = deductIngredientsFromPantry(recipe.ingredients);
+  recipe.cooked = { deductions };
+  saveMealPlan();
+
+  return { recipeTitle: recipe.title, numDeducted: deductions.length, shortages, skipped };
+};
+
+/**
+ * Undoes marking a recipe in the meal plan as cooked: puts the ingredients that were taken out back into the pantry.
+ *
+ * @param {number} recipeId - The ID of the recipe.
+ * @param {string} dayDateString - The date the recipe is under in the meal plan (e.g., 'Mon Jan 20 2025').
+ * @param {string} mealTime - The meal time (e.g., "dinner") the recipe is under.
+ * @throws {Error} If the meal is no longer in the meal plan or is not marked as cooked.
+ */
+export const undoMealCooked = function (recipeId, dayDateString, mealTime) {
+  const recipe = getRecipeFromMealPlan(recipeId, dayDateString, mealTime);
+  if (!recipe) throw new Error("This meal is no longer in your meal plan.");
+  if (!recipe.cooked) throw new Error("This meal is not marked as cooked.");
+
+  restorePantryDeductions(recipe.cooked.deductions);
+  delete recipe.cooked;
+  saveMealPlan();
+};
+
 // ADD CUSTOM MEAL ENTRY TO MEAL PLAN
 
 /**
@@ -211,32 +276,35 @@ const createCustomRecipeObject = function (customEntryInputsObject) {
 //GET DAY MEAL TITLES
 
 /**
- * Collects the titles of all meals for a given day, grouped by meal time.
+ * Collects the titles of all meals for a given day, grouped by meal slot (in the order of the user's meal slots).
  *
  * @param {string} dayDateString - The date to retrieve meal titles for (e.g., 'Mon Jan 20 2025').
- * @returns {Object} An object where keys are meal times (e.g., "breakfast") and values are meal titles in that meal slot.
+ * @returns {{id: string, name: string, time: string, recipeNames: string}[]} The meal slots (see mealSlots.js) with the titles of the meals in them (e.g., "Oatmeal, Coffee", or "None").
  */
 export const getMealTimeRecipeNames = function (dayDateString) {
-  const { dayMealPlan } = getDayMealPlan(dayDateString);
+  const { meals } = getDayMealPlan(dayDateString).dayMealPlan;
 
-  const { meals, nutrition } = dayMealPlan;
-
-  return Object.keys(meals).reduce((mealEntryNames, mealTime) => {
-    mealEntryNames[mealTime] = meals[mealTime].length ? meals[mealTime].map((recipe) => recipe.title).join(", ") : "None";
-    return mealEntryNames;
-  }, {});
+  return state.mealSlots.map((slot) => {
+    const slotMeals = meals[slot.id] ?? [];
+    return { ...slot, recipeNames: slotMeals.length ? slotMeals.map((recipe) => recipe.title).join(", ") : "None" };
+  });
 };
 
 //HELPER FUNCTIONS
 
+//Counts the meals planned in a week (all meal slots of all days)
+const countWeekMeals = function (weekPlan) {
+  return Object.values(weekPlan).reduce((numMeals, day) => numMeals + Object.values(day.meals).flat().length, 0);
+};
+
 /**
  * Updates the nutrition data for a given week.
  *
- * @param {string} mondayOfWeekDateString - The date string of the week's Monday (e.g., 'Mon Jan 20 2025').
+ * @param {string} firstDayOfWeekDateString - The date string of the first day of the week (e.g., 'Mon Jan 20 2025').
  * @private
  */
-const updateNutritionForWeek = function (mondayOfWeekDateString) {
-  const weekPlan = state.mealPlan[mondayOfWeekDateString];
+const updateNutritionForWeek = function (firstDayOfWeekDateString) {
+  const weekPlan = state.mealPlan[firstDayOfWeekDateString];
   for (const day in weekPlan) {
     updateNutritionForDay(day);
   }
@@ -266,20 +334,20 @@ export const updateNutritionForDay = function (dayDateString) {
   }
 };
 
-//Saves the meal plan to localStorage.
+//Saves the meal plan to localStorage. Weeks without meals are not saved (they are created again when they are displayed or planned)
 export const saveMealPlan = function () {
-  localStorage.setItem("mealPlan", JSON.stringify(state.mealPlan));
+  const plannedWeeks = Object.fromEntries(Object.entries(state.mealPlan).filter(([, weekPlan]) => countWeekMeals(weekPlan) > 0));
+  localStorage.setItem("mealPlan", JSON.stringify(plannedWeeks));
 };
 
 /**
  * Retrieves the IDs of all recipes in a specific meal slot.
  *
  * @param {string} dateString - The date of the meal slot (e.g., 'Mon Jan 20 2025').
- * @param {string} meal - The meal time (e.g., "dinner").
- * @returns {Array<number>} An array of recipe IDs in the specified meal slot.
+ * @param {string} meal - The id of the meal slot (e.g., "dinner", see mealSlots.js).
+ * @returns {Array<number>} An array of recipe IDs in the specified meal slot (empty if the day has no such meal slot).
  */
 export const mealsInMealSlot = function (dateString, meal) {
-  const mondayOfWeek = getMondayOfTheWeek(dateString).toDateString();
-  const mealsArray = state.mealPlan[mondayOfWeek][dateString].meals[meal];
+  const mealsArray = getDayMealPlan(dateString).dayMealPlan.meals[meal] ?? [];
   return mealsArray.map((recipe) => recipe.id);
 };
@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Manages the meal slots of the meal planner days (e.g., breakfast, "pre-workout", dinner).
+ * The user can add and remove meal slots, change their order and give them an optional target time. The order of the slots is the order they are displayed in (day panels and meal dropdowns).
+ * Every day of the meal plan has a list of meal entries for each meal slot (see createEmptyMealObj in modelUtils.js), so adding or removing a slot updates every day of the meal plan.
+ * Meal slots are persisted in local storage (under "mealSlots") so they are available across sessions.
+ *
+ * Example meal slots array (state.mealSlots):
+ * [
+ *   { id: "breakfast", name: "Breakfast", time: "07:30" },              // The default slots keep the ids the meal plan always used (see DEFAULT_MEAL_SLOTS)
+ *   { id: "1737400000000123456", name: "Pre-workout", time: "17:00" }, // Slots added by the user get a unique id
+ *   { id: "dinner", name: "Dinner", time: "" },                          // No target time
+ * ]
+ *
+ * Dependencies:
+ * - `state`: The application's central state object.
+ * - `saveMealPlan` from `mealPlanner.js`: Saves the meal plan after a slot is added to or removed from its days.
+ * - Shared utilities (`generateUniqueId`).
+ * - Constants from `config.js`: `MAX_MEAL_SLOTS`
+ */
+
+//Import application state
+import { state } from "./state.js";
+
+//Import utilities
+import { saveMealPlan } from "./mealPlanner.js";
+import { generateUniqueId } from "../sharedUtils.js";
+
+//Import variables from config file
+import { MAX_MEAL_SLOTS } from "../config.js";
+
+/**
+ * Adds a meal slot after the other slots, then adds it to every day of the meal plan and saves both.
+ *
+ * @param {string} name - The name of the meal slot (e.g., "Pre-workout").
+ * @param {string} [time=""] - The target time of the meal (HTML time input format, e.g., "17:00"), empty for no target time.
+ * @throws {Error} If the name is empty, uses characters other than letters, spaces and hyphens or is already used, the time is invalid or the days already have MAX_MEAL_SLOTS slots.
+ */
+export const addMealSlot = function (name, time = "") {
+  const slotName = String(name || "").trim();
+  if (!slotName) throw new Error("Enter the name of the meal slot.");
+  if (/[^a-zA-Z\s-]/.test(slotName)) throw new Error("Use letters, spaces and hyphens only in the name of the meal slot.");
+  const existingSlot = state.mealSlots.find((slot) => slot.name.toLowerCase() === slotName.toLowerCase());
+  if (existingSlot) throw new Error(`You already have a ${existingSlot.name} meal slot.`);
+  if (state.mealSlots.length >= MAX_MEAL_SLOTS) throw new Error(`A day can have up to ${MAX_MEAL_SLOTS} meal slots.`);
+
+  const slot = { id: String(generateUniqueId()), name: slotName, time: validateTime(time) };
+  state.mealSlots.push(slot);
+  forEachDay((day) => (day.meals[slot.id] = []));
+
+  persistMealSlots();
+  saveMealPlan();
+};
+
+/**
+ * Removes a meal slot, then removes it from every day of the meal plan and saves both.
+ * A slot can only be removed once no meals are planned in it (on any day), so no planned meals are lost.
+ *
+ * @param {string} slotId - The id of the meal slot.
+ * @throws {Error} If it is the last meal slot or meals are planned in it.
+ */
+export const removeMealSlot = function (slotId) {
+  const slot = getMealSlot(slotId);
+  if (state.mealSlots.length === 1) throw new Error("A day needs at least one meal slot.");
+
+  let numMeals = 0;
+  forEachDay((day) => (numMeals += day.meals[slotId]?.length ?? 0));
+  if (numMeals > 0) throw new Error(`Move or remove the ${numMeals} meal${numMeals === 1 ? "" : "s"} planned for ${slot.name} first.`);
+
+  state.mealSlots = state.mealSlots.filter(({ id }) => id !== slotId);
+  forEachDay((day) => delete day.meals[slotId]);
+
+  persistMealSlots();
+  saveMealPlan();
+};
+
+/**
+ * Moves a meal slot one place up (earlier in the day) or down (later in the day), then saves the meal slots.
+ * Nothing happens if the slot is already the first (up) or last (down) one.
+ *
+ * @param {string} slotId - The id of the meal slot.
+ * @param {"up"|"down"} direction - The direction to move the slot in.
+ */
+export const moveMealSlot = function (slotId, direction) {
+  const index = state.mealSlots.indexOf(getMealSlot(slotId));
+  const newIndex = direction === "up" ? index - 1 : index + 1;
+  if (newIndex < 0 || newIndex >= state.mealSlots.length) return;
+
+  const [slot] = state.mealSlots.splice(index, 1);
+  state.mealSlots.splice(newIndex, 0, slot);
+  persistMealSlots();
+};
+
+/**
+ * Sets the target time of a meal slot, then saves the meal slots.
+ *
+ * @param {string} slotId - The id of the meal slot.
+ * @param {string} time - The target time (HTML time input format, e.g., "07:30"), empty to remove the target time.
+ * @throws {Error} If the time is invalid.
+ */
+export const setMealSlotTime = function (slotId, time) {
+  getMealSlot(slotId).time = validateTime(time);
+  persistMealSlots();
+};
+
+//HELPER FUNCTIONS
+
+//Returns a meal slot by its id (throws if the slot doesn't exist)
+const getMealSlot = function (slotId) {
+  const slot = state.mealSlots.find(({ id }) => id === slotId);
+  if (!slot) throw new Error(`Unknown meal slot: ${slotId}`);
+  return slot;
+};
+
+//Checks a target time is in the HTML time input format ("HH:MM") or empty, and returns it
+const validateTime = function (time) {
+  const slotTime = String(time || "");
+  if (slotTime && !/^([01]\d|2[0-3]):[0-5]\d$/.test(slotTime)) throw new Error("Enter the target time as HH:MM.");
+  return slotTime;
+};
+
+//Calls a function with the meal plan of every day in the meal plan
+const forEachDay = function (callback) {
+  Object.values(state.mealPlan).forEach((weekPlan) => Object.values(weekPlan).forEach(callback));
+};
+
+//Saves the meal slots to localStorage.
+const persistMealSlots = function () {
+  localStorage.setItem("mealSlots", JSON.stringify(state.mealSlots));
+};
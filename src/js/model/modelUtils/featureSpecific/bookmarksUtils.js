@@ -7,7 +7,7 @@
  * - `state`: The application's central state object.
  * - Utility functions from `modelUtils.js`:
  *   - `getRecipe`
- *   - `getMondayOfTheWeek`
+ *   - `getDayMealPlan`
  *   - `getRecipeFromBrowse`
  *
  * Options Object `{source, currentDate, currentMeal}` Parameters:
@@ -30,7 +30,7 @@
 import { state } from "../../state.js";
 
 //Import utilities
-import { getRecipe, getMondayOfTheWeek, getRecipeFromBrowse } from "../highLevel/modelUtils.js";
+import { getRecipe, getDayMealPlan, getRecipeFromBrowse } from "../highLevel/modelUtils.js";
 
 /**
  * Retrieves the bookmark status of a recipe.
@@ -68,8 +68,7 @@ export const getBookmarkStatus = function (recipeId, { source, currentDate, curr
 export const updateBookmarkStatus = function (recipeId, newBookmarkStatus, { source, currentDate, currentMeal }) {
   // Handle meal plan bookmark updates (if recipe source is 'mealPlan')
   if (source === "mealPlan" && currentDate && currentMeal) {
-    const mondayOfWeek = getMondayOfTheWeek(currentDate).toDateString();
-    state.mealPlan[mondayOfWeek][currentDate].meals[currentMeal].forEach((meal) => {
+    getDayMealPlan(currentDate).dayMealPlan.meals[currentMeal].forEach((meal) => {
       if (meal.id === recipeId) meal.isBookmarked = newBookmarkStatus;
     });
 
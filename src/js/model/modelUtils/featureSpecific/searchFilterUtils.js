@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Applies the user's browse recipe filters (the filtersObject) to recipes without calling the recipe API.
+ * Used by the offline recipe sources (the fixture provider and the offline recipe catalog) so they honor the same filters as a Spoonacular search.
+ *
+ * Both sources store recipes in a different shape, so each converts its recipes into a `FilterableRecipe` before matching.
+ *
+ * Example filtersObject:
+ * {
+ *   cuisine: ["italian", "greek"],          // Match any of these cuisines
+ *   dietaryRestrictions: ["vegetarian"],    // Match all of these diets
+ *   intolerances: ["dairy", "peanut"],      // Skip recipes containing any of these
+ *   excludeIngredients: ["olives"],         // Skip recipes using any of these ingredients
+ *   macroRestrictions: "550",               // `MAX_CALORIES` or `MIN_PROTEIN` preset
+ *   course: "main course",                  // The meal type
+ *   prepTime: "45",                         // Max ready time in minutes
+ *   nutrientRanges: { calories: { min: 300, max: 700 }, sodium: { max: 800 } }, // Per serving
+ * }
+ * Filters the user did not set are undefined.
+ *
+ * Dependencies:
+ * - Constants from `config.js`: `MAX_CALORIES`, `MIN_PROTEIN`, `INTOLERANCE_INGREDIENTS`
+ */
+
+//Import variables from config file
+import { MAX_CALORIES, MIN_PROTEIN, INTOLERANCE_INGREDIENTS } from "../../../config.js";
+
+/**
+ * @typedef {Object} FilterableRecipe
+ * @property {string[]} cuisines - The recipe's cuisines.
+ * @property {string[]} diets - The recipe's diets (e.g., "gluten free", "vegan").
+ * @property {string[]} dishTypes - The recipe's meal types (e.g., "main course").
+ * @property {string[]} ingredientNames - The names of the recipe's ingredients.
+ * @property {number} readyInMinutes - The recipe's total preparation time.
+ * @property {{calories: number, protein: number, carbs: number, fat: number, sugar: number, sodium: number}} nutrients - Nutrition per serving.
+ */
+
+/**
+ * Checks if the user selected at least one filter.
+ *
+ * @param {Object|null} filtersObject - An object containing the user's filter inputs.
+ * @returns {boolean} `true` if any filter is set.
+ */
+export const hasFilters = function (filtersObject) {
+  return Object.values(filtersObject || {}).some((value) => value !== undefined);
+};
+
+/**
+ * Checks whether a recipe satisfies all of the filters the user selected.
+ * Filters left on their default option are undefined and are ignored.
+ *
+ * @param {FilterableRecipe} recipe - The recipe to check.
+ * @param {Object} filtersObject - An object containing the user's filter inputs (see example at the top of the file).
+ * @returns {boolean} `true` if the recipe matches every provided filter.
+ */
+export const matchesFilters = function (recipe, { cuisine, dietaryRestrictions, intolerances, excludeIngredients, macroRestrictions, course, prepTime, nutrientRanges }) {
+  const { calories, protein } = recipe.nutrients;
+
+  if (cuisine && !cuisine.some((option) => includesTerm(recipe.cuisines, option))) return false;
+  if (dietaryRestrictions && !dietaryRestrictions.every((diet) => includesTerm(recipe.diets, diet))) return false;
+  if (intolerances && intolerances.some((intolerance) => containsIntolerance(recipe, intolerance))) return false;
+  if (excludeIngredients && excludeIngredients.some((ingredient) => includesTerm(recipe.ingredientNames, ingredient))) return false;
+  if (macroRestrictions === MAX_CALORIES && !(calories <= Number(MAX_CALORIES))) return false;
+  if (macroRestrictions === MIN_PROTEIN && !(protein >= Number(MIN_PROTEIN))) return false;
+  if (course && !includesTerm(recipe.dishTypes, course)) return false;
+  if (prepTime && !(recipe.readyInMinutes <= Number(prepTime))) return false;
+  if (nutrientRanges && !Object.entries(nutrientRanges).every(([nutrient, range]) => isWithinRange(recipe.nutrients[nutrient], range))) return false;
+
+  return true;
+};
+
+//HELPER FUNCTIONS
+
+//Normalizes a filter or recipe value. Values may use hyphens instead of spaces (e.g., "middle-eastern") and differ in case
+const normalize = (value) => String(value).toLowerCase().replace(/-/g, " ");
+
+//Checks if any item in the list contains the term (items may be more specific, e.g., "lacto ovo vegetarian" contains "vegetarian")
+const includesTerm = function (list, term) {
+  return list.some((item) => normalize(item).includes(normalize(term)));
+};
+
+/**
+ * Checks whether a recipe contains an ingredient the user is intolerant to.
+ * A recipe tagged with the matching "free" diet (e.g., "dairy free" for dairy) is always safe.
+ *
+ * @param {FilterableRecipe} recipe - The recipe to check.
+ * @param {string} intolerance - The intolerance (e.g., "dairy").
+ * @returns {boolean} `true` if the recipe is unsafe for the intolerance.
+ * @private
+ */
+const containsIntolerance = function (recipe, intolerance) {
+  if (includesTerm(recipe.diets, `${intolerance} free`)) return false;
+
+  const ingredients = INTOLERANCE_INGREDIENTS[intolerance] || [intolerance];
+  return ingredients.some((ingredient) => includesTerm(recipe.ingredientNames, ingredient));
+};
+
+//Checks if a nutrient value is within a {min, max} range (either bound may be missing). Recipes without the nutrient never match
+const isWithinRange = function (value, { min, max }) {
+  if (!Number.isFinite(value)) return false;
+  return (min === undefined || value >= min) && (max === undefined || value <= max);
+};
@@ -6,7 +6,8 @@
  * Dependencies:
  * - `state`: The application's central state object.
  * - `getRecipe` from `modelUtils.js`: To retrieve recipes based on their source and context.
- * - Constants from `config.js`:`RECIPE_NUTRIENTS`, `RECOMMENDED_PROTEIN_DV`, `RECOMMENDED_FATS_DV`, `RECOMMENDED_CARBS_DV`
+ * - `getDailyValues` from `modelUtils.js`: The daily values (personal or standard) the percent daily values are calculated with.
+ * - Constants from `config.js`:`RECIPE_NUTRIENTS`
  *
  * Options Object `{source, currentDate, currentMeal}` Parameters:
  * - `source`: Identifies where the recipe was clicked from. Possible values are:
@@ -28,10 +29,10 @@
 import { state } from "../../state.js";
 
 //Import utilities
-import { getRecipe } from "../highLevel/modelUtils.js";
+import { getRecipe, getDailyValues } from "../highLevel/modelUtils.js";
 
 //Import variables from config file
-import { RECIPE_NUTRIENTS, RECOMMENDED_PROTEIN_DV, RECOMMENDED_FATS_DV, RECOMMENDED_CARBS_DV } from "../../../config.js";
+import { RECIPE_NUTRIENTS } from "../../../config.js";
 import { deepCopy } from "../../../sharedUtils.js";
 
 /**
@@ -146,7 +147,7 @@ const isValidServings = function (servings) {
 };
 
 /**
- * Updates the quantities of ingredients based on the servings ratio when the number of servings is updated for a recipe
+ * Updates the quantities of ingredients (and of their US and metric measures) based on the servings ratio when the number of servings is updated for a recipe
  *
  * @param {Array<Object>} ingredients - The array of ingredients in the recipe.
  * @param {number} servingsRatio - The ratio of updated servings to current servings.
@@ -155,6 +156,7 @@ const isValidServings = function (servings) {
 const updateIngredientQuantities = function (ingredients, servingsRatio) {
   ingredients.forEach((ingredient) => {
     ingredient.quantity *= servingsRatio;
+    Object.values(ingredient.measures || {}).forEach((measure) => (measure.quantity *= servingsRatio));
   });
 };
 
@@ -174,13 +176,14 @@ const updateNutrientQuantities = function (recipe, servingsRatio) {
 };
 
 /**
- * Updates the daily value percentages for protein, fats, and carbs in a recipe.
+ * Updates the daily value percentages for protein, fats, and carbs in a recipe, based on the user's daily values (see getDailyValues).
+ * Also used to recalculate the percentages of the saved recipes when the user's profile changes.
  *
  * @param {Object} recipe - The recipe object containing nutrient values.
- * @private
  */
-const updatePercentDV = function (recipe) {
-  recipe.percentDVProtein = (recipe.protein / RECOMMENDED_PROTEIN_DV) * 100;
-  recipe.percentDVFats = (recipe.fats / RECOMMENDED_FATS_DV) * 100;
-  recipe.percentDVCarbs = (recipe.carbs / RECOMMENDED_CARBS_DV) * 100;
+export const updatePercentDV = function (recipe) {
+  const dailyValues = getDailyValues();
+  recipe.percentDVProtein = (recipe.protein / dailyValues.protein) * 100;
+  recipe.percentDVFats = (recipe.fats / dailyValues.fats) * 100;
+  recipe.percentDVCarbs = (recipe.carbs / dailyValues.carbs) * 100;
 };
@@ -0,0 +1,201 @@
+/**
+ * @fileoverview Provides utility functions for converting ingredient quantities between units, so quantities that recipes (or the pantry) express in different units
+ * can be compared and added up (e.g., 2 tbsp of butter and 1/2 cup of butter, 1 lb of flour in the pantry and 2 cups of flour in a recipe).
+ *
+ * Units are first normalized from the spellings used by recipes and users (e.g., "T", "Tbsps", "tablespoons" -> "tbsp"). Then:
+ * - Volume units convert to volume units and mass units to mass units (through milliliters and grams).
+ * - Volume units convert to mass units (and back) only for ingredients with a known density (see `INGREDIENT_DENSITIES`).
+ * - Any other unit (e.g., "clove", "can", "" for a count) only "converts" to the same unit.
+ *
+ * Quantities can also be converted into the US or metric measurement system (see `getIngredientMeasures`), so recipes display in the system the user prefers.
+ *
+ * Dependencies:
+ * - Shared utilities (`normalizeIngredient`).
+ * - Constants from `config.js`: `VOLUME_UNITS_IN_ML`, `MASS_UNITS_IN_G`, `UNIT_ALIASES`, `INGREDIENT_DENSITIES`, `MEASUREMENT_SYSTEM_UNITS`
+ */
+
+//Import utilities
+import { normalizeIngredient } from "../../../sharedUtils.js";
+
+//Import variables from config file
+import { VOLUME_UNITS_IN_ML, MASS_UNITS_IN_G, UNIT_ALIASES, INGREDIENT_DENSITIES, MEASUREMENT_SYSTEM_UNITS } from "../../../config.js";
+
+//Density names sorted from longest to shortest, so the most specific name an ingredient contains is used (e.g., "brown sugar" before "sugar")
+const DENSITY_NAMES = Object.keys(INGREDIENT_DENSITIES).sort((a, b) => b.length - a.length);
+
+//Units a quantity is converted to when it changes measurement system, from largest to smallest, with the smallest quantity each unit is used for (e.g., 1/4 cup or more is shown in cups, less in tbsp)
+const MEASUREMENT_SYSTEM_TARGET_UNITS = {
+  us: {
+    volume: [
+      { unit: "cup", minQuantity: 0.25 },
+      { unit: "tbsp", minQuantity: 1 },
+      { unit: "tsp", minQuantity: 0 },
+    ],
+    mass: [
+      { unit: "lb", minQuantity: 1 },
+      { unit: "oz", minQuantity: 0 },
+    ],
+  },
+  metric: {
+    volume: [
+      { unit: "l", minQuantity: 1 },
+      { unit: "ml", minQuantity: 0 },
+    ],
+    mass: [
+      { unit: "kg", minQuantity: 1 },
+      { unit: "g", minQuantity: 0 },
+    ],
+  },
+};
+
+/**
+ * Normalizes the spelling of a unit (e.g., "T", "Tbsps", "tablespoons" -> "tbsp", "fl. oz." -> "fl oz", "Grams" -> "g").
+ *
+ * @param {string} unit - The unit from a recipe, the pantry or a user input.
+ * @returns {string} The unit as named in `VOLUME_UNITS_IN_ML` or `MASS_UNITS_IN_G`. Unknown units are returned trimmed and lower case ("" if there is no unit).
+ */
+export const normalizeUnit = function (unit) {
+  const trimmedUnit = String(unit || "").trim();
+  if (trimmedUnit === "T") return "tbsp"; //Capital T is the usual shorthand for tablespoon, lower case t for teaspoon
+
+  const normalizedUnit = trimmedUnit.toLowerCase().replace(/\./g, "").replace(/\s+/g, " ");
+  return UNIT_ALIASES[normalizedUnit] ?? normalizedUnit;
+};
+
+/**
+ * Returns the kind of quantity a unit measures.
+ *
+ * @param {string} unit - The unit (any spelling).
+ * @returns {"volume"|"mass"|null} The type of the unit, or null if it can't be converted to other units (e.g., "clove", "" for a count).
+ */
+export const getUnitType = function (unit) {
+  const normalizedUnit = normalizeUnit(unit);
+  if (normalizedUnit in VOLUME_UNITS_IN_ML) return "volume";
+  if (normalizedUnit in MASS_UNITS_IN_G) return "mass";
+  return null;
+};
+
+/**
+ * Returns the density of an ingredient (used to convert between volume and mass).
+ *
+ * @param {string} ingredientName - The ingredient name (e.g., "light brown sugar").
+ * @returns {number|null} The density in grams per milliliter, or null if the density of the ingredient is unknown.
+ */
+export const getIngredientDensity = function (ingredientName) {
+  if (!ingredientName) return null;
+
+  const ingredient = ` ${normalizeIngredient(ingredientName)} `;
+  const densityName = DENSITY_NAMES.find((name) => ingredient.includes(` ${name} `));
+  return densityName ? INGREDIENT_DENSITIES[densityName] : null;
+};
+
+/**
+ * Converts a quantity from one unit to another.
+ *
+ * @param {number} quantity - The quantity to convert.
+ * @param {string} fromUnit - The unit of the quantity (any spelling).
+ * @param {string} toUnit - The unit to convert to (any spelling).
+ * @param {string} [ingredientName] - The ingredient measured, needed to convert between volume and mass.
+ * @returns {number|null} The quantity in the new unit (not rounded), or null if the units can't be converted (e.g., cups to cloves, cups to grams of an ingredient with an unknown density).
+ */
+export const convertQuantity = function (quantity, fromUnit, toUnit, ingredientName) {
+  const amount = Number(quantity);
+  if (!Number.isFinite(amount)) return null;
+
+  const from = normalizeUnit(fromUnit);
+  const to = normalizeUnit(toUnit);
+  if (from === to) return amount;
+
+  const fromType = getUnitType(from);
+  const toType = getUnitType(to);
+  if (!fromType || !toType) return null;
+
+  if (fromType === toType) return fromType === "volume" ? (amount * VOLUME_UNITS_IN_ML[from]) / VOLUME_UNITS_IN_ML[to] : (amount * MASS_UNITS_IN_G[from]) / MASS_UNITS_IN_G[to];
+
+  const density = getIngredientDensity(ingredientName);
+  if (!density) return null;
+
+  //Volume -> milliliters -> grams -> mass unit, or mass -> grams -> milliliters -> volume unit
+  return fromType === "volume" ? (amount * VOLUME_UNITS_IN_ML[from] * density) / MASS_UNITS_IN_G[to] : (amount * MASS_UNITS_IN_G[from]) / density / VOLUME_UNITS_IN_ML[to];
+};
+
+/**
+ * Adds up two quantities of an ingredient, in the unit of the first quantity.
+ *
+ * @param {{quantity: number, unit: string}} first - The first quantity (its unit is used for the total).
+ * @param {{quantity: number, unit: string}} second - The quantity to add.
+ * @param {string} [ingredientName] - The ingredient measured, needed to add a volume to a mass.
+ * @returns {{quantity: number, unit: string}|null} The total (unit normalized), or null if the units can't be converted.
+ */
+export const addQuantities = function (first, second, ingredientName) {
+  const convertedQuantity = convertQuantity(second.quantity, second.unit, first.unit, ingredientName);
+  if (convertedQuantity === null || !Number.isFinite(Number(first.quantity))) return null;
+
+  return { quantity: Number(first.quantity) + convertedQuantity, unit: normalizeUnit(first.unit) };
+};
+
+/**
+ * Compares two quantities of an ingredient (e.g., whether the pantry has enough for a recipe).
+ *
+ * @param {{quantity: number, unit: string}} first - The first quantity.
+ * @param {{quantity: number, unit: string}} second - The second quantity.
+ * @param {string} [ingredientName] - The ingredient measured, needed to compare a volume with a mass.
+ * @returns {number|null} A negative number if the first quantity is smaller, 0 if they are equal, a positive number if it is larger, or null if the units can't be converted.
+ */
+export const compareQuantities = function (first, second, ingredientName) {
+  const convertedQuantity = convertQuantity(second.quantity, second.unit, first.unit, ingredientName);
+  if (convertedQuantity === null || !Number.isFinite(Number(first.quantity))) return null;
+
+  return Number(first.quantity) - convertedQuantity;
+};
+
+/**
+ * Rounds a quantity to 2 decimals, so quantities that were converted, added up or subtracted don't leave floating point noise (e.g., 0.30000000000000004).
+ *
+ * @param {number} quantity - The quantity to round.
+ * @returns {number} The rounded quantity.
+ */
+export const roundQuantity = function (quantity) {
+  return Math.round(quantity * 100) / 100;
+};
+
+/**
+ * Returns the measurement system a unit belongs to.
+ *
+ * @param {string} unit - The unit (any spelling).
+ * @returns {"us"|"metric"|null} The measurement system of the unit, or null if the unit belongs to neither (e.g., "clove", "" for a count).
+ */
+export const getMeasurementSystem = function (unit) {
+  const normalizedUnit = normalizeUnit(unit);
+  return Object.keys(MEASUREMENT_SYSTEM_UNITS).find((system) => MEASUREMENT_SYSTEM_UNITS[system].includes(normalizedUnit)) ?? null;
+};
+
+/**
+ * Converts a quantity into a measurement system, in the most readable unit of the same type (e.g., 240 ml -> 1 cup, 1.5 lb -> 680.39 g, 1500 g -> 1.5 kg).
+ * Quantities that are already in the measurement system, or whose unit belongs to neither system (e.g., 2 cloves), are returned unchanged.
+ *
+ * @param {number} quantity - The quantity to convert.
+ * @param {string} unit - The unit of the quantity (any spelling).
+ * @param {"us"|"metric"} system - The measurement system to convert to.
+ * @returns {{quantity: number, unit: string}} The quantity and unit in the measurement system.
+ */
+export const convertToMeasurementSystem = function (quantity, unit, system) {
+  const unitSystem = getMeasurementSystem(unit);
+  if (!unitSystem || unitSystem === system || !Number.isFinite(Number(quantity))) return { quantity: Number(quantity), unit };
+
+  const targetUnits = MEASUREMENT_SYSTEM_TARGET_UNITS[system][getUnitType(unit)];
+  const { unit: targetUnit } = targetUnits.find(({ unit: candidateUnit, minQuantity }) => convertQuantity(quantity, unit, candidateUnit) >= minQuantity) ?? targetUnits.at(-1);
+
+  return { quantity: convertQuantity(quantity, unit, targetUnit), unit: targetUnit };
+};
+
+/**
+ * Returns the measures of an ingredient quantity in both measurement systems, so a recipe entered in one system (e.g., a custom recipe in grams) can be displayed in the other.
+ *
+ * @param {number} quantity - The quantity of the ingredient.
+ * @param {string} unit - The unit of the quantity, as entered.
+ * @returns {{us: {quantity: number, unit: string}, metric: {quantity: number, unit: string}}} The US and metric measures.
+ */
+export const getIngredientMeasures = function (quantity, unit) {
+  return { us: convertToMeasurementSystem(quantity, unit, "us"), metric: convertToMeasurementSystem(quantity, unit, "metric") };
+};
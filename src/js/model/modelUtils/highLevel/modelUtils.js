@@ -1,10 +1,11 @@
 /**
  * @fileoverview Utility functions for managing recipe and meal plan data across the application.
  * This file houses shared utilities used across all model files, including other feature-specific utility files in the model.
- * It provides methods for retrieving recipe and meal plan data as well as general purpose utilities like calculating dates (e.g., the Monday of a week).
+ * It provides methods for retrieving recipe and meal plan data (creating the weeks of the meal plan when they are first used) as well as general purpose utilities like calculating dates (e.g., the first day of a week) and the daily values recipe percent daily values are based on.
  *
  * Dependencies:
- * - `state`: The application's central state object.
+ * - `state`: The application's central state object (the days of the meal plan have a list of meals for each of the user's meal slots, `state.mealSlots`).
+ * - Constants from `config.js`: `WEEK_START_DAYS`, `RECOMMENDED_CALORIES_DV`, `RECOMMENDED_PROTEIN_DV`, `RECOMMENDED_FATS_DV`, `RECOMMENDED_CARBS_DV`
  * 
  * Options Object `{source, currentDate, currentMeal}` Parameters:
  * - `source`: Identifies where the recipe was clicked from. Possible values are:
@@ -26,6 +27,9 @@
 //Import application state
 import { state } from "../../state.js";
 
+//Import variables from config file
+import { WEEK_START_DAYS, RECOMMENDED_CALORIES_DV, RECOMMENDED_PROTEIN_DV, RECOMMENDED_FATS_DV, RECOMMENDED_CARBS_DV } from "../../../config.js";
+
 /**
  * Retrieves a recipe object from the application state based on the provided source and options
  * 
@@ -81,31 +85,119 @@ export const getRecipeFromMealPlan = function (recipeId, dayDateString, mealTime
  *
  * @param {string} dayDateString - The date string for the day (e.g., 'Mon Jan 20 2025').
  * @returns {Object} An object containing the `weekKey` and `dayMealPlan` for the given date.
- * The weekKey is the Monday of the week of the specific day we want the meal plan for
+ * The weekKey is the first day of the week of the specific day we want the meal plan for (Monday or Sunday, depending on the user's week start preference)
  * The dayMealPlan contains all the meals in each meal slot for the day as well as the nutrition info for the day.
  */
 export const getDayMealPlan = function (dayDateString) {
-  //Get the monday of the week containing the day in question (the weekKey)
-  const weekKey = getMondayOfTheWeek(dayDateString).toDateString();
-  //Use the weekKey and day to access the meal data for the day in the meal plan
-  const dayMealPlan = state.mealPlan[weekKey][dayDateString];
+  //Get the first day of the week containing the day in question (the weekKey)
+  const weekKey = getFirstDayOfTheWeek(dayDateString).toDateString();
+  //Use the week (created if the day is in a week that was never used) to access the meal data for the day in the meal plan
+  const dayMealPlan = getWeekMealPlan(weekKey)[dayDateString];
 
   return { weekKey, dayMealPlan };
 };
 
 /**
- * Calculates the date of the Monday of the week for a given date.
+ * Retrieves the meal plan of the week containing a date. Weeks are created the first time they are used (e.g., displayed in the meal planner or planned), so any date can be planned.
+ *
+ * @param {string} dateString - The date string of any day in the week (e.g., 'Wed Jan 22 2025').
+ * @returns {Object} The week meal plan (day date strings -> day meal plans, see initializeApp.js).
+ */
+export const getWeekMealPlan = function (dateString) {
+  const weekKey = getFirstDayOfTheWeek(dateString).toDateString();
+  state.mealPlan[weekKey] ??= createWeeklyMealPlan(weekKey);
+  return state.mealPlan[weekKey];
+};
+
+/**
+ * Creates a weekly meal plan for the 7 days starting from the provided date (the first day of the week).
+ *
+ * Example:
+ * If `firstDayOfWeek` is "Mon Jan 13 2025", there are no saved days and the user has the default meal slots, the returned structure will look like:
+ * {
+ *   "Mon Jan 13 2025": { // Daily meal plan for Monday
+ *     meals: {
+ *       breakfast: [],   // Array of meal entries for breakfast
+ *       lunch: [],       // Array of meal entries for lunch
+ *       snacks: [],      // Array of meal entries for snacks
+ *       dinner: [],      // Array of meal entries for dinner
+ *     },
+ *     nutrition: {        // Nutrition totals for the day
+ *       calories: 0,
+ *       protein: 0,
+ *       carbs: 0,
+ *       fats: 0,
+ *     },
+ *   },
+ *   "Tue Jan 14 2025": { ... }, // Similarly for the rest of the days (Tue, Wed, Thu, Fri, Sat, Sun).
+ *   ...
+ *   "Sun Jan 19 2025": { ... },
+ * }
+ *
+ * @param {string} firstDayOfWeek - The date string of the first day of the week (e.g., "Mon Jan 13 2025").
+ * @param {Object} [savedDays={}] - Saved day plans keyed by date string. A saved day is used instead of creating an empty one (with an empty list for the meal slots it doesn't have).
+ * @returns {Object} The week meal plan.
+ */
+export const createWeeklyMealPlan = function (firstDayOfWeek, savedDays = {}) {
+  let dayMeals = {};
+  for (let i = 0; i <= 6; i++) {
+    const dateKey = new Date(firstDayOfWeek);
+    dateKey.setDate(dateKey.getDate() + i);
+    const savedDay = savedDays[dateKey.toDateString()];
+    dayMeals[dateKey.toDateString()] = savedDay ? { ...savedDay, meals: { ...createEmptyMealObj().meals, ...savedDay.meals } } : createEmptyMealObj();
+  }
+  return dayMeals;
+};
+
+/**
+ * Calculates the date of the first day of the week for a given date. The week starts on the day set in the user's preferences (`state.preferences.weekStart`, Monday or Sunday).
  *
- * @param {Date|string} [selectedDate=new Date()] - The date to calculate the Monday for. Defaults to today if no date provided.
- * @returns {Date} A `Date` object representing the Monday of the given week.
+ * @param {Date|string} [selectedDate=new Date()] - The date to calculate the first day of the week for. Defaults to today if no date provided.
+ * @returns {Date} A `Date` object representing the first day of the given week.
  */
-export const getMondayOfTheWeek = function (selectedDate = new Date()) {
+export const getFirstDayOfTheWeek = function (selectedDate = new Date()) {
   const date = new Date(selectedDate);
-  const mondayDate = date.getDate() - date.getDay() + 1;
-  date.setDate(mondayDate); // Set the date to the calculated Monday
+  const daysSinceWeekStart = (date.getDay() - WEEK_START_DAYS[state.preferences.weekStart] + 7) % 7;
+  date.setDate(date.getDate() - daysSinceWeekStart); // Set the date to the calculated first day of the week
   return date;
 };
 
+/**
+ * Returns the daily values the percent daily values of recipes are calculated with: the user's personal daily targets once they filled in their profile (see userProfile.js), otherwise the standard daily values.
+ *
+ * @returns {{calories: number, protein: number, fats: number, carbs: number}} The daily values (calories in kcal, macros in grams).
+ */
+export const getDailyValues = function () {
+  return state.userProfile?.dailyTargets ?? { calories: RECOMMENDED_CALORIES_DV, protein: RECOMMENDED_PROTEIN_DV, fats: RECOMMENDED_FATS_DV, carbs: RECOMMENDED_CARBS_DV };
+};
+
+/**
+ * Creates an empty meal object for a single day, with an empty list of meal entries for each of the user's meal slots (in their order).
+ *
+ * Example:
+ * With the default meal slots, the returned structure will look like:
+ * {
+ *   meals: {
+ *     breakfast: [],   // Array of meal entries for breakfast
+ *     lunch: [],       // Array of meal entries for lunch
+ *     snacks: [],      // Array of meal entries for snacks
+ *     dinner: [],      // Array of meal entries for dinner
+ *   },
+ *   nutrition: {        // Nutrition totals for the day
+ *     calories: 0,
+ *     protein: 0,
+ *     carbs: 0,
+ *     fats: 0,
+ *   },
+ * }
+ *
+ * @private
+ */
+const createEmptyMealObj = function () {
+  const meals = Object.fromEntries(state.mealSlots.map(({ id }) => [id, []]));
+  return { meals, nutrition: { calories: 0, protein: 0, carbs: 0, fats: 0 } };
+};
+
 /**
  * Retrieves the appropriate array of recipes from the state based on the given source.
  *
@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Manages the user's daily nutrition goals (calorie and macro targets) and compares the nutrition totals of the meal plan against them.
+ * The user sets goals for every day, and can set different goals for some weekdays (e.g., more calories on training days).
+ * Each nutrient goal is optional (null when the user didn't set it). A daily total within NUTRITION_GOAL_TOLERANCE of its goal is on target, otherwise it is under or over the goal.
+ * Goals are persisted in local storage (under "nutritionGoals") so they are available across sessions.
+ *
+ * Example nutrition goals object (state.nutritionGoals):
+ * {
+ *   everyDay: { calories: 2000, protein: 120, carbs: 220, fats: 65 }, // Goals of the days without weekday goals (calories in kcal, macros in grams)
+ *   weekdays: {
+ *     Sat: { calories: 2400, protein: 120, carbs: 300, fats: 80 },     // Goals of a weekday (short weekday name, see WEEKDAY_NAMES)
+ *   },
+ * }
+ *
+ * Example nutrient progress object (returned by `getDayNutritionProgress` for each nutrient):
+ * {
+ *   total: 1850,        // The total of the day
+ *   goal: 2000,         // The goal of the day (null if the user didn't set one)
+ *   percent: 92.5,      // The total as a percentage of the goal (null without a goal)
+ *   status: "onTarget", // "under", "onTarget" or "over" (null without a goal or planned meals)
+ * }
+ *
+ * Dependencies:
+ * - `state`: The application's central state object.
+ * - `getDayMealPlan`, `getWeekMealPlan` from `modelUtils.js`: Retrieve the nutrition totals of the days of the meal plan.
+ * - Constants from `config.js`: `WEEKDAY_NAMES`, `NUTRITION_GOAL_NUTRIENTS`, `NUTRITION_GOAL_TOLERANCE`
+ */
+
+//Import application state
+import { state } from "./state.js";
+
+//Import utilities
+import { getDayMealPlan, getWeekMealPlan } from "./modelUtils/highLevel/modelUtils.js";
+
+//Import variables from config file
+import { WEEKDAY_NAMES, NUTRITION_GOAL_NUTRIENTS, NUTRITION_GOAL_TOLERANCE } from "../config.js";
+
+/**
+ * Sets the nutrition goals for every day or for a weekday, then saves the goals to local storage.
+ *
+ * @param {Object} goals - The goal of each nutrient (e.g., `{calories: "2000", protein: "120", carbs: "", fats: ""}`). Empty values leave the nutrient without a goal.
+ * @param {string|null} [weekday=null] - The short name of the weekday the goals are for (e.g., "Sat"), null for every day.
+ * @throws {Error} If the weekday is unknown or a goal is not a positive number.
+ */
+export const setNutritionGoals = function (goals, weekday = null) {
+  if (weekday && !WEEKDAY_NAMES.includes(weekday)) throw new Error(`Unknown weekday: ${weekday}`);
+
+  const validatedGoals = Object.fromEntries(NUTRITION_GOAL_NUTRIENTS.map((nutrient) => [nutrient, validateGoal(goals[nutrient], nutrient)]));
+  if (weekday) state.nutritionGoals.weekdays[weekday] = validatedGoals;
+  else state.nutritionGoals.everyDay = validatedGoals;
+
+  persistNutritionGoals();
+};
+
+/**
+ * Removes the goals of a weekday (the weekday then uses the goals for every day), then saves the goals to local storage.
+ *
+ * @param {string} weekday - The short name of the weekday (e.g., "Sat").
+ */
+export const clearWeekdayNutritionGoals = function (weekday) {
+  delete state.nutritionGoals.weekdays[weekday];
+  persistNutritionGoals();
+};
+
+/**
+ * Returns the nutrition goals of a weekday, or the goals for every day.
+ *
+ * @param {string|null} [weekday=null] - The short name of the weekday (e.g., "Sat"), null for the goals for every day.
+ * @returns {{goals: Object, hasWeekdayGoals: boolean}} The goal of each nutrient (null for no goal), and whether the weekday has its own goals (otherwise the goals are the ones for every day).
+ */
+export const getNutritionGoals = function (weekday = null) {
+  const weekdayGoals = weekday ? state.nutritionGoals.weekdays[weekday] : null;
+  return { goals: weekdayGoals ?? state.nutritionGoals.everyDay, hasWeekdayGoals: Boolean(weekdayGoals) };
+};
+
+/**
+ * Compares the nutrition totals of a day of the meal plan with the day's goals.
+ *
+ * @param {string} dayDateString - The date of the day (e.g., 'Mon Jan 20 2025').
+ * @returns {Object} The progress of each nutrient (see example at the top of the file), keyed by nutrient (e.g., `{calories: {...}, protein: {...}}`).
+ */
+export const getDayNutritionProgress = function (dayDateString) {
+  const { dayMealPlan } = getDayMealPlan(dayDateString);
+  const { goals } = getNutritionGoals(getWeekday(dayDateString));
+  const hasMeals = hasPlannedMeals(dayMealPlan);
+
+  return Object.fromEntries(
+    NUTRITION_GOAL_NUTRIENTS.map((nutrient) => {
+      const total = dayMealPlan.nutrition[nutrient];
+      const goal = goals[nutrient];
+      return [nutrient, { total, goal, percent: goal ? (total / goal) * 100 : null, status: hasMeals ? getGoalStatus(total, goal) : null }];
+    })
+  );
+};
+
+/**
+ * Calculates the average daily nutrition of a week of the meal plan and compares it with the average goals of the same days.
+ * Only the days with planned meals are counted (so days that are not planned yet don't lower the averages).
+ *
+ * @param {string} firstDayOfWeekDateString - The date string of the first day of the week (e.g., 'Mon Jan 20 2025').
+ * @returns {{numDays: number, nutrients: Object}} The number of days with planned meals, and for each nutrient its `average`, `goal` (the average goal, null if a counted day has no goal) and `status` ("under", "onTarget", "over" or null).
+ */
+export const getWeekNutritionSummary = function (firstDayOfWeekDateString) {
+  const weekPlan = getWeekMealPlan(firstDayOfWeekDateString);
+  const plannedDays = Object.keys(weekPlan)
+    .filter((dayDateString) => hasPlannedMeals(weekPlan[dayDateString]))
+    .map((dayDateString) => getDayNutritionProgress(dayDateString));
+  const numDays = plannedDays.length;
+
+  const nutrients = Object.fromEntries(
+    NUTRITION_GOAL_NUTRIENTS.map((nutrient) => {
+      const average = numDays ? plannedDays.reduce((sum, dayProgress) => sum + dayProgress[nutrient].total, 0) / numDays : 0;
+      const dayGoals = plannedDays.map((dayProgress) => dayProgress[nutrient].goal);
+      const goal = numDays && dayGoals.every((dayGoal) => dayGoal !== null) ? dayGoals.reduce((sum, dayGoal) => sum + dayGoal, 0) / numDays : null;
+      return [nutrient, { average, goal, status: numDays ? getGoalStatus(average, goal) : null }];
+    })
+  );
+
+  return { numDays, nutrients };
+};
+
+//HELPER FUNCTIONS
+
+/**
+ * Checks a goal input by the user is a positive number (or empty, for no goal).
+ *
+ * @param {string|number|null} goal - The goal input by the user.
+ * @param {string} nutrient - The nutrient of the goal, used in the error message (e.g., "protein").
+ * @returns {number|null} The goal, or null for no goal.
+ * @throws {Error} If the goal is not a positive number.
+ * @private
+ */
+const validateGoal = function (goal, nutrient) {
+  if (goal === null || goal === undefined || String(goal).trim() === "") return null;
+
+  const value = Number(goal);
+  if (!Number.isFinite(value) || value <= 0) throw new Error(`Enter a positive number for the ${nutrient} goal.`);
+  return Math.round(value);
+};
+
+//Returns whether a total is under, on or over its goal (null if there is no goal)
+const getGoalStatus = function (total, goal) {
+  if (!goal) return null;
+  if (total < goal * (1 - NUTRITION_GOAL_TOLERANCE)) return "under";
+  if (total > goal * (1 + NUTRITION_GOAL_TOLERANCE)) return "over";
+  return "onTarget";
+};
+
+//Checks whether any meals are planned on a day (in any meal slot)
+const hasPlannedMeals = function (dayMealPlan) {
+  return Object.values(dayMealPlan.meals).flat().length > 0;
+};
+
+//Returns the short weekday name of a date string (e.g., 'Mon Jan 20 2025' -> "Mon")
+const getWeekday = function (dayDateString) {
+  return WEEKDAY_NAMES[new Date(dayDateString).getDay()];
+};
+
+//Saves the nutrition goals to localStorage.
+const persistNutritionGoals = function () {
+  localStorage.setItem("nutritionGoals", JSON.stringify(state.nutritionGoals));
+};
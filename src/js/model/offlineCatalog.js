@@ -0,0 +1,273 @@
+/**
+ * @fileoverview Manages the offline recipe catalog, used to search for recipes when the recipe API is unreachable.
+ *
+ * Every recipe loaded into the search results (ingredient search or browse recipes search) is added to a catalog that is persisted in local storage. Recipes in the user's recipe book are always part of the catalog as well.
+ *
+ * The catalog is searched using a client-side inverted index that maps each word in a recipe's title, cuisine, mealType, dietaryRestrictions and ingredient names to the ids of the recipes that contain it. Searches honor the same `filtersObject` fields as an API search (cuisines, diets, intolerances, excluded ingredients, nutrient ranges, meal type and prep time).
+ *
+ * `searchRecipeCatalog` mirrors `loadRecipes` (returns a comma-separated string of matching recipe ids). `loadCatalogRecipeDetails` in generateRecipeResults.js then mirrors `loadRecipeDetails` to populate the search results in state.
+ *
+ * Dependencies:
+ * - `state`: The application's central state object.
+ * - Shared utilities (`normalizeIngredient`, `shuffleWithSeed`).
+ * - `updateSearchPagination`, `getRandomOrderSeed`, `getSearchIngredientsList` from `loadRecipes.js`: Record the pagination details of the search, the seed of the random order of a search without a query or filters, and the ingredients an ingredient search is made with (its search mode).
+ * - Search filter utilities (`hasFilters`, `matchesFilters`).
+ * - Constants from `config.js`: `NUM_SEARCH_RESULTS`, `MAX_CATALOG_SIZE`
+ */
+
+//Import application state
+import { state } from "./state.js";
+
+//Import utilities
+import { normalizeIngredient, shuffleWithSeed } from "../sharedUtils.js";
+import { updateSearchPagination, getRandomOrderSeed, getSearchIngredientsList } from "./loadRecipes.js";
+import { hasFilters, matchesFilters } from "./modelUtils/featureSpecific/searchFilterUtils.js";
+
+//Import variables from config file
+import { NUM_SEARCH_RESULTS, MAX_CATALOG_SIZE } from "../config.js";
+
+//Recipe properties that are indexed and searchable
+const INDEXED_FIELDS = ["title", "cuisine", "mealType", "dietaryRestrictions", "ingredients"];
+
+//Common words that are never indexed
+const STOP_WORDS = ["and", "with", "the", "of", "in", "a", "to", "or"];
+
+//Inverted index: word -> Map(recipe id -> Set of fields containing the word). Rebuilt whenever the catalog contents change.
+let catalogIndex = null;
+let indexedCatalogKey = "";
+
+//CATALOG MANAGEMENT
+
+/**
+ * Adds recipes to the offline catalog and saves the catalog to local storage.
+ * If a recipe already exists in the catalog it is replaced with the newer copy.
+ * The oldest recipes are removed once the catalog exceeds `MAX_CATALOG_SIZE`.
+ *
+ * @param {Object[]} recipes - Recipe objects (created using the Recipe class) to add to the catalog.
+ */
+export const addRecipesToCatalog = function (recipes) {
+  const newIds = recipes.map((recipe) => String(recipe.id));
+  const remainingRecipes = state.recipeCatalog.filter((recipe) => !newIds.includes(String(recipe.id)));
+
+  state.recipeCatalog = [...remainingRecipes, ...recipes].slice(-MAX_CATALOG_SIZE);
+  saveRecipeCatalog();
+};
+
+/**
+ * Saves the offline catalog to local storage.
+ */
+export const saveRecipeCatalog = function () {
+  try {
+    localStorage.setItem("recipeCatalog", JSON.stringify(state.recipeCatalog));
+  } catch (error) {
+    //Local storage is full. Keep the catalog in memory for this session
+    console.error("Error in saveRecipeCatalog", error);
+  }
+};
+
+/**
+ * Returns the catalog copies of the recipes with the given ids (in the order of the ids).
+ * The recipe book copy of a recipe is preferred over the search result copy.
+ *
+ * @param {string} ids - Comma-separated string of recipe IDs.
+ * @returns {Object[]} The matching recipe objects.
+ */
+export const getCatalogRecipes = function (ids) {
+  const catalog = getCatalogRecipeMap();
+  return String(ids)
+    .split(",")
+    .map((id) => catalog.get(id))
+    .filter(Boolean);
+};
+
+//OFFLINE SEARCH
+
+/**
+ * Searches the offline catalog for recipes based on user inputs (ingredients, search queries, or filters).
+ * Accepts the same parameters as `loadRecipes` so it can be used as a drop-in replacement when the API is unreachable.
+ *
+ * - Ingredient search: returns recipes that use at least one pantry ingredient, ordered by the number of pantry ingredients used (a "Use it up" search only counts the pantry items expiring soon).
+ * - Browse search: returns recipes that contain every word of the search query and match every filter.
+ * - No query or filters: returns random recipes from the catalog (in a seeded order, so more results can be loaded without repeats).
+ *
+ * @param {string|null} ingredientsList - A comma-separated list of ingredients in the user's pantry (ingredient search only).
+ * @param {string|null} search - The search bar query (browse recipes search only).
+ * @param {Object|null} filtersObject - An object containing the user's filter inputs (browse recipes search), or the search mode of an ingredient search (`{ searchMode }`).
+ * @param {number} [offset=0] - The number of results to skip (for pagination).
+ * @returns {string|Object} A comma-separated string of matching recipe IDs, or an object indicating no results.
+ */
+export const searchRecipeCatalog = function (ingredientsList, search, filtersObject, offset = 0) {
+  const catalog = getCatalogRecipeMap();
+  const index = getCatalogIndex(catalog);
+  const searchParams = [ingredientsList, search, filtersObject];
+  const seed = getRandomOrderSeed(searchParams, offset);
+
+  let matchingIds;
+
+  if (ingredientsList) {
+    matchingIds = searchByIngredients(index, getSearchIngredientsList(ingredientsList, filtersObject));
+  } else if (search || hasFilters(filtersObject)) {
+    const queryIds = search ? searchByQuery(index, search) : [...catalog.keys()];
+    matchingIds = queryIds.filter((id) => matchesFilters(toFilterableRecipe(catalog.get(id)), filtersObject || {}));
+  } else {
+    //Random recipes, in the same order for every page of the search
+    matchingIds = shuffleWithSeed([...catalog.keys()], seed);
+  }
+
+  const pageIds = matchingIds.slice(offset, offset + NUM_SEARCH_RESULTS);
+  updateSearchPagination(searchParams, offset, pageIds.length, matchingIds.length, seed);
+
+  if (pageIds.length === 0) return { noResults: true };
+
+  return pageIds.join(",");
+};
+
+//HELPER FUNCTIONS
+
+/**
+ * Combines the catalog and the recipe book into a single map of recipes keyed by their (string) id.
+ *
+ * @returns {Map<string, Object>} The combined catalog.
+ * @private
+ */
+const getCatalogRecipeMap = function () {
+  const catalog = new Map();
+  state.recipeCatalog.forEach((recipe) => catalog.set(String(recipe.id), recipe));
+  //Add the recipe book last so the recipe book copy of a recipe is used
+  state.recipeBook.forEach((recipe) => catalog.set(String(recipe.id), recipe));
+  return catalog;
+};
+
+/**
+ * Returns the inverted index for the catalog, rebuilding it only if the catalog contents changed since it was last built.
+ *
+ * @param {Map<string, Object>} catalog - The combined catalog.
+ * @returns {Map<string, Map<string, Set<string>>>} The inverted index.
+ * @private
+ */
+const getCatalogIndex = function (catalog) {
+  const catalogKey = [...catalog.keys()].join(",");
+  if (catalogIndex && catalogKey === indexedCatalogKey) return catalogIndex;
+
+  catalogIndex = new Map();
+  catalog.forEach((recipe, id) => {
+    INDEXED_FIELDS.forEach((field) => {
+      getFieldText(recipe, field)
+        .flatMap((text) => tokenize(text))
+        .forEach((token) => addToIndex(token, id, field));
+    });
+  });
+  indexedCatalogKey = catalogKey;
+
+  return catalogIndex;
+};
+
+//Adds a single word occurrence to the inverted index
+const addToIndex = function (token, id, field) {
+  if (!catalogIndex.has(token)) catalogIndex.set(token, new Map());
+  const postings = catalogIndex.get(token);
+  if (!postings.has(id)) postings.set(id, new Set());
+  postings.get(id).add(field);
+};
+
+//Returns the text values of an indexed recipe field as an array of strings
+const getFieldText = function (recipe, field) {
+  if (field === "ingredients") return recipe.ingredients.map((ing) => ing.name || "");
+  if (field === "dietaryRestrictions") return recipe.dietaryRestrictions || [];
+  const value = recipe[field];
+  return typeof value === "string" && value !== "Unavailable" ? [value] : [];
+};
+
+/**
+ * Splits text into normalized (lowercase, singular) words, skipping stop words.
+ *
+ * @param {string} text - The text to split.
+ * @returns {string[]} The normalized words.
+ * @private
+ */
+const tokenize = function (text) {
+  return text
+    .toLowerCase()
+    .split(/[^a-z]+/)
+    .filter((word) => word.length > 1 && !STOP_WORDS.includes(word))
+    .map((word) => normalizeIngredient(word));
+};
+
+/**
+ * Finds the ids of recipes containing a word (or a word that starts with it, so partial words still match).
+ *
+ * @param {Map} index - The inverted index.
+ * @param {string} token - The normalized word to look up.
+ * @param {string[]} [fields=INDEXED_FIELDS] - Only match occurrences of the word in these fields.
+ * @returns {Set<string>} The matching recipe ids.
+ * @private
+ */
+const lookupToken = function (index, token, fields = INDEXED_FIELDS) {
+  const ids = new Set();
+  index.forEach((postings, indexedToken) => {
+    if (!indexedToken.startsWith(token)) return;
+    postings.forEach((postingFields, id) => {
+      if (fields.some((field) => postingFields.has(field))) ids.add(id);
+    });
+  });
+  return ids;
+};
+
+/**
+ * Returns the ids of recipes that contain every word of the search query (in any indexed field).
+ *
+ * @param {Map} index - The inverted index.
+ * @param {string} search - The search bar query.
+ * @returns {string[]} The matching recipe ids.
+ * @private
+ */
+const searchByQuery = function (index, search) {
+  const tokens = tokenize(search);
+  if (tokens.length === 0) return [];
+
+  const [firstMatches, ...otherMatches] = tokens.map((token) => lookupToken(index, token));
+  return [...firstMatches].filter((id) => otherMatches.every((matches) => matches.has(id)));
+};
+
+/**
+ * Returns the ids of recipes that use at least one pantry ingredient, ordered by the number of pantry ingredients used (most first).
+ * A multi-word pantry ingredient (e.g., "chicken breast") only counts if every word appears in the recipe's ingredient names.
+ *
+ * @param {Map} index - The inverted index.
+ * @param {string} ingredientsList - A comma-separated list of pantry ingredients.
+ * @returns {string[]} The matching recipe ids.
+ * @private
+ */
+const searchByIngredients = function (index, ingredientsList) {
+  const usedIngredientCounts = new Map();
+
+  ingredientsList.split(",").forEach((ingredient) => {
+    const tokens = tokenize(ingredient);
+    if (tokens.length === 0) return;
+
+    const [firstMatches, ...otherMatches] = tokens.map((token) => lookupToken(index, token, ["ingredients"]));
+    [...firstMatches]
+      .filter((id) => otherMatches.every((matches) => matches.has(id)))
+      .forEach((id) => usedIngredientCounts.set(id, (usedIngredientCounts.get(id) || 0) + 1));
+  });
+
+  return [...usedIngredientCounts.entries()].sort((a, b) => b[1] - a[1]).map(([id]) => id);
+};
+
+/**
+ * Converts a catalog recipe into the shape used to match the user's filters.
+ *
+ * @param {Object} recipe - The recipe object (created using the Recipe class).
+ * @returns {Object} The filterable recipe (see `searchFilterUtils.js`).
+ * @private
+ */
+const toFilterableRecipe = function (recipe) {
+  return {
+    cuisines: [recipe.cuisine],
+    diets: recipe.dietaryRestrictions || [],
+    dishTypes: [recipe.mealType],
+    ingredientNames: recipe.ingredients.map((ing) => ing.name || ""),
+    readyInMinutes: recipe.prepTime,
+    nutrients: { calories: recipe.calories, protein: recipe.protein, carbs: recipe.carbs, fat: recipe.fats, sugar: recipe.sugar, sodium: recipe.sodium },
+  };
+};
@@ -0,0 +1,290 @@
+/**
+ * @fileoverview Manages the user's pantry (the ingredients the user has at home), shown on the Ingredient Search Page.
+ * Includes methods to add, edit, remove and check the status of pantry items. Ingredient searches use the names of the pantry items (see `getPantryIngredientNames`).
+ * When a planned meal is marked as cooked, the quantities of its ingredients are taken out of the pantry (see `deductIngredientsFromPantry`).
+ * The pantry is persisted in local storage (under "pantry") so it is available across sessions.
+ *
+ * Example pantry item:
+ * {
+ *   id: 1737072000000123456,          // Unique id
+ *   name: "tomato",                   // Normalized ingredient name (unique in the pantry, used for ingredient searches)
+ *   quantity: 4,                      // Amount the user has (null if not tracked)
+ *   unit: "",                         // Unit of the quantity, one of PANTRY_UNITS ("" for a count, e.g., 4 tomatoes)
+ *   category: "Produce",              // Grocery aisle, one of PANTRY_CATEGORIES
+ *   purchaseDate: "2025-01-15",       // Date the item was bought (HTML date input format, null if unknown)
+ *   expirationDate: "2025-01-22",     // Date the item expires (HTML date input format, null if it doesn't expire or is unknown)
+ * }
+ *
+ * Dependencies:
+ * - `state`: The application's central state object.
+ * - Shared utilities (`generateUniqueId`, `formatDateForInput`, `getDaysUntilDate`, `normalizeIngredient`).
+ * - `normalizeUnit`, `convertQuantity`, `roundQuantity` from `unitConversionUtils.js`: To compare recipe quantities with pantry quantities measured in other units.
+ * - `findOntologyMatches` from `ingredientOntology.js`: To find the pantry item of an ingredient the pantry has under a synonym (e.g., "cilantro" for "coriander").
+ * - `isStaple` from `ingredientSettings.js`: Household staples are always available, so they are never taken out of the pantry.
+ * - Constants from `config.js`: `PANTRY_CATEGORIES`, `PANTRY_UNITS`, `EXPIRING_SOON_DAYS`
+ */
+
+//Import application state
+import { state } from "./state.js";
+
+//Import utilities
+import { generateUniqueId, formatDateForInput, getDaysUntilDate, normalizeIngredient } from "../sharedUtils.js";
+import { normalizeUnit, convertQuantity, roundQuantity } from "./modelUtils/featureSpecific/unitConversionUtils.js";
+import { findOntologyMatches } from "./ingredientOntology.js";
+import { isStaple } from "./ingredientSettings.js";
+
+//Import variables from config file
+import { PANTRY_CATEGORIES, PANTRY_UNITS, EXPIRING_SOON_DAYS } from "../config.js";
+
+//Recipe units that are counted or packaged like one of the PANTRY_UNITS (recipe unit -> pantry unit). Sizes like "large" are counted, e.g., 2 large eggs uses 2 eggs. Measures (e.g., "Tbsps", "grams") are normalized with `normalizeUnit`
+const PANTRY_UNIT_ALIASES = {
+  large: "",
+  medium: "",
+  small: "",
+  whole: "",
+  piece: "",
+  pieces: "",
+  serving: "",
+  servings: "",
+  cans: "can",
+  packages: "package",
+  pkg: "package",
+  bunches: "bunch",
+};
+
+//PANTRY ITEMS
+
+/**
+ * Returns the names of the ingredients in the pantry (used for ingredient searches and ingredient availability).
+ *
+ * @returns {string[]} The pantry ingredient names.
+ */
+export const getPantryIngredientNames = function () {
+  return state.pantry.map((item) => item.name);
+};
+
+/**
+ * Returns the pantry item with the given id.
+ *
+ * @param {number} id - The id of the pantry item.
+ * @returns {Object|undefined} The pantry item, or undefined if it does not exist.
+ */
+export const getPantryItem = function (id) {
+  return state.pantry.find((item) => item.id === Number(id));
+};
+
+/**
+ * Returns the pantry items grouped by category (in the order of PANTRY_CATEGORIES), each group sorted by expiration date (items that expire first at the top, items without an expiration date last).
+ *
+ * @returns {{category: string, items: Object[]}[]} The categories that have items, with their items.
+ */
+export const getPantryByCategory = function () {
+  const byExpirationDate = (a, b) => (a.expirationDate || "9999-12-31").localeCompare(b.expirationDate || "9999-12-31") || a.name.localeCompare(b.name);
+
+  return PANTRY_CATEGORIES.map((category) => ({ category, items: state.pantry.filter((item) => item.category === category).sort(byExpirationDate) })).filter(({ items }) => items.length > 0);
+};
+
+/**
+ * Returns the names of the pantry items expiring soon (within EXPIRING_SOON_DAYS, expired items are not included), the item that expires first at the top.
+ * A "Use it up" ingredient search only searches with these items (see `getSearchIngredientsList` in loadRecipes.js).
+ *
+ * @returns {string[]} The names of the expiring pantry items.
+ */
+export const getExpiringPantryIngredientNames = function () {
+  return state.pantry
+    .filter((item) => isExpiringSoon(item.expirationDate))
+    .sort((a, b) => a.expirationDate.localeCompare(b.expirationDate))
+    .map((item) => item.name);
+};
+
+/**
+ * Finds the pantry items expiring soon (within EXPIRING_SOON_DAYS, expired items are not included) that a recipe uses, based on the availability of its ingredients.
+ * Used to rank ingredient search results by how many soon-to-expire items they use up ("Use it up" search mode and sort option).
+ *
+ * @param {Object[]} ingredients - The ingredients of the recipe (each with an `availability` object, see generateRecipeResults.js).
+ * @returns {{name: string, expirationDate: string}[]} The expiring pantry items the recipe uses, the item that expires first at the top.
+ */
+export const getExpiringPantryItemsUsed = function (ingredients) {
+  const usedPantryNames = new Set(
+    ingredients.filter(({ availability }) => ["definitelyAvailable", "potentiallyAvailable"].includes(availability?.availabilityState)).map(({ availability }) => availability.matchingPantryIngredient)
+  );
+
+  return state.pantry
+    .filter((item) => usedPantryNames.has(item.name) && isExpiringSoon(item.expirationDate))
+    .sort((a, b) => a.expirationDate.localeCompare(b.expirationDate))
+    .map(({ name, expirationDate }) => ({ name, expirationDate }));
+};
+
+/**
+ * Finds the pantry item of a recipe ingredient, the same way ingredient availability marks an ingredient as definitely available: the item with the same name, otherwise an item that is a synonym of the ingredient in the ingredient ontology (e.g., "cilantro" for "coriander").
+ * Names are never matched on parts of words, so "salt" doesn't match "unsalted butter" and "egg" doesn't match "eggplant".
+ *
+ * @param {string} ingredientName - The ingredient name from the recipe.
+ * @returns {Object|undefined} The pantry item, or undefined if the pantry has no matching item.
+ */
+export const findPantryItemForIngredient = function (ingredientName) {
+  const ingredient = normalizeIngredient(ingredientName);
+  const exactMatch = state.pantry.find((item) => item.name === ingredient);
+  if (exactMatch) return exactMatch;
+
+  const synonymMatch = findOntologyMatches(ingredient, getPantryIngredientNames()).find(({ matchType }) => matchType === "synonym");
+  return synonymMatch && state.pantry.find((item) => item.name === synonymMatch.pantryIngredient);
+};
+
+/**
+ * Maps a recipe unit (e.g., "Tbsps", "cups", "large") onto the unit it is measured in, so recipe quantities can be compared with pantry quantities.
+ *
+ * @param {string} unit - The unit from the recipe.
+ * @returns {string} The unit as spelled in PANTRY_UNITS ("" for a count), or the normalized unit for measures that are not pantry units (e.g., "pint", which converts to "cup").
+ * Unknown units are returned lower case (and won't match a pantry unit).
+ */
+export const normalizePantryUnit = function (unit) {
+  const normalizedUnit = normalizeUnit(unit);
+  return PANTRY_UNIT_ALIASES[normalizedUnit] ?? normalizedUnit;
+};
+
+//Add an ingredient input from the user into the pantry (bought today, filed under the aisle the recipe API uses for the ingredient if known), then save the pantry to local storage
+export const addIngredientToPantry = function (ingredient) {
+  const item = { id: generateUniqueId(), name: ingredient, quantity: null, unit: "", category: guessPantryCategory(ingredient), purchaseDate: formatDateForInput(), expirationDate: null };
+  state.pantry.push(item);
+  persistPantry();
+  return item;
+};
+
+/**
+ * Updates the details of a pantry item, then saves the pantry to local storage.
+ *
+ * @param {number} id - The id of the pantry item.
+ * @param {Object} details - The user's inputs.
+ * @param {number|null} details.quantity - The amount the user has (null if not tracked).
+ * @param {string} details.unit - The unit of the quantity.
+ * @param {string} details.category - The grocery aisle of the item.
+ * @param {string|null} details.purchaseDate - The date the item was bought (HTML date input format).
+ * @param {string|null} details.expirationDate - The date the item expires (HTML date input format).
+ * @returns {Object} The updated pantry item.
+ * @throws {Error} If the item does not exist, the quantity is negative, the unit or category is unknown, or the item expires before it was bought.
+ */
+export const updatePantryItem = function (id, { quantity, unit, category, purchaseDate, expirationDate }) {
+  const item = getPantryItem(id);
+  if (!item) throw new Error("This item is no longer in your pantry.");
+  if (quantity !== null && !(quantity >= 0)) throw new Error("Please enter a quantity of 0 or more.");
+  if (!PANTRY_UNITS.includes(unit)) throw new Error("Please select a unit from the list.");
+  if (!PANTRY_CATEGORIES.includes(category)) throw new Error("Please select a category from the list.");
+  if (purchaseDate && expirationDate && expirationDate < purchaseDate) throw new Error("The expiration date can't be before the purchase date.");
+
+  Object.assign(item, { quantity, unit, category, purchaseDate: purchaseDate || null, expirationDate: expirationDate || null });
+  persistPantry();
+  return item;
+};
+
+//Remove an ingredient from the pantry (by name), then save the pantry to local storage
+export const removeIngredientFromPantry = function (ingredient) {
+  state.pantry = state.pantry.filter((item) => item.name !== ingredient);
+  persistPantry();
+};
+
+//Returns true if the ingredient is in the pantry, false if not
+export const isIngredientInPantry = function (ingredient) {
+  return state.pantry.some((item) => item.name === ingredient);
+};
+
+//COOKED MEALS
+
+/**
+ * Takes the quantities of a cooked recipe's ingredients out of the matching pantry items, then saves the pantry to local storage.
+ * The pantry item of an ingredient is the one its availability already matched it with (when the ingredient is definitely available), otherwise the item with the same name or a synonym (see `findPantryItemForIngredient`),
+ * otherwise an item whose name the ingredient name ends with as whole words (e.g., "butter" for "unsalted butter"). Household staples are always available and are never deducted.
+ * An ingredient is only deducted if its pantry item's quantity is tracked and the recipe unit converts to the pantry unit (e.g., "Tbsps" to "tbsp", "cups" to "ml", or "cups" to "g" for an ingredient with a known density).
+ * Pantry quantities never go below 0: if the recipe needs more than the pantry has, the item is set to 0 and reported as a shortage.
+ *
+ * @param {Object[]} ingredients - The ingredients of the recipe (already scaled to the servings in the meal plan).
+ * @returns {{deductions: {id: number, quantity: number}[], shortages: {name: string, needed: number, available: number, unit: string}[], skipped: {name: string, reason: string}[]}}
+ * The amount taken out of each pantry item (used to undo the deduction), the items the pantry didn't have enough of, and the ingredients that were not deducted,
+ * with the reason: "staple" (a household staple), "notInPantry" (no pantry item matches the ingredient) or "notTracked" (the name of the pantry item, its quantity is not tracked or the units don't convert).
+ */
+export const deductIngredientsFromPantry = function (ingredients) {
+  const deductions = [];
+  const shortages = [];
+  const skipped = [];
+  const skip = (name, reason) => {
+    if (!skipped.some((entry) => entry.name === name && entry.reason === reason)) skipped.push({ name, reason });
+  };
+
+  ingredients.forEach(({ name, quantity, unit, availability }) => {
+    const ingredient = normalizeIngredient(name);
+    if (isStaple(ingredient)) return skip(ingredient, "staple");
+
+    const item = getMatchedPantryItem(availability) || findPantryItemForIngredient(ingredient) || findWholeWordPantryItem(ingredient);
+    if (!item) return skip(ingredient, "notInPantry");
+    if (!(Number(quantity) > 0)) return; //No amount to take out (e.g., "to taste")
+
+    //Amount needed in the unit of the pantry item (e.g., 2 cups of flour out of a pantry item measured in g)
+    const needed = convertQuantity(quantity, normalizePantryUnit(unit), item.unit, item.name);
+    if (item.quantity === null || needed === null) return skip(item.name, "notTracked");
+
+    const deducted = roundQuantity(Math.min(needed, item.quantity));
+    if (needed > item.quantity) shortages.push({ name: item.name, needed: roundQuantity(needed), available: item.quantity, unit: item.unit });
+
+    item.quantity = roundQuantity(item.quantity - deducted);
+    deductions.push({ id: item.id, quantity: deducted });
+  });
+
+  persistPantry();
+  return { deductions, shortages, skipped };
+};
+
+/**
+ * Puts the quantities taken out by `deductIngredientsFromPantry` back into the pantry (when a meal is no longer marked as cooked), then saves the pantry to local storage.
+ * Items that were removed from the pantry (or stopped tracking a quantity) since are skipped.
+ *
+ * @param {{id: number, quantity: number}[]} deductions - The amount taken out of each pantry item.
+ */
+export const restorePantryDeductions = function (deductions) {
+  deductions.forEach(({ id, quantity }) => {
+    const item = getPantryItem(id);
+    if (item && item.quantity !== null) item.quantity = roundQuantity(item.quantity + quantity);
+  });
+
+  persistPantry();
+};
+
+//HELPER FUNCTIONS
+
+//Saves the current pantry to localStorage.
+const persistPantry = function () {
+  localStorage.setItem("pantry", JSON.stringify(state.pantry));
+};
+
+//Returns true if an expiration date is today or within the next EXPIRING_SOON_DAYS days
+const isExpiringSoon = function (expirationDate) {
+  if (!expirationDate) return false;
+  const daysLeft = getDaysUntilDate(expirationDate);
+  return daysLeft >= 0 && daysLeft <= EXPIRING_SOON_DAYS;
+};
+
+//Returns the pantry item the availability of an ingredient matched it with, if the ingredient is definitely available (the same item or a synonym) and the item is still in the pantry
+const getMatchedPantryItem = function (availability) {
+  if (availability?.availabilityState !== "definitelyAvailable") return undefined;
+  return state.pantry.find((item) => item.name === availability.matchingPantryIngredient);
+};
+
+//Finds a pantry item (other than a household staple) whose name the ingredient name ends with as whole words (e.g., "butter" for "unsalted butter", but not "salt" for "unsalted butter" or "egg" for "eggplant")
+const findWholeWordPantryItem = function (ingredient) {
+  return state.pantry.find((item) => !isStaple(item.name) && ingredient.endsWith(` ${item.name}`));
+};
+
+/**
+ * Guesses the grocery aisle of an ingredient from the recipes the user has loaded (recipe ingredients include the aisle the recipe API files them under).
+ *
+ * @param {string} ingredient - The normalized ingredient name.
+ * @returns {string} The category (one of PANTRY_CATEGORIES), "Other" if the aisle is unknown.
+ * @private
+ */
+const guessPantryCategory = function (ingredient) {
+  const recipeIngredients = [...state.recipeBook, ...state.recipeCatalog].flatMap((recipe) => recipe.ingredients || []);
+  const match = recipeIngredients.find((ing) => ing.name?.toLowerCase() === ingredient && ing.category);
+
+  //Some ingredients are filed under several aisles (e.g., "Baking;Spices and Seasonings"), use the first one
+  const aisle = match?.category.split(";")[0];
+  return PANTRY_CATEGORIES.includes(aisle) ? aisle : "Other";
+};
@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Manages the user's display preferences.
+ * Holds the measurement system recipe ingredients are displayed in ("us" shows quantities as fractions, e.g., 1 1/2 cups, "metric" as decimals, e.g., 354.9 ml)
+ * the mode ingredient searches are made in (e.g., "cookNow" only shows recipes that can be made with what the user has, see `INGREDIENT_SEARCH_MODES`),
+ * and the first day of the meal planner week ("monday" or "sunday").
+ * Preferences are persisted in local storage (under "preferences") so they are available across sessions.
+ *
+ * Example preferences object (state.preferences):
+ * {
+ *   measurementSystem: "us",             // One of MEASUREMENT_SYSTEMS
+ *   ingredientSearchMode: "maximizeUsed", // One of the INGREDIENT_SEARCH_MODES
+ *   weekStart: "monday",                  // One of the WEEK_START_DAYS
+ * }
+ *
+ * Dependencies:
+ * - `state`: The application's central state object.
+ * - `initializeMealPlan` from `initializeApp.js` and `saveMealPlan`, `jumpToWeek` from `mealPlanner.js`: Regroup the days of the meal plan into weeks when the first day of the week changes.
+ * - Constants from `config.js`: `MEASUREMENT_SYSTEMS`, `INGREDIENT_SEARCH_MODES`, `WEEK_START_DAYS`
+ */
+
+//Import application state
+import { state } from "./state.js";
+
+//Import utilities
+import { initializeMealPlan } from "./initializeApp.js";
+import { saveMealPlan, jumpToWeek } from "./mealPlanner.js";
+
+//Import variables from config file
+import { MEASUREMENT_SYSTEMS, INGREDIENT_SEARCH_MODES, WEEK_START_DAYS } from "../config.js";
+
+/**
+ * Sets the measurement system recipe ingredients are displayed in, then saves the preferences to local storage.
+ *
+ * @param {string} measurementSystem - The measurement system ("us" or "metric").
+ * @throws {Error} If the measurement system is not one of MEASUREMENT_SYSTEMS.
+ */
+export const setMeasurementSystem = function (measurementSystem) {
+  if (!MEASUREMENT_SYSTEMS.includes(measurementSystem)) throw new Error(`Unknown measurement system: ${measurementSystem}`);
+
+  state.preferences.measurementSystem = measurementSystem;
+  persistPreferences();
+};
+
+/**
+ * Sets the mode ingredient searches are made in, then saves the preferences to local storage.
+ *
+ * @param {string} searchMode - The ingredient search mode ("cookNow", "maximizeUsed", "minimizeMissing" or "useItUp").
+ * @throws {Error} If the search mode is not one of INGREDIENT_SEARCH_MODES.
+ */
+export const setIngredientSearchMode = function (searchMode) {
+  if (!INGREDIENT_SEARCH_MODES[searchMode]) throw new Error(`Unknown ingredient search mode: ${searchMode}`);
+
+  state.preferences.ingredientSearchMode = searchMode;
+  persistPreferences();
+};
+
+/**
+ * Sets the first day of the meal planner week, then saves the preferences to local storage.
+ * The days of the meal plan are regrouped into weeks that start on the new day (no planned meals are lost), and the meal planner keeps displaying (6 of) the days it displayed.
+ *
+ * @param {string} weekStart - The first day of the week ("monday" or "sunday").
+ * @throws {Error} If the day is not one of WEEK_START_DAYS.
+ */
+export const setWeekStart = function (weekStart) {
+  if (!(weekStart in WEEK_START_DAYS)) throw new Error(`Unknown first day of the week: ${weekStart}`);
+
+  //The second day of the displayed week is still in the displayed week after the change (a Monday week and a Sunday week share 6 days)
+  const displayedDay = new Date(state.mealCalendarWeek);
+  displayedDay.setDate(displayedDay.getDate() + 1);
+
+  state.preferences.weekStart = weekStart;
+  persistPreferences();
+
+  //Regroup the saved days of the meal plan into the new weeks
+  saveMealPlan();
+  initializeMealPlan();
+  saveMealPlan();
+
+  jumpToWeek(displayedDay);
+};
+
+//HELPER FUNCTIONS
+
+//Saves the preferences to localStorage.
+const persistPreferences = function () {
+  localStorage.setItem("preferences", JSON.stringify(state.preferences));
+};
@@ -6,9 +6,9 @@
  * - `state`: The application's central state object.
  * - `Recipe` class: For creating standardized recipe objects.
  * - Utility functions:
- *   - `getRecipe` from `modelUtils.js`
+ *   - `getRecipe`, `getDailyValues` from `modelUtils.js`
  *   - `generateUniqueId` from `sharedUtils.js`
- * - Constants from `config.js`: `RECOMMENDED_PROTEIN_DV`, `RECOMMENDED_FATS_DV`, `RECOMMENDED_CARBS_DV`
+ *   - `getIngredientMeasures` from `unitConversionUtils.js`
  * 
  * Options Object `{source, currentDate, currentMeal}` Parameters:
  * - `source`: Identifies where the recipe was clicked from. Possible values are:
@@ -34,12 +34,10 @@ import { state } from "./state.js";
 import Recipe from "./RecipeClass.js";
 
 //Import utilities
-import { getRecipe } from "./modelUtils/highLevel/modelUtils.js";
+import { getRecipe, getDailyValues } from "./modelUtils/highLevel/modelUtils.js";
+import { getIngredientMeasures } from "./modelUtils/featureSpecific/unitConversionUtils.js";
 import { deepCopy, generateUniqueId } from "../sharedUtils.js";
 
-//Import variables from config file
-import { RECOMMENDED_PROTEIN_DV, RECOMMENDED_FATS_DV, RECOMMENDED_CARBS_DV } from "../config.js";
-
 //Import default recipe image
 import defaultRecipeImage from "../../images/custom-recipe-image.avif";
 
@@ -79,6 +77,7 @@ export const addCustomRecipeToRecipeBook = function (newRecipe) {
   const proteinPercentage = ((newRecipe.protein * 4) / newRecipe.calories) * 100;
   const fatsPercentage = ((newRecipe.fats * 9) / newRecipe.calories) * 100;
   const carbsPercentage = ((newRecipe.carbs * 4) / newRecipe.calories) * 100;
+  const dailyValues = getDailyValues(); //The user's personal daily values (or the standard ones without a profile)
 
   const novelRecipe = new Recipe(
     newRecipe.title,
@@ -91,7 +90,8 @@ export const addCustomRecipeToRecipeBook = function (newRecipe) {
     newRecipe.cuisine !== "default" ? newRecipe.cuisine : "Unavailable",
     Number(newRecipe.calories),
     Number(newRecipe.servings),
-    newRecipe.ingredients,
+    //The units are entered by the user in either measurement system, store the measures in both so the recipe displays in the system the user prefers
+    newRecipe.ingredients.map((ingredient) => ({ ...ingredient, measures: getIngredientMeasures(ingredient.quantity, ingredient.unit) })),
     newRecipe.instructions,
     //value is "-" if left empty by the user on the custom recipe form
     newRecipe.saturatedFat !== "" ? Number(newRecipe.saturatedFat) : "-",
@@ -109,9 +109,9 @@ export const addCustomRecipeToRecipeBook = function (newRecipe) {
     proteinPercentage,
     fatsPercentage,
     carbsPercentage,
-    (newRecipe.protein / RECOMMENDED_PROTEIN_DV) * 100,
-    (newRecipe.fats / RECOMMENDED_FATS_DV) * 100,
-    (newRecipe.carbs / RECOMMENDED_CARBS_DV) * 100,
+    (newRecipe.protein / dailyValues.protein) * 100,
+    (newRecipe.fats / dailyValues.fats) * 100,
+    (newRecipe.carbs / dailyValues.carbs) * 100,
     "N/A",
     "user"
   );
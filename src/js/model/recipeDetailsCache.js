@@ -0,0 +1,174 @@
+/**
+ * @fileoverview Persistent cache for recipe details, backed by IndexedDB.
+ *
+ * The raw recipe details returned by the recipe data provider (Spoonacular `informationBulk` shape) are cached by recipe id, so a repeat search only requests the ids that are not already cached. This makes repeat searches instant and reduces API quota use.
+ *
+ * - Entries expire after `RECIPE_CACHE_TTL` milliseconds.
+ * - Once the cache holds more than `RECIPE_CACHE_MAX_ENTRIES` entries, the oldest entries are removed.
+ * - If IndexedDB is unavailable (e.g., private browsing), every function falls back to behaving like an empty cache so searches still work.
+ *
+ * Example cache entry:
+ * {
+ *   id: 715538,               // Recipe id (key)
+ *   data: { ... },            // Raw recipe details from the provider
+ *   cachedAt: 1737072000000,  // Timestamp the entry was cached
+ * }
+ *
+ * Dependencies:
+ * - Constants from `config.js`: `RECIPE_CACHE_TTL`, `RECIPE_CACHE_MAX_ENTRIES`
+ */
+
+//Import variables from config file
+import { RECIPE_CACHE_TTL, RECIPE_CACHE_MAX_ENTRIES } from "../config.js";
+
+const DB_NAME = "smartSpoon";
+const DB_VERSION = 1;
+const STORE_NAME = "recipeDetails";
+
+//Promise for the open database connection (opened once, on first use)
+let dbPromise = null;
+
+/**
+ * Splits recipe ids into the ones with a valid (non-expired) cache entry and the ones that still need to be fetched.
+ *
+ * @param {string} ids - Comma-separated string of recipe IDs.
+ * @returns {Promise<{cachedRecipes: Object[], uncachedIds: number[]}>} The cached raw recipe details and the ids that are not cached.
+ */
+export const getCachedRecipeDetails = async function (ids) {
+  const idList = String(ids).split(",").map(Number);
+
+  try {
+    const db = await openDatabase();
+    const store = db.transaction(STORE_NAME, "readonly").objectStore(STORE_NAME);
+    const entries = await Promise.all(idList.map((id) => promisifyRequest(store.get(id))));
+
+    const cachedRecipes = [];
+    const uncachedIds = [];
+    entries.forEach((entry, i) => (isFresh(entry) ? cachedRecipes.push(entry.data) : uncachedIds.push(idList[i])));
+
+    return { cachedRecipes, uncachedIds };
+  } catch (error) {
+    console.error("Error in getCachedRecipeDetails", error);
+    return { cachedRecipes: [], uncachedIds: idList };
+  }
+};
+
+/**
+ * Saves raw recipe details to the cache, then removes expired entries and enforces the size limit.
+ *
+ * @param {Object[]} recipes - Raw recipe details from the provider (each must have an `id`).
+ * @returns {Promise<void>}
+ */
+export const cacheRecipeDetails = async function (recipes) {
+  if (recipes.length === 0) return;
+
+  try {
+    const db = await openDatabase();
+    const transaction = db.transaction(STORE_NAME, "readwrite");
+    const store = transaction.objectStore(STORE_NAME);
+    const cachedAt = Date.now();
+
+    recipes.forEach((recipe) => store.put({ id: recipe.id, data: recipe, cachedAt }));
+    await promisifyTransaction(transaction);
+
+    await pruneRecipeDetailsCache(db);
+  } catch (error) {
+    console.error("Error in cacheRecipeDetails", error);
+  }
+};
+
+/**
+ * Removes every entry from the recipe details cache.
+ *
+ * @returns {Promise<void>}
+ */
+export const clearRecipeDetailsCache = async function () {
+  try {
+    const db = await openDatabase();
+    const transaction = db.transaction(STORE_NAME, "readwrite");
+    transaction.objectStore(STORE_NAME).clear();
+    await promisifyTransaction(transaction);
+  } catch (error) {
+    console.error("Error in clearRecipeDetailsCache", error);
+  }
+};
+
+//HELPER FUNCTIONS
+
+/**
+ * Opens (and creates/upgrades if needed) the IndexedDB database. The connection is reused for later calls.
+ *
+ * @returns {Promise<IDBDatabase>} The open database.
+ * @private
+ */
+const openDatabase = function () {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (!globalThis.indexedDB) return reject(new Error("IndexedDB is not supported"));
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE_NAME, { keyPath: "id" });
+      store.createIndex("cachedAt", "cachedAt");
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  //Allow opening to be retried on a later call if it failed
+  dbPromise.catch(() => (dbPromise = null));
+
+  return dbPromise;
+};
+
+/**
+ * Deletes expired entries, then deletes the oldest entries until the cache is within `RECIPE_CACHE_MAX_ENTRIES`.
+ *
+ * @param {IDBDatabase} db - The open database.
+ * @returns {Promise<void>}
+ * @private
+ */
+const pruneRecipeDetailsCache = async function (db) {
+  const transaction = db.transaction(STORE_NAME, "readwrite");
+  const store = transaction.objectStore(STORE_NAME);
+  let numToRemove = (await promisifyRequest(store.count())) - RECIPE_CACHE_MAX_ENTRIES;
+
+  //Iterate from oldest to newest entry
+  const cursorRequest = store.index("cachedAt").openCursor();
+  cursorRequest.onsuccess = () => {
+    const cursor = cursorRequest.result;
+    if (!cursor) return;
+
+    if (numToRemove > 0 || !isFresh(cursor.value)) {
+      cursor.delete();
+      numToRemove--;
+      cursor.continue();
+    }
+  };
+
+  await promisifyTransaction(transaction);
+};
+
+//Checks that a cache entry exists and has not expired
+const isFresh = function (entry) {
+  return Boolean(entry) && Date.now() - entry.cachedAt < RECIPE_CACHE_TTL;
+};
+
+//Wraps an IndexedDB request in a promise
+const promisifyRequest = function (request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+//Wraps an IndexedDB transaction in a promise that resolves once the transaction completes
+const promisifyTransaction = function (transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Offline recipe data provider backed by a bundled JSON fixture file.
+ * Implements the provider interface described in `recipeProvider.js` without making any network requests, which makes it useful for development, demos, and working without an API key.
+ *
+ * The fixture recipes (`fixtures/recipes.json`) are stored in the same shape as the Spoonacular `informationBulk` endpoint so they flow through the rest of the model layer unchanged.
+ * There are more fixture recipes than fit on one page of results (NUM_SEARCH_RESULTS), so pagination can be tried offline. The `image` of a fixture recipe is the file name of a bundled image (see `FIXTURE_IMAGES`) or null.
+ * The AbortSignal passed to each method is ignored, since fixture requests complete immediately.
+ *
+ * Dependencies:
+ * - `fixtures/recipes.json`: The bundled fixture recipes.
+ * - Images from `images/`: The images of the fixture recipes that have one.
+ * - Constants from `config.js`: `NUM_SEARCH_RESULTS`, `NUM_API_AUTOCOMPLETE_SUGGESTIONS`, `COMMON_PANTRY_ITEMS`
+ * - Shared utilities (`normalizeIngredient`, `deepCopy`, `shuffleWithSeed`).
+ * - Search filter utilities (`matchesFilters`).
+ * - `getOntologyIngredientNames`: The names of the ingredients in the ingredient ontology (recognized as ingredients).
+ */
+
+//Import fixture recipes
+import fixtureRecipes from "./fixtures/recipes.json";
+
+//Import fixture recipe images
+import spaghettiImage from "../../../images/explore-recipes-spaghetti.avif";
+import asianNoodlesImage from "../../../images/explore-recipes-asian-noodles.jpeg";
+import buddhaBowlImage from "../../../images/explore-recipes-buddha-bowl.jpeg";
+
+//Import utilities
+import { normalizeIngredient, deepCopy, shuffleWithSeed } from "../../sharedUtils.js";
+import { matchesFilters } from "../modelUtils/featureSpecific/searchFilterUtils.js";
+import { getOntologyIngredientNames } from "../ingredientOntology.js";
+
+//Import variables from config file
+import { NUM_SEARCH_RESULTS, NUM_API_AUTOCOMPLETE_SUGGESTIONS, COMMON_PANTRY_ITEMS } from "../../config.js";
+
+//The bundled images of the fixture recipes (file name in the fixture -> image URL)
+const FIXTURE_IMAGES = {
+  "explore-recipes-spaghetti.avif": spaghettiImage,
+  "explore-recipes-asian-noodles.jpeg": asianNoodlesImage,
+  "explore-recipes-buddha-bowl.jpeg": buddhaBowlImage,
+};
+
+/**
+ * Searches the fixture recipes by a search bar query and/or filters. If neither are provided, the recipes are returned in a random order (the same order for the same seed, so every page of the search is cut from the same order).
+ *
+ * @param {string|null} search - The search bar query input by the user.
+ * @param {Object|null} filtersObject - An object containing the user's filter inputs.
+ * @param {number} [offset=0] - The number of results to skip (for pagination).
+ * @param {number} [number=NUM_SEARCH_RESULTS] - The number of results to return.
+ * @param {AbortSignal|null} [signal=null] - Ignored, fixture requests complete immediately.
+ * @param {Object} [options] - Search options.
+ * @param {number|null} [options.seed=null] - The seed of the random order of a search without a query or filters (see `getRandomOrderSeed` in loadRecipes.js).
+ * @returns {Promise<{results: Object[], totalResults: number}>} The page of recipe search results (each contains an `id`) and the total number of matching recipes.
+ */
+const searchRecipes = async function (search, filtersObject, offset = 0, number = NUM_SEARCH_RESULTS, signal = null, { seed = null } = {}) {
+  const query = search?.trim().toLowerCase();
+
+  const matchingRecipes =
+    !search && !filtersObject
+      ? shuffleWithSeed(fixtureRecipes, seed)
+      : fixtureRecipes.filter((recipe) => !query || recipe.title.toLowerCase().includes(query)).filter((recipe) => matchesFilters(toFilterableRecipe(recipe), filtersObject || {}));
+
+  const results = matchingRecipes.slice(offset, offset + number).map(({ id, title }) => ({ id, title }));
+  return { results, totalResults: matchingRecipes.length };
+};
+
+/**
+ * Searches the fixture recipes for ones that use the ingredients in the user's pantry.
+ * Results are ordered by the number of pantry ingredients used (most first, ranking 1) or the number of missing ingredients (fewest first, ranking 2), mirroring the Spoonacular findByIngredients endpoint.
+ *
+ * @param {string} ingredientsList - A comma-separated list of ingredients in the user's pantry.
+ * @param {1|2} [ranking=1] - How the results are ranked (see `INGREDIENT_SEARCH_MODES`).
+ * @param {number} [offset=0] - The number of results to skip (for pagination).
+ * @param {number} [number=NUM_SEARCH_RESULTS] - The number of results to return.
+ * @returns {Promise<{results: Object[], totalResults: number}>} The page of recipe search results (each contains an `id`, `usedIngredientCount` and `missedIngredientCount`) and the total number of matching recipes.
+ */
+const searchByIngredients = async function (ingredientsList, ranking = 1, offset = 0, number = NUM_SEARCH_RESULTS) {
+  const pantry = ingredientsList.split(",").map((ing) => normalizeIngredient(ing));
+
+  const matchingRecipes = fixtureRecipes
+    .map((recipe) => {
+      const usedIngredientCount = recipe.extendedIngredients.filter((ing) => pantry.some((pantryItem) => normalizeIngredient(ing.name).includes(pantryItem))).length;
+      return { id: recipe.id, title: recipe.title, usedIngredientCount, missedIngredientCount: recipe.extendedIngredients.length - usedIngredientCount };
+    })
+    .filter((result) => result.usedIngredientCount > 0)
+    .sort((a, b) => (ranking === 2 ? a.missedIngredientCount - b.missedIngredientCount : b.usedIngredientCount - a.usedIngredientCount));
+
+  return { results: matchingRecipes.slice(offset, offset + number), totalResults: matchingRecipes.length };
+};
+
+/**
+ * Returns the full details for several fixture recipes at once.
+ *
+ * @param {string} ids - Comma-separated string of recipe IDs.
+ * @returns {Promise<Object[]>} An array of recipe detail objects (copies, so the fixtures are never mutated), with the URL of their bundled image.
+ */
+const getRecipesBulk = async function (ids) {
+  const idList = String(ids).split(",").map(Number);
+  return deepCopy(fixtureRecipes.filter((recipe) => idList.includes(recipe.id))).map((recipe) => ({ ...recipe, image: FIXTURE_IMAGES[recipe.image] ?? null }));
+};
+
+/**
+ * Returns autocomplete suggestions for a partial ingredient name or recipe title.
+ * Ingredient suggestions come from the fixture ingredients as well as the common pantry items and ingredient synonyms in the config file.
+ *
+ * @param {string} search - The user's search query (partial or complete).
+ * @param {"ingredient"|"recipe"} mode - The type of suggestions to return.
+ * @returns {Promise<string[]>} An array of (at most 5) suggestion strings.
+ */
+const autocomplete = async function (search, mode) {
+  const query = search.trim().toLowerCase();
+  if (!query) return [];
+
+  const vocabulary = mode === "ingredient" ? getIngredientVocabulary() : fixtureRecipes.map((recipe) => recipe.title);
+
+  return vocabulary.filter((term) => term.toLowerCase().startsWith(query)).slice(0, NUM_API_AUTOCOMPLETE_SUGGESTIONS);
+};
+
+//HELPER FUNCTIONS
+
+/**
+ * Converts a fixture recipe into the shape used to match the user's filters.
+ *
+ * @param {Object} recipe - The fixture recipe.
+ * @returns {Object} The filterable recipe (see `searchFilterUtils.js`).
+ * @private
+ */
+const toFilterableRecipe = function (recipe) {
+  const getNutrient = (name) => recipe.nutrition.nutrients.find((obj) => obj.name === name)?.amount;
+
+  return {
+    cuisines: recipe.cuisines,
+    diets: recipe.diets,
+    dishTypes: recipe.dishTypes,
+    ingredientNames: recipe.extendedIngredients.map((ing) => ing.name),
+    readyInMinutes: recipe.readyInMinutes,
+    nutrients: {
+      calories: getNutrient("Calories"),
+      protein: getNutrient("Protein"),
+      carbs: getNutrient("Carbohydrates"),
+      fat: getNutrient("Fat"),
+      sugar: getNutrient("Sugar"),
+      sodium: getNutrient("Sodium"),
+    },
+  };
+};
+
+//Collects every ingredient name the fixture provider recognizes (no duplicates)
+const getIngredientVocabulary = function () {
+  const fixtureIngredients = fixtureRecipes.flatMap((recipe) => recipe.extendedIngredients.map((ing) => ing.name));
+  return [...new Set([...fixtureIngredients, ...COMMON_PANTRY_ITEMS, ...getOntologyIngredientNames()])];
+};
+
+export default { name: "fixtures", searchRecipes, searchByIngredients, getRecipesBulk, autocomplete };
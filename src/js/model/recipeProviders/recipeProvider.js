@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Registry for the pluggable recipe data providers.
+ * The model layer never talks to a recipe data source directly. `loadRecipes`, `loadRecipeDetails` and the autocomplete functions ask this module for the active provider instead, so the data source can be swapped (e.g., the Spoonacular API or the bundled offline fixtures) without changing any other code.
+ *
+ * Every provider is a plain object that implements the `RecipeProvider` interface below. Recipe detail objects must use the Spoonacular `informationBulk` shape, since that is what generateRecipeResults.js converts into Recipe objects.
+ * Every method accepts an optional AbortSignal as its last parameter. Providers that make network requests must cancel the request when the signal is aborted (see apiRequest.js).
+ *
+ * Dependencies:
+ * - `spoonacularProvider`: Provider backed by the Spoonacular API.
+ * - `fixtureProvider`: Offline provider backed by bundled JSON fixtures.
+ * - Constants from `config.js`: `RECIPE_PROVIDER`
+ */
+
+//Import providers
+import spoonacularProvider from "./spoonacularProvider.js";
+import fixtureProvider from "./fixtureProvider.js";
+
+//Import variables from config file
+import { RECIPE_PROVIDER } from "../../config.js";
+
+/**
+ * @typedef {Object} RecipeProvider
+ * @property {string} name - Unique name of the provider.
+ * @property {function(string|null, Object|null, number, number, AbortSignal=, {seed: number|null}=): Promise<{results: Object[], totalResults: number|null}>} searchRecipes - Searches recipes by a search query and/or filtersObject, returning one page (offset, number) of results that each contain an `id`, plus the total number of matches. Returns random recipes if no query or filters are provided: every page requested with the same `seed` option must be cut from the same random order.
+ * @property {function(string, 1|2, number, number, AbortSignal=): Promise<{results: Object[], totalResults: number|null}>} searchByIngredients - Searches recipes by a comma-separated list of pantry ingredients, ranked to maximize the ingredients used (1) or minimize the missing ingredients (2), returning one page (offset, number) of results that each contain an `id`, plus the total number of matches (`null` if unknown).
+ * @property {function(string, AbortSignal=): Promise<Object[]>} getRecipesBulk - Returns the full recipe details (`informationBulk` shape) for a comma-separated string of recipe ids.
+ * @property {function(string, "ingredient"|"recipe", AbortSignal=): Promise<string[]>} autocomplete - Returns ingredient name or recipe title suggestions for a partial search.
+ */
+
+//All available providers, keyed by name
+const providers = {
+  [spoonacularProvider.name]: spoonacularProvider,
+  [fixtureProvider.name]: fixtureProvider,
+};
+
+//The provider currently used by the model layer (set from the config file, falls back to Spoonacular if the name is unknown)
+let activeProvider = providers[RECIPE_PROVIDER] || spoonacularProvider;
+
+/**
+ * Returns the recipe data provider currently in use.
+ *
+ * @returns {RecipeProvider} The active provider.
+ */
+export const getRecipeProvider = function () {
+  return activeProvider;
+};
+
+/**
+ * Switches the recipe data provider used by the model layer.
+ *
+ * @param {string} name - The name of a registered provider (e.g., "spoonacular" or "fixtures").
+ * @throws {Error} If no provider is registered with the given name.
+ */
+export const setRecipeProvider = function (name) {
+  if (!providers[name]) throw new Error(`Unknown recipe provider: ${name}`);
+  activeProvider = providers[name];
+};
+
+/**
+ * Registers an additional recipe data provider so it can be selected with `setRecipeProvider`.
+ *
+ * @param {RecipeProvider} provider - The provider to register.
+ */
+export const registerRecipeProvider = function (provider) {
+  providers[provider.name] = provider;
+};
@@ -0,0 +1,184 @@
+/**
+ * @fileoverview Recipe data provider backed by the Spoonacular API.
+ * Implements the provider interface described in `recipeProvider.js` by constructing Spoonacular API urls and returning the raw API data.
+ *
+ * Recipe detail objects are returned exactly as the `informationBulk` endpoint returns them. This shape is what the rest of the model layer (generateRecipeResults.js) expects from every provider.
+ *
+ * Every request goes through the shared request layer (`fetchJSON` in apiRequest.js), so requests time out, can be cancelled with an AbortSignal and are retried after a 429 or 5xx response.
+ *
+ * The API shuffles random recipes again on every request, so a search without a query or filters requests one batch of NUM_RANDOM_RECIPES random recipes and its pages are cut from that batch
+ * (the batch is kept for the seed of the search, see `getRandomOrderSeed` in loadRecipes.js). "Load More" never repeats or skips recipes, and stops at the end of the batch.
+ *
+ * Dependencies:
+ * - `fetchJSON`: Shared request layer (timeouts, cancellation and retries).
+ * - Constants from `config.js`: `API_BASE_URL`, `API_KEY`, `MAX_CALORIES`, `MIN_PROTEIN`, `NUM_SEARCH_RESULTS`, `NUM_RANDOM_RECIPES`, `SEARCH_REQUEST_TIMEOUT`, `AUTOCOMPLETE_REQUEST_TIMEOUT`, `NUM_API_AUTOCOMPLETE_SUGGESTIONS`
+ */
+
+//Import utilities
+import { fetchJSON } from "../apiRequest.js";
+
+//Import variables from config file
+import { API_BASE_URL, API_KEY, MAX_CALORIES, MIN_PROTEIN, NUM_SEARCH_RESULTS, NUM_RANDOM_RECIPES, SEARCH_REQUEST_TIMEOUT, AUTOCOMPLETE_REQUEST_TIMEOUT, NUM_API_AUTOCOMPLETE_SUGGESTIONS } from "../../config.js";
+
+//Maps the nutrientRanges keys in the filtersObject to the complexSearch parameter names (used as min<Name>/max<Name>)
+const NUTRIENT_PARAM_NAMES = { calories: "Calories", protein: "Protein", carbs: "Carbs", fat: "Fat", sugar: "Sugar", sodium: "Sodium" };
+
+//The batch of random recipes of the current search without a query or filters, and the seed of the search it was requested for (see `searchRandomRecipes`)
+let randomBatch = { seed: null, results: [] };
+
+/**
+ * Searches for recipes by a search bar query and/or filters. If neither are provided, random recipes are returned (see `searchRandomRecipes`).
+ *
+ * @param {string|null} search - The search bar query input by the user.
+ * @param {Object|null} filtersObject - An object containing the user's filter inputs.
+ * @param {number} [offset=0] - The number of results to skip (for pagination).
+ * @param {number} [number=NUM_SEARCH_RESULTS] - The number of results to return.
+ * @param {AbortSignal|null} [signal=null] - Signal that cancels the request (e.g., when a newer search is made).
+ * @param {Object} [options] - Search options.
+ * @param {number|null} [options.seed=null] - The seed of the random order of a search without a query or filters (see `getRandomOrderSeed` in loadRecipes.js).
+ * @returns {Promise<{results: Object[], totalResults: number}>} The page of recipe search results (each contains at least an `id`) and the total number of matching recipes.
+ * @throws {Error} If the API request fails.
+ */
+const searchRecipes = async function (search, filtersObject, offset = 0, number = NUM_SEARCH_RESULTS, signal = null, { seed = null } = {}) {
+  if (!search && !filtersObject) return await searchRandomRecipes(offset, number, signal, seed);
+
+  const url = `${constructSearchUrl(search, filtersObject)}&number=${number}&offset=${offset}`;
+  const data = await fetchJSON(url, { errorMessage: "Failed to fetch recipes", timeout: SEARCH_REQUEST_TIMEOUT, signal });
+  return { results: data.results, totalResults: data.totalResults };
+};
+
+/**
+ * Searches for recipes that use the ingredients in the user's pantry, ranked to maximize the number of pantry ingredients used (ranking 1) or to minimize the number of missing ingredients (ranking 2).
+ * Typical pantry items (e.g., water, salt, flour) are ignored by the ranking, since the app checks the user's own household staples.
+ * The findByIngredients endpoint has no offset parameter, so `offset + number` results are requested and the results before the offset are skipped.
+ *
+ * @param {string} ingredientsList - A comma-separated list of ingredients in the user's pantry.
+ * @param {1|2} [ranking=1] - How the results are ranked (see `INGREDIENT_SEARCH_MODES`).
+ * @param {number} [offset=0] - The number of results to skip (for pagination).
+ * @param {number} [number=NUM_SEARCH_RESULTS] - The number of results to return.
+ * @param {AbortSignal|null} [signal=null] - Signal that cancels the request (e.g., when a newer search is made).
+ * @returns {Promise<{results: Object[], totalResults: null}>} The page of recipe search results (each contains at least an `id`). The total number of matching recipes is unknown for this endpoint.
+ * @throws {Error} If the API request fails.
+ */
+const searchByIngredients = async function (ingredientsList, ranking = 1, offset = 0, number = NUM_SEARCH_RESULTS, signal = null) {
+  // Encode the ingredients list (properly formats multi-word ingredients)
+  const encodedIngredients = encodeURIComponent(ingredientsList);
+  const url = `${API_BASE_URL}/recipes/findByIngredients?ingredients=${encodedIngredients}&ranking=${ranking}&ignorePantry=true&number=${offset + number}&apiKey=${API_KEY}`;
+  const data = await fetchJSON(url, { errorMessage: "Failed to fetch recipes", timeout: SEARCH_REQUEST_TIMEOUT, signal });
+  return { results: data.slice(offset), totalResults: null };
+};
+
+/**
+ * Fetches the full details (including nutrition) for several recipes at once.
+ *
+ * @param {string} ids - Comma-separated string of recipe IDs.
+ * @param {AbortSignal|null} [signal=null] - Signal that cancels the request (e.g., when a newer search is made).
+ * @returns {Promise<Object[]>} An array of raw recipe detail objects.
+ * @throws {Error} If the API request fails.
+ */
+const getRecipesBulk = async function (ids, signal = null) {
+  const url = `${API_BASE_URL}/recipes/informationBulk?ids=${ids}&includeNutrition=true&apiKey=${API_KEY}`;
+  return await fetchJSON(url, { errorMessage: "Failed to fetch recipe details", signal });
+};
+
+/**
+ * Fetches autocomplete suggestions for a partial ingredient name or recipe title.
+ *
+ * @param {string} search - The user's search query (partial or complete).
+ * @param {"ingredient"|"recipe"} mode - The type of suggestions to fetch.
+ * @param {AbortSignal|null} [signal=null] - Signal that cancels the request (e.g., when the user types another character).
+ * @returns {Promise<string[]>} An array of suggestion strings.
+ * @throws {Error} If the API request fails.
+ */
+const autocomplete = async function (search, mode, signal = null) {
+  const endpoint = mode === "ingredient" ? "food/ingredients" : "recipes";
+  const url = `${API_BASE_URL}/${endpoint}/autocomplete?query=${encodeURIComponent(search)}&number=${NUM_API_AUTOCOMPLETE_SUGGESTIONS}&apiKey=${API_KEY}`;
+  const suggestions = await fetchJSON(url, { timeout: AUTOCOMPLETE_REQUEST_TIMEOUT, signal });
+
+  const suggestionKey = mode === "ingredient" ? "name" : "title";
+  return suggestions.map((suggestion) => suggestion[suggestionKey]);
+};
+
+//HELPER FUNCTIONS
+
+/**
+ * Returns a page of random recipes. The first page of a search requests a batch of NUM_RANDOM_RECIPES random recipes, the next pages (same seed) are cut from that batch,
+ * since the API would shuffle the recipes again for every request.
+ *
+ * @param {number} offset - The number of results to skip (for pagination).
+ * @param {number} number - The number of results to return.
+ * @param {AbortSignal|null} signal - Signal that cancels the request (e.g., when a newer search is made).
+ * @param {number|null} seed - The seed of the search (a batch is only reused for the same seed, a `null` seed always requests a new batch).
+ * @returns {Promise<{results: Object[], totalResults: number}>} The page of random recipes and the number of recipes in the batch.
+ * @throws {Error} If the API request fails.
+ * @private
+ */
+const searchRandomRecipes = async function (offset, number, signal, seed) {
+  if (seed === null || randomBatch.seed !== seed) {
+    const url = `${API_BASE_URL}/recipes/complexSearch?sort=random&number=${NUM_RANDOM_RECIPES}&apiKey=${API_KEY}`;
+    const data = await fetchJSON(url, { errorMessage: "Failed to fetch recipes", timeout: SEARCH_REQUEST_TIMEOUT, signal });
+    randomBatch = { seed, results: data.results };
+  }
+
+  return { results: randomBatch.results.slice(offset, offset + number), totalResults: randomBatch.results.length };
+};
+
+/**
+ * Constructs the complexSearch API URL based on the search query and filters (without the pagination parameters).
+ * If a user left the default option in a filter the value will be undefined for the property in the filtersObject.
+ *
+ * @param {string|null} search - The search bar query input by the user
+ * @param {Object|null} filtersObject - An object containing the user's filter inputs:
+ *   @param {string[]} [filtersObject.cuisine] - The types of cuisine (e.g., ["italian", "greek"]). Recipes matching any of them are returned.
+ *   @param {string[]} [filtersObject.dietaryRestrictions] - Dietary restrictions (e.g., ["vegan", "gluten free"]). Recipes must match all of them.
+ *   @param {string[]} [filtersObject.intolerances] - Intolerances (e.g., ["dairy", "peanut"]). Recipes containing any of them are excluded.
+ *   @param {string[]} [filtersObject.excludeIngredients] - Ingredients the recipes must not contain (e.g., ["olives"]).
+ *   @param {string} [filtersObject.macroRestrictions] - Macronutrient restrictions (e.g., `MAX_CALORIES` or 'MIN_PROTEIN').
+ *   @param {string} [filtersObject.course] - The meal type (e.g., "main course").
+ *   @param {number} [filtersObject.prepTime] - The maximum preparation time in minutes.
+ *   @param {Object} [filtersObject.nutrientRanges] - Min/max nutrient values per serving, keyed by nutrient (e.g., { calories: { min: 300, max: 700 } }).
+ * @returns {string} The constructed API URL.
+ * @private
+ */
+const constructSearchUrl = function (search, filtersObject) {
+  //Destructure user filter inputs from filtersObject
+  const { cuisine, dietaryRestrictions, intolerances, excludeIngredients, macroRestrictions, course, prepTime, nutrientRanges } = filtersObject || {};
+
+  let apiUrl = `${API_BASE_URL}/recipes/complexSearch?apiKey=${API_KEY}`;
+
+  //Dynamically construct url based on which user inputs are provided (not set to undefined (default))
+  if (search) apiUrl += `&query=${encodeURIComponent(search)}`;
+  //Comma-separated cuisines are matched with OR, comma-separated diets with AND
+  if (cuisine) apiUrl += `&cuisine=${encodeURIComponent(cuisine.join(","))}`;
+  if (dietaryRestrictions) apiUrl += `&diet=${encodeURIComponent(dietaryRestrictions.join(","))}`;
+  if (intolerances) apiUrl += `&intolerances=${encodeURIComponent(intolerances.join(","))}`;
+  if (excludeIngredients) apiUrl += `&excludeIngredients=${encodeURIComponent(excludeIngredients.join(","))}`;
+  if (macroRestrictions === MAX_CALORIES) apiUrl += `&maxCalories=${macroRestrictions}`;
+  if (macroRestrictions === MIN_PROTEIN) apiUrl += `&minProtein=${macroRestrictions}`;
+  if (course) apiUrl += `&type=${encodeURIComponent(course)}`;
+  if (prepTime) apiUrl += `&maxReadyTime=${prepTime}`;
+  if (nutrientRanges) apiUrl += constructNutrientRangeParams(nutrientRanges);
+
+  return apiUrl;
+};
+
+/**
+ * Constructs the min/max nutrient query parameters (e.g., "&minCalories=300&maxCalories=700&maxSodium=800").
+ *
+ * @param {Object} nutrientRanges - Min/max nutrient values per serving, keyed by nutrient.
+ * @returns {string} The query parameters.
+ * @private
+ */
+const constructNutrientRangeParams = function (nutrientRanges) {
+  return Object.entries(nutrientRanges)
+    .map(([nutrient, { min, max }]) => {
+      const paramName = NUTRIENT_PARAM_NAMES[nutrient];
+      let params = "";
+      if (min !== undefined) params += `&min${paramName}=${min}`;
+      if (max !== undefined) params += `&max${paramName}=${max}`;
+      return params;
+    })
+    .join("");
+};
+
+export default { name: "spoonacular", searchRecipes, searchByIngredients, getRecipesBulk, autocomplete };
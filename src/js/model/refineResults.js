@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Handles sorting and narrowing search results that are already loaded into the application state, without making another API call.
+ *
+ * Used by the sort/refine bar above the search results on the Ingredient Search Page and Browse Recipes Page.
+ * The search results in state are never modified, a refined copy of the results is returned to be rendered instead.
+ * Only the results already loaded are sorted: the "Use It Up" sort option re-sorts the loaded pages, while the "Use it up" ingredient search mode searches for the recipes that use the expiring pantry items (see `getSearchIngredientsList` in loadRecipes.js).
+ *
+ * Example refineSettings object:
+ * {
+ *   sortBy: "protein",      // "default", "calories", "protein", "prepTime", "proteinPerCalorie", "missingIngredients" or "useItUp"
+ *   diet: "vegan",          // Only keep recipes with this dietary restriction (undefined for all diets)
+ *   cuisine: undefined,     // Only keep recipes with this cuisine (undefined for all cuisines)
+ * }
+ *
+ * Dependencies:
+ * - Shared utilities (`getDaysUntilDate`).
+ * - Constants from `config.js`: `EXPIRING_SOON_DAYS`
+ */
+
+//Import utilities
+import { getDaysUntilDate } from "../sharedUtils.js";
+
+//Import variables from config file
+import { EXPIRING_SOON_DAYS } from "../config.js";
+
+//Sort options. Each option maps a recipe to the value it is sorted by and the sort direction
+const SORT_OPTIONS = {
+  calories: { getValue: (recipe) => recipe.calories, ascending: true },
+  protein: { getValue: (recipe) => recipe.protein, ascending: false },
+  prepTime: { getValue: (recipe) => recipe.prepTime, ascending: true },
+  proteinPerCalorie: { getValue: (recipe) => recipe.protein / recipe.calories, ascending: false },
+  missingIngredients: { getValue: (recipe) => recipe.numMissingIngredients, ascending: true },
+  useItUp: { getValue: (recipe) => getUseItUpScore(recipe), ascending: false },
+};
+
+/**
+ * Sorts and narrows loaded search results based on the user's selections in the sort/refine bar.
+ *
+ * @param {Object[]} results - The search results in state (list of recipe objects created using the Recipe class).
+ * @param {Object} refineSettings - The user's selections (see example at the top of the file).
+ * @param {string} [refineSettings.sortBy="default"] - The sort option. "default" keeps the original search result order.
+ * @param {string} [refineSettings.diet] - Only keep recipes with this dietary restriction.
+ * @param {string} [refineSettings.cuisine] - Only keep recipes with this cuisine.
+ * @returns {Object[]} A new, refined array of the search results.
+ */
+export const refineSearchResults = function (results, { sortBy = "default", diet, cuisine }) {
+  const refinedResults = results.filter((recipe) => (!diet || recipe.dietaryRestrictions?.includes(diet)) && (!cuisine || recipe.cuisine === cuisine));
+
+  const sortOption = SORT_OPTIONS[sortBy];
+  if (!sortOption) return refinedResults;
+
+  return refinedResults.sort((a, b) => compareValues(sortOption.getValue(a), sortOption.getValue(b), sortOption.ascending));
+};
+
+/**
+ * Collects the dietary restrictions and cuisines found in the loaded search results, used to populate the refine dropdowns.
+ *
+ * @param {Object[]} results - The search results in state.
+ * @returns {{diets: string[], cuisines: string[]}} The unique diets and cuisines (alphabetical order).
+ */
+export const getRefineOptions = function (results) {
+  const diets = new Set(results.flatMap((recipe) => recipe.dietaryRestrictions || []));
+  const cuisines = new Set(results.map((recipe) => recipe.cuisine).filter((cuisine) => cuisine && cuisine !== "Unavailable"));
+
+  return { diets: [...diets].sort(), cuisines: [...cuisines].sort() };
+};
+
+/**
+ * Scores how well a recipe uses up the pantry items that are about to expire (the "Use It Up" sort option, and the order of the results of a "Use it up" ingredient search). Each expiring item the recipe uses adds more to the score the sooner it expires
+ * (an item expiring today counts EXPIRING_SOON_DAYS + 1, an item expiring in EXPIRING_SOON_DAYS days counts 1). Items that have expired since the search was made are not counted.
+ *
+ * @param {Object} recipe - The recipe object (with the `expiringIngredients` found by the ingredient search).
+ * @returns {number} The score (0 if the recipe uses no expiring items).
+ */
+export const getUseItUpScore = function (recipe) {
+  return (recipe.expiringIngredients || [])
+    .map(({ expirationDate }) => getDaysUntilDate(expirationDate))
+    .filter((daysLeft) => daysLeft >= 0)
+    .reduce((score, daysLeft) => score + EXPIRING_SOON_DAYS + 1 - daysLeft, 0);
+};
+
+//HELPER FUNCTIONS
+
+/**
+ * Compares two sort values. Missing values (e.g., "-" or "Unavailable") are always sorted last.
+ *
+ * @param {*} a - The first value.
+ * @param {*} b - The second value.
+ * @param {boolean} ascending - The sort direction.
+ * @returns {number} A negative number if a comes first, a positive number if b comes first, otherwise 0.
+ * @private
+ */
+const compareValues = function (a, b, ascending) {
+  const aValid = Number.isFinite(a);
+  const bValid = Number.isFinite(b);
+
+  if (!aValid || !bValid) return Number(!aValid) - Number(!bValid);
+  return ascending ? a - b : b - a;
+};
@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Manages the user's saved searches (named filter presets) on the Browse Recipes Page.
+ * A saved search captures a search bar query and a filtersObject so the same browse recipes search can be re-run with one click.
+ * Saved searches are persisted in local storage (under "savedSearches") so they are available across sessions.
+ *
+ * Example saved search object:
+ * {
+ *   id: 1737072000000123456,                  // Unique id
+ *   name: "High protein veggie dinners",      // Name chosen by the user (unique, case-insensitive)
+ *   query: "pasta",                           // Search bar query (empty string if the search only uses filters)
+ *   filtersObject: {                          // The user's filter inputs (see searchFilterUtils.js), properties that were not set are omitted
+ *     dietaryRestrictions: ["vegetarian"],
+ *     course: "dinner",
+ *     prepTime: "45",
+ *     nutrientRanges: { protein: { min: 30 } },
+ *   },
+ *   createdAt: 1737072000000,                 // Timestamp the search was first saved
+ *   updatedAt: 1737072000000,                 // Timestamp the search was last edited
+ * }
+ *
+ * Dependencies:
+ * - `state`: The application's central state object.
+ * - Shared utilities (`generateUniqueId`, `deepCopy`).
+ */
+
+//Import application state
+import { state } from "./state.js";
+
+//Import utilities
+import { generateUniqueId, deepCopy } from "../sharedUtils.js";
+
+/**
+ * Returns the saved search with the given id.
+ *
+ * @param {number} id - The id of the saved search.
+ * @returns {Object|undefined} The saved search object, or undefined if it does not exist.
+ */
+export const getSavedSearch = function (id) {
+  return state.savedSearches.find((savedSearch) => savedSearch.id === Number(id));
+};
+
+/**
+ * Creates a new saved search, or updates an existing one if an id is provided, then saves the changes to local storage.
+ *
+ * @param {Object} savedSearchInputs - The user's inputs.
+ * @param {number|null} [savedSearchInputs.id=null] - The id of the saved search being edited (null to create a new saved search).
+ * @param {string} savedSearchInputs.name - The name of the saved search.
+ * @param {string} [savedSearchInputs.query=""] - The search bar query.
+ * @param {Object} [savedSearchInputs.filtersObject={}] - The user's filter inputs.
+ * @returns {Object} The created or updated saved search object.
+ * @throws {Error} If the name is empty or another saved search already uses the name.
+ */
+export const saveSearch = function ({ id = null, name, query = "", filtersObject = {} }) {
+  const trimmedName = name.trim();
+  if (!trimmedName) throw new Error("Please enter a name for the saved search.");
+
+  const nameTaken = state.savedSearches.some((savedSearch) => savedSearch.name.toLowerCase() === trimmedName.toLowerCase() && savedSearch.id !== Number(id));
+  if (nameTaken) throw new Error(`A saved search named "${trimmedName}" already exists.`);
+
+  //Copy the filters so later changes to the filter inputs never change the saved search
+  const searchDetails = { name: trimmedName, query: query.trim(), filtersObject: deepCopy(filtersObject), updatedAt: Date.now() };
+
+  const existingSearch = id === null ? undefined : getSavedSearch(id);
+  const savedSearch = existingSearch ? Object.assign(existingSearch, searchDetails) : { id: generateUniqueId(), ...searchDetails, createdAt: searchDetails.updatedAt };
+
+  if (!existingSearch) state.savedSearches.push(savedSearch);
+  persistSavedSearches();
+
+  return savedSearch;
+};
+
+/**
+ * Deletes a saved search and saves the changes to local storage.
+ *
+ * @param {number} id - The id of the saved search to delete.
+ */
+export const deleteSavedSearch = function (id) {
+  state.savedSearches = state.savedSearches.filter((savedSearch) => savedSearch.id !== Number(id));
+  persistSavedSearches();
+};
+
+//HELPER FUNCTIONS
+
+//Saves the current saved searches to localStorage.
+const persistSavedSearches = function () {
+  localStorage.setItem("savedSearches", JSON.stringify(state.savedSearches));
+};
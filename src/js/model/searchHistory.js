@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Manages the user's search history for the Ingredient Search Page and Browse Recipes Page.
+ * Every search that returns results is recorded with its query, filters, a snapshot of the user's pantry and the ids of the loaded results.
+ * A past search can be re-run, or its results can be restored from the recipe details cache without calling the recipe API.
+ * The search history is persisted in local storage (under "searchHistory"), newest search first.
+ *
+ * Example search history entry:
+ * {
+ *   id: 1737072000000123456,                     // Unique id
+ *   mode: "browseRecipes",                       // The type of search ("ingredientSearch" or "browseRecipes")
+ *   query: "pasta",                              // Search bar query (browse recipes search only, empty string otherwise)
+ *   filtersObject: { cuisine: ["italian"] },     // The user's filter inputs (see searchFilterUtils.js), or the search mode of an ingredient search (e.g., { searchMode: "cookNow" })
+ *   pantry: ["tomato", "garlic"],                // The pantry at the time of the search (the searched ingredients for an ingredient search)
+ *   timestamp: 1737072000000,                    // Timestamp the search was last made
+ *   resultIds: [654959, 715495],                 // Ids of the loaded results (in the order they were loaded)
+ *   pagination: { nextOffset: 15, totalResults: 96, hasMore: true }, // Pagination details of the search, so 'Load More' continues after a restore
+ * }
+ *
+ * Dependencies:
+ * - `state`: The application's central state object.
+ * - Shared utilities (`generateUniqueId`, `deepCopy`).
+ * - `loadStoredRecipeDetails`: Loads the restored results without calling the recipe API.
+ * - Search filter utilities (`hasFilters`).
+ * - `getPantryIngredientNames`: The names of the ingredients in the pantry.
+ * - Constants from `config.js`: `MAX_SEARCH_HISTORY`, `NUM_SEARCH_HISTORY_SUGGESTIONS`
+ */
+
+//Import application state
+import { state } from "./state.js";
+
+//Import utilities
+import { generateUniqueId, deepCopy } from "../sharedUtils.js";
+import { loadStoredRecipeDetails } from "./generateRecipeResults.js";
+import { hasFilters } from "./modelUtils/featureSpecific/searchFilterUtils.js";
+import { getPantryIngredientNames } from "./pantry.js";
+
+//Import variables from config file
+import { MAX_SEARCH_HISTORY, NUM_SEARCH_HISTORY_SUGGESTIONS } from "../config.js";
+
+/**
+ * Returns the search history entry with the given id.
+ *
+ * @param {number} id - The id of the search history entry.
+ * @returns {Object|undefined} The search history entry, or undefined if it does not exist.
+ */
+export const getSearchHistoryEntry = function (id) {
+  return state.searchHistory.find((entry) => entry.id === Number(id));
+};
+
+/**
+ * Records the latest search of a mode (and its loaded results) in the search history, then saves the history to local storage.
+ * Called after a search returns results and after more results are loaded. If the same search is already in the history, that entry is updated and moved to the top.
+ * Browse recipes loads without a query or filters (random recipes) are not recorded.
+ *
+ * @param {string} mode - The type of search (`"ingredientSearch"` or `"browseRecipes"`).
+ * @returns {Object|null} The recorded search history entry, or null if the search was not recorded.
+ */
+export const recordSearchHistory = function (mode) {
+  const pagination = state.searchPagination[mode];
+  if (!pagination) return null;
+
+  const [ingredientsList, search, filtersObject] = pagination.searchParams;
+  if (mode === "browseRecipes" && !search && !hasFilters(filtersObject)) return null;
+
+  const results = mode === "ingredientSearch" ? state.ingredientSearchResults : state.browseSearchResults;
+  const searchDetails = {
+    mode,
+    query: search ? search.trim() : "",
+    //Copy the filters so later changes to the filter inputs never change the history (filters that were not set are dropped)
+    filtersObject: deepCopy(filtersObject || {}),
+    pantry: mode === "ingredientSearch" ? ingredientsList.split(",") : getPantryIngredientNames(),
+    timestamp: Date.now(),
+    resultIds: results.map((recipe) => recipe.id),
+    pagination: { nextOffset: pagination.nextOffset, totalResults: pagination.totalResults, hasMore: pagination.hasMore },
+  };
+
+  const existingEntry = state.searchHistory.find((entry) => getSearchKey(entry) === getSearchKey(searchDetails));
+  const entry = existingEntry ? Object.assign(existingEntry, searchDetails) : { id: generateUniqueId(), ...searchDetails };
+
+  //Move the search to the top of the history and keep the most recent searches of each mode
+  const otherEntries = state.searchHistory.filter((historyEntry) => historyEntry !== entry);
+  const entriesPerMode = {};
+  state.searchHistory = [entry, ...otherEntries].filter((historyEntry) => {
+    entriesPerMode[historyEntry.mode] = (entriesPerMode[historyEntry.mode] || 0) + 1;
+    return entriesPerMode[historyEntry.mode] <= MAX_SEARCH_HISTORY;
+  });
+  persistSearchHistory();
+
+  return entry;
+};
+
+/**
+ * Returns the most recent searches of a mode that match the user's partial search bar input, shown under the search bar next to the autocomplete suggestions.
+ * Browse recipes searches match on their query, ingredient searches match on their pantry ingredients.
+ *
+ * @param {string} mode - The type of search (`"ingredientSearch"` or `"browseRecipes"`).
+ * @param {string} [partialInput=""] - The partial search bar input (all searches of the mode match an empty input).
+ * @returns {Object[]} Up to `NUM_SEARCH_HISTORY_SUGGESTIONS` search history entries (newest first).
+ */
+export const getSearchHistorySuggestions = function (mode, partialInput = "") {
+  const term = partialInput.trim().toLowerCase();
+
+  return state.searchHistory
+    .filter((entry) => entry.mode === mode)
+    .filter((entry) => {
+      const searchedText = mode === "ingredientSearch" ? entry.pantry.join(" ") : entry.query;
+      return searchedText.toLowerCase().includes(term);
+    })
+    .slice(0, NUM_SEARCH_HISTORY_SUGGESTIONS);
+};
+
+/**
+ * Restores the results of a past search into the search results in state, without calling the recipe API.
+ * Results are read from the recipe details cache (or the offline catalog), and the pagination details of the search are restored so more results can still be loaded.
+ *
+ * @param {number} id - The id of the search history entry.
+ * @returns {Promise<Object|null>} `{ noResults: true }` if none of the results are stored anymore, or `null` on success.
+ */
+export const restoreSearchHistoryResults = async function (id) {
+  const entry = getSearchHistoryEntry(id);
+  if (!entry || entry.resultIds.length === 0) return { noResults: true };
+
+  //Restore the pagination details first, so the results are sorted for the search they came from (e.g., the mode of an ingredient search)
+  state.searchPagination[entry.mode] = { searchParams: getSearchParams(entry), ...entry.pagination };
+  return await loadStoredRecipeDetails(entry.resultIds.join(","), entry.mode);
+};
+
+//HELPER FUNCTIONS
+
+//Saves the current search history to localStorage.
+const persistSearchHistory = function () {
+  localStorage.setItem("searchHistory", JSON.stringify(state.searchHistory));
+};
+
+//Returns a key identifying the search (searches with the same key are the same search). The order of pantry ingredients does not matter
+const getSearchKey = function ({ mode, query, filtersObject, pantry }) {
+  if (mode === "ingredientSearch") return `${mode}|${[...pantry].sort().join(",")}|${filtersObject.searchMode ?? ""}`;
+  return `${mode}|${query.toLowerCase()}|${JSON.stringify(filtersObject)}`;
+};
+
+//Rebuilds the `loadRecipes` search parameters ([ingredientsList, search, filtersObject]) of a search history entry
+const getSearchParams = function ({ mode, query, filtersObject, pantry }) {
+  if (mode === "ingredientSearch") return [pantry.join(","), null, filtersObject];
+  return [null, query || null, filtersObject];
+};
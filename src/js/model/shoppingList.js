@@ -0,0 +1,206 @@
+/**
+ * @fileoverview Generates the shopping list from the meals planned over a date range of the meal plan.
+ *
+ * The ingredients of every planned recipe in the date range are added up (ingredient names are normalized with `normalizeIngredient`, quantities are added up when their units convert,
+ * e.g., 2 tbsp and 1/2 cup of butter), then what is already in the pantry is subtracted (converted to the unit of the item). The items left to buy are grouped by grocery aisle (the `category` stored on each recipe ingredient).
+ * Custom meal entries (no ingredients), meals already marked as cooked and the user's household staples (e.g., salt, water) are not included.
+ *
+ * The latest shopping list (and which items are checked off) is persisted in local storage (under "shoppingList") so it is available across sessions.
+ *
+ * Example shoppingList object (state.shoppingList):
+ * {
+ *   startDate: "2025-01-20",                 // First day of the date range (HTML date input format)
+ *   endDate: "2025-01-26",                   // Last day of the date range
+ *   numMeals: 6,                             // Number of planned recipes the list was built from
+ *   inPantry: ["egg", "rice"],               // Ingredients the pantry already has enough of
+ *   categories: [
+ *     {
+ *       category: "Produce",
+ *       items: [
+ *         {
+ *           id: "tomato|",                   // Unique id (name and unit of the first recipe that uses the ingredient)
+ *           name: "tomato",
+ *           quantity: 3,                     // Amount to buy (null if the recipes don't give a quantity)
+ *           unit: "",                        // Unit of the quantity ("" for a count), the unit of the first recipe that uses the ingredient
+ *           recipes: ["Shakshuka", "Tomato Soup"], // Recipes that use the ingredient
+ *           pantryQuantity: 1,               // Amount in the pantry that was subtracted (0 if none), or the pantry amount if its unit doesn't convert (see pantryUnit)
+ *           pantryUnit: "",                  // Unit of the pantry amount (the unit of the item if it was subtracted)
+ *           checked: false,                  // Whether the user checked the item off
+ *         },
+ *       ],
+ *     },
+ *   ],
+ * }
+ *
+ * Dependencies:
+ * - `state`: The application's central state object.
+ * - `getFirstDayOfTheWeek` from `modelUtils.js`: To find the week of each day in the meal plan.
+ * - `findPantryItemForIngredient`, `normalizePantryUnit` from `pantry.js`: To find the pantry stock of each ingredient (the pantry item with the same name or an ontology synonym, never a partial name match).
+ * - `convertQuantity`, `addQuantities`, `roundQuantity` from `unitConversionUtils.js`: To add up and subtract quantities measured in different units.
+ * - `isStaple` from `ingredientSettings.js`: To leave the user's household staples off the list.
+ * - Shared utilities (`normalizeIngredient`, `decodeDateFromInput`).
+ * - Constants from `config.js`: `PANTRY_CATEGORIES`, `MAX_SHOPPING_LIST_DAYS`
+ */
+
+//Import application state
+import { state } from "./state.js";
+
+//Import utilities
+import { getFirstDayOfTheWeek } from "./modelUtils/highLevel/modelUtils.js";
+import { findPantryItemForIngredient, normalizePantryUnit } from "./pantry.js";
+import { isStaple } from "./ingredientSettings.js";
+import { convertQuantity, addQuantities, roundQuantity } from "./modelUtils/featureSpecific/unitConversionUtils.js";
+import { normalizeIngredient, decodeDateFromInput } from "../sharedUtils.js";
+
+//Import variables from config file
+import { PANTRY_CATEGORIES, MAX_SHOPPING_LIST_DAYS } from "../config.js";
+
+/**
+ * Generates the shopping list for the meals planned from the start date to the end date (both included), then saves it to local storage.
+ *
+ * @param {string} startDate - The first day of the date range (HTML date input format, e.g., "2025-01-20").
+ * @param {string} endDate - The last day of the date range (HTML date input format).
+ * @returns {Object} The shopping list (see example at the top of the file).
+ * @throws {Error} If a date is missing, the end date is before the start date, or the date range is longer than MAX_SHOPPING_LIST_DAYS.
+ */
+export const generateShoppingList = function (startDate, endDate) {
+  if (!startDate || !endDate) throw new Error("Please select a start date and an end date.");
+  if (endDate < startDate) throw new Error("The end date can't be before the start date.");
+
+  const days = getDaysInRange(startDate, endDate);
+  if (days.length > MAX_SHOPPING_LIST_DAYS) throw new Error(`Please select a date range of ${MAX_SHOPPING_LIST_DAYS} days or less.`);
+
+  const recipes = days.flatMap((day) => getPlannedRecipes(day));
+  const neededItems = subtractPantryStock(addUpIngredients(recipes));
+
+  state.shoppingList = {
+    startDate,
+    endDate,
+    numMeals: recipes.length,
+    inPantry: neededItems.filter((item) => item.quantity === 0).map((item) => item.name),
+    categories: groupByCategory(neededItems.filter((item) => item.quantity !== 0)),
+  };
+  persistShoppingList();
+  return state.shoppingList;
+};
+
+/**
+ * Checks an item off the shopping list (or unchecks it), then saves the shopping list to local storage.
+ *
+ * @param {string} itemId - The id of the shopping list item.
+ */
+export const toggleShoppingListItem = function (itemId) {
+  const item = state.shoppingList?.categories.flatMap(({ items }) => items).find((listItem) => listItem.id === itemId);
+  if (!item) return;
+
+  item.checked = !item.checked;
+  persistShoppingList();
+};
+
+//HELPER FUNCTIONS
+
+//Saves the shopping list to localStorage.
+const persistShoppingList = function () {
+  localStorage.setItem("shoppingList", JSON.stringify(state.shoppingList));
+};
+
+//Returns the date strings (e.g., 'Mon Jan 20 2025') of every day from the start date to the end date (HTML date input format, both included)
+const getDaysInRange = function (startDate, endDate) {
+  const days = [];
+  const lastDay = new Date(decodeDateFromInput(endDate));
+
+  for (const day = new Date(decodeDateFromInput(startDate)); day <= lastDay; day.setDate(day.getDate() + 1)) {
+    days.push(day.toDateString());
+  }
+  return days;
+};
+
+//Returns the recipes planned on a day that still need to be shopped for (custom meal entries and cooked meals are left out). Days outside the meal plan have no recipes
+const getPlannedRecipes = function (dayDateString) {
+  const dayMealPlan = state.mealPlan[getFirstDayOfTheWeek(dayDateString).toDateString()]?.[dayDateString];
+  if (!dayMealPlan) return [];
+
+  return Object.values(dayMealPlan.meals)
+    .flat()
+    .filter((recipe) => recipe.origin !== "customMealEntry" && !recipe.cooked);
+};
+
+/**
+ * Adds up the ingredients of the recipes. Ingredients with the same normalized name and units that convert (e.g., "Tbsps" and "cups", or "cups" and "g" for an ingredient with a known density)
+ * are combined into one item, in the unit of the first recipe that uses the ingredient.
+ *
+ * @param {Object[]} recipes - The planned recipes (already scaled to the servings in the meal plan).
+ * @returns {Object[]} The items (`{id, name, quantity, unit, category, recipes}`).
+ * @private
+ */
+const addUpIngredients = function (recipes) {
+  const items = [];
+
+  recipes.forEach((recipe) => {
+    recipe.ingredients.forEach((ingredient) => {
+      const name = normalizeIngredient(ingredient.name);
+      if (isStaple(name)) return;
+
+      const unit = normalizePantryUnit(ingredient.unit);
+      const quantity = Number(ingredient.quantity);
+
+      let item = items.find((listItem) => listItem.name === name && convertQuantity(1, unit, listItem.unit, name) !== null);
+      if (!item) {
+        item = { id: `${name}|${unit}`, name, quantity: null, unit, category: getAisle(ingredient.category), recipes: [] };
+        items.push(item);
+      }
+
+      if (Number.isFinite(quantity) && quantity > 0) item.quantity = addQuantities({ quantity: item.quantity ?? 0, unit: item.unit }, { quantity, unit }, name).quantity;
+      if (!item.recipes.includes(recipe.title)) item.recipes.push(recipe.title);
+    });
+  });
+
+  return items.map((item) => ({ ...item, quantity: item.quantity === null ? null : roundQuantity(item.quantity) }));
+};
+
+/**
+ * Subtracts what is in the pantry from the items. Pantry stock in a unit that converts to the unit of the item is subtracted (and used up across items of the same ingredient),
+ * a pantry item without a tracked quantity counts as enough, and stock in a unit that doesn't convert is only noted on the item.
+ *
+ * @param {Object[]} items - The added up items.
+ * @returns {Object[]} The items with the amount left to buy (0 if the pantry has enough) and the pantry amount.
+ * @private
+ */
+const subtractPantryStock = function (items) {
+  //Pantry stock left after previous items (pantry item id -> quantity, in the unit of the pantry item)
+  const stockLeft = new Map();
+
+  return items.map((item) => {
+    const pantryItem = findPantryItemForIngredient(item.name);
+    if (!pantryItem) return { ...item, pantryQuantity: 0, pantryUnit: item.unit, checked: false };
+    if (pantryItem.quantity === null) return { ...item, quantity: 0 };
+
+    const stock = stockLeft.get(pantryItem.id) ?? pantryItem.quantity;
+    const stockInItemUnit = item.quantity === null ? null : convertQuantity(stock, pantryItem.unit, item.unit, item.name);
+    if (stockInItemUnit === null) return { ...item, pantryQuantity: pantryItem.quantity, pantryUnit: pantryItem.unit, checked: false };
+
+    const usedStock = Math.min(stockInItemUnit, item.quantity);
+    stockLeft.set(pantryItem.id, stock - convertQuantity(usedStock, item.unit, pantryItem.unit, item.name));
+
+    return { ...item, quantity: roundQuantity(item.quantity - usedStock), pantryQuantity: roundQuantity(usedStock), pantryUnit: item.unit, checked: false };
+  });
+};
+
+//Groups the items by grocery aisle (in the order of PANTRY_CATEGORIES, aisles that are not in the list follow alphabetically, then "Other"). Items are sorted by name
+const groupByCategory = function (items) {
+  const categoryRank = (category) => (category === "Other" ? Infinity : PANTRY_CATEGORIES.includes(category) ? PANTRY_CATEGORIES.indexOf(category) : PANTRY_CATEGORIES.length);
+  const categories = [...new Set(items.map((item) => item.category))].sort((a, b) => categoryRank(a) - categoryRank(b) || a.localeCompare(b));
+
+  return categories.map((category) => ({
+    category,
+    items: items
+      .filter((item) => item.category === category)
+      .map(({ category, ...item }) => item)
+      .sort((a, b) => a.name.localeCompare(b.name)),
+  }));
+};
+
+//Returns the grocery aisle of an ingredient. Some ingredients are filed under several aisles (e.g., "Baking;Spices and Seasonings"), use the first one
+const getAisle = function (category) {
+  return (typeof category === "string" && category.split(";")[0].trim()) || "Other";
+};
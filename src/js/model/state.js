@@ -9,19 +9,41 @@
  *
  * @type {Object}
  * @property {Set<string>} initializedViews - Tracks the views that have been initialized to prevent redundant setups.
- * @property {string[]} pantry - List of ingredients added by the user to their pantry.
+ * @property {Object[]} pantry - The ingredients the user has at home (with quantity, unit, category, purchase and expiration dates). See pantry.js.
  * @property {Object[]} ingredientSearchResults - Results of ingredient-based recipe searches (list of recipe objects created using the Recipe class).
  * @property {Object[]} browseSearchResults - Results of browse-based recipe searches (list of recipe objects created using the Recipe class).
+ * @property {Object} searchPagination - Pagination details of the latest search for each search mode (`ingredientSearch`, `browseRecipes`), used to load more results. See loadRecipes.js.
  * @property {Object[]} recipeBook - Array of bookmarked recipes saved by the user (list of recipe objects created using the Recipe class).
- * @property {string} mealCalendarWeek - The Monday representing the current week displayed in the meal planner (e.g., 'Mon Jan 20 2025').
+ * @property {Object[]} savedSearches - The user's saved browse recipes searches (search query and filters). See savedSearches.js.
+ * @property {Object[]} searchHistory - The user's past ingredient searches and browse recipes searches, newest first. See searchHistory.js.
+ * @property {Object[]} recipeCatalog - Every recipe loaded into the search results, searched when the recipe API is unreachable (list of recipe objects created using the Recipe class). See offlineCatalog.js.
+ * @property {Object} apiQuota - The recipe API quota used in the current session and on the current day. See apiQuota.js.
+ * @property {string} mealCalendarWeek - The first day of the week displayed in the meal planner (e.g., 'Mon Jan 20 2025'). Weeks start on Monday or Sunday (see the `weekStart` preference).
  * @property {Object} mealPlan - A detailed plan of meals, organized by dates and meal types. See initializeApp.js for example structure of the mealPlan object.
+ * @property {Object} nutritionGoals - The user's daily calorie and macro goals, for every day and for some weekdays. See nutritionGoals.js.
+ * @property {Object|null} userProfile - The user's profile (age, sex, height, weight, activity level, goal) and the personal daily targets calculated from it, used for the percent daily values of recipes (null until the user saves their profile). See userProfile.js.
+ * @property {Object[]} mealSlots - The meal slots of the meal planner days (name and optional target time), in the order they are displayed. See mealSlots.js.
+ * @property {Object|null} shoppingList - The latest shopping list generated from the meal plan (null until one is generated). See shoppingList.js.
+ * @property {Object} preferences - The user's display preferences (e.g., the measurement system recipe ingredients are displayed in, the ingredient search mode, the first day of the meal planner week). See preferences.js.
+ * @property {Object} ingredientSettings - The user's household staples (always assumed to be available) and their own ingredient synonym and substitution rules. See ingredientSettings.js.
  */
 export let state = {
   initializedViews: new Set(),
   pantry: [],
   ingredientSearchResults: [],
   browseSearchResults: [],
+  searchPagination: { ingredientSearch: null, browseRecipes: null },
   recipeBook: [],
+  savedSearches: [],
+  searchHistory: [],
+  recipeCatalog: [],
+  apiQuota: { session: { requests: 0, pointsUsed: 0 }, daily: { date: "", requests: 0, pointsUsed: null, pointsLeft: null } },
   mealCalendarWeek: "",
   mealPlan: {},
+  userProfile: null,
+  mealSlots: [],
+  nutritionGoals: { everyDay: { calories: null, protein: null, carbs: null, fats: null }, weekdays: {} },
+  shoppingList: null,
+  preferences: { measurementSystem: "us", ingredientSearchMode: "maximizeUsed", weekStart: "monday" },
+  ingredientSettings: { staples: [], synonyms: [], substitutions: [] },
 };
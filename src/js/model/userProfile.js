@@ -0,0 +1,181 @@
+/**
+ * @fileoverview Manages the user's profile (age, sex, height, weight, activity level and goal) and the personal daily targets calculated from it.
+ * The daily energy expenditure (TDEE) is estimated with the Mifflin-St Jeor equation (BMR) multiplied by the factor of the activity level. The daily calories are the TDEE plus the adjustment of the goal (e.g., -500 kcal to lose weight),
+ * protein is set per kg of body weight, fats are a share of the calories (FATS_CALORIE_SHARE) and carbs make up the remaining calories.
+ * Once the user has a profile, the percent daily values of recipes are calculated with their daily targets instead of the standard daily values (see getDailyValues in modelUtils.js).
+ * When the standard daily values change (DAILY_VALUES_VERSION), the percent daily values of the saved recipes are recalculated once when the app loads (see `updateOutdatedPercentDV`).
+ * The profile is persisted in local storage (under "userProfile") so it is available across sessions.
+ *
+ * Example user profile object (state.userProfile, null until the user saves their profile):
+ * {
+ *   age: 34,
+ *   sex: "female",                // "female" or "male" (a key of BMR_SEX_CONSTANTS)
+ *   units: "metric",              // The units the height and weight were entered in: "metric" (cm, kg) or "us" (in, lb)
+ *   height: 168,
+ *   weight: 64,
+ *   activityLevel: "moderate",    // A key of ACTIVITY_LEVELS
+ *   goal: "maintain",             // A key of PROFILE_GOALS
+ *   bmr: 1359,                    // Calories burned at rest (kcal)
+ *   tdee: 2106,                   // Calories burned on an average day (kcal)
+ *   dailyTargets: { calories: 2106, protein: 102, fats: 70, carbs: 266 }, // Calories in kcal, macros in grams
+ * }
+ *
+ * Dependencies:
+ * - `state`: The application's central state object.
+ * - `updatePercentDV` from `servingsUtils.js`: Recalculates the percent daily values of the recipes already in the app when the daily targets change.
+ * - `saveRecipeBook` from `recipeBook.js`, `saveMealPlan` from `mealPlanner.js`, `saveRecipeCatalog` from `offlineCatalog.js`: Save the recipes with their new percent daily values.
+ * - Constants from `config.js`: `BMR_SEX_CONSTANTS`, `ACTIVITY_LEVELS`, `PROFILE_GOALS`, `PROFILE_LIMITS`, `FATS_CALORIE_SHARE`, `MAX_PROTEIN_CALORIE_SHARE`, `MIN_DAILY_CALORIES`, `MACRONUTRIENT_FACTORS`, `MEASUREMENT_SYSTEMS`, `MASS_UNITS_IN_G`, `CM_PER_INCH`, `DAILY_VALUES_VERSION`
+ */
+
+//Import application state
+import { state } from "./state.js";
+
+//Import utilities
+import { updatePercentDV } from "./modelUtils/featureSpecific/servingsUtils.js";
+import { saveRecipeBook } from "./recipeBook.js";
+import { saveMealPlan } from "./mealPlanner.js";
+import { saveRecipeCatalog } from "./offlineCatalog.js";
+
+//Import variables from config file
+import {
+  BMR_SEX_CONSTANTS,
+  ACTIVITY_LEVELS,
+  PROFILE_GOALS,
+  PROFILE_LIMITS,
+  FATS_CALORIE_SHARE,
+  MAX_PROTEIN_CALORIE_SHARE,
+  MIN_DAILY_CALORIES,
+  MACRONUTRIENT_FACTORS,
+  MEASUREMENT_SYSTEMS,
+  MASS_UNITS_IN_G,
+  CM_PER_INCH,
+  DAILY_VALUES_VERSION,
+} from "../config.js";
+
+/**
+ * Sets the user's profile and calculates their daily targets, then saves the profile to local storage and recalculates the percent daily values of the recipes in the app.
+ *
+ * @param {Object} profile - The profile inputs (values as entered in the profile form, e.g., `{age: "34", sex: "female", units: "metric", height: "168", weight: "64", activityLevel: "moderate", goal: "maintain"}`).
+ * @throws {Error} If an input is missing or out of range (see PROFILE_LIMITS).
+ */
+export const setUserProfile = function ({ age, sex, units, height, weight, activityLevel, goal }) {
+  if (!(sex in BMR_SEX_CONSTANTS)) throw new Error("Select your sex.");
+  if (!MEASUREMENT_SYSTEMS.includes(units)) throw new Error(`Unknown measurement system: ${units}`);
+  if (!(activityLevel in ACTIVITY_LEVELS)) throw new Error("Select your activity level.");
+  if (!(goal in PROFILE_GOALS)) throw new Error("Select your goal.");
+
+  const isUS = units === "us";
+  const validatedAge = validateNumber(age, "age", PROFILE_LIMITS.age, "years");
+  const validatedHeight = validateNumber(height, "height", PROFILE_LIMITS.heightCm.map((limit) => (isUS ? limit / CM_PER_INCH : limit)), isUS ? "in" : "cm");
+  const validatedWeight = validateNumber(weight, "weight", PROFILE_LIMITS.weightKg.map((limit) => (isUS ? limit / poundsToKg(1) : limit)), isUS ? "lb" : "kg");
+
+  const heightCm = isUS ? validatedHeight * CM_PER_INCH : validatedHeight;
+  const weightKg = isUS ? poundsToKg(validatedWeight) : validatedWeight;
+
+  state.userProfile = {
+    age: validatedAge,
+    sex,
+    units,
+    height: validatedHeight,
+    weight: validatedWeight,
+    activityLevel,
+    goal,
+    ...calculateDailyTargets(validatedAge, sex, heightCm, weightKg, activityLevel, goal),
+  };
+
+  persistUserProfile();
+  updateRecipesPercentDV();
+};
+
+/**
+ * Removes the user's profile (the percent daily values of recipes go back to the standard daily values), then recalculates the percent daily values of the recipes in the app.
+ */
+export const removeUserProfile = function () {
+  state.userProfile = null;
+  localStorage.removeItem("userProfile");
+  updateRecipesPercentDV();
+};
+
+/**
+ * Recalculates the percent daily values of the saved recipes (recipe book, offline catalog and meal plan) if they were saved with older standard daily values (see DAILY_VALUES_VERSION), then records the current version.
+ * Called once the saved recipes and the user's profile are loaded, so it only recalculates the recipes the first time the app loads after the daily values changed.
+ */
+export const updateOutdatedPercentDV = function () {
+  if (Number(localStorage.getItem("dailyValuesVersion")) === DAILY_VALUES_VERSION) return;
+
+  updateRecipesPercentDV();
+  localStorage.setItem("dailyValuesVersion", String(DAILY_VALUES_VERSION));
+};
+
+//HELPER FUNCTIONS
+
+/**
+ * Calculates the daily energy expenditure and the daily calorie and macro targets of a profile.
+ *
+ * @param {number} age - The age in years.
+ * @param {string} sex - "female" or "male".
+ * @param {number} heightCm - The height in centimeters.
+ * @param {number} weightKg - The weight in kilograms.
+ * @param {string} activityLevel - A key of ACTIVITY_LEVELS.
+ * @param {string} goal - A key of PROFILE_GOALS.
+ * @returns {{bmr: number, tdee: number, dailyTargets: Object}} The BMR and TDEE (kcal), and the daily targets (calories in kcal, macros in grams).
+ * @private
+ */
+const calculateDailyTargets = function (age, sex, heightCm, weightKg, activityLevel, goal) {
+  const bmr = 10 * weightKg + 6.25 * heightCm - 5 * age + BMR_SEX_CONSTANTS[sex];
+  const tdee = bmr * ACTIVITY_LEVELS[activityLevel].factor;
+  const { calorieAdjustment, proteinPerKg } = PROFILE_GOALS[goal];
+
+  const calories = Math.max(MIN_DAILY_CALORIES, tdee + calorieAdjustment);
+  const protein = Math.min(proteinPerKg * weightKg, (calories * MAX_PROTEIN_CALORIE_SHARE) / MACRONUTRIENT_FACTORS.protein);
+  const fats = (calories * FATS_CALORIE_SHARE) / MACRONUTRIENT_FACTORS.fats;
+  const carbs = (calories - protein * MACRONUTRIENT_FACTORS.protein - fats * MACRONUTRIENT_FACTORS.fats) / MACRONUTRIENT_FACTORS.carbs;
+
+  return {
+    bmr: Math.round(bmr),
+    tdee: Math.round(tdee),
+    dailyTargets: { calories: Math.round(calories), protein: Math.round(protein), fats: Math.round(fats), carbs: Math.round(carbs) },
+  };
+};
+
+/**
+ * Checks a profile input is a number within its accepted range.
+ *
+ * @param {string|number} value - The value input by the user.
+ * @param {string} name - The name of the input, used in the error message (e.g., "height").
+ * @param {number[]} range - The min and max accepted values (in the units the value was entered in).
+ * @param {string} unit - The unit of the value, used in the error message (e.g., "cm").
+ * @returns {number} The value (rounded to one decimal).
+ * @throws {Error} If the value is not a number within the range.
+ * @private
+ */
+const validateNumber = function (value, name, [min, max], unit) {
+  const number = String(value ?? "").trim() === "" ? NaN : Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) throw new Error(`Enter your ${name} (between ${Math.round(min)} and ${Math.round(max)} ${unit}).`);
+  return Math.round(number * 10) / 10;
+};
+
+//Converts a weight in pounds to kilograms
+const poundsToKg = function (pounds) {
+  return (pounds * MASS_UNITS_IN_G.lb) / MASS_UNITS_IN_G.kg;
+};
+
+//Recalculates the percent daily values of every recipe in the app with the current daily values, then saves the recipes (custom meal entries have no percent daily values)
+const updateRecipesPercentDV = function () {
+  const mealPlanRecipes = Object.values(state.mealPlan)
+    .flatMap((weekPlan) => Object.values(weekPlan))
+    .flatMap((day) => Object.values(day.meals).flat());
+
+  [...state.recipeBook, ...state.ingredientSearchResults, ...state.browseSearchResults, ...state.recipeCatalog, ...mealPlanRecipes]
+    .filter((recipe) => recipe.origin !== "customMealEntry")
+    .forEach(updatePercentDV);
+
+  saveRecipeBook();
+  saveMealPlan();
+  saveRecipeCatalog();
+};
+
+//Saves the user profile to localStorage.
+const persistUserProfile = function () {
+  localStorage.setItem("userProfile", JSON.stringify(state.userProfile));
+};
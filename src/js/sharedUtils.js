@@ -25,6 +25,12 @@ export const formatWeekDateForCalendar = function (dateString) {
   }).format(date);
 };
 
+//Takes a time of the format from the HTML time input ("17:30") and formats it into a format like 5:30 PM to display on the meal slots of the calendar
+export const formatTimeFromInput = function (timeInput) {
+  const [hours, minutes] = timeInput.split(":");
+  return new Intl.DateTimeFormat(undefined, { timeStyle: "short" }).format(new Date(2000, 0, 1, hours, minutes));
+};
+
 //Takes a date of the format from the HTML date input (on add to calendar modal) and turns it into a date string ("Mon Dec 16 2024")
 export const decodeDateFromInput = function (dateInput) {
   const [year, month, day] = dateInput.split("-");
@@ -32,6 +38,19 @@ export const decodeDateFromInput = function (dateInput) {
   return dateValue;
 };
 
+//Formats a date into the format used by HTML date inputs (e.g., "2024-12-16"), in local time
+export const formatDateForInput = function (date = new Date()) {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+//Returns the number of days from today until a date of the HTML date input format ("2024-12-16"). Negative if the date has passed
+export const getDaysUntilDate = function (dateInput) {
+  const today = new Date(decodeDateFromInput(formatDateForInput()));
+  return Math.round((new Date(decodeDateFromInput(dateInput)) - today) / (24 * 60 * 60 * 1000));
+};
+
 //Normalize (trim and make lower case) ingredient inputs for consistency
 export const normalizeIngredient = function (ingredient) {
   return pluralize.singular(ingredient.trim().toLowerCase());
@@ -49,6 +68,26 @@ export const generateUniqueId = function () {
   return parseInt(`${timestamp}${randomPart}`, 10); // Combine and convert to a number
 };
 
+//Returns a copy of an array in a random order that is the same for the same seed (so every page of a paginated random list is cut from the same order)
+export const shuffleWithSeed = function (items, seed) {
+  //Mulberry32 pseudorandom number generator (returns numbers between 0 and 1)
+  let current = seed >>> 0;
+  const random = () => {
+    current = (current + 0x6d2b79f5) >>> 0;
+    let t = Math.imul(current ^ (current >>> 15), current | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  //Fisher-Yates shuffle
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
 //Creates a deep copy of an object or string
 export const deepCopy = function (item) {
   return JSON.parse(JSON.stringify(item));
@@ -4,6 +4,9 @@
  */
 import SearchableView from "./searchableView.js";
 
+//Import utilities
+import { escapeHtml } from "../viewUtils/highLevel/viewUtils.js";
+
 class BrowseRecipesView extends SearchableView {
   /**
    * Creates an instance of browseRecipesView.
@@ -12,6 +15,8 @@ class BrowseRecipesView extends SearchableView {
   constructor() {
     super(document.querySelector(".recipe-search"));
     this.filterBtn = this.parentEl.querySelector(".recipe-search__filter-btn");
+    this.savedSearchesEl = this.parentEl.querySelector(".saved-searches");
+    this.savedSearchesList = this.parentEl.querySelector(".saved-searches__list");
   }
 
   showFilterBtn() {
@@ -34,6 +39,36 @@ class BrowseRecipesView extends SearchableView {
     this.parentEl.querySelector(".recipe-search__applied-filter-info").textContent = "";
   }
 
+  setSearchInput(query) {
+    this.searchBar.value = query;
+  }
+
+  //SAVED SEARCHES
+
+  /**
+   * Renders the user's saved searches as a list of buttons (run, edit and delete) below the search bar.
+   * The saved searches section is hidden if the user has no saved searches.
+   * @param {Object[]} savedSearches - The saved search objects (see savedSearches.js in the model).
+   */
+  renderSavedSearches(savedSearches) {
+    this.savedSearchesEl.classList.toggle("u-hidden", savedSearches.length === 0);
+    this.savedSearchesList.innerHTML = savedSearches.map((savedSearch) => this.#generateSavedSearchMarkup(savedSearch)).join("");
+  }
+
+  #generateSavedSearchMarkup({ id, name, query }) {
+    const description = query ? `Search "${query}" with saved filters` : "Browse with saved filters";
+    return `
+      <li class="saved-searches__item" data-id="${id}">
+        <button class="saved-searches__run-btn" data-action="run" title="${escapeHtml(description)}">${escapeHtml(name)}</button>
+        <button class="u-icn-btn saved-searches__icn-btn" data-action="edit" aria-label="Edit saved search ${escapeHtml(name)}">
+          <i class="bi bi-pencil"></i>
+        </button>
+        <button class="u-icn-btn saved-searches__icn-btn" data-action="delete" aria-label="Delete saved search ${escapeHtml(name)}">
+          <i class="bi bi-trash"></i>
+        </button>
+      </li>`;
+  }
+
   /**
    * Adds an event listener to the search bar for handling Enter keypress events.
    * @param {Function} handler - The callback to execute when the Enter key is pressed.
@@ -74,6 +109,29 @@ class BrowseRecipesView extends SearchableView {
     });
   }
 
+  /**
+   * Adds an event listener to the 'Save Search' button.
+   * @param {Function} handler - The callback to execute when the save search button is clicked (will open the Saved Search Modal).
+   */
+  addHandlerSaveSearchBtn(handler) {
+    const saveSearchBtn = this.parentEl.querySelector(".recipe-search__save-search-btn");
+    saveSearchBtn.addEventListener("click", () => {
+      handler();
+    });
+  }
+
+  /**
+   * Adds a delegated event listener to the saved searches list.
+   * @param {Function} handler - The callback to execute when a saved search button is clicked. Called with the action ("run", "edit" or "delete") and the id of the saved search.
+   */
+  addHandlerSavedSearchActions(handler) {
+    this.savedSearchesList.addEventListener("click", (e) => {
+      const btn = e.target.closest("[data-action]");
+      if (!btn) return;
+      handler(btn.dataset.action, Number(btn.closest(".saved-searches__item").dataset.id));
+    });
+  }
+
   /**
    * Adds an event listener to the 'Meal Planner' button for navigating to the meal planner.
    * @param {Function} handler - The callback to execute when the meal planner button is clicked.
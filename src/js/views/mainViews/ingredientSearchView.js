@@ -1,10 +1,16 @@
 /**
  * @fileoverview IngredientSearchView manages the UI interactions for the ingredient search page.
- * It handles displaying pantry items, common ingredients, and scrolling to suggested recipes.
- * It also manages event listeners for user actions like searching, adding, or removing ingredients.
+ * It handles displaying the pantry (items grouped by category, with their quantity and expiration date), common ingredients, the selected search mode, and scrolling to suggested recipes.
+ * It also manages event listeners for user actions like searching, adding, editing, or removing ingredients.
  */
 import SearchableView from "./searchableView.js";
 
+//Import utilities
+import { getDaysUntilDate, decodeDateFromInput, formatWeekDateForCalendar } from "../../sharedUtils.js";
+
+//Import variables from config file
+import { EXPIRING_SOON_DAYS } from "../../config.js";
+
 class IngredientSearchView extends SearchableView {
   /**
    * Creates an instance of IngredientSearchView.
@@ -13,7 +19,9 @@ class IngredientSearchView extends SearchableView {
   constructor() {
     super(document.querySelector(".ingredient-search"));
     this.pantry = this.parentEl.querySelector(".ingredient-search__pantry");
+    this.pantryHeading = this.parentEl.querySelector(".ingredient-search__pantry-heading");
     this.commonIngredients = this.parentEl.querySelectorAll(".ingredient-search__common-ingredient");
+    this.searchModes = this.parentEl.querySelector(".ingredient-search__search-modes");
   }
 
   getCommonIngredients() {
@@ -21,28 +29,65 @@ class IngredientSearchView extends SearchableView {
   }
 
   /**
-   * Renders a pantry ingredient in the UI.
-   * @param {string} ingredient - The ingredient to add to the pantry.
+   * Renders the pantry in the UI, grouped by category, and marks the common ingredients that are in the pantry as selected.
+   * @param {{category: string, items: Object[]}[]} pantryByCategory - The pantry items grouped by category (see getPantryByCategory in pantry.js).
    */
-  renderPantryIngredient(ingredient) {
-    const markup = `
-      <li class="ingredient-search__pantry-ingredient-container">
-        <button class="u-icn-btn ingredient-search__remove-ingredient-btn" aria-label="Remove ingredient">&times;</button>
-        <p class="ingredient-search__pantry-ingredient">${ingredient}</p>
-      </li>`;
+  renderPantry(pantryByCategory) {
+    const items = pantryByCategory.flatMap(({ items }) => items);
+    const ingredients = items.map((item) => item.name);
+
+    this.pantryHeading.textContent = items.length > 0 ? `My Virtual Pantry (${items.length} item${items.length === 1 ? "" : "s"})` : "My Virtual Pantry";
+    this.pantry.innerHTML =
+      items.length > 0
+        ? pantryByCategory.map((group) => this.#generatePantryCategoryMarkup(group)).join("")
+        : `<p class="ingredient-search__pantry-empty-message">Your pantry is empty. Search for the ingredients you have at home or pick a common ingredient above.</p>`;
+    this.commonIngredients.forEach((commonIngredient) => commonIngredient.classList.toggle("ingredient-search__common-ingredient--active", ingredients.includes(commonIngredient.textContent)));
+  }
+
+  #generatePantryCategoryMarkup({ category, items }) {
+    return `
+      <section class="ingredient-search__pantry-category">
+        <h4 class="ingredient-search__pantry-category-heading">${category}</h4>
+        <ul class="ingredient-search__pantry-items">
+          ${items.map((item) => this.#generatePantryItemMarkup(item)).join("")}
+        </ul>
+      </section>`;
+  }
 
-    this.pantry.insertAdjacentHTML("beforeend", markup);
+  #generatePantryItemMarkup({ id, name, quantity, unit, purchaseDate, expirationDate }) {
+    const quantityText = quantity === null ? "" : `${quantity}${unit ? ` ${unit}` : ""}`;
+    const { label, modifier } = this.#getExpirationStatus(expirationDate);
+
+    return `
+      <li class="ingredient-search__pantry-ingredient-container${modifier ? ` ingredient-search__pantry-ingredient-container--${modifier}` : ""}" data-id="${id}" ${purchaseDate ? `title="Bought ${this.#formatDate(purchaseDate)}"` : ""}>
+        <p class="ingredient-search__pantry-ingredient">${name}</p>
+        <span class="ingredient-search__pantry-quantity">${quantityText}</span>
+        <span class="ingredient-search__pantry-expiration">${label}</span>
+        <button class="u-icn-btn ingredient-search__edit-ingredient-btn" aria-label="Edit ${name}"><i class="bi bi-pencil"></i></button>
+        <button class="u-icn-btn ingredient-search__remove-ingredient-btn" aria-label="Remove ${name}">&times;</button>
+      </li>`;
   }
 
   /**
-   * Removes a specific ingredient from the pantry in the UI.
-   * @param {string} ingredient - The ingredient to remove.
+   * Describes when a pantry item expires (e.g., "Expires in 2 days") and whether it should be highlighted.
+   * @param {string|null} expirationDate - The expiration date of the item (HTML date input format).
+   * @returns {{label: string, modifier: string}} The label to show and the modifier class ("expired", "expiring-soon" or "" if the item isn't highlighted).
+   * @private
    */
-  removePantryIngredient(ingredient) {
-    const pantryItems = [...this.parentEl.querySelectorAll(".ingredient-search__pantry-ingredient-container")];
-    const pantryItem = pantryItems.find((item) => item.querySelector(".ingredient-search__pantry-ingredient").textContent === ingredient);
+  #getExpirationStatus(expirationDate) {
+    if (!expirationDate) return { label: "", modifier: "" };
 
-    if (pantryItem) pantryItem.remove();
+    const daysLeft = getDaysUntilDate(expirationDate);
+    if (daysLeft < 0) return { label: `Expired ${-daysLeft} day${daysLeft === -1 ? "" : "s"} ago`, modifier: "expired" };
+    if (daysLeft === 0) return { label: "Expires today", modifier: "expiring-soon" };
+
+    const label = daysLeft <= EXPIRING_SOON_DAYS ? `Expires in ${daysLeft} day${daysLeft === 1 ? "" : "s"}` : `Expires ${this.#formatDate(expirationDate)}`;
+    return { label, modifier: daysLeft <= EXPIRING_SOON_DAYS ? "expiring-soon" : "" };
+  }
+
+  //Formats a date of the HTML date input format ("2025-01-22") like Jan 22
+  #formatDate(dateInput) {
+    return formatWeekDateForCalendar(decodeDateFromInput(dateInput));
   }
 
   /**
@@ -53,6 +98,18 @@ class IngredientSearchView extends SearchableView {
     ingredient.classList.toggle("ingredient-search__common-ingredient--active");
   }
 
+  /**
+   * Highlights the button of the selected ingredient search mode.
+   * @param {string} searchMode - The selected search mode (e.g., "cookNow").
+   */
+  renderSearchMode(searchMode) {
+    this.searchModes.querySelectorAll(".ingredient-search__search-mode-btn").forEach((btn) => {
+      const isSelected = btn.dataset.mode === searchMode;
+      btn.classList.toggle("modal-window__btn-small--selected", isSelected);
+      btn.setAttribute("aria-pressed", isSelected);
+    });
+  }
+
   /**
    * Smoothly scrolls to the suggested recipes section, adjusting for the navbar height.
    */
@@ -69,26 +126,6 @@ class IngredientSearchView extends SearchableView {
     });
   }
 
-  /**
-   * Finds a matching common ingredient element by name.
-   * @param {string} itemName - The name of the ingredient to find.
-   * @returns {HTMLElement|undefined} The matching ingredient element, if found.
-   * @private
-   */
-  #findMatchingCommonIngredient(itemName) {
-    return [...this.commonIngredients].find((commonIngredient) => commonIngredient.textContent === itemName);
-  }
-
-  /**
-   * When a user removes an ingredient from the pantry, if it is a common ingredient, mark the common ingredient as deselected as well
-   * @param {string} itemToRemove - The name of the ingredient to deactivate.
-   * @private
-   */
-  #removeIngredientFromCommonList(itemToRemove) {
-    const matchingCommonIngredient = this.#findMatchingCommonIngredient(itemToRemove);
-    if (matchingCommonIngredient) this.toggleCommonIngredient(matchingCommonIngredient);
-  }
-
   /**
    * Adds an event listener for searching ingredients in the search bar.
    * @param {Function} handler - The callback to execute when the Enter key is pressed (ingredient will be added to pantry).
@@ -110,7 +147,7 @@ class IngredientSearchView extends SearchableView {
   }
 
   /**
-   * Adds an event listener for removing ingredients from the pantry (when the user clicks the "x" button on an ingredient element in the pantry).
+   * Adds an event listener for removing ingredients from the pantry (when the user clicks the "x" button on an ingredient in the pantry).
    * @param {Function} handler - The callback to execute with the ingredient name to remove.
    */
   addHandlerRemoveIngredient(handler) {
@@ -119,10 +156,20 @@ class IngredientSearchView extends SearchableView {
       if (!clickedXButton) return; // Ensure the click is on a valid element
 
       const pantryIngredient = clickedXButton.closest(".ingredient-search__pantry-ingredient-container");
-      const itemToRemove = pantryIngredient.querySelector(".ingredient-search__pantry-ingredient").textContent;
+      handler(pantryIngredient.querySelector(".ingredient-search__pantry-ingredient").textContent);
+    });
+  }
 
-      this.#removeIngredientFromCommonList(itemToRemove);
-      handler(itemToRemove);
+  /**
+   * Adds an event listener for editing the details of a pantry item (when the user clicks the pencil button on an ingredient in the pantry).
+   * @param {Function} handler - The callback to execute with the id of the pantry item (opens the Pantry Item Modal).
+   */
+  addHandlerEditPantryItem(handler) {
+    this.pantry.addEventListener("click", (e) => {
+      const clickedEditButton = e.target.closest(".ingredient-search__edit-ingredient-btn");
+      if (!clickedEditButton) return;
+
+      handler(Number(clickedEditButton.closest(".ingredient-search__pantry-ingredient-container").dataset.id));
     });
   }
 
@@ -155,6 +202,19 @@ class IngredientSearchView extends SearchableView {
     const viewResultsBtn = this.parentEl.querySelector(".ingredient-search__view-results-btn");
     viewResultsBtn.addEventListener("click", handler);
   }
+
+  /**
+   * Adds an event listener to the search mode buttons (uses event delegation) to select the mode ingredient searches are made in.
+   * @param {Function} handler - The function to call with the selected search mode (e.g., "cookNow").
+   */
+  addHandlerSearchMode(handler) {
+    this.searchModes.addEventListener("click", (e) => {
+      const clickedBtn = e.target.closest(".ingredient-search__search-mode-btn");
+      if (!clickedBtn || clickedBtn.getAttribute("aria-pressed") === "true") return; // Exit if no button was clicked or the mode is already selected
+
+      handler(clickedBtn.dataset.mode);
+    });
+  }
 }
 
 export default new IngredientSearchView();
@@ -1,11 +1,12 @@
 /**
  * @fileoverview MealPlanView manages the UI interactions for the meal planner page.
- * It handles rendering the calendar, meals, and nutrition data, as well as event listeners for
- * user actions like adding, moving, and removing meals, and navigating weeks.
+ * It handles rendering the calendar, the user's meal slots, meals, and nutrition data (with the progress towards the user's nutrition goals and the weekly averages), as well as event listeners for
+ * user actions like adding, moving, removing and marking meals as cooked, navigating weeks and jumping to a week (the current week, the week of a date or a past week).
  */
 import BaseView from "./baseView.js";
 
 import * as sharedUtils from "../../sharedUtils.js";
+import { escapeHtml } from "../viewUtils/highLevel/viewUtils.js";
 
 class MealPlanView extends BaseView {
   /**
@@ -14,10 +15,9 @@ class MealPlanView extends BaseView {
    */
   constructor() {
     super(document.querySelector(".meal-planner"));
-  }
-
-  getWeekDays() {
-    return this.parentEl.querySelectorAll(".meal-planner__date");
+    this.cookedNotice = this.parentEl.querySelector(".meal-planner__cooked-notice");
+    this.archiveSelect = this.parentEl.querySelector(".meal-planner__archive-select");
+    this.weekNutrition = this.parentEl.querySelector(".meal-planner__week-nutrition");
   }
 
   /**
@@ -31,39 +31,98 @@ class MealPlanView extends BaseView {
   }
 
   /**
-   * Updates the date displayed on a specific day element in the calendar.
-   * @param {string} dateString - The date string to display (e.g., 'Mon Jan 20 2025').
-   * @param {HTMLElement} element - The element to update.
+   * Renders the past weeks with planned meals in the archive dropdown (disabled if there are none).
+   * @param {{week: string, numMeals: number}[]} archive - The past weeks, newest first (returned by the model's `getMealPlanArchive`).
+   */
+  renderMealPlanArchive(archive) {
+    const optionsMarkup = archive.map(({ week, numMeals }) => `<option value="${week}">Week of ${sharedUtils.formatDateStringForSlider(week)} (${numMeals} meal${numMeals === 1 ? "" : "s"})</option>`);
+
+    this.archiveSelect.innerHTML = `<option value="" selected disabled>Past weeks</option>${optionsMarkup.join("")}`;
+    this.archiveSelect.disabled = archive.length === 0;
+  }
+
+  /**
+   * Updates the dates displayed on the day panels of the calendar, and puts the panels in the order of the week (the week starts on Monday or Sunday).
+   * @param {string[]} dateStrings - The dates of the week, from its first day (e.g., ['Mon Jan 20 2025', 'Tue Jan 21 2025', ...]).
+   */
+  renderWeekDates(dateStrings) {
+    const calendar = this.parentEl.querySelector(".meal-planner__calendar");
+
+    dateStrings.forEach((dateString) => {
+      const dayPanel = this.#getDayPanel(dateString);
+      dayPanel.setAttribute("data-dateString", dateString);
+      dayPanel.querySelector(".meal-planner__date").textContent = sharedUtils.formatWeekDateForCalendar(dateString);
+      calendar.append(dayPanel); // Move the panel after the panels of the previous days
+    });
+  }
+
+  /**
+   * Renders the meal slots (e.g., breakfast, "pre-workout") on every day panel, in the user's order. The meals of the slots are rendered with `updateDayMeals`.
+   * @param {{id: string, name: string, time: string}[]} mealSlots - The user's meal slots (see mealSlots.js in the model).
    */
-  renderWeekDate(dateString, element) {
-    element.closest(".meal-planner__day-panel").setAttribute("data-dateString", dateString);
-    element.textContent = sharedUtils.formatWeekDateForCalendar(dateString);
+  renderMealSlots(mealSlots) {
+    const mealSectionsMarkup = mealSlots.map((slot) => this.#generateMealSectionMarkup(slot)).join("");
+    this.parentEl.querySelectorAll(".meal-planner__meal-sections").forEach((mealSections) => (mealSections.innerHTML = mealSectionsMarkup));
   }
 
   /**
    * Updates the nutrition dropdown for a specific day panel in the UI.
+   * Each nutrient with a goal shows the goal and a progress bar, highlighted when the day is under or over the goal.
    * @param {string} dayDateString - The date string for the day to update (e.g., 'Mon Jan 20 2025').
    * @param {Object} nutritionObject - An object containing nutritional values (e.g., calories, protein, fats, carbs).
+   * @param {Object} nutritionProgress - The progress of each nutrient towards the day's goal (`{total, goal, percent, status}`, see getDayNutritionProgress in the model).
    */
-  updateNutritionDropdown(dayDateString, nutritionObject) {
+  updateNutritionDropdown(dayDateString, nutritionObject, nutritionProgress) {
     const dayPanel = this.#getDayPanel(dayDateString);
 
     Object.keys(nutritionObject).forEach((macro) => {
       const macroEl = dayPanel.querySelector(`.meal-planner__daily-nutrition-total--${macro}`);
       macroEl.textContent = Math.round(nutritionObject[macro]);
     });
+
+    Object.entries(nutritionProgress).forEach(([nutrient, { goal, percent, status }]) => {
+      const nutrientEl = dayPanel.querySelector(`.meal-planner__daily-nutrient--${nutrient}`);
+      nutrientEl.querySelector(".meal-planner__nutrition-goal").textContent = goal ? `/ ${this.#formatNutrient(nutrient, goal)}` : "";
+      nutrientEl.classList.toggle("meal-planner__daily-nutrient--has-goal", Boolean(goal)); // Shows the progress bar
+      nutrientEl.querySelector(".meal-planner__goal-bar-fill").style.width = `${Math.min(percent ?? 0, 100)}%`;
+      this.#toggleNutrientStatus(nutrientEl, status);
+    });
+  }
+
+  /**
+   * Renders the average daily nutrition of the displayed week, compared with the average goals (highlighted when the week is under or over a goal).
+   * @param {{numDays: number, nutrients: Object}} weekSummary - The days with planned meals and the `{average, goal, status}` of each nutrient (see getWeekNutritionSummary in the model).
+   */
+  renderWeekNutritionSummary({ numDays, nutrients }) {
+    if (numDays === 0) {
+      this.weekNutrition.innerHTML = `<p class="meal-planner__week-nutrition-empty">Plan meals to see your weekly nutrition averages.</p>`;
+      return;
+    }
+
+    const nutrientsMarkup = Object.entries(nutrients).map(([nutrient, { average, goal, status }]) => {
+      const label = nutrient.charAt(0).toUpperCase() + nutrient.slice(1);
+      return `
+        <li class="meal-planner__week-nutrient${status ? ` meal-planner__week-nutrient--${this.#getStatusModifier(status)}` : ""}">
+          ${label} <strong>${this.#formatNutrient(nutrient, average)}</strong>${goal ? ` / ${this.#formatNutrient(nutrient, goal)}` : ""}
+        </li>`;
+    });
+
+    this.weekNutrition.innerHTML = `
+      <p class="meal-planner__week-nutrition-heading">Daily average (${numDays} planned day${numDays === 1 ? "" : "s"})</p>
+      <ul class="u-flex-gap-1rem meal-planner__week-nutrients">${nutrientsMarkup.join("")}</ul>`;
   }
 
   /**
    * Updates the meals displayed for a specific day.
    * @param {string} dayDateString - The date string for the day to update (e.g., 'Mon Jan 20 2025').
-   * @param {Object} mealsObject - An object containing meal times (e.g., 'lunch') as keys and recipes as values.
+   * @param {Object} mealsObject - An object containing meal slot ids (e.g., 'lunch') as keys and recipes as values.
    */
   updateDayMeals(dayDateString, mealsObject) {
     const dayPanel = this.#getDayPanel(dayDateString);
 
     for (const [mealTime, recipes] of Object.entries(mealsObject)) {
-      const mealEntryContainer = dayPanel.querySelector(`.meal-planner__${mealTime}-meals`);
+      const mealEntryContainer = dayPanel.querySelector(`.meal-planner__meal-section[data-meal="${mealTime}"] .meal-planner__meals`);
+      if (!mealEntryContainer) continue; // The meal slot was removed
       mealEntryContainer.innerHTML = "";
       recipes.forEach((recipe) => {
         const mealEntryMarkup = this.#generateMealEntryMarkup(recipe);
@@ -72,6 +131,65 @@ class MealPlanView extends BaseView {
     }
   }
 
+  /**
+   * Shows the notice at the top of the planner after a meal is marked as cooked, listing the pantry items the pantry didn't have enough of or that couldn't be updated, and the ingredients that were not taken out of the pantry.
+   * The undo button of the notice stores the location of the meal so marking it as cooked can be undone.
+   * @param {Object} cookedSummary - The pantry changes (returned by the model's `markMealAsCooked`).
+   * @param {string} cookedSummary.recipeTitle - The title of the cooked recipe.
+   * @param {number} cookedSummary.numDeducted - The number of ingredients taken out of the pantry.
+   * @param {{name: string, needed: number, available: number, unit: string}[]} cookedSummary.shortages - The pantry items the recipe needed more of than the pantry had (set to 0).
+   * @param {{name: string, reason: string}[]} cookedSummary.skipped - The ingredients that were not taken out of the pantry and why ("staple", "notInPantry" or "notTracked", see `deductIngredientsFromPantry` in the model).
+   * @param {{recipeId: number, dayDateString: string, meal: string}} mealLocation - Where the cooked meal is in the meal plan.
+   */
+  renderCookedNotice({ recipeTitle, numDeducted, shortages, skipped }, { recipeId, dayDateString, meal }) {
+    const message = numDeducted ? `Marked ${recipeTitle} as cooked and took ${numDeducted} ingredient${numDeducted === 1 ? "" : "s"} out of your pantry.` : `Marked ${recipeTitle} as cooked. None of its ingredients are tracked in your pantry.`;
+
+    const warnings = [
+      ...shortages.map(({ name, needed, available, unit }) => `Not enough ${name}: the recipe uses ${this.#formatQuantity(needed, unit)} but your pantry had ${this.#formatQuantity(available, unit)}. It is now at 0.`),
+      ...skipped.filter(({ reason }) => reason === "notTracked").map(({ name }) => `${name} was not updated. Add a quantity in a unit that matches the recipe (e.g., cups or ml for a liquid) to track it.`),
+    ];
+    const notInPantry = skipped.filter(({ reason }) => reason === "notInPantry").map(({ name }) => name);
+    if (notInPantry.length) warnings.push(`Not in your pantry, so nothing was taken out: ${notInPantry.join(", ")}.`);
+    const staples = skipped.filter(({ reason }) => reason === "staple").map(({ name }) => name);
+    if (staples.length) warnings.push(`Household staples are always available and were not taken out: ${staples.join(", ")}.`);
+
+    this.#renderNotice(message, warnings, true);
+    Object.assign(this.cookedNotice.querySelector(".meal-planner__undo-cooked-btn").dataset, { id: recipeId, datestring: dayDateString, meal });
+  }
+
+  //Shows a message (e.g., an error, or that the pantry was restored after an undo) in the cooked meal notice, without an undo button
+  renderCookedNoticeMessage(message) {
+    this.#renderNotice(message, [], false);
+  }
+
+  clearCookedNotice() {
+    this.cookedNotice.classList.add("u-hidden");
+  }
+
+  /**
+   * Fills in and shows the cooked meal notice.
+   * @param {string} message - The main message.
+   * @param {string[]} warnings - Warnings listed below the message.
+   * @param {boolean} showUndo - Whether to show the undo button.
+   * @private
+   */
+  #renderNotice(message, warnings, showUndo) {
+    this.cookedNotice.querySelector(".meal-planner__cooked-notice-message").textContent = message;
+    this.cookedNotice.querySelector(".meal-planner__cooked-notice-warnings").innerHTML = warnings.map((warning) => `<li class="meal-planner__cooked-notice-warning">${warning}</li>`).join("");
+    this.cookedNotice.querySelector(".meal-planner__undo-cooked-btn").classList.toggle("u-hidden", !showUndo);
+    this.cookedNotice.classList.remove("u-hidden");
+  }
+
+  //Formats a pantry quantity with its unit (e.g., "2 cup", "3" for a count)
+  #formatQuantity(quantity, unit) {
+    return unit ? `${quantity} ${unit}` : `${quantity}`;
+  }
+
+  //Returns true if the day is in the week currently displayed on the calendar
+  isDayDisplayed(dayDateString) {
+    return this.#getDayPanel(dayDateString)?.dataset.datestring === dayDateString;
+  }
+
   /**
    * Retrieves the day panel for a specific date.
    * @param {string} dayDateString - The date string for the day (e.g., 'Mon Jan 20 2025').
@@ -98,6 +216,41 @@ class MealPlanView extends BaseView {
     return { recipeId, source, currentDate, currentMeal };
   }
 
+  //Formats a nutrition value for display (calories in kcal, macros in grams, e.g., 1850 or 95g)
+  #formatNutrient(nutrient, value) {
+    return `${Math.round(value)}${nutrient === "calories" ? "" : "g"}`;
+  }
+
+  //Maps a goal status ("under", "onTarget", "over") to its CSS modifier
+  #getStatusModifier(status) {
+    return status === "onTarget" ? "on-target" : status;
+  }
+
+  //Highlights a nutrient of a day as under, on or over its goal (removes the highlight if the status is null)
+  #toggleNutrientStatus(nutrientEl, status) {
+    ["under", "onTarget", "over"].forEach((goalStatus) => nutrientEl.classList.toggle(`meal-planner__daily-nutrient--${this.#getStatusModifier(goalStatus)}`, goalStatus === status));
+  }
+
+  //Generates the HTML markup for the section of a meal slot in a day panel (heading with the optional target time, add button and list of meal entries)
+  #generateMealSectionMarkup({ id, name: slotName, time }) {
+    const name = escapeHtml(slotName);
+    return `
+      <div class="meal-planner__meal-section" data-meal="${id}">
+        <div class="u-flex-space-between meal-planner__meal-time-header">
+          <h4 class="meal-planner__meal-time-heading">
+            ${name}
+            ${time ? `<span class="meal-planner__meal-target-time">${sharedUtils.formatTimeFromInput(time)}</span>` : ""}
+          </h4>
+          <button class="u-icn-btn add-entry-btn" aria-label="Add a ${name.toLowerCase()} meal to calendar">
+            <i class="bi bi-plus-circle-fill add-entry-btn__plus-icn"></i>
+          </button>
+        </div>
+        <ul class="meal-planner__meals">
+          <!-- meal entry list items are dynamically added here -->
+        </ul>
+      </div>`;
+  }
+
   /**
    * Generates the HTML markup for a meal entry in the calendar.
    * @param {Object} recipe - The recipe object containing details for the meal.
@@ -105,10 +258,12 @@ class MealPlanView extends BaseView {
    * @private
    */
   #generateMealEntryMarkup(recipe) {
-    const macroMarkup = recipe.origin === "customMealEntry" ? this.#generateMacroMarkup(recipe) : "";
+    const isCustomEntry = recipe.origin === "customMealEntry";
+    const macroMarkup = isCustomEntry ? this.#generateMacroMarkup(recipe) : "";
     return `
-    <li class="meal-planner__meal-entry ${recipe.origin === "customMealEntry" ? "meal-planner__meal-entry--custom no-hover" : ""}" data-id="${recipe.id}">
+    <li class="meal-planner__meal-entry ${isCustomEntry ? "meal-planner__meal-entry--custom no-hover" : ""} ${recipe.cooked ? "meal-planner__meal-entry--cooked" : ""}" data-id="${recipe.id}">
       <div class="meal-planner__action-btns">
+        ${isCustomEntry ? "" : this.#generateCookBtnMarkup(recipe.cooked)}
         <button class="u-icn-btn meal-planner__move-entry-btn" aria-label="Move meal">
           <i class="bi bi-arrow-right-short meal-planner__move-entry-icn"></i>
         </button>
@@ -122,6 +277,14 @@ class MealPlanView extends BaseView {
     </li>`;
   }
 
+  //supporting function for generating the meal entry markup (button that marks the meal as cooked, or undoes it if the meal is already cooked)
+  #generateCookBtnMarkup(isCooked) {
+    return `
+        <button class="u-icn-btn meal-planner__cook-entry-btn" aria-label="${isCooked ? "Undo cooked" : "Mark as cooked"}" title="${isCooked ? "Cooked (click to undo)" : "Mark as cooked"}">
+          <i class="bi ${isCooked ? "bi-check-circle-fill" : "bi-check-circle"} meal-planner__cook-entry-icn"></i>
+        </button>`;
+  }
+
   /**
    * Generates the HTML markup for macro details within the meal entry HTML markup.
    * @param {Object} recipe - The recipe object containing macro details.
@@ -174,10 +337,17 @@ class MealPlanView extends BaseView {
    * @param {Function} moveMealHandler - callback for opening the Add Recipe Modal so recipe can be moved to new location in planner
    * @param {Function} removeMealHandler - callback for removing a meal from the calendar
    * @param {Function} openModalHandler - callback for pulling up the Recipe Details Modal
+   * @param {Function} cookMealHandler - callback for marking a meal as cooked (or undoing it)
    * @returns
    */
-  #handleMealEntryClick(e, mealEntry, moveMealHandler, removeMealHandler, openModalHandler) {
+  #handleMealEntryClick(e, mealEntry, moveMealHandler, removeMealHandler, openModalHandler, cookMealHandler) {
     const { recipeId, source, currentDate, currentMeal } = this.#getMealEntryData(mealEntry);
+    //If the cook button (check icon) on the meal entry was clicked
+    if (e.target.closest(".meal-planner__cook-entry-btn")) {
+      cookMealHandler(recipeId, { dayDateString: currentDate, meal: currentMeal });
+      return;
+    }
+
     //If the move button (arrow icon) on the meal entry was clicked
     const moveBtn = e.target.closest(".meal-planner__move-entry-btn") || e.target.closest(".meal-planner__move-entry-icn");
     if (moveBtn) {
@@ -202,8 +372,9 @@ class MealPlanView extends BaseView {
    * @param {Function} moveMealHandler - Callback for moving a meal entry.
    * @param {Function} removeMealHandler - Callback for removing a meal entry.
    * @param {Function} openModalHandler - Callback for opening the Recipe Details Modal.
+   * @param {Function} cookMealHandler - Callback for marking a meal entry as cooked (or undoing it).
    */
-  addHandlerCalendarBtns(addEntryHandler, moveMealHandler, removeMealHandler, openModalHandler) {
+  addHandlerCalendarBtns(addEntryHandler, moveMealHandler, removeMealHandler, openModalHandler, cookMealHandler) {
     const mealCalendar = this.parentEl.querySelector(".meal-planner__calendar");
 
     //Adds event handler to entire meal calendar, then uses event delegation to figure out what was clicked and what action should be taken
@@ -224,7 +395,7 @@ class MealPlanView extends BaseView {
       //If anything inside the meal entry itself was clicked
       const mealEntry = e.target.closest(".meal-planner__meal-entry");
       if (mealEntry) {
-        this.#handleMealEntryClick(e, mealEntry, moveMealHandler, removeMealHandler, openModalHandler);
+        this.#handleMealEntryClick(e, mealEntry, moveMealHandler, removeMealHandler, openModalHandler, cookMealHandler);
         return;
       }
 
@@ -232,6 +403,24 @@ class MealPlanView extends BaseView {
     });
   }
 
+  /**
+   * Adds click event listeners to the buttons of the cooked meal notice.
+   * @param {Function} undoHandler - Callback for undoing marking a meal as cooked (called with the recipe id and its location in the meal plan).
+   */
+  addHandlerCookedNotice(undoHandler) {
+    this.cookedNotice.addEventListener("click", (e) => {
+      if (e.target.closest(".meal-planner__close-notice-btn")) {
+        this.clearCookedNotice();
+        return;
+      }
+
+      const undoBtn = e.target.closest(".meal-planner__undo-cooked-btn");
+      if (!undoBtn) return;
+      const { id, datestring, meal } = undoBtn.dataset;
+      undoHandler(Number(id), { dayDateString: datestring, meal });
+    });
+  }
+
   /**
    * Adds click event listeners to the week slider navigation arrows.
    * @param {Function} handler - Callback for navigating weeks (next/previous).
@@ -247,6 +436,24 @@ class MealPlanView extends BaseView {
       handler(direction);
     });
   }
+
+  /**
+   * Adds event listeners to the controls that jump to a week: the "This Week" button, the date input and the past weeks dropdown.
+   * @param {Function} handler - Callback for jumping to the week of a date (called with a date string, e.g., 'Mon Jan 20 2025', or without one for the current week).
+   */
+  addHandlerJumpToDate(handler) {
+    const thisWeekBtn = this.parentEl.querySelector(".meal-planner__this-week-btn");
+    const dateInput = this.parentEl.querySelector(".meal-planner__jump-date-input");
+
+    thisWeekBtn.addEventListener("click", () => handler());
+
+    dateInput.addEventListener("change", () => {
+      if (!dateInput.value) return; // Exit if the date was cleared
+      handler(sharedUtils.decodeDateFromInput(dateInput.value));
+    });
+
+    this.archiveSelect.addEventListener("change", () => handler(this.archiveSelect.value));
+  }
 }
 
 export default new MealPlanView();
@@ -7,6 +7,9 @@
 //Import default recipe image
 import defaultRecipeImage from "../../../images/custom-recipe-image.avif";
 
+//Import utilities
+import { getDaysUntilDate } from "../../sharedUtils.js";
+
 class ResultsView {
   /**
    * Creates an instance of ResultsView.
@@ -25,12 +28,17 @@ class ResultsView {
    * Renders recipe cards in the specified results container.
    * @param {Array<Object>} recipeArray - Array of recipe objects to render.
    * @param {string} source - Where the recipes should be rendered (can be "ingredientSearch", "browseRecipeSearch", or "recipeBook").
+   * @param {boolean} [append=false] - If true, the cards are added after the existing cards (e.g., when more results are loaded) instead of replacing them.
    */
-  renderRecipeCards(recipeArray, source) {
+  renderRecipeCards(recipeArray, source, append = false) {
     const resultsContainer = this.resultsContainers[source];
     const resultsMarkup = recipeArray.map((recipe) => this.#generateCardMarkup(recipe, source)).join("");
 
-    resultsContainer.innerHTML = resultsMarkup;
+    if (append) {
+      resultsContainer.insertAdjacentHTML("beforeend", resultsMarkup);
+    } else {
+      resultsContainer.innerHTML = resultsMarkup;
+    }
   }
 
   /**
@@ -95,7 +103,8 @@ class ResultsView {
                         <button class="recipe-card__title-clickable">${recipe.title}</button>
                       </h3>
 
-                      ${source === "ingredientSearch" ? `<p class="recipe-card__missing-ingredients">Missing ${recipe.numMissingIngredients} ingredients</p>` : ""}
+                      ${source === "ingredientSearch" ? this.#generateIngredientCountsMarkup(recipe) : ""}
+                      ${source === "ingredientSearch" ? this.#generateExpiringIngredientsMarkup(recipe.expiringIngredients) : ""}
       
                       <div class="recipe-card__dietary-restrictions-container">
                         ${this.#generateDietaryRestrictionsMarkup(recipe.dietaryRestrictions)}
@@ -142,6 +151,22 @@ class ResultsView {
     return restrictions.map((restriction) => `<p class="recipe-card__dietary-restriction recipe-card__dietary-restriction--${restriction.split(" ")[0].toLowerCase()}">${restriction}</p>`).join("");
   }
 
+  //supporting function for generating the recipe card markup (how many of the user's ingredients the recipe uses and how many it is missing, e.g., "Uses 4 · Missing 2")
+  #generateIngredientCountsMarkup({ numUsedIngredients, numMissingIngredients }) {
+    const usedText = numUsedIngredients === "N/A" ? "" : `Uses ${numUsedIngredients} · `;
+    const missingText = numMissingIngredients === 0 ? "Nothing missing" : `Missing ${numMissingIngredients}`;
+    return `<p class="recipe-card__ingredient-counts ${numMissingIngredients === 0 ? "recipe-card__ingredient-counts--ready" : ""}">${usedText}${missingText}</p>`;
+  }
+
+  //supporting function for generating the recipe card markup (the expiring pantry items the recipe uses, e.g., "Uses expiring: spinach (today), milk (2 days)")
+  #generateExpiringIngredientsMarkup(expiringIngredients = []) {
+    const expiringItems = expiringIngredients.map(({ name, expirationDate }) => ({ name, daysLeft: getDaysUntilDate(expirationDate) })).filter(({ daysLeft }) => daysLeft >= 0);
+    if (expiringItems.length === 0) return "";
+
+    const itemsText = expiringItems.map(({ name, daysLeft }) => `${name} (${daysLeft === 0 ? "today" : `${daysLeft} day${daysLeft === 1 ? "" : "s"}`})`).join(", ");
+    return `<p class="recipe-card__expiring-ingredients"><i class="bi bi-hourglass-split" aria-hidden="true"></i> Uses expiring: ${itemsText}</p>`;
+  }
+
   //supporting function for generating the recip card markup (correct bookmark icon based on the recipe's bookmark status in the recipe object)
   #generateBookmarkIcnMarkup(isBookmarked) {
     return isBookmarked ? "bi bi-bookmark-fill recipe-card__bookmark-icn recipe-card__bookmark-icn--bookmarked" : "bi bi-bookmark recipe-card__bookmark-icn";
@@ -1,11 +1,14 @@
 /**
  * @fileoverview SearchableView provides shared functionality for views with search capabilities (It is the parent class of IngredientSearchView and BrowseRecipesView).
- * It manages the search bar, autocomplete suggestions, loading spinner, and related user interactions.
+ * It manages the search bar, autocomplete suggestions (including past searches from the search history), loading spinner, and related user interactions.
  */
 
 import BaseView from "./baseView.js";
 
 class SearchableView extends BaseView {
+  #searchHistoryHandler = null; //Handles the selection of a past search in the autocomplete suggestions (see addHandlerSearchHistory)
+  #numLoading = 0; //Number of searches currently loading in the view (see showLoadingSpinner)
+
   /**
    * Creates an instance of SearchableView.
    * @param {HTMLElement} parentEl - The parent element for the view.
@@ -16,6 +19,8 @@ class SearchableView extends BaseView {
     this.searchBar = this.parentEl.querySelector(".search-bar__input");
     this.loadingSpinner = this.parentEl.querySelector(".g-spinner");
     this.autoSuggestionsContainer = this.parentEl.querySelector(".search-bar__suggestions-list"); //autocomplete suggestions container
+    this.loadMoreBtn = this.parentEl.querySelector(".g-load-more-btn");
+    this.refineBar = this.parentEl.querySelector(".refine-bar");
   }
 
   getSearchInput() {
@@ -32,6 +37,12 @@ class SearchableView extends BaseView {
     this.clearAutocompleteSuggestions();
     //clear any previous search result error
     this.renderSearchResultsError("");
+    //clear any previous search notice (e.g., offline results notice)
+    this.clearSearchNotice();
+    //hide the load more button until the new search results are loaded
+    this.hideLoadMoreBtn();
+    //reset and hide the sort/refine bar until the new search results are loaded
+    this.resetRefineBar();
     //clear any previous input errors
     this.renderSearchInputError("");
   }
@@ -66,12 +77,123 @@ class SearchableView extends BaseView {
     resultsErrorEl.innerHTML = message;
   }
 
+  /**
+   * Displays an informational notice above the search results (e.g., results were loaded from the offline catalog).
+   * @param {string} message - The notice to display.
+   */
+  renderSearchNotice(message) {
+    const noticeEl = this.parentEl.querySelector(".g-search-notice");
+    noticeEl.textContent = message;
+    noticeEl.classList.remove("u-hidden");
+  }
+
+  clearSearchNotice() {
+    const noticeEl = this.parentEl.querySelector(".g-search-notice");
+    noticeEl.textContent = "";
+    noticeEl.classList.add("u-hidden");
+  }
+
+  /**
+   * Shows the loading spinner. Every call must be followed by a call to `hideLoadingSpinner`.
+   * The spinner stays visible until every search that showed it has finished, so a cancelled (stale) search finishing early never hides the spinner of the newer search.
+   */
   showLoadingSpinner() {
+    this.#numLoading++;
     this.loadingSpinner.classList.remove("u-hidden");
   }
 
   hideLoadingSpinner() {
-    this.loadingSpinner.classList.add("u-hidden");
+    this.#numLoading = Math.max(0, this.#numLoading - 1);
+    if (this.#numLoading === 0) this.loadingSpinner.classList.add("u-hidden");
+  }
+
+  //LOAD MORE RESULTS
+
+  showLoadMoreBtn() {
+    this.loadMoreBtn.classList.remove("u-hidden");
+  }
+
+  hideLoadMoreBtn() {
+    this.loadMoreBtn.classList.add("u-hidden");
+  }
+
+  /**
+   * Disables the "Load More" button and changes its text while the next page of results is loading.
+   * @param {boolean} isLoading - Whether the next page of results is loading.
+   */
+  setLoadMoreBtnLoading(isLoading) {
+    this.loadMoreBtn.disabled = isLoading;
+    this.loadMoreBtn.textContent = isLoading ? "Loading..." : "Load More Recipes";
+  }
+
+  /**
+   * Adds an event listener to the "Load More" button below the search results.
+   * @param {Function} handler - The callback function that loads the next page of results (receives the view name).
+   */
+  addHandlerLoadMore(handler) {
+    this.loadMoreBtn.addEventListener("click", () => {
+      const viewName = this.parentEl.classList.contains("ingredient-search") ? "ingredientSearchView" : "browseRecipesView";
+      handler(viewName);
+    });
+  }
+
+  //SORT & REFINE LOADED RESULTS
+
+  /**
+   * Populates the diet and cuisine dropdowns of the sort/refine bar and shows the bar.
+   * A previously selected diet or cuisine stays selected if it is still an option.
+   * @param {Object} refineOptions - The options found in the loaded results.
+   * @param {string[]} refineOptions.diets - The dietary restrictions to list.
+   * @param {string[]} refineOptions.cuisines - The cuisines to list.
+   */
+  renderRefineOptions({ diets, cuisines }) {
+    this.#renderRefineDropdownOptions("diet", diets, "All Diets");
+    this.#renderRefineDropdownOptions("cuisine", cuisines, "All Cuisines");
+    this.refineBar.classList.remove("u-hidden");
+  }
+
+  #renderRefineDropdownOptions(setting, options, defaultLabel) {
+    const dropdown = this.refineBar.querySelector(`[data-refine="${setting}"]`);
+    const selectedValue = dropdown.value;
+
+    dropdown.innerHTML = [`<option value="default">${defaultLabel}</option>`, ...options.map((option) => `<option value="${option}">${option}</option>`)].join("");
+    dropdown.value = options.includes(selectedValue) ? selectedValue : "default";
+  }
+
+  /**
+   * Returns the user's selections in the sort/refine bar. Dropdowns left on the default option are undefined (sortBy is "default").
+   * @returns {{sortBy: string, diet: string|undefined, cuisine: string|undefined}} The refine settings.
+   */
+  getRefineSettings() {
+    const getValue = (setting) => this.refineBar.querySelector(`[data-refine="${setting}"]`).value;
+    const toSetting = (value) => (value === "default" ? undefined : value);
+
+    return { sortBy: getValue("sortBy"), diet: toSetting(getValue("diet")), cuisine: toSetting(getValue("cuisine")) };
+  }
+
+  /**
+   * Checks whether the user changed any sort/refine bar dropdown from its default option.
+   * @returns {boolean} True if the results are sorted or narrowed.
+   */
+  isRefined() {
+    return [...this.refineBar.querySelectorAll(".refine-bar__select")].some((dropdown) => dropdown.value !== "default");
+  }
+
+  resetRefineBar() {
+    this.refineBar.querySelectorAll(".refine-bar__select").forEach((dropdown) => (dropdown.value = "default"));
+    this.refineBar.classList.add("u-hidden");
+  }
+
+  /**
+   * Adds an event listener that re-sorts/narrows the loaded results whenever a sort/refine dropdown changes.
+   * @param {Function} handler - The callback function that refines the results (receives the view name).
+   */
+  addHandlerRefineResults(handler) {
+    this.refineBar.addEventListener("change", (e) => {
+      if (!e.target.classList.contains("refine-bar__select")) return;
+      const viewName = this.parentEl.classList.contains("ingredient-search") ? "ingredientSearchView" : "browseRecipesView";
+      handler(viewName);
+    });
   }
 
   //SEARCH BAR AUTOCOMPLETE FUNCTIONALITY
@@ -92,21 +214,31 @@ class SearchableView extends BaseView {
 
   /**
    * Renders autocomplete suggestions in the UI and attaches event listeners for interaction.
+   * Matching past searches (from the search history) are listed above the autocomplete suggestions.
    * @param {Array<string>} suggestionsList - An array of suggestion strings to display.
+   * @param {Object[]} [historySuggestions=[]] - Past searches to display.
+   * @param {number} historySuggestions[].id - The id of the search history entry.
+   * @param {string} historySuggestions[].label - The searched query or ingredients.
+   * @param {string} historySuggestions[].details - Extra details of the search (e.g., whether filters were used and when it was made).
+   * @param {boolean} historySuggestions[].canRestore - Whether the results of the search can be restored.
    */
-  renderAutocompleteSuggestions(suggestionsList) {
-    //generate HTML for autocomplete suggestions and show the suggestions
-    this.autoSuggestionsContainer.innerHTML = suggestionsList.map((suggestion) => `<li class="search-bar__autocomplete-suggestion" tabindex="0">${suggestion}</li>`).join("");
+  renderAutocompleteSuggestions(suggestionsList, historySuggestions = []) {
+    //generate HTML for past searches and autocomplete suggestions and show the suggestions
+    const historyMarkup = historySuggestions.map((historySuggestion) => this.#generateHistorySuggestionMarkup(historySuggestion)).join("");
+    const suggestionsMarkup = suggestionsList.map((suggestion) => `<li class="search-bar__autocomplete-suggestion" tabindex="0">${suggestion}</li>`).join("");
+    this.autoSuggestionsContainer.innerHTML = historyMarkup + suggestionsMarkup;
 
     this.autoSuggestionsContainer.classList.remove("u-hidden");
 
     // Check if listeners have already been added (tracked by a data attribute)
     if (!this.autoSuggestionsContainer.dataset.listenersAdded) {
-      //handles a click on a suggestion
+      //handles a click on a suggestion (or on the 'restore results' button of a past search)
       this.autoSuggestionsContainer.addEventListener("click", (e) => {
-        if (e.target.classList.contains("search-bar__autocomplete-suggestion")) {
-          this.#handleSuggestionClick(e);
-        }
+        const restoreBtn = e.target.closest(".search-bar__history-restore-btn");
+        if (restoreBtn) return this.#handleHistorySuggestion(restoreBtn.closest(".search-bar__autocomplete-suggestion"), "restore");
+
+        const suggestion = e.target.closest(".search-bar__autocomplete-suggestion");
+        if (suggestion) this.#handleSuggestionClick(suggestion);
       });
 
       //handles any keypress on a suggestion (allows for selecting an option via the 'Enter' key or navigating between options via the up and down arrows)
@@ -121,6 +253,25 @@ class SearchableView extends BaseView {
     }
   }
 
+  /**
+   * Generates the markup for a past search listed in the autocomplete suggestions.
+   * Selecting the past search re-runs it, the 'restore' button shows its previous results (only if they can be restored).
+   * @param {Object} historySuggestion - The past search (see `renderAutocompleteSuggestions`).
+   * @returns {string} The HTML markup of the past search.
+   * @private
+   */
+  #generateHistorySuggestionMarkup({ id, label, details, canRestore }) {
+    const restoreBtnMarkup = canRestore ? `<button class="u-icn-btn search-bar__history-restore-btn" aria-label="Show previous results" title="Show previous results"><i class="bi bi-arrow-counterclockwise"></i></button>` : "";
+
+    return `
+      <li class="search-bar__autocomplete-suggestion search-bar__autocomplete-suggestion--history" data-history-id="${id}" tabindex="0" title="Search again">
+        <i class="bi bi-clock-history search-bar__history-icon"></i>
+        <span class="search-bar__history-label">${label}</span>
+        <span class="search-bar__history-details">${details}</span>
+        ${restoreBtnMarkup}
+      </li>`;
+  }
+
   /**
    * Clears and hides autocomplete suggestions from the UI.
    */
@@ -131,15 +282,28 @@ class SearchableView extends BaseView {
 
   /**
    * Handles a click on an autocomplete suggestion, updating the search bar value with the clicked suggestion.
-   * @param {MouseEvent} event - The click event object.
+   * A past search (from the search history) is re-run instead.
+   * @param {HTMLElement} suggestion - The selected suggestion element.
    */
-  #handleSuggestionClick(event) {
-    const selectedSuggestion = event.target.textContent;
+  #handleSuggestionClick(suggestion) {
+    if (suggestion.dataset.historyId) return this.#handleHistorySuggestion(suggestion, "rerun");
+
+    const selectedSuggestion = suggestion.textContent;
     this.searchBar.value = selectedSuggestion;
     this.searchBar.focus();
     this.clearAutocompleteSuggestions(); // Optionally clear suggestions after selection
   }
 
+  /**
+   * Passes the selected past search to the search history handler and closes the suggestions.
+   * @param {HTMLElement} suggestion - The selected past search element.
+   * @param {"rerun"|"restore"} action - Whether to re-run the search or restore its previous results.
+   */
+  #handleHistorySuggestion(suggestion, action) {
+    this.clearAutocompleteSuggestions();
+    this.#searchHistoryHandler?.(this.#getViewName(), action, Number(suggestion.dataset.historyId));
+  }
+
   /**
    * Handles keydown events on autocomplete suggestions, enabling navigation and selection.
    * @param {KeyboardEvent} event - The keydown event object.
@@ -164,7 +328,7 @@ class SearchableView extends BaseView {
       //Select the autocomplete suggestion if the user clicks 'Enter'
       case "Enter":
         event.preventDefault();
-        this.#handleSuggestionClick(event);
+        this.#handleSuggestionClick(event.target);
         break;
 
       default:
@@ -175,34 +339,29 @@ class SearchableView extends BaseView {
   //add the event handlers to make autocomplete work
   /**
    * Adds an event listener for handling autocomplete suggestions based on user input.
-   * Listens for a change in input in the search bar and triggers the callback which retrives autocomplete suggestions from the Spoonacular API based on the partial input
-   *
-   *Used debouncing to avoid too many API calls in a short time frame
-   * @param {Function} handler - The callback function to execute with the input value.
+   * Listens for a change in input in the search bar and triggers the callback which retrieves autocomplete suggestions based on the partial input.
+   * The callback runs on every keystroke so local suggestions show right away. The autocomplete engine (model/autocomplete.js) debounces the API requests.
+   * @param {Function} handler - The callback function to execute with the view name and the input value.
    */
   addHandlerAutocompleteSuggestions(handler) {
-    let debounceTimeout; // Variable to store the timeout reference
-
     this.searchBar.addEventListener("input", () => {
-      const partialInput = this.getSearchInput();
-      const viewName = this.parentEl.classList.contains("ingredient-search") ? "ingredientSearchView" : "browseRecipesView";
-
-      // Clear the previous timeout if the user types again before the timeout completes
-      clearTimeout(debounceTimeout);
-
-      // If the input is empty, clear the autocomplete suggestions and return
-      if (!partialInput.trim()) {
-        this.clearAutocompleteSuggestions(); // Function to clear the suggestions from the UI
-        return;
-      }
+      handler(this.#getViewName(), this.getSearchInput());
+    });
 
-      // Set a new timeout to trigger the handler after a delay (e.g., 200ms)
-      debounceTimeout = setTimeout(() => {
-        handler(viewName, partialInput);
-      }, 200);
+    //Show the recent searches when the user focuses an empty search bar
+    this.searchBar.addEventListener("focus", () => {
+      if (!this.getSearchInput().trim()) handler(this.#getViewName(), "");
     });
   }
 
+  /**
+   * Adds the handler for past searches listed in the autocomplete suggestions.
+   * @param {Function} handler - The callback function to execute with the view name, the action ("rerun" or "restore") and the id of the search history entry.
+   */
+  addHandlerSearchHistory(handler) {
+    this.#searchHistoryHandler = handler;
+  }
+
   /**
    * Adds a keydown event listener for navigating autocomplete suggestions during app initialization.
    */
@@ -217,9 +376,14 @@ class SearchableView extends BaseView {
   addHandlerOutsideClick(handler) {
     this.parentEl.addEventListener("click", (e) => {
       const viewName = this.parentEl.classList.contains("ingredient-search") ? "ingredientSearchView" : "browseRecipesView";
-      if (!this.autoSuggestionsContainer.contains(e.target)) handler(viewName);
+      if (!this.autoSuggestionsContainer.contains(e.target) && e.target !== this.searchBar) handler(viewName);
     });
   }
+
+  //Returns the name of the view ("ingredientSearchView" or "browseRecipesView"), passed to the handlers
+  #getViewName() {
+    return this.parentEl.classList.contains("ingredient-search") ? "ingredientSearchView" : "browseRecipesView";
+  }
 }
 
 export default SearchableView;
@@ -0,0 +1,306 @@
+/**
+ * @fileoverview SettingsView manages the UI interactions for the Settings Page.
+ * It handles the user's household staples (adding, removing and restoring the defaults), their own ingredient synonym and substitution rules (adding and removing),
+ * the first day of the meal planner week, the user's profile (and the daily targets calculated from it), the daily nutrition goals (for every day or a weekday), and the meal slots of the meal planner days (adding, removing, reordering and setting their target time).
+ * Each section of the page with a form ("staples", "synonyms", "substitutions", "profile", "nutritionGoals", "mealSlots") has its own form and error message.
+ */
+import BaseView from "./baseView.js";
+
+//Import utilities
+import { escapeHtml } from "../viewUtils/highLevel/viewUtils.js";
+
+class SettingsView extends BaseView {
+  /**
+   * Creates an instance of SettingsView.
+   * @extends BaseView
+   */
+  constructor() {
+    super(document.querySelector(".settings"));
+    this.staplesSection = this.parentEl.querySelector('[data-section="staples"]');
+    this.synonymsSection = this.parentEl.querySelector('[data-section="synonyms"]');
+    this.substitutionsSection = this.parentEl.querySelector('[data-section="substitutions"]');
+    this.staplesList = this.staplesSection.querySelector(".settings__staples");
+    this.resetStaplesBtn = this.staplesSection.querySelector(".settings__reset-staples-btn");
+    this.weekStartToggle = this.parentEl.querySelector(".settings__week-start-toggle");
+    this.profileSection = this.parentEl.querySelector('[data-section="profile"]');
+    this.profileUnitsSelect = this.profileSection.querySelector(".settings__profile-units-select");
+    this.removeProfileBtn = this.profileSection.querySelector(".settings__remove-profile-btn");
+    this.profileSummary = this.profileSection.querySelector(".settings__profile-summary");
+    this.useProfileGoalsBtn = this.profileSection.querySelector(".settings__use-profile-goals-btn");
+    this.nutritionGoalsSection = this.parentEl.querySelector('[data-section="nutritionGoals"]');
+    this.goalsWeekdaySelect = this.nutritionGoalsSection.querySelector(".settings__goals-weekday-select");
+    this.clearWeekdayGoalsBtn = this.nutritionGoalsSection.querySelector(".settings__clear-weekday-goals-btn");
+    this.mealSlotsSection = this.parentEl.querySelector('[data-section="mealSlots"]');
+    this.mealSlotsList = this.mealSlotsSection.querySelector(".settings__meal-slots");
+  }
+
+  /**
+   * Renders the household staples and the user's ingredient rules.
+   * @param {{staples: string[], synonyms: Object[], substitutions: Object[]}} ingredientSettings - The user's ingredient settings (see ingredientSettings.js).
+   */
+  renderSettings({ staples, synonyms, substitutions }) {
+    this.staplesList.innerHTML = staples.length ? staples.map((staple) => this.#generateStapleMarkup(staple)).join("") : `<p class="settings__empty-message">You have no staples. Every ingredient has to be in your pantry.</p>`;
+
+    const synonymRules = synonyms.map(({ id, ingredient, synonym }) => this.#generateRuleMarkup(id, `<strong>${escapeHtml(ingredient)}</strong> is the same as <strong>${escapeHtml(synonym)}</strong>`));
+    this.#getSectionElement("synonyms", ".settings__rules").innerHTML = synonymRules.length ? synonymRules.join("") : `<p class="settings__empty-message">You haven't added any synonyms.</p>`;
+
+    const substitutionRules = substitutions.map(({ id, ingredient, substitute, note }) => this.#generateRuleMarkup(id, `<strong>${escapeHtml(substitute)}</strong> instead of <strong>${escapeHtml(ingredient)}</strong>${note ? ` <span class="settings__rule-note">(${escapeHtml(note)})</span>` : ""}`));
+    this.#getSectionElement("substitutions", ".settings__rules").innerHTML = substitutionRules.length ? substitutionRules.join("") : `<p class="settings__empty-message">You haven't added any substitutions.</p>`;
+  }
+
+  /**
+   * Highlights the button of the first day of the meal planner week.
+   * @param {string} weekStart - The first day of the week ("monday" or "sunday").
+   */
+  renderWeekStart(weekStart) {
+    this.weekStartToggle.querySelectorAll(".settings__week-start-btn").forEach((btn) => {
+      const isSelected = btn.dataset.weekStart === weekStart;
+      btn.classList.toggle("modal-window__btn-small--selected", isSelected);
+      btn.setAttribute("aria-pressed", isSelected);
+    });
+  }
+
+  /**
+   * Renders the user's profile in the profile form, with the energy expenditure and daily targets calculated from it.
+   * Without a profile the form is empty, and the daily targets and the button to remove the profile are hidden.
+   * @param {Object|null} userProfile - The user's profile (see userProfile.js), null if the user has no profile.
+   */
+  renderUserProfile(userProfile) {
+    this.clearForm("profile");
+    if (userProfile) ["age", "sex", "units", "height", "weight", "activityLevel", "goal"].forEach((input) => (this.profileSection.querySelector(`[name="${input}"]`).value = userProfile[input]));
+    this.#updateProfileUnits(this.profileUnitsSelect.value);
+
+    this.removeProfileBtn.classList.toggle("u-hidden", !userProfile);
+    this.profileSummary.classList.toggle("u-hidden", !userProfile);
+    if (!userProfile) return;
+
+    const { bmr, tdee, dailyTargets } = userProfile;
+    this.profileSummary.querySelector(".settings__profile-targets").innerHTML = `
+      You burn about <strong>${tdee} kcal</strong> a day (${bmr} kcal at rest).<br />
+      Daily targets: <strong>${dailyTargets.calories} kcal</strong> &middot; ${dailyTargets.protein}g protein &middot; ${dailyTargets.carbs}g carbs &middot; ${dailyTargets.fats}g fats`;
+  }
+
+  /**
+   * Renders the nutrition goals of the selected days (every day or a weekday) in the goals form.
+   * A weekday without its own goals shows the goals for every day, and the button to go back to the goals for every day is only shown for a weekday with its own goals.
+   * @param {string|null} weekday - The short name of the weekday (e.g., "Sat"), null for every day.
+   * @param {{goals: Object, hasWeekdayGoals: boolean}} nutritionGoals - The goal of each nutrient (null for no goal) and whether the weekday has its own goals (see getNutritionGoals in the model).
+   */
+  renderNutritionGoals(weekday, { goals, hasWeekdayGoals }) {
+    this.goalsWeekdaySelect.value = weekday ?? "";
+    Object.entries(goals).forEach(([nutrient, goal]) => (this.nutritionGoalsSection.querySelector(`[name="${nutrient}"]`).value = goal ?? ""));
+
+    const daysName = weekday ? this.goalsWeekdaySelect.selectedOptions[0].textContent : "";
+    this.clearWeekdayGoalsBtn.classList.toggle("u-hidden", !hasWeekdayGoals);
+    this.nutritionGoalsSection.querySelector(".settings__goals-status").textContent = !weekday ? "" : hasWeekdayGoals ? `${daysName} have their own goals.` : `${daysName} use the goals for every day.`;
+  }
+
+  /**
+   * Renders the meal slots in their order, with their target time and the buttons to move and remove them.
+   * @param {{id: string, name: string, time: string}[]} mealSlots - The user's meal slots (see mealSlots.js).
+   */
+  renderMealSlots(mealSlots) {
+    this.mealSlotsList.innerHTML = mealSlots.map((slot, i) => this.#generateMealSlotMarkup(slot, i === 0, i === mealSlots.length - 1)).join("");
+  }
+
+  /**
+   * Displays an error message (e.g., the staple already exists) below the form of a section.
+   * @param {"staples"|"synonyms"|"substitutions"|"profile"|"nutritionGoals"|"mealSlots"} section - The section of the form.
+   * @param {string} message - The error message (empty string to clear it).
+   */
+  renderError(section, message) {
+    this.#getSectionElement(section, ".settings__error-message").textContent = message;
+  }
+
+  //Clears the inputs of the form of a section (after its entry was added)
+  clearForm(section) {
+    this.#getSectionElement(section, ".settings__form").reset();
+  }
+
+  #generateStapleMarkup(staple) {
+    const name = escapeHtml(staple);
+    return `
+      <li class="settings__staple" data-name="${name}">
+        <span>${name}</span>
+        <button class="u-icn-btn settings__remove-btn" aria-label="Remove ${name}">&times;</button>
+      </li>`;
+  }
+
+  #generateRuleMarkup(id, descriptionMarkup) {
+    return `
+      <li class="u-flex-space-between settings__rule" data-id="${id}">
+        <p class="settings__rule-description">${descriptionMarkup}</p>
+        <button class="u-icn-btn settings__remove-btn" aria-label="Remove rule">&times;</button>
+      </li>`;
+  }
+
+  #generateMealSlotMarkup({ id, name: slotName, time }, isFirst, isLast) {
+    const name = escapeHtml(slotName);
+    return `
+      <li class="u-flex-space-between settings__meal-slot" data-id="${id}">
+        <span class="settings__meal-slot-name">${name}</span>
+        <input type="time" class="settings__meal-slot-time-input" value="${time}" aria-label="Target time for ${name}" />
+        <button class="u-icn-btn settings__move-slot-btn" data-direction="up" aria-label="Move ${name} up" ${isFirst ? "disabled" : ""}><i class="bi bi-arrow-up"></i></button>
+        <button class="u-icn-btn settings__move-slot-btn" data-direction="down" aria-label="Move ${name} down" ${isLast ? "disabled" : ""}><i class="bi bi-arrow-down"></i></button>
+        <button class="u-icn-btn settings__remove-btn" aria-label="Remove ${name}">&times;</button>
+      </li>`;
+  }
+
+  //Shows the units of the height and weight inputs of the profile form ("metric": cm and kg, "us": in and lb)
+  #updateProfileUnits(units) {
+    const isUS = units === "us";
+    this.profileSection.querySelector('[name="height"]').placeholder = `Height (${isUS ? "in" : "cm"})`;
+    this.profileSection.querySelector('[name="weight"]').placeholder = `Weight (${isUS ? "lb" : "kg"})`;
+  }
+
+  //Returns an element of a section of the page (e.g., its form or error message)
+  #getSectionElement(section, selector) {
+    const sections = { staples: this.staplesSection, synonyms: this.synonymsSection, substitutions: this.substitutionsSection, profile: this.profileSection, nutritionGoals: this.nutritionGoalsSection, mealSlots: this.mealSlotsSection };
+    return sections[section].querySelector(selector);
+  }
+
+  /**
+   * Adds an event listener to a section's form submission, calling the handler with the values of the form's inputs.
+   * @param {"staples"|"synonyms"|"substitutions"|"profile"|"nutritionGoals"|"mealSlots"} section - The section of the form.
+   * @param {Function} handler - The function to call with the form values (an object keyed by input name).
+   * @private
+   */
+  #addHandlerFormSubmit(section, handler) {
+    this.#getSectionElement(section, ".settings__form").addEventListener("submit", (e) => {
+      e.preventDefault();
+      handler(Object.fromEntries(new FormData(e.target)));
+    });
+  }
+
+  /**
+   * Adds an event listener for the staple form submission.
+   * @param {Function} handler - The function to call with the name of the staple to add.
+   */
+  addHandlerAddStaple(handler) {
+    this.#addHandlerFormSubmit("staples", ({ staple }) => handler(staple));
+  }
+
+  /**
+   * Adds an event listener to the staples (uses event delegation) to remove a staple when its x button is clicked.
+   * @param {Function} handler - The function to call with the name of the staple to remove.
+   */
+  addHandlerRemoveStaple(handler) {
+    this.staplesList.addEventListener("click", (e) => {
+      const clickedXButton = e.target.closest(".settings__remove-btn");
+      if (!clickedXButton) return;
+
+      handler(clickedXButton.closest(".settings__staple").dataset.name);
+    });
+  }
+
+  /**
+   * Adds an event listener to the reset button to restore the default staples.
+   * @param {Function} handler - The function to call when the button is clicked.
+   */
+  addHandlerResetStaples(handler) {
+    this.resetStaplesBtn.addEventListener("click", handler);
+  }
+
+  /**
+   * Adds an event listener for the synonym form submission.
+   * @param {Function} handler - The function to call with the ingredient and its synonym.
+   */
+  addHandlerAddSynonym(handler) {
+    this.#addHandlerFormSubmit("synonyms", ({ ingredient, synonym }) => handler(ingredient, synonym));
+  }
+
+  /**
+   * Adds an event listener for the substitution form submission.
+   * @param {Function} handler - The function to call with the ingredient, its substitute and the note.
+   */
+  addHandlerAddSubstitution(handler) {
+    this.#addHandlerFormSubmit("substitutions", ({ ingredient, substitute, note }) => handler(ingredient, substitute, note));
+  }
+
+  /**
+   * Adds an event listener to the synonym and substitution rules (uses event delegation) to remove a rule when its x button is clicked.
+   * @param {Function} handler - The function to call with the id of the rule to remove.
+   */
+  addHandlerRemoveRule(handler) {
+    [this.synonymsSection, this.substitutionsSection].forEach((section) =>
+      section.querySelector(".settings__rules").addEventListener("click", (e) => {
+        const clickedXButton = e.target.closest(".settings__remove-btn");
+        if (!clickedXButton) return;
+
+        handler(Number(clickedXButton.closest(".settings__rule").dataset.id));
+      })
+    );
+  }
+
+  /**
+   * Adds an event listener to the week start buttons (Monday and Sunday) to change the first day of the meal planner week.
+   * @param {Function} handler - The function to call with the selected first day of the week ("monday" or "sunday").
+   */
+  addHandlerWeekStart(handler) {
+    this.weekStartToggle.addEventListener("click", (e) => {
+      const clickedBtn = e.target.closest(".settings__week-start-btn");
+      if (!clickedBtn || clickedBtn.getAttribute("aria-pressed") === "true") return; // Exit if no button was clicked or the day is already selected
+
+      handler(clickedBtn.dataset.weekStart);
+    });
+  }
+
+  /**
+   * Adds event listeners to the profile form: saving the profile, removing it, and using its daily targets as the nutrition goals. Changing the units of the form updates the units of its height and weight inputs.
+   * @param {Function} saveHandler - The function to call with the profile inputs (keyed by input name, e.g., `{age: "34", sex: "female", units: "metric", ...}`).
+   * @param {Function} removeHandler - The function to call when the remove profile button is clicked.
+   * @param {Function} useGoalsHandler - The function to call when the button to use the daily targets as the nutrition goals is clicked.
+   */
+  addHandlerUserProfile(saveHandler, removeHandler, useGoalsHandler) {
+    this.profileUnitsSelect.addEventListener("change", () => this.#updateProfileUnits(this.profileUnitsSelect.value));
+    this.#addHandlerFormSubmit("profile", saveHandler);
+    this.removeProfileBtn.addEventListener("click", removeHandler);
+    this.useProfileGoalsBtn.addEventListener("click", useGoalsHandler);
+  }
+
+  /**
+   * Adds event listeners to the nutrition goals form: picking the days the goals are for, saving the goals, and going back to the goals for every day (for a weekday).
+   * @param {Function} weekdayHandler - The function to call with the picked weekday (e.g., "Sat", null for every day).
+   * @param {Function} saveHandler - The function to call with the goals (keyed by nutrient, "" for no goal) and the weekday they are for (null for every day).
+   * @param {Function} clearHandler - The function to call with the weekday whose own goals should be removed.
+   */
+  addHandlerNutritionGoals(weekdayHandler, saveHandler, clearHandler) {
+    this.goalsWeekdaySelect.addEventListener("change", () => weekdayHandler(this.goalsWeekdaySelect.value || null));
+    this.#addHandlerFormSubmit("nutritionGoals", ({ weekday, ...goals }) => saveHandler(goals, weekday || null));
+    this.clearWeekdayGoalsBtn.addEventListener("click", () => clearHandler(this.goalsWeekdaySelect.value));
+  }
+
+  /**
+   * Adds an event listener for the meal slot form submission.
+   * @param {Function} handler - The function to call with the name and target time ("" if none) of the meal slot to add.
+   */
+  addHandlerAddMealSlot(handler) {
+    this.#addHandlerFormSubmit("mealSlots", ({ name, time }) => handler(name, time));
+  }
+
+  /**
+   * Adds event listeners to the meal slots (uses event delegation) to move a slot up or down, remove it, or change its target time.
+   * @param {Function} moveHandler - The function to call with the id of the slot and the direction to move it in ("up" or "down").
+   * @param {Function} removeHandler - The function to call with the id of the slot to remove.
+   * @param {Function} timeHandler - The function to call with the id of the slot and its new target time ("" if it was cleared).
+   */
+  addHandlerMealSlots(moveHandler, removeHandler, timeHandler) {
+    this.mealSlotsList.addEventListener("click", (e) => {
+      const clickedBtn = e.target.closest(".settings__move-slot-btn, .settings__remove-btn");
+      if (!clickedBtn) return;
+
+      const slotId = clickedBtn.closest(".settings__meal-slot").dataset.id;
+      if (clickedBtn.classList.contains("settings__remove-btn")) removeHandler(slotId);
+      else moveHandler(slotId, clickedBtn.dataset.direction);
+    });
+
+    this.mealSlotsList.addEventListener("change", (e) => {
+      const timeInput = e.target.closest(".settings__meal-slot-time-input");
+      if (!timeInput) return;
+
+      timeHandler(timeInput.closest(".settings__meal-slot").dataset.id, timeInput.value);
+    });
+  }
+}
+
+export default new SettingsView();
@@ -0,0 +1,158 @@
+/**
+ * @fileoverview ShoppingListView manages the UI interactions for the Shopping List Page.
+ * It handles the date range form used to generate the shopping list from the meal plan, rendering the list (grouped by grocery aisle)
+ * and checking items off the list.
+ */
+import BaseView from "./baseView.js";
+
+//Import utilities
+import { formatDateForInput, decodeDateFromInput, formatWeekDateForCalendar } from "../../sharedUtils.js";
+
+class ShoppingListView extends BaseView {
+  /**
+   * Creates an instance of ShoppingListView.
+   * The date range defaults to the next 7 days (starting today).
+   * @extends BaseView
+   */
+  constructor() {
+    super(document.querySelector(".shopping-list"));
+    this.form = this.parentEl.querySelector(".shopping-list__form");
+    this.startDateInput = this.parentEl.querySelector("#shopping-list-start-date");
+    this.endDateInput = this.parentEl.querySelector("#shopping-list-end-date");
+    this.errorEl = this.parentEl.querySelector(".shopping-list__error-message");
+    this.summaryEl = this.parentEl.querySelector(".shopping-list__summary");
+    this.emptyMessage = this.parentEl.querySelector(".shopping-list__empty-message");
+    this.categoriesContainer = this.parentEl.querySelector(".shopping-list__categories");
+
+    const weekFromToday = new Date();
+    weekFromToday.setDate(weekFromToday.getDate() + 6);
+    this.startDateInput.value = formatDateForInput();
+    this.endDateInput.value = formatDateForInput(weekFromToday);
+  }
+
+  /**
+   * Collects the date range input by the user.
+   * @returns {{startDate: string, endDate: string}} The start and end dates (HTML date input format, empty string if not set).
+   */
+  getDateRange() {
+    return { startDate: this.startDateInput.value, endDate: this.endDateInput.value };
+  }
+
+  /**
+   * Renders the shopping list, grouped by grocery aisle.
+   * @param {Object|null} shoppingList - The shopping list (see shoppingList.js), or null if no list was generated yet.
+   */
+  renderShoppingList(shoppingList) {
+    this.categoriesContainer.innerHTML = "";
+    if (!shoppingList) {
+      this.summaryEl.classList.add("u-hidden");
+      this.emptyMessage.classList.remove("u-hidden");
+      return;
+    }
+
+    const { startDate, endDate, categories } = shoppingList;
+    this.startDateInput.value = startDate;
+    this.endDateInput.value = endDate;
+
+    this.summaryEl.textContent = this.#generateSummaryText(shoppingList);
+    this.summaryEl.classList.remove("u-hidden");
+    this.emptyMessage.classList.add("u-hidden");
+    this.categoriesContainer.innerHTML = categories.map((category) => this.#generateCategoryMarkup(category)).join("");
+  }
+
+  //Displays an error message (e.g., the end date is before the start date) below the date range form
+  renderError(message) {
+    this.errorEl.textContent = message;
+  }
+
+  /**
+   * Describes the generated list (e.g., "6 meals planned from Jan 20 to Jan 26. Already in your pantry: egg, rice").
+   * @param {Object} shoppingList - The shopping list.
+   * @returns {string} The summary text.
+   * @private
+   */
+  #generateSummaryText({ startDate, endDate, numMeals, inPantry, categories }) {
+    const dateRange = `from ${this.#formatDate(startDate)} to ${this.#formatDate(endDate)}`;
+    if (numMeals === 0) return `No meals are planned ${dateRange}. Add recipes to your meal planner, then generate the list again.`;
+
+    const mealsText = `${numMeals} meal${numMeals === 1 ? "" : "s"} planned ${dateRange}.`;
+    const pantryText = inPantry.length ? ` Already in your pantry: ${inPantry.join(", ")}.` : "";
+    const emptyListText = categories.length === 0 ? " You have everything you need!" : "";
+    return `${mealsText}${pantryText}${emptyListText}`;
+  }
+
+  /**
+   * Generates the markup for a grocery aisle and its items.
+   * @param {{category: string, items: Object[]}} category - The aisle and the items to buy in it.
+   * @returns {string} The HTML string for the aisle.
+   * @private
+   */
+  #generateCategoryMarkup({ category, items }) {
+    return `
+      <section class="shopping-list__category">
+        <h3 class="shopping-list__category-heading">${category}</h3>
+        <ul class="shopping-list__items">
+          ${items.map((item) => this.#generateItemMarkup(item)).join("")}
+        </ul>
+      </section>`;
+  }
+
+  /**
+   * Generates the markup for a shopping list item (checkbox with the amount to buy, the recipes that use it and what the pantry has).
+   * @param {Object} item - The shopping list item (see shoppingList.js).
+   * @returns {string} The HTML string for the item.
+   * @private
+   */
+  #generateItemMarkup({ id, name, quantity, unit, recipes, pantryQuantity, pantryUnit, checked }) {
+    const quantityText = quantity === null ? "" : this.#formatQuantity(quantity, unit);
+    let pantryText = "";
+    if (pantryQuantity > 0) pantryText = pantryUnit === unit ? ` · ${this.#formatQuantity(pantryQuantity, pantryUnit)} from your pantry` : ` · Your pantry has ${this.#formatQuantity(pantryQuantity, pantryUnit)}`;
+
+    return `
+      <li class="shopping-list__item ${checked ? "shopping-list__item--checked" : ""}">
+        <label class="shopping-list__item-label">
+          <input type="checkbox" class="shopping-list__checkbox" data-id="${id}" ${checked ? "checked" : ""} />
+          <span class="shopping-list__item-quantity">${quantityText}</span>
+          <span class="shopping-list__item-name">${name}</span>
+        </label>
+        <p class="shopping-list__item-details">For ${recipes.join(", ")}${pantryText}</p>
+      </li>`;
+  }
+
+  //Formats a quantity with its unit (e.g., "2 cup", "3" for a count)
+  #formatQuantity(quantity, unit) {
+    return unit ? `${quantity} ${unit}` : `${quantity}`;
+  }
+
+  //Formats a date of the HTML date input format ("2025-01-22") like Jan 22
+  #formatDate(dateInput) {
+    return formatWeekDateForCalendar(decodeDateFromInput(dateInput));
+  }
+
+  /**
+   * Adds an event listener for the date range form submission to generate the shopping list.
+   * @param {Function} handler - The function to call when the form is submitted (generates the shopping list in the model).
+   */
+  addHandlerGenerateList(handler) {
+    this.form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      handler();
+    });
+  }
+
+  /**
+   * Adds an event listener to the shopping list items (uses event delegation) to check items off the list.
+   * @param {Function} handler - The function to call with the id of the item that was checked or unchecked.
+   */
+  addHandlerToggleItem(handler) {
+    this.categoriesContainer.addEventListener("change", (e) => {
+      const checkbox = e.target.closest(".shopping-list__checkbox");
+      if (!checkbox) return;
+
+      checkbox.closest(".shopping-list__item").classList.toggle("shopping-list__item--checked", checkbox.checked);
+      handler(checkbox.dataset.id);
+    });
+  }
+}
+
+export default new ShoppingListView();
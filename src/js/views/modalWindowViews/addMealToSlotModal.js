@@ -48,7 +48,7 @@ class AddMealToSlotModal extends AddMealModalView {
    *
    * @param {Object[]} recipeBookArray - Array of bookmarked recipe objects.
    * @param {string} dateString - Date corresponding to the panel on which the plus button was clicked (e.g., 'Mon Jan 20 2025').
-   * @param {string} meal - Meal type (e.g., 'breakfast', 'lunch', 'dinner', 'snack') corresponding to the meal slot in which the plus button was clicked.
+   * @param {string} meal - The id of the meal slot (e.g., 'breakfast', 'dinner') in which the plus button was clicked.
    */
   renderModal(recipeBookArray, dateString, meal) {
     this.#resetModal();
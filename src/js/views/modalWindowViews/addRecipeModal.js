@@ -1,7 +1,7 @@
 /**
  * @fileoverview AddRecipeModal manages the modal for adding recipes to the meal planner.
  *
- * The user inputs the date and the meal slot where they would like to add the meal.
+ * The user inputs the date and the meal slot (one of their meal slots, e.g., breakfast or "pre-workout") where they would like to add the meal.
  * The user inputs the number of servings of the meal they are adding
  * The user specifies if they want to add the recipe to the meal slot or replace the meal in the meal slot with the recipe they are adding
  *
@@ -33,6 +33,7 @@
 import AddMealModalView from "./addMealModalView.js";
 
 import { decodeDateFromInput } from "../../sharedUtils.js";
+import { escapeHtml } from "../viewUtils/highLevel/viewUtils.js";
 
 class AddRecipeModal extends AddMealModalView {
   /**
@@ -91,58 +92,18 @@ class AddRecipeModal extends AddMealModalView {
   }
 
   /**
-   * Updates the dropdown options in the meal dropdown based on screen size
-   * Shows shorter options for small screen sizes, longer options (include current meals info) for larger screens
+   * Updates the dropdown options in the meal dropdown (one option for each of the user's meal slots, in their order) based on screen size
+   * Shows shorter options (the slot names) for small screen sizes, longer options (include current meals info) for larger screens
    *
-   * @param {Object} mealEntriesObject - Object containing meal titles for each meal slot on a given day.
+   * @param {{id: string, name: string, recipeNames: string}[]} mealSlotEntries - The meal slots with the titles of the meals in them on a given day (see getMealTimeRecipeNames in the model).
    */
-  updateDropdownOptions(mealEntriesObject) {
+  updateDropdownOptions(mealSlotEntries) {
     const isSmallScreen = window.innerWidth < 550;
     const selectElement = document.getElementById("meal-time-select");
 
-    // Remove all existing options before updating
-    selectElement.innerHTML = "";
-
-    if (isSmallScreen) {
-      // Append only short options
-      selectElement.innerHTML = `
-        <option value="breakfast" class="u-short">Breakfast</option>
-        <option value="lunch" class="u-short">Lunch</option>
-        <option value="snacks" class="u-short">Snack</option>
-        <option value="dinner" class="u-short">Dinner</option>
-      `;
-    } else {
-      // Append only long options with placeholders
-      selectElement.innerHTML = `
-        <option value="breakfast" class="u-long add-recipe-modal__breakfast-dropdown-option"></option>
-        <option value="lunch" class="u-long add-recipe-modal__lunch-dropdown-option"></option>
-        <option value="snacks" class="u-long add-recipe-modal__snacks-dropdown-option"></option>
-        <option value="dinner" class="u-long add-recipe-modal__dinner-dropdown-option"></option>
-      `;
-
-      // Call configureMealDropdown to update text for .u-long options
-      this.#configureMealDropdown(mealEntriesObject);
-    }
-  }
-
-  /**
-   * Configures the meal dropdown on the modal when the date input is modified.
-   * The dropdown shows the current meals in each meal slot for the date that is selected
-   *
-   * @param {Object} mealEntriesObject - Object containing meal titles for each meal slot on a given day.
-   */
-  #configureMealDropdown(mealEntriesObject) {
-    const mealTimes = [
-      { type: "breakfast", label: "Breakfast" },
-      { type: "lunch", label: "Lunch" },
-      { type: "snacks", label: "Snacks" },
-      { type: "dinner", label: "Dinner" },
-    ];
-
-    mealTimes.forEach(({ type, label }) => {
-      const dropdownOption = this.parentEl.querySelector(`.add-recipe-modal__${type}-dropdown-option`);
-      if (dropdownOption) dropdownOption.textContent = `${label} (Current: ${mealEntriesObject[type]})`;
-    });
+    selectElement.innerHTML = mealSlotEntries
+      .map(({ id, name, recipeNames }) => (isSmallScreen ? `<option value="${id}" class="u-short">${escapeHtml(name)}</option>` : `<option value="${id}" class="u-long">${escapeHtml(name)} (Current: ${escapeHtml(recipeNames)})</option>`))
+      .join("");
   }
 
   /**
@@ -3,43 +3,51 @@
  * including generating filter objects, resetting filters, and handling filter submission.
  * It extends ModalView and serves as a parent class for specific filter modals like
  * browse recipe collection modal and filter modal.
+ *
+ * A modal may contain any of these filter inputs (each identified by its `data-description`):
+ * - `.dropdown`: A single-choice select (e.g., meal type, cook time).
+ * - `.multi-select`: A checkbox list where several options can be chosen (e.g., cuisines, diets, intolerances).
+ * - `.filter-text-input`: A comma-separated list typed by the user (e.g., excluded ingredients).
+ * - `.nutrient-ranges__row`: A min/max pair of inputs for a nutrient (identified by its `data-nutrient`).
  */
 
 import ModalView from "./modalView.js";
 
+//Maps the HTML filter dataset values to the corresponding properties in filtersObject
+const FILTER_MAPPINGS = {
+  "cuisine-filter": "cuisine",
+  "dietary-restriction-filter": "dietaryRestrictions",
+  "intolerance-filter": "intolerances",
+  "exclude-ingredients-filter": "excludeIngredients",
+  "macro-restriction-filter": "macroRestrictions",
+  "meal-type-filter": "course",
+  "cooking-time-filter": "prepTime",
+};
+
 class FilterModalView extends ModalView {
   /**
-   * Generates a filters object based on the user's selected dropdown values in the modal.
+   * Generates a filters object based on the user's selected filter values in the modal.
    * The filters object contains the user's selections.
-   * If the user left the default option in a dropdown, record undefined in the filters object
+   * If the user left the default option in a filter (default dropdown option, nothing checked, empty input), record undefined in the filters object
    * The filters object is used to make a browse recipes search from either the Filter Recipes Modal or Browse Collection Modal
    * @returns {Object} An object containing filter criteria.
    */
   generateFiltersObject() {
-    //Maps the HTML dropdown dataset values to the corresponding properties in filtersObject
-    const dropdownMappings = {
-      "cuisine-filter": "cuisine",
-      "dietary-restriction-filter": "dietaryRestrictions",
-      "macro-restriction-filter": "macroRestrictions",
-      "meal-type-filter": "course",
-      "cooking-time-filter": "prepTime",
-    };
-
     // Initialize the filters object with all properties set to undefined
     const filtersObject = {
       cuisine: undefined,
       dietaryRestrictions: undefined,
+      intolerances: undefined,
+      excludeIngredients: undefined,
       macroRestrictions: undefined,
       course: undefined,
       prepTime: undefined,
+      nutrientRanges: undefined,
     };
 
-    // Select all visible dropdowns
-    const dropdowns = this.parentEl.querySelectorAll(".dropdown");
-
     // Populate the filters object with the values input into the filter dropdowns on the modal by the user
-    dropdowns.forEach((dropdown) => {
-      const key = dropdownMappings[dropdown.dataset.description]; // Get corresponding key for this dropdown
+    this.parentEl.querySelectorAll(".dropdown").forEach((dropdown) => {
+      const key = FILTER_MAPPINGS[dropdown.dataset.description]; // Get corresponding key for this dropdown
       if (key) {
         //Get value from dropdown and store in filters object. If it is the default dropdown value, set the property in the filters object to undefined
         const value = dropdown.value === "default" ? undefined : dropdown.value;
@@ -47,15 +55,75 @@ class FilterModalView extends ModalView {
       }
     });
 
+    // Multi-select filters (checkbox lists) are stored as arrays of the checked values
+    this.parentEl.querySelectorAll(".multi-select").forEach((multiSelect) => {
+      const key = FILTER_MAPPINGS[multiSelect.dataset.description];
+      if (key) filtersObject[key] = this.#getCheckedValues(multiSelect);
+    });
+
+    // Text filters hold a comma-separated list (e.g., "olives, mushrooms")
+    this.parentEl.querySelectorAll(".filter-text-input").forEach((input) => {
+      const key = FILTER_MAPPINGS[input.dataset.description];
+      if (key) filtersObject[key] = this.#splitListInput(input.value);
+    });
+
+    filtersObject.nutrientRanges = this.#getNutrientRanges();
+
     return filtersObject;
   }
 
   /**
-   * Resets all dropdown filters in the modal to their default values.
+   * Fills the filters in the modal with the values of a filters object (the reverse of `generateFiltersObject`).
+   * Filters that do not exist in this modal are ignored. Filters missing from the filters object are reset to their defaults.
+   * @param {Object} filtersObject - An object containing filter criteria (e.g., from a saved search).
+   */
+  setFilters(filtersObject) {
+    this.resetFilters();
+
+    this.parentEl.querySelectorAll(".dropdown").forEach((dropdown) => {
+      const value = filtersObject[FILTER_MAPPINGS[dropdown.dataset.description]];
+      if (value !== undefined) dropdown.value = value;
+    });
+
+    this.parentEl.querySelectorAll(".multi-select").forEach((multiSelect) => {
+      const values = filtersObject[FILTER_MAPPINGS[multiSelect.dataset.description]] || [];
+      multiSelect.querySelectorAll(".multi-select__checkbox").forEach((checkbox) => (checkbox.checked = values.includes(checkbox.value)));
+      this.#updateMultiSelectSummary(multiSelect);
+    });
+
+    this.parentEl.querySelectorAll(".filter-text-input").forEach((input) => {
+      input.value = (filtersObject[FILTER_MAPPINGS[input.dataset.description]] || []).join(", ");
+    });
+
+    this.parentEl.querySelectorAll(".nutrient-ranges__row").forEach((row) => {
+      const range = filtersObject.nutrientRanges?.[row.dataset.nutrient] || {};
+      row.querySelectorAll(".nutrient-ranges__input").forEach((input) => (input.value = range[input.dataset.bound] ?? ""));
+    });
+  }
+
+  /**
+   * Resets all filters in the modal to their default values.
    */
   resetFilters() {
     const dropdowns = this.parentEl.querySelectorAll(".dropdown");
     dropdowns.forEach((dropdown) => (dropdown.value = "default"));
+
+    this.parentEl.querySelectorAll(".multi-select__checkbox").forEach((checkbox) => (checkbox.checked = false));
+    this.parentEl.querySelectorAll(".filter-text-input, .nutrient-ranges__input").forEach((input) => (input.value = ""));
+    this.parentEl.querySelectorAll(".multi-select").forEach((multiSelect) => {
+      multiSelect.open = false;
+      this.#updateMultiSelectSummary(multiSelect);
+    });
+  }
+
+  /**
+   * Adds an event listener that keeps each multi-select summary (e.g., "2 Cuisines Selected") in sync with the checked options.
+   */
+  addHandlerMultiSelectChange() {
+    this.parentEl.addEventListener("change", (e) => {
+      const multiSelect = e.target.closest(".multi-select");
+      if (multiSelect) this.#updateMultiSelectSummary(multiSelect);
+    });
   }
 
   /**
@@ -86,6 +154,54 @@ class FilterModalView extends ModalView {
       handler(mode);
     });
   }
+
+  //PRIVATE METHODS
+
+  //Returns the checked values of a multi-select, or undefined if nothing is checked
+  #getCheckedValues(multiSelect) {
+    const values = [...multiSelect.querySelectorAll(".multi-select__checkbox:checked")].map((checkbox) => checkbox.value);
+    return values.length > 0 ? values : undefined;
+  }
+
+  //Splits a comma-separated text input into trimmed, lowercase values, or undefined if the input is empty
+  #splitListInput(text) {
+    const values = text
+      .split(",")
+      .map((value) => value.trim().toLowerCase())
+      .filter(Boolean);
+    return values.length > 0 ? values : undefined;
+  }
+
+  /**
+   * Reads the min/max nutrient inputs. Only nutrients with at least one bound are included.
+   * If the user entered a min larger than the max, the bounds are swapped.
+   * @returns {Object|undefined} The ranges keyed by nutrient (e.g., { calories: { min: 300, max: 700 } }), or undefined if no bounds were entered.
+   */
+  #getNutrientRanges() {
+    const nutrientRanges = {};
+
+    this.parentEl.querySelectorAll(".nutrient-ranges__row").forEach((row) => {
+      const [min, max] = ["min", "max"].map((bound) => {
+        const value = row.querySelector(`[data-bound="${bound}"]`).value;
+        return value === "" || Number(value) < 0 ? undefined : Number(value);
+      });
+      if (min === undefined && max === undefined) return;
+
+      nutrientRanges[row.dataset.nutrient] = min !== undefined && max !== undefined && min > max ? { min: max, max: min } : { min, max };
+    });
+
+    return Object.keys(nutrientRanges).length > 0 ? nutrientRanges : undefined;
+  }
+
+  //Shows the default label (e.g., "Any Cuisine"), the single checked option, or the number of checked options in a multi-select summary
+  #updateMultiSelectSummary(multiSelect) {
+    const summary = multiSelect.querySelector(".multi-select__summary");
+    const checked = [...multiSelect.querySelectorAll(".multi-select__checkbox:checked")];
+
+    if (checked.length === 0) summary.textContent = summary.dataset.defaultLabel;
+    else if (checked.length === 1) summary.textContent = checked[0].closest(".multi-select__option").textContent.trim();
+    else summary.textContent = `${checked.length} ${summary.dataset.pluralLabel} Selected`;
+  }
 }
 
 export default FilterModalView;
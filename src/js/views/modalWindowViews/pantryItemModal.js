@@ -0,0 +1,75 @@
+/**
+ * @fileoverview PantryItemModal represents the modal for editing the details of a pantry item (accessed via the edit icon of an ingredient in the pantry on the Ingredient Search page).
+ * The user can set the quantity, unit, category (aisle), purchase date and expiration date of the item.
+ */
+import ModalView from "./modalView.js";
+
+//Import variables from config file
+import { PANTRY_CATEGORIES, PANTRY_UNITS } from "../../config.js";
+
+class PantryItemModal extends ModalView {
+  /**
+   * Creates an instance of PantryItemModal.
+   * @extends ModalView
+   */
+  constructor() {
+    super(document.querySelector(".pantry-item-modal"));
+    this.form = this.parentEl.querySelector(".pantry-item-modal__form");
+    this.quantityInput = this.parentEl.querySelector("#pantry-item-quantity");
+    this.unitSelect = this.parentEl.querySelector("#pantry-item-unit");
+    this.categorySelect = this.parentEl.querySelector("#pantry-item-category");
+    this.purchaseDateInput = this.parentEl.querySelector("#pantry-item-purchase-date");
+    this.expirationDateInput = this.parentEl.querySelector("#pantry-item-expiration-date");
+    this.errorEl = this.parentEl.querySelector(".pantry-item-modal__error-message");
+    this.editingId = null; //id of the pantry item being edited
+
+    this.unitSelect.innerHTML = PANTRY_UNITS.map((unit) => `<option value="${unit}">${unit || "count"}</option>`).join("");
+    this.categorySelect.innerHTML = PANTRY_CATEGORIES.map((category) => `<option value="${category}">${category}</option>`).join("");
+  }
+
+  /**
+   * Fills the modal with the details of a pantry item.
+   * @param {Object} item - The pantry item to edit (see pantry.js).
+   */
+  renderModal({ id, name, quantity, unit, category, purchaseDate, expirationDate }) {
+    this.editingId = id;
+    this.parentEl.querySelector(".modal-window__heading").textContent = `Edit ${name}`;
+    this.quantityInput.value = quantity ?? "";
+    this.unitSelect.value = unit;
+    this.categorySelect.value = category;
+    this.purchaseDateInput.value = purchaseDate || "";
+    this.expirationDateInput.value = expirationDate || "";
+    this.renderError("");
+  }
+
+  /**
+   * Collects the pantry item inputs from the modal.
+   * @returns {{id: number, details: {quantity: number|null, unit: string, category: string, purchaseDate: string|null, expirationDate: string|null}}} The id of the pantry item and its new details.
+   */
+  getPantryItemInputs() {
+    const quantity = this.quantityInput.value.trim() === "" ? null : Number(this.quantityInput.value);
+    return {
+      id: this.editingId,
+      details: { quantity, unit: this.unitSelect.value, category: this.categorySelect.value, purchaseDate: this.purchaseDateInput.value || null, expirationDate: this.expirationDateInput.value || null },
+    };
+  }
+
+  //Displays an error message (e.g., the item expires before it was bought) at the bottom of the modal
+  renderError(message) {
+    this.errorEl.textContent = message;
+  }
+
+  /**
+   * Adds an event listener for the form submission to save the pantry item.
+   * @param {Function} handler - The function to call when the form is submitted (saves the pantry item in the model).
+   */
+  addHandlerSavePantryItem(handler) {
+    this.form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      if (!this.form.checkValidity()) return;
+      handler();
+    });
+  }
+}
+
+export default new PantryItemModal();
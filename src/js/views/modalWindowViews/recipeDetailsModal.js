@@ -1,7 +1,7 @@
 /**
  * @fileoverview This file manages the Recipe Details Modal view in the application.
  * It handles rendering recipe information, updating UI elements, and user interactions
- * such as bookmarking, adding to the meal planner, and adjusting servings.
+ * such as bookmarking, adding to the meal planner, adjusting servings and switching the measurement system (US or metric) of the ingredients.
  *
  * Options Object `{source, currentDate, currentMeal}` Parameters:
  * - `source`: Identifies where the recipe was clicked from. Possible values are:
@@ -23,7 +23,7 @@
 import ModalView from "./modalView.js";
 
 //Import utilities
-import { getIngredientMarkup, formatNutrientLabel, numToNearestFraction } from "../viewUtils/featureSpecific/recipeDetailsModalUtils.js";
+import { getIngredientMarkup, formatNutrientLabel, formatIngredientQuantity } from "../viewUtils/featureSpecific/recipeDetailsModalUtils.js";
 
 //Import constants from config file
 import { CHART_COLORS, PIE_CHART_TOOLTIP_MESSAGES } from "../../config.js";
@@ -35,6 +35,7 @@ class RecipeDetailsModal extends ModalView {
     this.addToPlannerBtn = this.parentEl.querySelector(".recipe-modal__add-to-planner-btn");
     // Initialize nutrientChart as null
     this.nutrientChart = null;
+    this.measurementSystem = "us"; //Measurement system the ingredients are displayed in
   }
 
   /**
@@ -50,10 +51,12 @@ class RecipeDetailsModal extends ModalView {
    * @param {string} options.source - Source of the recipe (e.g., 'mealPlan').
    * @param {string|null} [options.currentDate=null] - Date the recipe is under in the meal plan.
    * @param {string|null} [options.currentMeal=null] - Meal slot the recipe is under in the meal plan.
+   * @param {string} [measurementSystem="us"] - The measurement system to display the ingredients in ("us" or "metric").
    */
 
-  renderRecipeContent(recipe, showIngredientAvailability, { source, currentDate = null, currentMeal = null }) {
+  renderRecipeContent(recipe, showIngredientAvailability, { source, currentDate = null, currentMeal = null }, measurementSystem = "us") {
     this.#setModalAttributes(recipe, { source, currentDate, currentMeal });
+    this.measurementSystem = measurementSystem;
 
     this.recipeHeading.textContent = recipe.title;
 
@@ -64,6 +67,7 @@ class RecipeDetailsModal extends ModalView {
     this.#updateAddToPlannerButton(source);
     this.#updateServings(recipe);
     this.#updateIngredientMessage(showIngredientAvailability);
+    this.#updateMeasurementToggle();
     this.#updateIngredientsList(recipe, showIngredientAvailability);
     this.#updateInstructions(recipe);
     this.#updateNutritionInfo(recipe);
@@ -94,10 +98,22 @@ class RecipeDetailsModal extends ModalView {
       const originalQuantity = parseFloat(quantityElement.getAttribute("data-original-quantity"));
       const updatedQuantity = originalQuantity * servingRatio;
 
-      quantityElement.innerHTML = numToNearestFraction(updatedQuantity);
+      quantityElement.innerHTML = formatIngredientQuantity(updatedQuantity, this.measurementSystem);
     });
   }
 
+  /**
+   * Re-renders the ingredients in another measurement system (when the user switches between US and metric).
+   * @param {Object} recipe - The recipe displayed in the modal.
+   * @param {boolean} showIngredientAvailability - Whether to display the ingredient availability icons.
+   * @param {string} measurementSystem - The measurement system to display the ingredients in ("us" or "metric").
+   */
+  updateMeasurementSystem(recipe, showIngredientAvailability, measurementSystem) {
+    this.measurementSystem = measurementSystem;
+    this.#updateMeasurementToggle();
+    this.#updateIngredientsList(recipe, showIngredientAvailability);
+  }
+
   /**.
    * Store recipe location info (options object data) in data attributes so that the recipe can be accessed in the model, should any changes be made via user interactions (change in bookmark status, servings update etc.)
    * If the user chooses to add the recipe to the meal plan, the info stored in the data attributes can be used to access the recipe in the model and copy it into the meal plan
@@ -191,13 +207,22 @@ class RecipeDetailsModal extends ModalView {
   #updateIngredientMessage(showIngredientAvailability) {
     const ingredientMessageEl = this.parentEl.querySelector(".recipe-modal__ingredient-message");
 
-    ingredientMessageEl.textContent = showIngredientAvailability ? "Common household pantry items like salt, water, and flour are assumed to be available." : "";
+    ingredientMessageEl.textContent = showIngredientAvailability ? "Your household staples (e.g., salt, water) are assumed to be available. You can change them in Settings." : "";
   }
 
-  //Render recipe ingredients on modal
+  //Highlight the button of the measurement system the ingredients are displayed in
+  #updateMeasurementToggle() {
+    this.parentEl.querySelectorAll(".recipe-modal__measurement-btn").forEach((btn) => {
+      const isSelected = btn.dataset.system === this.measurementSystem;
+      btn.classList.toggle("modal-window__btn-small--selected", isSelected);
+      btn.setAttribute("aria-pressed", isSelected);
+    });
+  }
+
+  //Render recipe ingredients on modal (in the selected measurement system)
   #updateIngredientsList(recipe, showIngredientAvailability) {
     const ingredientsContainerEl = this.parentEl.querySelector(".recipe-modal__ingredients-container");
-    const ingredientsList = recipe.ingredients.map((ingredient) => getIngredientMarkup(ingredient, showIngredientAvailability)).join("");
+    const ingredientsList = recipe.ingredients.map((ingredient) => getIngredientMarkup(ingredient, showIngredientAvailability, this.measurementSystem)).join("");
     ingredientsContainerEl.innerHTML = ingredientsList;
   }
 
@@ -346,6 +371,23 @@ class RecipeDetailsModal extends ModalView {
       handler(recipeId, operation, { source, currentDate, currentMeal });
     });
   }
+
+  //Adds event listeners to the measurement system buttons (US and metric). Handler function saves the preference and re-renders the ingredients accordingly
+  addHandlerMeasurementSystem(handler) {
+    const measurementToggle = this.parentEl.querySelector(".recipe-modal__measurement-toggle");
+
+    measurementToggle.addEventListener("click", (e) => {
+      const clickedBtn = e.target.closest(".recipe-modal__measurement-btn");
+      if (!clickedBtn || clickedBtn.dataset.system === this.measurementSystem) return; // Exit if no button was clicked or the system is already selected
+
+      const recipeId = Number(this.recipeHeading.dataset.id);
+      const source = this.recipeHeading.dataset.source;
+
+      const { plannerdate: currentDate = null, plannermeal: currentMeal = null } = this.parentEl.dataset;
+
+      handler(clickedBtn.dataset.system, recipeId, { source, currentDate, currentMeal });
+    });
+  }
 }
 
 export default new RecipeDetailsModal();
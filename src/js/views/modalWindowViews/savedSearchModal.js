@@ -0,0 +1,65 @@
+/**
+ * @fileoverview SavedSearchModal represents the modal for creating and editing saved searches (accessed via the 'Save Search' button and the edit icon of a saved search on the Browse Recipes page).
+ * A saved search has a name, a search bar query and the same filters as the Browse Collection Modal.
+ * It extends the FilterModalView and inherits all its filter functionality.
+ */
+import FilterModalView from "./filterModalView.js";
+
+class SavedSearchModal extends FilterModalView {
+  /**
+   * Creates an instance of SavedSearchModal.
+   * @extends FilterModalView
+   */
+  constructor() {
+    super(document.querySelector(".saved-search-modal"));
+    this.form = this.parentEl.querySelector(".saved-search-modal__form");
+    this.nameInput = this.parentEl.querySelector("#saved-search-name");
+    this.queryInput = this.parentEl.querySelector("#saved-search-query");
+    this.errorEl = this.parentEl.querySelector(".saved-search-modal__error-message");
+    this.editingId = null; //id of the saved search being edited (null when creating a new saved search)
+  }
+
+  /**
+   * Fills the modal with a saved search (or the details of the last search when creating a new saved search).
+   * @param {Object} savedSearch - The search to show in the modal.
+   * @param {number|null} savedSearch.id - The id of the saved search being edited, or null to create a new saved search.
+   * @param {string} savedSearch.name - The name of the saved search.
+   * @param {string} savedSearch.query - The search bar query.
+   * @param {Object} savedSearch.filtersObject - The filters of the search.
+   */
+  renderModal({ id, name, query, filtersObject }) {
+    this.editingId = id;
+    this.parentEl.querySelector(".modal-window__heading").textContent = id === null ? "Save Search" : "Edit Saved Search";
+    this.nameInput.value = name;
+    this.queryInput.value = query;
+    this.setFilters(filtersObject);
+    this.renderError("");
+  }
+
+  /**
+   * Collects the saved search inputs from the modal.
+   * @returns {{id: number|null, name: string, query: string, filtersObject: Object}} The saved search inputs.
+   */
+  getSavedSearchInputs() {
+    return { id: this.editingId, name: this.nameInput.value, query: this.queryInput.value, filtersObject: this.generateFiltersObject() };
+  }
+
+  //Displays an error message (e.g., duplicate name) at the bottom of the modal
+  renderError(message) {
+    this.errorEl.textContent = message;
+  }
+
+  /**
+   * Adds an event listener for the form submission to save the search.
+   * @param {Function} handler - The function to call when the form is submitted (saves the search in the model).
+   */
+  addHandlerSaveSearch(handler) {
+    this.form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      if (!this.form.checkValidity()) return;
+      handler();
+    });
+  }
+}
+
+export default new SavedSearchModal();
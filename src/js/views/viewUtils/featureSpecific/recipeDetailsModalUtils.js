@@ -3,20 +3,27 @@
  *
  */
 
+//Import utilities
+import { escapeHtml } from "../highLevel/viewUtils.js";
+
 /**
  * Generates HTML markup for a single ingredient.
  *
  * @param {Object} ingredient - The ingredient object containing details.
  * @param {boolean} showIngredientAvailability - Whether to display availability icons (check, x, etc.).
+ * @param {string} [measurementSystem="us"] - The measurement system to display the quantity in ("us" or "metric"). Ingredients without measures display their quantity and unit as stored.
  * @returns {string} HTML markup for the ingredient.
  */
-export const getIngredientMarkup = function (ingredient, showIngredientAvailability) {
+export const getIngredientMarkup = function (ingredient, showIngredientAvailability, measurementSystem = "us") {
   const icnMarkup = getIngredientIconMarkup(ingredient, showIngredientAvailability);
+  const matchMarkup = getIngredientMatchMarkup(ingredient, showIngredientAvailability);
+  const { quantity, unit } = ingredient.measures?.[measurementSystem] ?? ingredient;
   return `
     <li class="u-flex-gap-1rem recipe-modal__ingredient-container">
       <p class="recipe-modal__ingredient">
-        <span class="recipe-modal__ingredient-qty" data-original-quantity="${ingredient.quantity}">${numToNearestFraction(ingredient.quantity)}</span>
-        ${ingredient.unit} ${ingredient.name}
+        <span class="recipe-modal__ingredient-qty" data-original-quantity="${quantity}">${formatIngredientQuantity(quantity, measurementSystem)}</span>
+        ${unit} ${ingredient.name}
+        ${matchMarkup}
       </p>
       ${icnMarkup}
     </li>`;
@@ -47,8 +54,8 @@ const getIngredientIconMarkup = function (ingredient, showIngredientAvailability
     },
     householdItem: {
       class: "bi-house recipe-modal__question-icn",
-      ariaLabel: "This is a basic pantry staple that most households generally have on hand.",
-      tooltip: "This is a common household staple. It is assumed you have it on hand.",
+      ariaLabel: "This is one of your household staples, assumed to be on hand.",
+      tooltip: "This is one of your household staples. It is assumed you have it on hand.",
     },
     potentiallyAvailable: {
       class: "bi-question-lg recipe-modal__question-icn",
@@ -69,6 +76,27 @@ const getIngredientIconMarkup = function (ingredient, showIngredientAvailability
   `;
 };
 
+/**
+ * Generates HTML markup explaining how the ingredient was matched with the user's pantry (e.g., "Matched your greek yogurt: use greek yogurt instead of sour cream, it has the same tang and thick texture."),
+ * or suggesting substitutes for an ingredient the user doesn't have.
+ *
+ * @param {Object} ingredient - The ingredient object containing availability data (see `getIngredientAvailability` in generateRecipeResults.js).
+ * @param {boolean} showIngredientAvailability - Whether to display the explanation.
+ * @returns {string} HTML markup for the explanation (empty string for exact matches, household items and ingredients without substitutes).
+ * @private
+ */
+const getIngredientMatchMarkup = function (ingredient, showIngredientAvailability) {
+  if (!showIngredientAvailability) return "";
+
+  const { availabilityState, matchingPantryIngredient, reason, substitutes = [] } = ingredient.availability;
+  let explanation = "";
+  if (reason) explanation = `Matched your ${matchingPantryIngredient}: ${reason}.`;
+  else if (availabilityState === "unavailable" && substitutes.length) explanation = `Substitute: ${substitutes.map(({ name, note }) => (note ? `${name} (${note})` : name)).join(" or ")}.`;
+
+  //The explanation can contain the user's own substitution notes (see ingredientSettings.js)
+  return explanation ? `<span class="recipe-modal__ingredient-match">${escapeHtml(explanation)}</span>` : "";
+};
+
 //Formats a camelCase nutrient name into a readable label
 export const formatNutrientLabel = function (nutrient) {
   //Regex /([a-z])([A-Z])/g: This regular expression finds places where a lowercase letter ([a-z]) is followed by an uppercase letter ([A-Z]), which is typically the case for camel case.
@@ -81,7 +109,30 @@ export const formatNutrientLabel = function (nutrient) {
 };
 
 /**
- * Converts a decimal or whole number into the nearest common fraction.
+ * Formats an ingredient quantity for the measurement system it is displayed in: fractions for US measures (e.g., 1 1/2 cups), decimals for metric measures (e.g., 354.9 ml).
+ *
+ * @param {number} num - The quantity.
+ * @param {string} measurementSystem - The measurement system ("us" or "metric").
+ * @returns {string} The formatted quantity.
+ */
+export const formatIngredientQuantity = function (num, measurementSystem) {
+  return measurementSystem === "metric" ? numToRoundedDecimal(num) : numToNearestFraction(num);
+};
+
+/**
+ * Rounds a number for display as a decimal (metric measures): to the nearest whole number from 10 up (e.g., 680.39 -> 680), otherwise to 2 significant digits (e.g., 2.46 -> 2.5, 0.125 -> 0.13).
+ *
+ * @param {number} num - The number to round.
+ * @returns {string} The rounded number.
+ * @private
+ */
+const numToRoundedDecimal = function (num) {
+  if (!Number.isFinite(num) || num === 0) return `${num}`;
+  return `${num >= 10 ? Math.round(num) : Number(num.toPrecision(2))}`;
+};
+
+/**
+ * Converts a decimal or whole number into the nearest common fraction (US measures).
  *
  * Purpose:
  * - Ensures user-friendly fractional values that align with common cooking measurements.
@@ -12,3 +12,12 @@
 export const getInputValue = function (selector, parentEl) {
   return parentEl.querySelector(selector).value;
 };
+
+/**
+ * Escapes user-entered text (e.g., a saved search name or an ingredient rule note) before it is inserted into the markup or an attribute.
+ * @param {string} text - The text to escape.
+ * @returns {string} The escaped text.
+ */
+export const escapeHtml = function (text) {
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+};